@@ -0,0 +1,359 @@
+/**
+ * Auto Chess Ability Effects
+ * Interpreter for the effect lists that define unit abilities in data.js
+ */
+
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./data.js'), require('./status-effects.js'), require('./unit.js'),
+            require('./combat-events.js')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
+
+    const { getUnitTemplate, STATUS_EFFECTS, createUnit, unitRef } = deps;
+
+    // ============================================================================
+    // TARGET RULES
+    // ============================================================================
+
+    /**
+     * Who an effect applies to, keyed by the effect's `target` field
+     * Each rule gets the cast context and the effect and returns the living units hit
+     */
+    const ABILITY_TARGETS = {
+        self: (ctx) => [ctx.caster],
+
+        // The caster's attack target, or the nearest enemy if that target just died
+        target: (ctx) => {
+            const target = ctx.target && ctx.target.isAlive ? ctx.target : nearestUnit(ctx.caster, ctx.enemies);
+            return target ? [target] : [];
+        },
+
+        allEnemies: (ctx) => ctx.enemies,
+
+        allAllies: (ctx) => ctx.allies,
+
+        enemiesNearSelf: (ctx, effect) =>
+            ctx.enemies.filter(enemy => ctx.caster.getDistanceTo(enemy) <= (effect.radius || 1)),
+
+        enemiesNearTarget: (ctx, effect) => {
+            const [center] = ABILITY_TARGETS.target(ctx);
+            return center ? ctx.enemies.filter(enemy => center.getDistanceTo(enemy) <= (effect.radius || 1)) : [];
+        },
+
+        alliesNearSelf: (ctx, effect) =>
+            ctx.allies.filter(ally => ctx.caster.getDistanceTo(ally) <= (effect.radius || 1)),
+
+        lowestHpAlly: (ctx) => {
+            const ally = ctx.allies.reduce((lowest, unit) =>
+                !lowest || unit.hpPercent < lowest.hpPercent ? unit : lowest, null);
+            return ally ? [ally] : [];
+        }
+    };
+
+    // Status effects a cleanse removes unless the effect lists its own
+    const CLEANSED_STATUSES = ['stun', 'slow'];
+
+    // Short labels for ability descriptions
+    const TARGET_LABELS = {
+        self: 'self',
+        target: 'target',
+        allEnemies: 'all enemies',
+        allAllies: 'all allies',
+        enemiesNearSelf: 'nearby enemies',
+        enemiesNearTarget: 'enemies near target',
+        alliesNearSelf: 'nearby allies',
+        lowestHpAlly: 'lowest HP ally'
+    };
+
+    /**
+     * Find the unit closest to another
+     * @param {Unit} from - Reference unit
+     * @param {Unit[]} units - Candidates
+     * @returns {Unit|null} Closest unit (first one on ties)
+     */
+    function nearestUnit(from, units) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        for (const unit of units) {
+            const distance = from.getDistanceTo(unit);
+            if (distance < nearestDistance) {
+                nearest = unit;
+                nearestDistance = distance;
+            }
+        }
+
+        return nearest;
+    }
+
+    // ============================================================================
+    // EFFECT HANDLERS
+    // ============================================================================
+
+    /**
+     * One handler per effect type: (ctx, effect, targets) => void
+     * Amounts from damage, heal, shield and chain effects scale with the caster's spell power
+     */
+    const ABILITY_EFFECTS = {
+        damage(ctx, effect, targets) {
+            const base = effect.attackMultiplier ? ctx.caster.attack * effect.attackMultiplier : effect.amount;
+            const amount = Math.floor(base * ctx.spellPower);
+            const hits = effect.hits || 1;
+
+            for (let hit = 1; hit <= hits; hit++) {
+                for (const target of targets) {
+                    if (!target.isAlive) continue;
+
+                    const damage = ctx.combat.dealDamage(ctx.caster, target, amount, effect.damageType || 'magic');
+                    if (hits > 1) {
+                        ctx.log('ability_hit', { target: unitRef(target), hitNumber: hit, damage });
+                    } else {
+                        ctx.log('ability_damage', { target: unitRef(target), damage });
+                    }
+                }
+            }
+        },
+
+        heal(ctx, effect, targets) {
+            const amount = Math.floor(effect.amount * ctx.spellPower);
+            for (const target of targets) {
+                ctx.log('ability_heal', { target: unitRef(target), amount: ctx.combat.healUnit(ctx.caster, target, amount) });
+            }
+        },
+
+        shield(ctx, effect, targets) {
+            const amount = Math.floor(effect.amount * ctx.spellPower);
+            for (const target of targets) {
+                target.applyStatus('shield', { value: amount, duration: effect.duration, source: ctx.caster });
+                ctx.log('ability_shield', { target: unitRef(target), amount, duration: effect.duration });
+            }
+        },
+
+        stun(ctx, effect, targets) {
+            for (const target of targets) {
+                target.applyStun(effect.duration);
+                ctx.log('ability_stun', { target: unitRef(target), duration: effect.duration });
+            }
+        },
+
+        slow(ctx, effect, targets) {
+            for (const target of targets) {
+                target.applySlow(effect.amount, effect.duration);
+                ctx.log('ability_slow', { target: unitRef(target), amount: effect.amount, duration: effect.duration });
+            }
+        },
+
+        // Remove crowd control (CLEANSED_STATUSES, or the effect's `statuses`); only targets that had any are logged
+        cleanse(ctx, effect, targets) {
+            const statuses = effect.statuses || CLEANSED_STATUSES;
+            for (const target of targets) {
+                const removed = statuses.filter(status => target.statusEffects.removeType(status));
+                if (removed.length === 0) continue;
+
+                ctx.log('ability_cleanse', { target: unitRef(target), statuses: removed });
+            }
+        },
+
+        // Any other status effect (burn, poison, silence, armorShred, taunt); damage over time scales with spell power
+        status(ctx, effect, targets) {
+            const definition = STATUS_EFFECTS[effect.status];
+            const value = definition && definition.damageType ? Math.floor((effect.value || 0) * ctx.spellPower) : effect.value;
+
+            for (const target of targets) {
+                const applied = target.applyStatus(effect.status, { value, duration: effect.duration, source: ctx.caster });
+                if (!applied) continue;
+
+                ctx.log('ability_status', {
+                    target: unitRef(target),
+                    status: effect.status,
+                    value,
+                    stacks: applied.stacks,
+                    duration: effect.duration
+                });
+            }
+        },
+
+        buff(ctx, effect, targets) {
+            targets.forEach(target => target.applyStatus('buff', { stat: effect.stat, value: effect.value, duration: effect.duration, source: ctx.caster }));
+
+            const who = targets.length === 1 && targets[0] === ctx.caster ? '' : ` to ${TARGET_LABELS[effect.target] || effect.target}`;
+            ctx.log('ability_buff', {
+                effect: `+${effect.value} ${effect.stat}${who}${effect.duration ? ` for ${effect.duration}s` : ''}`,
+                targets: targets.map(unitRef)
+            });
+        },
+
+        // Move the caster next to the target; position 'behind' takes the free cell farthest from where the caster was
+        teleport(ctx, effect, targets) {
+            const [target] = targets;
+            if (!target) return;
+
+            const from = { x: ctx.caster.x, y: ctx.caster.y };
+            const cells = ctx.combat.getFreeCellsAround(target.x, target.y, 1);
+            if (cells.length === 0) return;
+
+            const distanceFromCaster = (cell) => ctx.combat.topology.getDistance(cell, from);
+            const cell = effect.position === 'behind'
+                ? cells.reduce((best, c) => distanceFromCaster(c) > distanceFromCaster(best) ? c : best)
+                : cells.reduce((best, c) => distanceFromCaster(c) < distanceFromCaster(best) ? c : best);
+
+            ctx.combat.moveUnitTo(ctx.caster, cell.x, cell.y);
+            ctx.log('ability_teleport', { from, to: cell });
+        },
+
+        // Spawn units on the caster's side, on free cells as close to the caster as possible.
+        // They take the caster's star level, and `duration` replaces the template's lifetime
+        summon(ctx, effect) {
+            for (let i = 0; i < (effect.count || 1); i++) {
+                const cell = ctx.combat.findFreeCellNear(ctx.caster.x, ctx.caster.y);
+                if (!cell) return;
+
+                const unit = createUnit(effect.unitId, effect.starLevel || ctx.caster.starLevel);
+                if (effect.duration) unit.lifetime = effect.duration;
+                unit.setPosition(cell.x, cell.y);
+                ctx.combat.addUnit(unit, ctx.caster.ownerId, ctx.caster);
+                ctx.log('ability_summon', { unit: unitRef(unit), at: cell });
+            }
+        },
+
+        // Hit the target, then jump to the nearest enemy not yet hit, losing `falloff` of the damage per jump
+        chain(ctx, effect, targets) {
+            let current = targets[0];
+            const hit = new Set();
+
+            for (let index = 0; current && index < effect.maxTargets; index++) {
+                const amount = Math.floor(effect.amount * ctx.spellPower * (1 - index * (effect.falloff || 0)));
+                const damage = ctx.combat.dealDamage(ctx.caster, current, amount, effect.damageType || 'magic');
+                ctx.log('ability_chain', { target: unitRef(current), chainIndex: index + 1, damage });
+
+                hit.add(current);
+                current = nearestUnit(current, ctx.enemies.filter(enemy => enemy.isAlive && !hit.has(enemy)));
+            }
+        }
+    };
+
+    // ============================================================================
+    // INTERPRETER
+    // ============================================================================
+
+    /**
+     * Run an ability's effects in order
+     * Effects see the board as earlier effects left it (e.g. damage after a teleport)
+     * @param {Combat} combat - Fight in progress (board queries, damage and healing, log, summons)
+     * @param {Unit} caster - Unit casting the ability
+     * @param {Unit} target - Caster's current attack target
+     * @param {object} ability - Ability definition ({ name, manaCost, effects })
+     */
+    function executeAbility(combat, caster, target, ability = caster.ability) {
+        const ctx = {
+            combat,
+            caster,
+            target,
+            ability,
+            spellPower: 1 + (caster.getBonus('spellPower') / 100),
+            enemies: [],
+            allies: [],
+            log: (type, data) => combat.log(type, { caster: unitRef(caster), ability: ability.name, ...data })
+        };
+
+        for (const effect of ability.effects || []) {
+            const handler = ABILITY_EFFECTS[effect.type];
+            const selectTargets = ABILITY_TARGETS[effect.target || 'target'];
+            if (!handler || !selectTargets) {
+                console.warn(`[Abilities] ${ability.name}: unknown effect type or target`, effect);
+                continue;
+            }
+
+            // Refresh per effect so units killed by an earlier effect aren't targeted again
+            ctx.enemies = combat.getEnemiesOf(caster);
+            ctx.allies = combat.getAlliesOf(caster);
+
+            handler(ctx, effect, selectTargets(ctx, effect));
+        }
+    }
+
+    // ============================================================================
+    // DESCRIPTIONS
+    // ============================================================================
+
+    /**
+     * Describe a status effect entry
+     * @param {object} effect - Effect with type 'status'
+     * @param {string} to - Target label
+     * @returns {string} e.g. "burn target 20/s for 3s"
+     */
+    function describeStatus(effect, to) {
+        const duration = effect.duration ? ` for ${effect.duration}s` : '';
+
+        switch (effect.status) {
+            case 'burn':
+            case 'poison':
+                return `${effect.status} ${to} ${effect.value}/s${duration}`;
+            case 'armorShred':
+                return `shred ${effect.value} armor on ${to}${duration}`;
+            default:
+                return `${effect.status} ${to}${duration}`;
+        }
+    }
+
+    /**
+     * Describe an ability's effects in one line (for tooltips)
+     * @param {object} ability - Ability definition
+     * @returns {string} e.g. "300 magic damage to target, stun target 1s"
+     */
+    function describeAbility(ability) {
+        return (ability.effects || []).map(effect => {
+            const to = TARGET_LABELS[effect.target || 'target'] || effect.target;
+
+            switch (effect.type) {
+                case 'damage': {
+                    const amount = effect.attackMultiplier ? `${effect.attackMultiplier}x attack` : effect.amount;
+                    return `${amount} ${effect.damageType || 'magic'} damage${effect.hits > 1 ? ` x${effect.hits}` : ''} to ${to}`;
+                }
+                case 'heal':
+                    return `heal ${to} ${effect.amount}`;
+                case 'shield':
+                    return `${effect.amount} shield on ${to}`;
+                case 'stun':
+                    return `stun ${to} ${effect.duration}s`;
+                case 'slow':
+                    return `slow ${to} ${Math.round(effect.amount * 100)}%`;
+                case 'cleanse':
+                    return `cleanse ${(effect.statuses || CLEANSED_STATUSES).join('/')} from ${to}`;
+                case 'buff':
+                    return `+${effect.value} ${effect.stat} to ${to}`;
+                case 'status':
+                    return describeStatus(effect, to);
+                case 'teleport':
+                    return `teleport ${effect.position === 'behind' ? 'behind' : 'next to'} ${to}`;
+                case 'summon': {
+                    const template = getUnitTemplate(effect.unitId);
+                    const lifetime = effect.duration || (template && template.lifetime);
+                    return `summon ${effect.count || 1} ${template ? template.name : effect.unitId}${lifetime ? ` for ${lifetime}s` : ''}`;
+                }
+                case 'chain':
+                    return `${effect.amount} damage chaining to ${effect.maxTargets} enemies`;
+                default:
+                    return effect.type;
+            }
+        }).join(', ');
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    console.log('[Abilities] Ability effects module loaded');
+
+    return {
+        ABILITY_TARGETS,
+        ABILITY_EFFECTS,
+        executeAbility,
+        describeAbility
+    };
+}));
@@ -0,0 +1,254 @@
+/**
+ * Auto Chess Player Actions
+ * Serializable prep-phase actions and the single reducer that validates and applies them
+ */
+
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./data.js'), require('./state.js'), require('./coordinates.js')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
+
+    const { GAME_CONFIG, GAME_PHASES, isInSide } = deps;
+
+    // ============================================================================
+    // ACTION TYPES
+    // ============================================================================
+
+    const ACTION_TYPES = {
+        BUY_UNIT: 'buy_unit',             // { slot }
+        SELL_UNIT: 'sell_unit',           // { unitId }
+        MOVE_UNIT: 'move_unit',           // { unitId, target: 'board', row, col } | { unitId, target: 'bench', index }
+        REROLL: 'reroll',                 // {}
+        BUY_XP: 'buy_xp',                 // {}
+        TOGGLE_LOCK: 'toggle_lock',       // {}
+        EQUIP_ITEM: 'equip_item',         // { itemIndex, unitId }
+        COMBINE_ITEMS: 'combine_items',   // { itemIndex, targetIndex }
+        CLAIM_CAROUSEL: 'claim_carousel'  // { index }
+    };
+
+    // ============================================================================
+    // ACTION CREATORS
+    // ============================================================================
+
+    /**
+     * Helpers for building well-formed actions
+     * Actions are plain objects so they can be logged, saved and replayed
+     */
+    const PlayerActions = {
+        buyUnit: (slot) => ({ type: ACTION_TYPES.BUY_UNIT, slot }),
+        sellUnit: (unitId) => ({ type: ACTION_TYPES.SELL_UNIT, unitId }),
+        moveToBoard: (unitId, row, col) => ({ type: ACTION_TYPES.MOVE_UNIT, unitId, target: 'board', row, col }),
+        moveToBench: (unitId, index) => ({ type: ACTION_TYPES.MOVE_UNIT, unitId, target: 'bench', index }),
+        reroll: () => ({ type: ACTION_TYPES.REROLL }),
+        buyXP: () => ({ type: ACTION_TYPES.BUY_XP }),
+        toggleLock: () => ({ type: ACTION_TYPES.TOGGLE_LOCK }),
+        equipItem: (itemIndex, unitId) => ({ type: ACTION_TYPES.EQUIP_ITEM, itemIndex, unitId }),
+        combineItems: (itemIndex, targetIndex) => ({ type: ACTION_TYPES.COMBINE_ITEMS, itemIndex, targetIndex }),
+        claimCarouselUnit: (index) => ({ type: ACTION_TYPES.CLAIM_CAROUSEL, index })
+    };
+
+    // ============================================================================
+    // VALIDATION
+    // ============================================================================
+
+    /**
+     * Check an action against the current game state without applying it
+     * Only checks shape, phase and references; the apply step reports rule
+     * failures such as missing gold
+     * @param {object} context - { state: GameState, shop: Shop, carousel: Carousel }
+     * @param {object} action - Action to validate
+     * @returns {string|null} Error message, or null if the action can be applied
+     */
+    function validateAction(context, action) {
+        const { state } = context;
+
+        if (!action || typeof action !== 'object' || !Object.values(ACTION_TYPES).includes(action.type)) {
+            return `Unknown action: ${action && action.type}`;
+        }
+
+        if (state.phase === GAME_PHASES.GAME_OVER) {
+            return 'Game is over';
+        }
+
+        // Carousel claims are the only action while the carousel runs
+        if (action.type === ACTION_TYPES.CLAIM_CAROUSEL) {
+            if (state.phase !== GAME_PHASES.CAROUSEL) {
+                return 'No carousel in progress';
+            }
+            if (!Number.isInteger(action.index) || action.index < 0 || action.index >= context.carousel.units.length) {
+                return 'Invalid carousel unit';
+            }
+            return null;
+        }
+
+        // The shop lock only matters at the next round start, so it can change any time
+        if (action.type !== ACTION_TYPES.TOGGLE_LOCK && state.phase !== GAME_PHASES.PREP) {
+            return 'Actions are only allowed during prep phase';
+        }
+
+        switch (action.type) {
+            case ACTION_TYPES.BUY_UNIT:
+                if (!Number.isInteger(action.slot) || action.slot < 0 || action.slot >= GAME_CONFIG.SHOP_SIZE) {
+                    return 'Invalid shop slot';
+                }
+                break;
+
+            case ACTION_TYPES.SELL_UNIT:
+                if (!state.ownedUnits.has(action.unitId)) {
+                    return `Unit not found: ${action.unitId}`;
+                }
+                break;
+
+            case ACTION_TYPES.MOVE_UNIT:
+                if (!state.ownedUnits.has(action.unitId)) {
+                    return `Unit not found: ${action.unitId}`;
+                }
+                if (action.target === 'board') {
+                    if (!Number.isInteger(action.row) || !Number.isInteger(action.col) || !isInSide(action.col, action.row)) {
+                        return 'Invalid board position';
+                    }
+                    if (state.isCellBlocked(action.row, action.col)) {
+                        return 'That cell is blocked by terrain';
+                    }
+                } else if (action.target === 'bench') {
+                    if (!Number.isInteger(action.index) || action.index < 0 || action.index >= GAME_CONFIG.BENCH_SIZE) {
+                        return 'Invalid bench slot';
+                    }
+                } else {
+                    return `Invalid move target: ${action.target}`;
+                }
+                break;
+
+            case ACTION_TYPES.EQUIP_ITEM:
+                if (!isItemIndex(state, action.itemIndex)) {
+                    return 'Invalid item';
+                }
+                if (!state.ownedUnits.has(action.unitId)) {
+                    return `Unit not found: ${action.unitId}`;
+                }
+                break;
+
+            case ACTION_TYPES.COMBINE_ITEMS:
+                if (!isItemIndex(state, action.itemIndex) || !isItemIndex(state, action.targetIndex) ||
+                    action.itemIndex === action.targetIndex) {
+                    return 'Invalid items';
+                }
+                break;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check that an index points at an item on the item bench
+     * @param {GameState} state - Game state
+     * @param {number} index - Item bench index
+     * @returns {boolean} True if valid
+     */
+    function isItemIndex(state, index) {
+        return Number.isInteger(index) && index >= 0 && index < state.itemBench.length;
+    }
+
+    // ============================================================================
+    // REDUCER
+    // ============================================================================
+
+    /**
+     * Validate and apply a player action
+     * This is the only path through which prep-phase actions change the game
+     * @param {object} context - { state: GameState, shop: Shop, carousel: Carousel }
+     * @param {object} action - Action to apply
+     * @returns {object} Result object with success status and action-specific data or error
+     */
+    function applyAction(context, action) {
+        const error = validateAction(context, action);
+        if (error) {
+            return { success: false, error };
+        }
+
+        const { state, shop, carousel } = context;
+
+        switch (action.type) {
+            case ACTION_TYPES.BUY_UNIT:
+                return shop.buyUnit(action.slot);
+
+            case ACTION_TYPES.SELL_UNIT:
+                return shop.sellUnit(state.ownedUnits.get(action.unitId));
+
+            case ACTION_TYPES.MOVE_UNIT:
+                return moveUnit(state, state.ownedUnits.get(action.unitId), action);
+
+            case ACTION_TYPES.REROLL:
+                return shop.refresh(false);
+
+            case ACTION_TYPES.BUY_XP:
+                return state.buyXP()
+                    ? { success: true, level: state.level, xp: state.xp }
+                    : { success: false, error: state.level >= 9 ? 'Already at max level' : 'Not enough gold' };
+
+            case ACTION_TYPES.TOGGLE_LOCK:
+                return { success: true, locked: shop.toggleLock() };
+
+            case ACTION_TYPES.EQUIP_ITEM:
+                return state.equipItem(state.ownedUnits.get(action.unitId), action.itemIndex);
+
+            case ACTION_TYPES.COMBINE_ITEMS:
+                return state.combineItems(action.itemIndex, action.targetIndex);
+
+            case ACTION_TYPES.CLAIM_CAROUSEL:
+                return carousel.claim(action.index);
+        }
+
+        return { success: false, error: `Unhandled action: ${action.type}` };
+    }
+
+    /**
+     * Move a unit to a board cell or bench slot, swapping with any unit already there
+     * @param {GameState} state - Game state
+     * @param {UnitInstance} unit - Unit to move
+     * @param {object} action - MOVE_UNIT action
+     * @returns {object} Result object with success status
+     */
+    function moveUnit(state, unit, action) {
+        const occupantId = action.target === 'board'
+            ? state.playerBoard[action.row][action.col]
+            : state.bench[action.index];
+
+        if (occupantId === unit.id) {
+            return { success: true, moved: false };
+        }
+
+        if (occupantId) {
+            state.swapUnits(unit, state.ownedUnits.get(occupantId));
+            return { success: true, moved: true, swappedWith: occupantId };
+        }
+
+        const placed = action.target === 'board'
+            ? state.placeUnitOnBoard(unit, action.row, action.col)
+            : state.placeUnitOnBench(unit, action.index);
+
+        if (!placed) {
+            return { success: false, error: action.target === 'board' ? `Team size limit reached (${state.level})` : 'Bench slot unavailable' };
+        }
+
+        return { success: true, moved: true };
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    console.log('[Actions] Player actions module loaded');
+
+    return {
+        ACTION_TYPES,
+        PlayerActions,
+        validateAction,
+        applyAction
+    };
+}));
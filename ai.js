@@ -3,599 +3,654 @@
  * Generates enemy boards with scaling difficulty based on round number
  */
 
-// UNITS, GAME_CONFIG, TRAITS are loaded globally from data.js
-// Unit, createUnit are loaded globally from unit.js
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./data.js'), require('./unit.js'), require('./rng.js'),
+            require('./coordinates.js'), require('./board-topology.js')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
 
-// ============================================================================
-// AI CONFIGURATION
-// ============================================================================
+    const { UNITS, GAME_CONFIG, TRAITS, createUnit, RNG, sideToArena, getBoardTopology } = deps;
 
-const AI_CONFIG = {
-    // Boss round interval
-    BOSS_ROUND_INTERVAL: 5,
+    // ============================================================================
+    // AI CONFIGURATION
+    // ============================================================================
 
-    // Boss stat multipliers
-    BOSS_HP_MULTIPLIER: 1.5,
-    BOSS_ATTACK_MULTIPLIER: 1.3,
+    const AI_CONFIG = {
+        // Boss round interval
+        BOSS_ROUND_INTERVAL: 5,
 
-    // Board positioning
-    FRONT_ROW: 4,  // Enemy front line (row 4 from player perspective)
-    BACK_ROW: 7,   // Enemy back line
+        // Boss stat multipliers
+        BOSS_HP_MULTIPLIER: 1.5,
+        BOSS_ATTACK_MULTIPLIER: 1.3,
 
-    // Synergy priority weights
-    SYNERGY_WEIGHT: 0.3
-};
+        // Board positioning (side-space rows, see coordinates.js)
+        FRONT_ROW: 0,                          // Front line, next to the middle
+        BACK_ROW: GAME_CONFIG.PLAYER_ROWS - 1, // Back line
 
-// ============================================================================
-// UNIT CATEGORIZATION
-// ============================================================================
+        // Synergy priority weights
+        SYNERGY_WEIGHT: 0.3,
 
-/**
- * Get units organized by cost tier
- */
-function getUnitsByTier() {
-    const tiers = { 1: [], 2: [], 3: [] };
+        // Healers: never the trait a board is built around, but boards of
+        // SUPPORT_MIN_UNITS or more bring one with SUPPORT_CHANCE
+        SUPPORT_TRAIT: 'support',
+        SUPPORT_MIN_UNITS: 4,
+        SUPPORT_CHANCE: 0.5
+    };
 
-    for (const [id, unit] of Object.entries(UNITS)) {
-        if (tiers[unit.cost]) {
-            tiers[unit.cost].push(id);
-        }
-    }
+    // ============================================================================
+    // UNIT CATEGORIZATION
+    // ============================================================================
 
-    return tiers;
-}
-
-/**
- * Get units organized by trait
- */
-function getUnitsByTrait() {
-    const traitMap = {};
+    /**
+     * Get units organized by cost tier
+     */
+    function getUnitsByTier() {
+        const tiers = { 1: [], 2: [], 3: [] };
 
-    for (const [id, unit] of Object.entries(UNITS)) {
-        for (const trait of unit.traits) {
-            if (!traitMap[trait]) {
-                traitMap[trait] = [];
+        for (const [id, unit] of Object.entries(UNITS)) {
+            if (tiers[unit.cost]) {
+                tiers[unit.cost].push(id);
             }
-            traitMap[trait].push(id);
         }
-    }
-
-    return traitMap;
-}
-
-// Cached lookups
-const UNITS_BY_TIER = getUnitsByTier();
-const UNITS_BY_TRAIT = getUnitsByTrait();
 
-// ============================================================================
-// AI CLASS
-// ============================================================================
-
-class AI {
-    constructor() {
-        this.ownerId = 'ai';
+        return tiers;
     }
 
-    // ========================================================================
-    // MAIN BOARD GENERATION
-    // ========================================================================
-
     /**
-     * Generate an enemy board based on the current round
-     * @param {number} round - Current round number (1-based)
-     * @returns {Unit[]} Array of positioned enemy units
+     * Get units organized by trait
      */
-    generateBoard(round) {
-        // Check for boss round
-        if (this.isBossRound(round)) {
-            return this.createBossRound(round);
-        }
+    function getUnitsByTrait() {
+        const traitMap = {};
 
-        let units;
-
-        if (round <= 5) {
-            // Early game: 1-3 tier-1 units
-            units = this.generateEarlyGame(round);
-        } else if (round <= 10) {
-            // Mid game: tier-1 and tier-2 with synergies
-            units = this.generateMidGame(round);
-        } else {
-            // Late game: full boards with strong synergies
-            units = this.generateLateGame(round);
+        for (const [id, unit] of Object.entries(UNITS)) {
+            for (const trait of unit.traits) {
+                if (!traitMap[trait]) {
+                    traitMap[trait] = [];
+                }
+                traitMap[trait].push(id);
+            }
         }
 
-        // Position units on the board
-        this.positionUnits(units);
+        return traitMap;
+    }
 
-        // Set owner for all units
-        for (const unit of units) {
-            unit.ownerId = this.ownerId;
+    // Cached lookups
+    const UNITS_BY_TIER = getUnitsByTier();
+    const UNITS_BY_TRAIT = getUnitsByTrait();
+
+    // ============================================================================
+    // AI CLASS
+    // ============================================================================
+
+    class AI {
+        /**
+         * @param {RNG} rng - Seeded random generator (a random seed is used if omitted)
+         * @param {BoardTopology} topology - Board layout the boards are placed on (default layout if omitted)
+         */
+        constructor(rng = null, topology = null) {
+            this.ownerId = 'ai';
+            this.rng = rng || new RNG();
+            this.topology = topology || getBoardTopology();
         }
 
-        return units;
-    }
+        // ========================================================================
+        // MAIN BOARD GENERATION
+        // ========================================================================
+
+        /**
+         * Generate an enemy board based on the current round
+         * @param {number} round - Current round number (1-based)
+         * @returns {Unit[]} Array of positioned enemy units
+         */
+        generateBoard(round) {
+            // Check for boss round
+            if (this.isBossRound(round)) {
+                return this.createBossRound(round);
+            }
 
-    /**
-     * Check if a round is a boss round
-     * @param {number} round - Round number
-     * @returns {boolean}
-     */
-    isBossRound(round) {
-        return round > 0 && round % AI_CONFIG.BOSS_ROUND_INTERVAL === 0;
-    }
+            let units;
 
-    // ========================================================================
-    // EARLY GAME (Rounds 1-5)
-    // ========================================================================
+            if (round <= 5) {
+                // Early game: 1-3 tier-1 units
+                units = this.generateEarlyGame(round);
+            } else if (round <= 10) {
+                // Mid game: tier-1 and tier-2 with synergies
+                units = this.generateMidGame(round);
+            } else {
+                // Late game: full boards with strong synergies
+                units = this.generateLateGame(round);
+            }
 
-    /**
-     * Generate early game board with tier-1 units
-     * @param {number} round - Current round
-     * @returns {Unit[]} Array of units (not yet positioned)
-     */
-    generateEarlyGame(round) {
-        // Scale unit count with round (1-3 units)
-        const unitCount = Math.min(3, Math.max(1, Math.ceil(round / 2)));
-        const units = [];
-
-        // Get tier-1 units
-        const tier1Units = UNITS_BY_TIER[1];
-
-        for (let i = 0; i < unitCount; i++) {
-            const templateId = this.randomChoice(tier1Units);
-            const unit = createUnit(templateId, 1);
-            units.push(unit);
-        }
+            // Position units on the board
+            this.positionUnits(units);
 
-        return units;
-    }
+            // Set owner for all units
+            for (const unit of units) {
+                unit.ownerId = this.ownerId;
+            }
 
-    // ========================================================================
-    // MID GAME (Rounds 6-10)
-    // ========================================================================
+            return units;
+        }
 
-    /**
-     * Generate mid game board with tier-1/2 units and synergies
-     * @param {number} round - Current round
-     * @returns {Unit[]} Array of units (not yet positioned)
-     */
-    generateMidGame(round) {
-        // 3-5 units based on round
-        const unitCount = Math.min(5, 3 + Math.floor((round - 6) / 2));
-        const units = [];
-
-        // Pick a primary trait to build around
-        const primaryTrait = this.randomChoice(Object.keys(TRAITS));
-        const traitUnits = UNITS_BY_TRAIT[primaryTrait] || [];
-
-        // Add 2 units of the primary trait for synergy activation
-        const synergyCount = Math.min(2, traitUnits.length, unitCount);
-        for (let i = 0; i < synergyCount; i++) {
-            const validTraitUnits = traitUnits.filter(id => {
-                const cost = UNITS[id].cost;
-                return cost <= 2; // Only tier 1-2 for mid game
-            });
-
-            if (validTraitUnits.length > 0) {
-                const templateId = this.randomChoice(validTraitUnits);
-                const starLevel = round >= 8 ? this.randomStar(1, 2) : 1;
-                units.push(createUnit(templateId, starLevel));
-            }
+        /**
+         * Check if a round is a boss round
+         * @param {number} round - Round number
+         * @returns {boolean}
+         */
+        isBossRound(round) {
+            return round > 0 && round % AI_CONFIG.BOSS_ROUND_INTERVAL === 0;
         }
 
-        // Fill remaining slots with tier-1 and tier-2 units
-        const remainingSlots = unitCount - units.length;
-        const availableTiers = [...UNITS_BY_TIER[1], ...UNITS_BY_TIER[2]];
+        // ========================================================================
+        // EARLY GAME (Rounds 1-5)
+        // ========================================================================
+
+        /**
+         * Generate early game board with tier-1 units
+         * @param {number} round - Current round
+         * @returns {Unit[]} Array of units (not yet positioned)
+         */
+        generateEarlyGame(round) {
+            // Scale unit count with round (1-3 units)
+            const unitCount = Math.min(3, Math.max(1, Math.ceil(round / 2)));
+            const units = [];
+
+            // Get tier-1 units
+            const tier1Units = UNITS_BY_TIER[1];
+
+            for (let i = 0; i < unitCount; i++) {
+                const templateId = this.randomChoice(tier1Units);
+                const unit = createUnit(templateId, 1);
+                units.push(unit);
+            }
 
-        for (let i = 0; i < remainingSlots; i++) {
-            const templateId = this.randomChoice(availableTiers);
-            const starLevel = round >= 9 ? this.randomStar(1, 2) : 1;
-            units.push(createUnit(templateId, starLevel));
+            return units;
         }
 
-        return units;
-    }
+        // ========================================================================
+        // MID GAME (Rounds 6-10)
+        // ========================================================================
+
+        /**
+         * Generate mid game board with tier-1/2 units and synergies
+         * @param {number} round - Current round
+         * @returns {Unit[]} Array of units (not yet positioned)
+         */
+        generateMidGame(round) {
+            // 3-5 units based on round
+            const unitCount = Math.min(5, 3 + Math.floor((round - 6) / 2));
+            const units = [];
+
+            // Pick a primary trait to build around
+            const primaryTrait = this.randomChoice(this.getCarryTraits());
+            const traitUnits = UNITS_BY_TRAIT[primaryTrait] || [];
+
+            // Add 2 units of the primary trait for synergy activation
+            const synergyCount = Math.min(2, traitUnits.length, unitCount);
+            for (let i = 0; i < synergyCount; i++) {
+                const validTraitUnits = traitUnits.filter(id => {
+                    const cost = UNITS[id].cost;
+                    return cost <= 2; // Only tier 1-2 for mid game
+                });
+
+                if (validTraitUnits.length > 0) {
+                    const templateId = this.randomChoice(validTraitUnits);
+                    const starLevel = round >= 8 ? this.randomStar(1, 2) : 1;
+                    units.push(createUnit(templateId, starLevel));
+                }
+            }
 
-    // ========================================================================
-    // LATE GAME (Rounds 11+)
-    // ========================================================================
+            this.addSupport(units, unitCount, 2, () => (round >= 9 ? this.randomStar(1, 2) : 1));
 
-    /**
-     * Generate late game board with full team and strong synergies
-     * @param {number} round - Current round
-     * @returns {Unit[]} Array of units (not yet positioned)
-     */
-    generateLateGame(round) {
-        // 6-9 units based on round
-        const baseCount = 6;
-        const bonusUnits = Math.min(3, Math.floor((round - 11) / 3));
-        const unitCount = Math.min(GAME_CONFIG.MAX_TEAM_SIZE, baseCount + bonusUnits);
-
-        const units = [];
-
-        // Pick two synergy traits to focus on
-        const traitKeys = Object.keys(TRAITS);
-        const primaryTrait = this.randomChoice(traitKeys);
-        const secondaryTrait = this.randomChoice(traitKeys.filter(t => t !== primaryTrait));
-
-        // Build primary synergy (4 units if possible)
-        const primaryUnits = UNITS_BY_TRAIT[primaryTrait] || [];
-        const primaryCount = Math.min(4, primaryUnits.length, unitCount);
-
-        for (let i = 0; i < primaryCount; i++) {
-            const templateId = this.randomChoice(primaryUnits);
-            const starLevel = this.getLateGameStarLevel(round);
-            units.push(createUnit(templateId, starLevel));
-        }
+            // Fill remaining slots with tier-1 and tier-2 units
+            const remainingSlots = unitCount - units.length;
+            const availableTiers = [...UNITS_BY_TIER[1], ...UNITS_BY_TIER[2]];
 
-        // Build secondary synergy (2 units)
-        const secondaryUnits = UNITS_BY_TRAIT[secondaryTrait] || [];
-        const secondaryCount = Math.min(2, secondaryUnits.length, unitCount - units.length);
+            for (let i = 0; i < remainingSlots; i++) {
+                const templateId = this.randomChoice(availableTiers);
+                const starLevel = round >= 9 ? this.randomStar(1, 2) : 1;
+                units.push(createUnit(templateId, starLevel));
+            }
 
-        for (let i = 0; i < secondaryCount; i++) {
-            const templateId = this.randomChoice(secondaryUnits);
-            const starLevel = this.getLateGameStarLevel(round);
-            units.push(createUnit(templateId, starLevel));
+            return units;
         }
 
-        // Fill remaining with high-tier units
-        const remainingSlots = unitCount - units.length;
-        const highTierUnits = [...UNITS_BY_TIER[2], ...UNITS_BY_TIER[3]];
-
-        for (let i = 0; i < remainingSlots; i++) {
-            // Prefer tier-3 in late late game
-            const preferTier3 = round >= 15 && Math.random() < 0.5;
-            const pool = preferTier3 ? UNITS_BY_TIER[3] : highTierUnits;
-            const templateId = this.randomChoice(pool);
-            const starLevel = this.getLateGameStarLevel(round);
-            units.push(createUnit(templateId, starLevel));
-        }
+        // ========================================================================
+        // LATE GAME (Rounds 11+)
+        // ========================================================================
+
+        /**
+         * Generate late game board with full team and strong synergies
+         * @param {number} round - Current round
+         * @returns {Unit[]} Array of units (not yet positioned)
+         */
+        generateLateGame(round) {
+            // 6-9 units based on round
+            const baseCount = 6;
+            const bonusUnits = Math.min(3, Math.floor((round - 11) / 3));
+            const unitCount = Math.min(GAME_CONFIG.MAX_TEAM_SIZE, baseCount + bonusUnits);
+
+            const units = [];
+
+            // Pick two synergy traits to focus on (healers can be the secondary one)
+            const traitKeys = Object.keys(TRAITS);
+            const primaryTrait = this.randomChoice(this.getCarryTraits());
+            const secondaryTrait = this.randomChoice(traitKeys.filter(t => t !== primaryTrait));
+
+            // Build primary synergy (4 units if possible)
+            const primaryUnits = UNITS_BY_TRAIT[primaryTrait] || [];
+            const primaryCount = Math.min(4, primaryUnits.length, unitCount);
+
+            for (let i = 0; i < primaryCount; i++) {
+                const templateId = this.randomChoice(primaryUnits);
+                const starLevel = this.getLateGameStarLevel(round);
+                units.push(createUnit(templateId, starLevel));
+            }
 
-        return units;
-    }
+            // Build secondary synergy (2 units)
+            const secondaryUnits = UNITS_BY_TRAIT[secondaryTrait] || [];
+            const secondaryCount = Math.min(2, secondaryUnits.length, unitCount - units.length);
 
-    /**
-     * Determine star level for late game units
-     * @param {number} round - Current round
-     * @returns {number} Star level (1-3)
-     */
-    getLateGameStarLevel(round) {
-        if (round >= 20) {
-            // Very late game: chance for 3-star
-            return this.randomStar(2, 3);
-        } else if (round >= 15) {
-            // Late game: mix of 1 and 2 star
-            return this.randomStar(1, 2);
-        } else {
-            // Early late game: mostly 1 star with some 2
-            return Math.random() < 0.3 ? 2 : 1;
-        }
-    }
+            for (let i = 0; i < secondaryCount; i++) {
+                const templateId = this.randomChoice(secondaryUnits);
+                const starLevel = this.getLateGameStarLevel(round);
+                units.push(createUnit(templateId, starLevel));
+            }
 
-    // ========================================================================
-    // BOSS ROUNDS
-    // ========================================================================
+            this.addSupport(units, unitCount, 3, () => this.getLateGameStarLevel(round));
 
-    /**
-     * Create a boss round with buffed units
-     * @param {number} round - Current round (should be divisible by 5)
-     * @returns {Unit[]} Array of positioned boss units
-     */
-    createBossRound(round) {
-        const bossLevel = Math.floor(round / AI_CONFIG.BOSS_ROUND_INTERVAL);
-        const units = [];
-
-        // Boss composition scales with level
-        let composition;
-
-        if (bossLevel === 1) {
-            // Round 5: Single powerful unit + 1 minion
-            composition = this.createBossComposition(1, 1);
-        } else if (bossLevel === 2) {
-            // Round 10: 1 boss + 3 minions
-            composition = this.createBossComposition(1, 3);
-        } else if (bossLevel === 3) {
-            // Round 15: 2 bosses + 3 minions
-            composition = this.createBossComposition(2, 3);
-        } else {
-            // Round 20+: 2-3 bosses + 4-5 minions
-            const bossCount = Math.min(3, Math.floor(bossLevel / 2) + 1);
-            const minionCount = Math.min(5, bossLevel);
-            composition = this.createBossComposition(bossCount, minionCount);
-        }
+            // Fill remaining with high-tier units
+            const remainingSlots = unitCount - units.length;
+            const highTierUnits = [...UNITS_BY_TIER[2], ...UNITS_BY_TIER[3]];
 
-        // Create boss units
-        for (const bossDef of composition.bosses) {
-            const unit = createUnit(bossDef.templateId, bossDef.starLevel);
-            this.applyBossBuffs(unit, round);
-            units.push(unit);
-        }
+            for (let i = 0; i < remainingSlots; i++) {
+                // Prefer tier-3 in late late game
+                const preferTier3 = round >= 15 && this.rng.chance(0.5);
+                const pool = preferTier3 ? UNITS_BY_TIER[3] : highTierUnits;
+                const templateId = this.randomChoice(pool);
+                const starLevel = this.getLateGameStarLevel(round);
+                units.push(createUnit(templateId, starLevel));
+            }
 
-        // Create minion units
-        for (const minionDef of composition.minions) {
-            const unit = createUnit(minionDef.templateId, minionDef.starLevel);
-            units.push(unit);
+            return units;
         }
 
-        // Position units
-        this.positionUnits(units);
-
-        // Set owner
-        for (const unit of units) {
-            unit.ownerId = this.ownerId;
+        /**
+         * Get the traits a board can be built around (every trait but support)
+         * @returns {string[]} Trait ids
+         */
+        getCarryTraits() {
+            return Object.keys(TRAITS).filter(traitId => traitId !== AI_CONFIG.SUPPORT_TRAIT);
         }
 
-        return units;
-    }
-
-    /**
-     * Create boss composition definition
-     * @param {number} bossCount - Number of boss units
-     * @param {number} minionCount - Number of minion units
-     * @returns {object} Composition with bosses and minions arrays
-     */
-    createBossComposition(bossCount, minionCount) {
-        const bosses = [];
-        const minions = [];
-
-        // Bosses are high-tier units
-        const bossCandidates = [...UNITS_BY_TIER[3], ...UNITS_BY_TIER[2]];
-
-        for (let i = 0; i < bossCount; i++) {
-            const templateId = this.randomChoice(bossCandidates);
-            bosses.push({
-                templateId,
-                starLevel: 2  // Bosses are at least 2-star
-            });
+        /**
+         * Maybe give a board without a healer one support unit (see AI_CONFIG.SUPPORT_CHANCE)
+         * @param {Unit[]} units - Board so far (added to)
+         * @param {number} unitCount - Size the board will have
+         * @param {number} maxCost - Highest unit cost allowed
+         * @param {function(): number} rollStarLevel - Star level of the added unit
+         */
+        addSupport(units, unitCount, maxCost, rollStarLevel) {
+            if (unitCount < AI_CONFIG.SUPPORT_MIN_UNITS || units.length >= unitCount) return;
+            if (units.some(unit => unit.traits.includes(AI_CONFIG.SUPPORT_TRAIT))) return;
+            if (!this.rng.chance(AI_CONFIG.SUPPORT_CHANCE)) return;
+
+            const supportUnits = (UNITS_BY_TRAIT[AI_CONFIG.SUPPORT_TRAIT] || []).filter(id => UNITS[id].cost <= maxCost);
+            if (supportUnits.length === 0) return;
+
+            units.push(createUnit(this.randomChoice(supportUnits), rollStarLevel()));
         }
 
-        // Minions are lower-tier units
-        const minionCandidates = [...UNITS_BY_TIER[1], ...UNITS_BY_TIER[2]];
-
-        for (let i = 0; i < minionCount; i++) {
-            const templateId = this.randomChoice(minionCandidates);
-            minions.push({
-                templateId,
-                starLevel: 1
-            });
+        /**
+         * Determine star level for late game units
+         * @param {number} round - Current round
+         * @returns {number} Star level (1-3)
+         */
+        getLateGameStarLevel(round) {
+            if (round >= 20) {
+                // Very late game: chance for 3-star
+                return this.randomStar(2, 3);
+            } else if (round >= 15) {
+                // Late game: mix of 1 and 2 star
+                return this.randomStar(1, 2);
+            } else {
+                // Early late game: mostly 1 star with some 2
+                return this.rng.chance(0.3) ? 2 : 1;
+            }
         }
 
-        return { bosses, minions };
-    }
+        // ========================================================================
+        // BOSS ROUNDS
+        // ========================================================================
 
-    /**
-     * Apply boss-specific stat buffs to a unit
-     * @param {Unit} unit - The unit to buff
-     * @param {number} round - Current round for scaling
-     */
-    applyBossBuffs(unit, round) {
-        // Scale buffs with round number
-        const scaleFactor = 1 + (round / 50);
-
-        // Apply HP multiplier
-        const hpMultiplier = AI_CONFIG.BOSS_HP_MULTIPLIER * scaleFactor;
-        unit.maxHp = Math.floor(unit.maxHp * hpMultiplier);
-        unit.currentHp = unit.maxHp;
-
-        // Apply attack multiplier via buff
-        const attackBonus = Math.floor(unit.baseAttack * (AI_CONFIG.BOSS_ATTACK_MULTIPLIER - 1) * scaleFactor);
-        unit.buffs.attackBonus += attackBonus;
-
-        // Bosses have bonus armor and magic resist
-        unit.buffs.armorBonus += Math.floor(10 * scaleFactor);
-        unit.buffs.magicResistBonus += Math.floor(10 * scaleFactor);
-    }
-
-    // ========================================================================
-    // UNIT POSITIONING
-    // ========================================================================
+        /**
+         * Create a boss round with buffed units
+         * @param {number} round - Current round (should be divisible by 5)
+         * @returns {Unit[]} Array of positioned boss units
+         */
+        createBossRound(round) {
+            const bossLevel = Math.floor(round / AI_CONFIG.BOSS_ROUND_INTERVAL);
+            const units = [];
+
+            // Boss composition scales with level
+            let composition;
+
+            if (bossLevel === 1) {
+                // Round 5: Single powerful unit + 1 minion
+                composition = this.createBossComposition(1, 1);
+            } else if (bossLevel === 2) {
+                // Round 10: 1 boss + 3 minions
+                composition = this.createBossComposition(1, 3);
+            } else if (bossLevel === 3) {
+                // Round 15: 2 bosses + 3 minions
+                composition = this.createBossComposition(2, 3);
+            } else {
+                // Round 20+: 2-3 bosses + 4-5 minions
+                const bossCount = Math.min(3, Math.floor(bossLevel / 2) + 1);
+                const minionCount = Math.min(5, bossLevel);
+                composition = this.createBossComposition(bossCount, minionCount);
+            }
 
-    /**
-     * Position units on the enemy side of the board
-     * Places tanks/melee in front, ranged in back
-     * @param {Unit[]} units - Array of units to position
-     */
-    positionUnits(units) {
-        if (units.length === 0) return;
+            // Create boss units
+            for (const bossDef of composition.bosses) {
+                const unit = createUnit(bossDef.templateId, bossDef.starLevel);
+                this.applyBossBuffs(unit, round);
+                units.push(unit);
+            }
 
-        // Separate units by role
-        const frontLineUnits = [];
-        const backLineUnits = [];
+            // Create minion units
+            for (const minionDef of composition.minions) {
+                const unit = createUnit(minionDef.templateId, minionDef.starLevel);
+                units.push(unit);
+            }
 
-        for (const unit of units) {
-            const template = UNITS[unit.templateId];
+            // Position units
+            this.positionUnits(units);
 
-            // Melee units (range 1) and tanks go front
-            if (template.range === 1 || template.traits.includes('tank')) {
-                frontLineUnits.push(unit);
-            } else {
-                backLineUnits.push(unit);
+            // Set owner
+            for (const unit of units) {
+                unit.ownerId = this.ownerId;
             }
+
+            return units;
         }
 
-        // If all units are one type, split them
-        if (frontLineUnits.length === 0) {
-            // Move some ranged to front
-            const moveCount = Math.ceil(backLineUnits.length / 2);
-            for (let i = 0; i < moveCount; i++) {
-                frontLineUnits.push(backLineUnits.shift());
+        /**
+         * Create boss composition definition
+         * @param {number} bossCount - Number of boss units
+         * @param {number} minionCount - Number of minion units
+         * @returns {object} Composition with bosses and minions arrays
+         */
+        createBossComposition(bossCount, minionCount) {
+            const bosses = [];
+            const minions = [];
+
+            // Bosses are high-tier units
+            const bossCandidates = [...UNITS_BY_TIER[3], ...UNITS_BY_TIER[2]];
+
+            for (let i = 0; i < bossCount; i++) {
+                const templateId = this.randomChoice(bossCandidates);
+                bosses.push({
+                    templateId,
+                    starLevel: 2  // Bosses are at least 2-star
+                });
             }
-        } else if (backLineUnits.length === 0 && frontLineUnits.length > 2) {
-            // Move some melee to back
-            const moveCount = Math.floor(frontLineUnits.length / 2);
-            for (let i = 0; i < moveCount; i++) {
-                backLineUnits.push(frontLineUnits.pop());
-            }
-        }
 
-        // Generate positions
-        const frontPositions = this.generateRowPositions(AI_CONFIG.FRONT_ROW, frontLineUnits.length);
-        const backPositions = this.generateRowPositions(AI_CONFIG.BACK_ROW, backLineUnits.length);
+            // Minions are lower-tier units
+            const minionCandidates = [...UNITS_BY_TIER[1], ...UNITS_BY_TIER[2]];
 
-        // Assign positions
-        for (let i = 0; i < frontLineUnits.length; i++) {
-            const pos = frontPositions[i];
-            frontLineUnits[i].setPosition(pos.x, pos.y);
-        }
+            for (let i = 0; i < minionCount; i++) {
+                const templateId = this.randomChoice(minionCandidates);
+                minions.push({
+                    templateId,
+                    starLevel: 1
+                });
+            }
 
-        for (let i = 0; i < backLineUnits.length; i++) {
-            const pos = backPositions[i];
-            backLineUnits[i].setPosition(pos.x, pos.y);
+            return { bosses, minions };
         }
-    }
 
-    /**
-     * Generate centered positions for a row
-     * @param {number} row - Row number (y coordinate)
-     * @param {number} count - Number of positions needed
-     * @returns {Array<{x: number, y: number}>} Array of positions
-     */
-    generateRowPositions(row, count) {
-        if (count === 0) return [];
+        /**
+         * Apply boss-specific stat buffs to a unit
+         * @param {Unit} unit - The unit to buff
+         * @param {number} round - Current round for scaling
+         */
+        applyBossBuffs(unit, round) {
+            // Scale buffs with round number
+            const scaleFactor = 1 + (round / 50);
+
+            // Apply HP multiplier
+            const hpMultiplier = AI_CONFIG.BOSS_HP_MULTIPLIER * scaleFactor;
+            unit.maxHp = Math.floor(unit.maxHp * hpMultiplier);
+            unit.currentHp = unit.maxHp;
+
+            // Apply attack multiplier via buff
+            const attackBonus = Math.floor(unit.baseAttack * (AI_CONFIG.BOSS_ATTACK_MULTIPLIER - 1) * scaleFactor);
+            unit.buffs.attackBonus += attackBonus;
+
+            // Bosses have bonus armor and magic resist
+            unit.buffs.armorBonus += Math.floor(10 * scaleFactor);
+            unit.buffs.magicResistBonus += Math.floor(10 * scaleFactor);
+        }
 
-        const positions = [];
-        const boardWidth = GAME_CONFIG.BOARD_COLS;
+        // ========================================================================
+        // UNIT POSITIONING
+        // ========================================================================
+
+        /**
+         * Position units on the enemy side of the board (in arena space)
+         * Places tanks/melee in front, ranged in back
+         * @param {Unit[]} units - Array of units to position
+         */
+        positionUnits(units) {
+            if (units.length === 0) return;
+
+            // Separate units by role
+            const frontLineUnits = [];
+            const backLineUnits = [];
+
+            for (const unit of units) {
+                const template = UNITS[unit.templateId];
+
+                // Melee units (range 1) and tanks go front
+                if (template.range === 1 || template.traits.includes('tank')) {
+                    frontLineUnits.push(unit);
+                } else {
+                    backLineUnits.push(unit);
+                }
+            }
 
-        // Center the units in the row
-        const startX = Math.floor((boardWidth - count) / 2);
+            // If all units are one type, split them
+            if (frontLineUnits.length === 0) {
+                // Move some ranged to front
+                const moveCount = Math.ceil(backLineUnits.length / 2);
+                for (let i = 0; i < moveCount; i++) {
+                    frontLineUnits.push(backLineUnits.shift());
+                }
+            } else if (backLineUnits.length === 0 && frontLineUnits.length > 2) {
+                // Move some melee to back
+                const moveCount = Math.floor(frontLineUnits.length / 2);
+                for (let i = 0; i < moveCount; i++) {
+                    backLineUnits.push(frontLineUnits.pop());
+                }
+            }
 
-        for (let i = 0; i < count; i++) {
-            // Add some randomness to X position within bounds
-            let x = startX + i;
+            // Generate positions
+            const frontPositions = this.generateRowPositions(AI_CONFIG.FRONT_ROW, frontLineUnits.length);
+            const backPositions = this.generateRowPositions(AI_CONFIG.BACK_ROW, backLineUnits.length);
 
-            // Slight random offset for variety (keep within bounds)
-            if (Math.random() < 0.3 && count < boardWidth - 2) {
-                const offset = Math.random() < 0.5 ? -1 : 1;
-                x = Math.max(0, Math.min(boardWidth - 1, x + offset));
+            // Assign positions in the enemy half
+            for (let i = 0; i < frontLineUnits.length; i++) {
+                const pos = sideToArena('enemy', frontPositions[i]);
+                frontLineUnits[i].setPosition(pos.x, pos.y);
             }
 
-            positions.push({ x, y: row });
+            for (let i = 0; i < backLineUnits.length; i++) {
+                const pos = sideToArena('enemy', backPositions[i]);
+                backLineUnits[i].setPosition(pos.x, pos.y);
+            }
         }
 
-        // Shuffle positions slightly for variety
-        this.shuffleArray(positions);
+        /**
+         * Generate centered positions for a row
+         * @param {number} row - Side-space row number (y coordinate)
+         * @param {number} count - Number of positions needed
+         * @returns {Array<{x: number, y: number}>} Array of positions
+         */
+        generateRowPositions(row, count) {
+            if (count === 0) return [];
+
+            const positions = [];
+            const boardWidth = GAME_CONFIG.BOARD_COLS;
+
+            // Center the units in the row; on hex boards rows are drawn up to half a cell
+            // over, so center on the whole board rather than on the row's own cells
+            const rowOffset = this.topology.getRowOffset(sideToArena('enemy', { x: 0, y: row }).y);
+            const boardOffset = Math.max(this.topology.getRowOffset(0), this.topology.getRowOffset(1));
+            const startX = Math.floor((boardWidth - count + boardOffset) / 2 - rowOffset);
+
+            for (let i = 0; i < count; i++) {
+                // Add some randomness to X position within bounds
+                let x = startX + i;
+
+                // Slight random offset for variety (keep within bounds)
+                if (this.rng.chance(0.3) && count < boardWidth - 2) {
+                    const offset = this.rng.chance(0.5) ? -1 : 1;
+                    x = Math.max(0, Math.min(boardWidth - 1, x + offset));
+                }
 
-        // Ensure no duplicate positions
-        const usedPositions = new Set();
-        const finalPositions = [];
+                positions.push({ x, y: row });
+            }
 
-        for (const pos of positions) {
-            const key = `${pos.x},${pos.y}`;
-            if (!usedPositions.has(key)) {
-                usedPositions.add(key);
-                finalPositions.push(pos);
-            } else {
-                // Find alternative position
-                for (let x = 0; x < boardWidth; x++) {
-                    const altKey = `${x},${pos.y}`;
-                    if (!usedPositions.has(altKey)) {
-                        usedPositions.add(altKey);
-                        finalPositions.push({ x, y: pos.y });
-                        break;
+            // Shuffle positions slightly for variety
+            this.shuffleArray(positions);
+
+            // Ensure no duplicate positions
+            const usedPositions = new Set();
+            const finalPositions = [];
+
+            for (const pos of positions) {
+                const key = `${pos.x},${pos.y}`;
+                if (!usedPositions.has(key)) {
+                    usedPositions.add(key);
+                    finalPositions.push(pos);
+                } else {
+                    // Find alternative position
+                    for (let x = 0; x < boardWidth; x++) {
+                        const altKey = `${x},${pos.y}`;
+                        if (!usedPositions.has(altKey)) {
+                            usedPositions.add(altKey);
+                            finalPositions.push({ x, y: pos.y });
+                            break;
+                        }
                     }
                 }
             }
-        }
-
-        return finalPositions;
-    }
-
-    // ========================================================================
-    // UTILITY METHODS
-    // ========================================================================
 
-    /**
-     * Pick a random element from an array
-     * @param {Array} array - Array to pick from
-     * @returns {*} Random element
-     */
-    randomChoice(array) {
-        if (!array || array.length === 0) return null;
-        return array[Math.floor(Math.random() * array.length)];
-    }
-
-    /**
-     * Generate a random star level within a range
-     * @param {number} min - Minimum star level
-     * @param {number} max - Maximum star level
-     * @returns {number} Random star level
-     */
-    randomStar(min, max) {
-        return min + Math.floor(Math.random() * (max - min + 1));
-    }
+            return finalPositions;
+        }
 
-    /**
-     * Fisher-Yates shuffle (in-place)
-     * @param {Array} array - Array to shuffle
-     */
-    shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
+        // ========================================================================
+        // UTILITY METHODS
+        // ========================================================================
+
+        /**
+         * Pick a random element from an array
+         * @param {Array} array - Array to pick from
+         * @returns {*} Random element
+         */
+        randomChoice(array) {
+            return this.rng.pick(array);
         }
-    }
 
-    /**
-     * Get information about the AI's strategy for a round
-     * @param {number} round - Round number
-     * @returns {object} Strategy info
-     */
-    getStrategyInfo(round) {
-        if (this.isBossRound(round)) {
-            const bossLevel = Math.floor(round / AI_CONFIG.BOSS_ROUND_INTERVAL);
-            return {
-                type: 'boss',
-                round,
-                bossLevel,
-                description: `Boss Round ${bossLevel}: Powerful enemies with buffed stats!`
-            };
+        /**
+         * Generate a random star level within a range
+         * @param {number} min - Minimum star level
+         * @param {number} max - Maximum star level
+         * @returns {number} Random star level
+         */
+        randomStar(min, max) {
+            return this.rng.nextInt(min, max);
         }
 
-        if (round <= 5) {
-            return {
-                type: 'early',
-                round,
-                unitCount: Math.min(3, Math.max(1, Math.ceil(round / 2))),
-                description: 'Early Game: Build your economy and basic synergies.'
-            };
+        /**
+         * Fisher-Yates shuffle (in-place)
+         * @param {Array} array - Array to shuffle
+         */
+        shuffleArray(array) {
+            this.rng.shuffle(array);
         }
 
-        if (round <= 10) {
+        /**
+         * Get information about the AI's strategy for a round
+         * @param {number} round - Round number
+         * @returns {object} Strategy info
+         */
+        getStrategyInfo(round) {
+            if (this.isBossRound(round)) {
+                const bossLevel = Math.floor(round / AI_CONFIG.BOSS_ROUND_INTERVAL);
+                return {
+                    type: 'boss',
+                    round,
+                    bossLevel,
+                    description: `Boss Round ${bossLevel}: Powerful enemies with buffed stats!`
+                };
+            }
+
+            if (round <= 5) {
+                return {
+                    type: 'early',
+                    round,
+                    unitCount: Math.min(3, Math.max(1, Math.ceil(round / 2))),
+                    description: 'Early Game: Build your economy and basic synergies.'
+                };
+            }
+
+            if (round <= 10) {
+                return {
+                    type: 'mid',
+                    round,
+                    unitCount: Math.min(5, 3 + Math.floor((round - 6) / 2)),
+                    description: 'Mid Game: Enemies are forming synergies. Upgrade your units!'
+                };
+            }
+
             return {
-                type: 'mid',
+                type: 'late',
                 round,
-                unitCount: Math.min(5, 3 + Math.floor((round - 6) / 2)),
-                description: 'Mid Game: Enemies are forming synergies. Upgrade your units!'
+                unitCount: Math.min(GAME_CONFIG.MAX_TEAM_SIZE, 6 + Math.min(3, Math.floor((round - 11) / 3))),
+                description: 'Late Game: Full enemy boards with strong synergies. Win or die!'
             };
         }
-
-        return {
-            type: 'late',
-            round,
-            unitCount: Math.min(GAME_CONFIG.MAX_TEAM_SIZE, 6 + Math.min(3, Math.floor((round - 11) / 3))),
-            description: 'Late Game: Full enemy boards with strong synergies. Win or die!'
-        };
     }
-}
 
-// ============================================================================
-// FACTORY FUNCTION
-// ============================================================================
+    // ============================================================================
+    // FACTORY FUNCTION
+    // ============================================================================
 
-/**
- * Create a new AI opponent instance
- * @returns {AI} New AI instance
- */
-function createAI() {
-    return new AI();
-}
+    /**
+     * Create a new AI opponent instance
+     * @param {RNG} rng - Seeded random generator (optional)
+     * @param {BoardTopology} topology - Board layout (optional)
+     * @returns {AI} New AI instance
+     */
+    function createAI(rng = null, topology = null) {
+        return new AI(rng, topology);
+    }
 
-// ============================================================================
-// EXPORT
-// ============================================================================
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
 
-// Expose globally
-window.AI = AI;
-window.createAI = createAI;
+    console.log('[AI] AI opponent module loaded');
 
-console.log('[AI] AI opponent module loaded');
+    return {
+        AI,
+        createAI
+    };
+}));
@@ -0,0 +1,213 @@
+/**
+ * Auto Chess Board Topology
+ * Square and hexagonal board layouts: adjacency, distance and cell placement on screen
+ */
+
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./coordinates.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
+
+    const { isInArena } = deps;
+
+    // ============================================================================
+    // LAYOUTS
+    // ============================================================================
+
+    /**
+     * Board layouts a game can be played on (chosen at game start, fixed for the game)
+     */
+    const BOARD_LAYOUTS = {
+        SQUARE: 'square',
+        HEX: 'hex'
+    };
+
+    const DEFAULT_BOARD_LAYOUT = BOARD_LAYOUTS.SQUARE;
+
+    // Steps to the 8 neighbouring cells, straight moves first so ties prefer them
+    const SQUARE_STEPS = [
+        { x: 0, y: 1 }, { x: 0, y: -1 }, { x: 1, y: 0 }, { x: -1, y: 0 },
+        { x: 1, y: 1 }, { x: -1, y: 1 }, { x: 1, y: -1 }, { x: -1, y: -1 }
+    ];
+
+    // Steps to the 6 neighbouring hexes. Odd arena rows sit half a cell toward
+    // higher x ("odd-r" offset rows), so the row above and below are reached
+    // through different columns depending on the row's parity
+    const HEX_STEPS = {
+        even: [
+            { x: 0, y: 1 }, { x: -1, y: 1 }, { x: 0, y: -1 }, { x: -1, y: -1 }, { x: 1, y: 0 }, { x: -1, y: 0 }
+        ],
+        odd: [
+            { x: 1, y: 1 }, { x: 0, y: 1 }, { x: 1, y: -1 }, { x: 0, y: -1 }, { x: 1, y: 0 }, { x: -1, y: 0 }
+        ]
+    };
+
+    // ============================================================================
+    // BOARD TOPOLOGY CLASSES
+    // ============================================================================
+
+    /**
+     * Grid rules of one board layout, in arena space (see coordinates.js)
+     * Everything that depends on the shape of the cells (adjacency, distance for
+     * range and area effects, where a cell sits on screen) goes through here
+     */
+    class BoardTopology {
+        /**
+         * @param {string} layout - Value of BOARD_LAYOUTS
+         * @param {string} name - Display name
+         */
+        constructor(layout, name) {
+            this.layout = layout;
+            this.name = name;
+        }
+
+        /**
+         * Get the steps from a cell to its neighbours
+         * @param {{x: number, y: number}} cell - Cell
+         * @returns {Array<{x: number, y: number}>} Offsets, preferred moves first
+         */
+        getSteps(cell) {
+            throw new Error(`[BoardTopology] ${this.layout} layout does not define getSteps`);
+        }
+
+        /**
+         * Distance between two cells in moves
+         * @param {{x: number, y: number}} a - Cell
+         * @param {{x: number, y: number}} b - Cell
+         * @returns {number} Distance in cells
+         */
+        getDistance(a, b) {
+            throw new Error(`[BoardTopology] ${this.layout} layout does not define getDistance`);
+        }
+
+        /**
+         * How far a row is drawn shifted sideways, in cells
+         * @param {number} y - Arena row (may be fractional for things in flight)
+         * @returns {number} Column offset
+         */
+        getRowOffset(y) {
+            return 0;
+        }
+
+        /**
+         * Get the cells in the arena next to a cell
+         * @param {{x: number, y: number}} cell - Cell
+         * @returns {Array<{x: number, y: number}>} Neighbouring cells
+         */
+        getNeighbors(cell) {
+            return this.getSteps(cell)
+                .map(step => ({ x: cell.x + step.x, y: cell.y + step.y }))
+                .filter(next => isInArena(next.x, next.y));
+        }
+
+        /**
+         * Get the cells in the arena within a distance of a cell (the cell itself excluded)
+         * @param {{x: number, y: number}} cell - Cell
+         * @param {number} distance - Distance in cells
+         * @returns {Array<{x: number, y: number}>} Cells, row by row
+         */
+        getCellsWithin(cell, distance) {
+            const cells = [];
+            // A move changes x and y by at most 1 in either layout, so the square around the cell holds them all
+            for (let y = cell.y - distance; y <= cell.y + distance; y++) {
+                for (let x = cell.x - distance; x <= cell.x + distance; x++) {
+                    if ((x !== cell.x || y !== cell.y) && isInArena(x, y) && this.getDistance(cell, { x, y }) <= distance) {
+                        cells.push({ x, y });
+                    }
+                }
+            }
+            return cells;
+        }
+    }
+
+    /**
+     * Square cells; diagonal steps cost 1 (Chebyshev distance)
+     */
+    class SquareTopology extends BoardTopology {
+        constructor() {
+            super(BOARD_LAYOUTS.SQUARE, 'Square');
+        }
+
+        getSteps(cell) {
+            return SQUARE_STEPS;
+        }
+
+        getDistance(a, b) {
+            return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+        }
+    }
+
+    /**
+     * Pointy-top hexes in offset rows: odd arena rows are shifted half a cell toward higher x
+     */
+    class HexTopology extends BoardTopology {
+        constructor() {
+            super(BOARD_LAYOUTS.HEX, 'Hex');
+        }
+
+        getSteps(cell) {
+            return isOddRow(cell.y) ? HEX_STEPS.odd : HEX_STEPS.even;
+        }
+
+        getDistance(a, b) {
+            // Offset rows to axial coordinates, then the hex distance (q + r + s = 0)
+            const aq = a.x - Math.floor(a.y / 2);
+            const bq = b.x - Math.floor(b.y / 2);
+            const dq = aq - bq;
+            const dr = a.y - b.y;
+            return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+        }
+
+        getRowOffset(y) {
+            // Between rows (projectiles) the offset slides from one row's to the next
+            const below = Math.floor(y);
+            const offset = (row) => isOddRow(row) ? 0.5 : 0;
+            return offset(below) + (offset(below + 1) - offset(below)) * (y - below);
+        }
+    }
+
+    /**
+     * Check if an arena row is one of the shifted hex rows
+     * @param {number} y - Arena row
+     * @returns {boolean} True for odd rows
+     */
+    function isOddRow(y) {
+        return Math.abs(y) % 2 === 1;
+    }
+
+    // ============================================================================
+    // TOPOLOGY LOOKUP
+    // ============================================================================
+
+    const BOARD_TOPOLOGIES = {
+        [BOARD_LAYOUTS.SQUARE]: new SquareTopology(),
+        [BOARD_LAYOUTS.HEX]: new HexTopology()
+    };
+
+    /**
+     * Get the topology of a layout
+     * @param {string} layout - Value of BOARD_LAYOUTS (default layout if omitted)
+     * @returns {BoardTopology|null} Topology, or null for an unknown layout
+     */
+    function getBoardTopology(layout = DEFAULT_BOARD_LAYOUT) {
+        return BOARD_TOPOLOGIES[layout] || null;
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    console.log('[BoardTopology] Board topology module loaded');
+
+    return {
+        BOARD_LAYOUTS,
+        DEFAULT_BOARD_LAYOUT,
+        BoardTopology,
+        getBoardTopology
+    };
+}));
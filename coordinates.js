@@ -0,0 +1,171 @@
+/**
+ * Auto Chess Board Coordinates
+ * The arena coordinate model and the transforms between a side's own board,
+ * the shared arena and the screen
+ */
+
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./data.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
+
+    const { GAME_CONFIG } = deps;
+
+    // ============================================================================
+    // COORDINATE SPACES
+    // ============================================================================
+    //
+    // Side space: one side's own board (GameState boards, AI layouts). x is the
+    //   column, y the row: row 0 is the front line next to the middle of the
+    //   arena, row PLAYER_ROWS - 1 the back line. Both sides use the same space,
+    //   so any board can be put in either half.
+    //
+    // Arena space: the combat grid shared by both sides (Combat, pathfinding,
+    //   replays, combat events). The player half is rows 0 to PLAYER_ROWS - 1 and
+    //   y grows toward the enemy half above it. The enemy half is the player half
+    //   mirrored across the middle line (columns are kept).
+    //
+    // Display space: board grid rows and columns on screen, seen from one side
+    //   (its half at the bottom). Fractional arena positions (projectiles) map to
+    //   fractional display positions.
+
+    const BOARD_SIDES = ['player', 'enemy'];
+
+    /**
+     * Get the side facing a side
+     * @param {string} side - 'player' or 'enemy'
+     * @returns {string} The other side
+     */
+    function getOpposingSide(side) {
+        return side === 'enemy' ? 'player' : 'enemy';
+    }
+
+    // ============================================================================
+    // SIDE <-> ARENA
+    // ============================================================================
+
+    /**
+     * Put a side-space cell into the arena
+     * @param {string} side - Side the board belongs to
+     * @param {{x: number, y: number}} position - Cell in side space
+     * @returns {{x: number, y: number}} Cell in arena space
+     */
+    function sideToArena(side, position) {
+        const y = side === 'enemy'
+            ? GAME_CONFIG.BOARD_ROWS - GAME_CONFIG.PLAYER_ROWS + position.y
+            : GAME_CONFIG.PLAYER_ROWS - 1 - position.y;
+        return { x: position.x, y };
+    }
+
+    /**
+     * Read an arena cell in a side's own space
+     * @param {string} side - Side whose space to use
+     * @param {{x: number, y: number}} position - Cell in arena space
+     * @returns {{x: number, y: number}} Cell in side space (y is outside 0 to PLAYER_ROWS - 1 in the other half)
+     */
+    function arenaToSide(side, position) {
+        const y = side === 'enemy'
+            ? position.y - (GAME_CONFIG.BOARD_ROWS - GAME_CONFIG.PLAYER_ROWS)
+            : GAME_CONFIG.PLAYER_ROWS - 1 - position.y;
+        return { x: position.x, y };
+    }
+
+    /**
+     * Move an arena cell from one side's half into the same place in another side's half
+     * Used to put a recorded board (or a player's board) on either side of a fight
+     * @param {{x: number, y: number}} position - Cell in arena space
+     * @param {string} fromSide - Side whose half the cell is in
+     * @param {string} toSide - Side whose half to move it to
+     * @returns {{x: number, y: number}} Cell in arena space
+     */
+    function mirrorToSide(position, fromSide, toSide) {
+        return fromSide === toSide ? { x: position.x, y: position.y } : sideToArena(toSide, arenaToSide(fromSide, position));
+    }
+
+    // ============================================================================
+    // ARENA <-> DISPLAY
+    // ============================================================================
+
+    /**
+     * Get where an arena position shows on screen
+     * @param {{x: number, y: number}} position - Position in arena space (may be fractional)
+     * @param {string} perspective - Side shown at the bottom (default 'player')
+     * @returns {{row: number, col: number}} Display row and column
+     */
+    function arenaToDisplay(position, perspective = 'player') {
+        const row = perspective === 'enemy' ? position.y : GAME_CONFIG.BOARD_ROWS - 1 - position.y;
+        return { row, col: position.x };
+    }
+
+    /**
+     * Get the arena cell shown at a display cell
+     * @param {number} row - Display row
+     * @param {number} col - Display column
+     * @param {string} perspective - Side shown at the bottom (default 'player')
+     * @returns {{x: number, y: number}} Cell in arena space
+     */
+    function displayToArena(row, col, perspective = 'player') {
+        const y = perspective === 'enemy' ? row : GAME_CONFIG.BOARD_ROWS - 1 - row;
+        return { x: col, y };
+    }
+
+    // ============================================================================
+    // BOUNDS
+    // ============================================================================
+
+    /**
+     * Check if a cell is in the arena
+     * @param {number} x - Arena column
+     * @param {number} y - Arena row
+     * @returns {boolean} True if on the combat grid
+     */
+    function isInArena(x, y) {
+        return x >= 0 && x < GAME_CONFIG.BOARD_COLS && y >= 0 && y < GAME_CONFIG.BOARD_ROWS;
+    }
+
+    /**
+     * Check if a cell is on a side's own board
+     * @param {number} x - Side-space column
+     * @param {number} y - Side-space row
+     * @returns {boolean} True if units can be placed there
+     */
+    function isInSide(x, y) {
+        return x >= 0 && x < GAME_CONFIG.BOARD_COLS && y >= 0 && y < GAME_CONFIG.PLAYER_ROWS;
+    }
+
+    /**
+     * Get which side's half an arena cell is in
+     * @param {{x: number, y: number}} position - Cell in arena space
+     * @returns {string|null} 'player', 'enemy', or null for rows between the halves
+     */
+    function getArenaSide(position) {
+        return BOARD_SIDES.find(side => {
+            const local = arenaToSide(side, position);
+            return local.y >= 0 && local.y < GAME_CONFIG.PLAYER_ROWS;
+        }) || null;
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    console.log('[Coordinates] Board coordinates module loaded');
+
+    return {
+        BOARD_SIDES,
+        getOpposingSide,
+        sideToArena,
+        arenaToSide,
+        mirrorToSide,
+        arenaToDisplay,
+        displayToArena,
+        isInArena,
+        isInSide,
+        getArenaSide
+    };
+}));
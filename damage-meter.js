@@ -0,0 +1,232 @@
+/**
+ * Auto Chess Damage Meter Module
+ * Post-fight panel with per-unit bars for both teams (damage, mitigation, healing, kills, casts)
+ */
+
+// ============================================================================
+// METER CONFIGURATION
+// ============================================================================
+
+/**
+ * Statistics the meter can show, keyed by the metric picker value
+ * `parts` splits the bar into segments (keys of entry.damageDealt)
+ */
+const DAMAGE_METER_METRICS = {
+    damageDealt: {
+        label: 'Damage dealt',
+        value: entry => getTotalDamageDealt(entry),
+        parts: [DAMAGE_SOURCES.PHYSICAL, DAMAGE_SOURCES.MAGIC, DAMAGE_SOURCES.ABILITY]
+    },
+    damageTaken: { label: 'Damage taken', value: entry => entry.damageTaken },
+    damageMitigated: { label: 'Damage mitigated', value: entry => entry.damageMitigated },
+    healing: { label: 'Healing', value: entry => entry.healing },
+    kills: { label: 'Kills', value: entry => entry.kills },
+    casts: { label: 'Casts', value: entry => entry.casts }
+};
+
+// ============================================================================
+// DAMAGE METER CLASS
+// ============================================================================
+
+class DamageMeter {
+    constructor() {
+        // System references (set in init)
+        this.game = null;
+
+        // Display state
+        this.replay = null;
+        this.metric = 'damageDealt';
+
+        // DOM element references
+        this.elements = {
+            panel: null,
+            title: null,
+            metricSelect: null,
+            closeBtn: null,
+            playerList: null,
+            enemyList: null
+        };
+
+        console.log('[DamageMeter] Damage meter instance created');
+    }
+
+    // ========================================================================
+    // INITIALIZATION
+    // ========================================================================
+
+    /**
+     * Initialize the meter and bind its controls
+     * @param {Game} game - Game controller (source of stored replays)
+     */
+    init(game) {
+        this.game = game;
+
+        this.cacheElements();
+        this.bindEvents();
+
+        console.log('[DamageMeter] Damage meter initialized');
+    }
+
+    /**
+     * Cache DOM element references
+     */
+    cacheElements() {
+        this.elements.panel = document.getElementById('damage-meter');
+        this.elements.title = document.getElementById('damage-meter-title');
+        this.elements.metricSelect = document.getElementById('damage-meter-metric');
+        this.elements.closeBtn = document.getElementById('damage-meter-close-btn');
+        this.elements.playerList = document.getElementById('damage-meter-player');
+        this.elements.enemyList = document.getElementById('damage-meter-enemy');
+
+        // Populate metric options
+        if (this.elements.metricSelect) {
+            this.elements.metricSelect.innerHTML = Object.entries(DAMAGE_METER_METRICS)
+                .map(([key, metric]) => `<option value="${key}"${key === this.metric ? ' selected' : ''}>${metric.label}</option>`)
+                .join('');
+        }
+    }
+
+    /**
+     * Bind control event listeners
+     */
+    bindEvents() {
+        const { metricSelect, closeBtn } = this.elements;
+
+        if (metricSelect) {
+            metricSelect.addEventListener('change', () => {
+                this.metric = metricSelect.value;
+                this.render();
+            });
+        }
+        if (closeBtn) closeBtn.addEventListener('click', () => this.hide());
+    }
+
+    // ========================================================================
+    // SHOW / HIDE
+    // ========================================================================
+
+    /**
+     * Whether the panel is currently shown
+     * @returns {boolean} True if the meter is open
+     */
+    get isOpen() {
+        return this.replay !== null;
+    }
+
+    /**
+     * Show the stats of a recorded fight
+     * @param {CombatReplay} replay - Finished fight (its result carries the CombatStats entries)
+     * @returns {boolean} True if the fight had stats to show
+     */
+    show(replay) {
+        if (!replay || !replay.result || !replay.result.stats) {
+            return false;
+        }
+
+        this.replay = replay;
+
+        if (this.elements.panel) {
+            this.elements.panel.classList.remove('hidden');
+        }
+
+        this.render();
+        return true;
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        this.replay = null;
+
+        if (this.elements.panel) {
+            this.elements.panel.classList.add('hidden');
+        }
+    }
+
+    // ========================================================================
+    // RENDERING
+    // ========================================================================
+
+    /**
+     * Draw both teams' bars for the selected metric
+     * Bars on both sides share one scale so the teams can be compared
+     */
+    render() {
+        if (!this.isOpen) return;
+
+        const metric = DAMAGE_METER_METRICS[this.metric];
+        const entries = this.replay.result.stats;
+        const max = Math.max(1, ...entries.map(metric.value));
+
+        if (this.elements.title) {
+            this.elements.title.textContent = `Round ${this.replay.round} - ${metric.label}`;
+        }
+
+        this.renderTeam(this.elements.playerList, entries.filter(entry => entry.side === 'player'), metric, max);
+        this.renderTeam(this.elements.enemyList, entries.filter(entry => entry.side === 'enemy'), metric, max);
+    }
+
+    /**
+     * Draw one team's rows, highest value first
+     * @param {HTMLElement} list - Team list element
+     * @param {object[]} entries - CombatStats entries for the team
+     * @param {object} metric - Entry from DAMAGE_METER_METRICS
+     * @param {number} max - Value of a full-width bar
+     */
+    renderTeam(list, entries, metric, max) {
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        [...entries]
+            .sort((a, b) => metric.value(b) - metric.value(a))
+            .forEach(entry => list.appendChild(this.createRow(entry, metric, max)));
+    }
+
+    /**
+     * Create one unit's row
+     * @param {object} entry - CombatStats entry
+     * @param {object} metric - Entry from DAMAGE_METER_METRICS
+     * @param {number} max - Value of a full-width bar
+     * @returns {HTMLElement} Row element
+     */
+    createRow(entry, metric, max) {
+        const row = document.createElement('li');
+        row.className = 'damage-meter-row';
+        if (entry.isSummon) row.classList.add('summon');
+
+        const segments = metric.parts
+            ? metric.parts.map(part => ({ className: part, value: entry.damageDealt[part] }))
+            : [{ className: this.metric, value: metric.value(entry) }];
+
+        const bar = segments
+            .filter(segment => segment.value > 0)
+            .map(segment => `<div class="damage-meter-fill ${segment.className}" style="width: ${segment.value / max * 100}%"></div>`)
+            .join('');
+
+        row.title = metric.parts
+            ? metric.parts.map(part => `${part}: ${Math.round(entry.damageDealt[part])}`).join(', ')
+            : `${metric.label}: ${Math.round(metric.value(entry))}`;
+
+        row.innerHTML = `
+            <span class="damage-meter-name">${entry.emoji} ${entry.name} ${'★'.repeat(entry.starLevel)}</span>
+            <div class="damage-meter-bar">${bar}</div>
+            <span class="damage-meter-value">${Math.round(metric.value(entry))}</span>
+        `;
+
+        return row;
+    }
+}
+
+// ============================================================================
+// GLOBAL INSTANCE
+// ============================================================================
+
+// Create global damage meter instance
+window.damageMeter = new DamageMeter();
+
+// Expose class for other modules
+window.DamageMeter = DamageMeter;
+
+console.log('[DamageMeter] Damage meter module loaded');
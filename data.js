@@ -1,512 +1,996 @@
 /**
  * Auto Chess Game Data Module
- * Contains all unit definitions, traits, and game configuration
+ * Contains all unit definitions, traits, items, and game configuration
  */
 
-// ============================================================================
-// GAME CONFIGURATION
-// ============================================================================
-
-const GAME_CONFIG = {
-    // Board dimensions
-    BOARD_COLS: 8,
-    BOARD_ROWS: 8,
-    PLAYER_ROWS: 4, // Rows available for unit placement per player
-
-    // Economy
-    STARTING_GOLD: 10,
-    PASSIVE_INCOME: 5,
-    WIN_STREAK_BONUS: [0, 1, 1, 2, 2, 3], // Index = streak count
-    LOSE_STREAK_BONUS: [0, 1, 1, 2, 2, 3],
-    INTEREST_RATE: 0.1, // 10% of gold, max 5
-    MAX_INTEREST: 5,
-    SELL_REFUND_RATE: 1.0, // Full refund for same-star units
-
-    // Player
-    STARTING_HP: 100,
-    BENCH_SIZE: 9,
-    MAX_TEAM_SIZE: 9,
-
-    // Shop
-    SHOP_SIZE: 5,
-    REROLL_COST: 2,
-
-    // XP and Leveling
-    XP_PER_ROUND: 2,
-    XP_PURCHASE_COST: 4,
-    XP_PER_PURCHASE: 4,
-
-    // Star upgrades (3 copies to upgrade)
-    COPIES_TO_UPGRADE: 3,
-
-    // Combat
-    COMBAT_TICK_MS: 100,
-    MANA_PER_ATTACK: 10,
-    MANA_PER_DAMAGE_TAKEN: 5,
-    MAX_MANA: 100
-};
-
-// ============================================================================
-// LEVEL UP XP THRESHOLDS
-// ============================================================================
-
-const LEVEL_XP = {
-    1: 0,    // Start at level 1
-    2: 2,
-    3: 6,
-    4: 10,
-    5: 20,
-    6: 36,
-    7: 56,
-    8: 80,
-    9: 100
-};
-
-// ============================================================================
-// SHOP ODDS BY LEVEL (percentage chance for each cost tier)
-// ============================================================================
-
-const SHOP_ODDS = {
-    // Level: [1-cost%, 2-cost%, 3-cost%]
-    1: [100, 0, 0],
-    2: [100, 0, 0],
-    3: [75, 25, 0],
-    4: [55, 30, 15],
-    5: [45, 33, 22],
-    6: [30, 40, 30],
-    7: [20, 35, 45],
-    8: [15, 25, 60],
-    9: [10, 20, 70]
-};
-
-// ============================================================================
-// STAR LEVEL MULTIPLIERS
-// ============================================================================
-
-const STAR_MULTIPLIERS = {
-    1: { hp: 1.0, attack: 1.0 },
-    2: { hp: 1.8, attack: 1.8 },
-    3: { hp: 3.2, attack: 3.2 }
-};
-
-// ============================================================================
-// TRAIT DEFINITIONS
-// ============================================================================
-
-const TRAITS = {
-    warrior: {
-        name: 'Warrior',
-        description: 'Warriors gain bonus armor',
-        bonuses: {
-            2: { armor: 25 },
-            4: { armor: 55, attackBonus: 15 }
-        }
-    },
-    mage: {
-        name: 'Mage',
-        description: 'Mages gain spell power and mana regen',
-        bonuses: {
-            2: { spellPower: 20, manaRegen: 10 },
-            4: { spellPower: 50, manaRegen: 25 }
-        }
-    },
-    assassin: {
-        name: 'Assassin',
-        description: 'Assassins gain critical strike chance and damage',
-        bonuses: {
-            2: { critChance: 15, critDamage: 25 },
-            4: { critChance: 35, critDamage: 50 }
-        }
-    },
-    tank: {
-        name: 'Tank',
-        description: 'Tanks gain bonus HP and damage reduction',
-        bonuses: {
-            2: { hpBonus: 200, damageReduction: 10 },
-            4: { hpBonus: 500, damageReduction: 25 }
-        }
-    },
-    ranger: {
-        name: 'Ranger',
-        description: 'Rangers gain attack speed',
-        bonuses: {
-            2: { attackSpeedBonus: 0.2 },
-            4: { attackSpeedBonus: 0.5, range: 1 }
-        }
-    },
-    elemental: {
-        name: 'Elemental',
-        description: 'Elementals deal bonus magic damage and resist magic',
-        bonuses: {
-            2: { magicDamage: 20, magicResist: 20 },
-            4: { magicDamage: 45, magicResist: 45 }
-        }
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
     }
-};
-
-// ============================================================================
-// UNIT DEFINITIONS
-// ============================================================================
-
-const UNITS = {
-    // ========== 1-COST UNITS ==========
-    squire: {
-        id: 'squire',
-        name: 'Squire',
-        emoji: '⚔️',
-        cost: 1,
-        hp: 550,
-        attack: 50,
-        attackSpeed: 0.7,
-        range: 1,
-        armor: 20,
-        magicResist: 10,
-        traits: ['warrior'],
-        ability: null
-    },
-    apprentice: {
-        id: 'apprentice',
-        name: 'Apprentice',
-        emoji: '🔮',
-        cost: 1,
-        hp: 400,
-        attack: 40,
-        attackSpeed: 0.6,
-        range: 3,
-        armor: 10,
-        magicResist: 20,
-        traits: ['mage'],
-        ability: {
-            name: 'Arcane Bolt',
-            damage: 150,
-            manaCost: 60
-        }
-    },
-    scout: {
-        id: 'scout',
-        name: 'Scout',
-        emoji: '🏹',
-        cost: 1,
-        hp: 450,
-        attack: 55,
-        attackSpeed: 0.8,
-        range: 3,
-        armor: 10,
-        magicResist: 10,
-        traits: ['ranger'],
-        ability: null
-    },
-    cutthroat: {
-        id: 'cutthroat',
-        name: 'Cutthroat',
-        emoji: '🗡️',
-        cost: 1,
-        hp: 480,
-        attack: 60,
-        attackSpeed: 0.9,
-        range: 1,
-        armor: 10,
-        magicResist: 10,
-        traits: ['assassin'],
-        ability: null
-    },
-
-    // ========== 2-COST UNITS ==========
-    knight: {
-        id: 'knight',
-        name: 'Knight',
-        emoji: '🛡️',
-        cost: 2,
-        hp: 750,
-        attack: 55,
-        attackSpeed: 0.6,
-        range: 1,
-        armor: 40,
-        magicResist: 20,
-        traits: ['warrior', 'tank'],
-        ability: {
-            name: 'Shield Bash',
-            damage: 100,
-            stun: 1.0,
-            manaCost: 70
-        }
-    },
-    pyromancer: {
-        id: 'pyromancer',
-        name: 'Pyromancer',
-        emoji: '🔥',
-        cost: 2,
-        hp: 500,
-        attack: 45,
-        attackSpeed: 0.6,
-        range: 3,
-        armor: 10,
-        magicResist: 25,
-        traits: ['mage', 'elemental'],
-        ability: {
-            name: 'Fireball',
-            damage: 250,
-            aoe: true,
-            manaCost: 80
-        }
-    },
-    shadowBlade: {
-        id: 'shadowBlade',
-        name: 'Shadow Blade',
-        emoji: '⚫',
-        cost: 2,
-        hp: 550,
-        attack: 75,
-        attackSpeed: 1.0,
-        range: 1,
-        armor: 15,
-        magicResist: 15,
-        traits: ['assassin'],
-        ability: {
-            name: 'Backstab',
-            damageMultiplier: 2.5,
-            manaCost: 50
-        }
-    },
-    marksman: {
-        id: 'marksman',
-        name: 'Marksman',
-        emoji: '🎯',
-        cost: 2,
-        hp: 520,
-        attack: 70,
-        attackSpeed: 0.85,
-        range: 4,
-        armor: 10,
-        magicResist: 10,
-        traits: ['ranger'],
-        ability: {
-            name: 'Piercing Shot',
-            damage: 200,
-            manaCost: 70
-        }
-    },
-    stoneGolem: {
-        id: 'stoneGolem',
-        name: 'Stone Golem',
-        emoji: '🗿',
-        cost: 2,
-        hp: 900,
-        attack: 45,
-        attackSpeed: 0.4,
-        range: 1,
-        armor: 50,
-        magicResist: 30,
-        traits: ['tank', 'elemental'],
-        ability: {
-            name: 'Harden',
-            armorBonus: 50,
-            duration: 3,
-            manaCost: 60
-        }
-    },
-
-    // ========== 3-COST UNITS ==========
-    warlord: {
-        id: 'warlord',
-        name: 'Warlord',
-        emoji: '👑',
-        cost: 3,
-        hp: 900,
-        attack: 80,
-        attackSpeed: 0.7,
-        range: 1,
-        armor: 45,
-        magicResist: 25,
-        traits: ['warrior', 'tank'],
-        ability: {
-            name: 'War Cry',
-            attackBonus: 30,
-            duration: 4,
-            aoe: true,
-            manaCost: 90
-        }
-    },
-    archmage: {
-        id: 'archmage',
-        name: 'Archmage',
-        emoji: '✨',
-        cost: 3,
-        hp: 600,
-        attack: 50,
-        attackSpeed: 0.55,
-        range: 4,
-        armor: 10,
-        magicResist: 40,
-        traits: ['mage'],
-        ability: {
-            name: 'Meteor Strike',
-            damage: 400,
-            aoe: true,
-            manaCost: 100
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    // ============================================================================
+    // GAME CONFIGURATION
+    // ============================================================================
+
+    const GAME_CONFIG = {
+        // Board dimensions
+        BOARD_COLS: 8,
+        BOARD_ROWS: 8,
+        PLAYER_ROWS: 4, // Rows available for unit placement per player
+
+        // Economy
+        STARTING_GOLD: 10,
+        PASSIVE_INCOME: 5,
+        WIN_STREAK_BONUS: [0, 1, 1, 2, 2, 3], // Index = streak count
+        LOSE_STREAK_BONUS: [0, 1, 1, 2, 2, 3],
+        INTEREST_RATE: 0.1, // 10% of gold, max 5
+        MAX_INTEREST: 5,
+        SELL_REFUND_RATE: 1.0, // Full refund for same-star units
+
+        // Player
+        STARTING_HP: 100,
+        BENCH_SIZE: 9,
+        MAX_TEAM_SIZE: 9,
+
+        // Shop
+        SHOP_SIZE: 5,
+        REROLL_COST: 2,
+
+        // XP and Leveling
+        XP_PER_ROUND: 2,
+        XP_PURCHASE_COST: 4,
+        XP_PER_PURCHASE: 4,
+
+        // Star upgrades (3 copies to upgrade)
+        COPIES_TO_UPGRADE: 3,
+
+        // Items
+        MAX_ITEMS_PER_UNIT: 3,
+        ITEM_DROP_CHANCE: 0.5, // Chance of a component after a won fight (boss rounds always drop one)
+
+        // Carousel (shared draft at the start of some rounds)
+        CAROUSEL_FIRST_ROUND: 3,
+        CAROUSEL_INTERVAL: 6, // Rounds between carousels after the first
+        CAROUSEL_RIVALS: 3, // AI pickers sharing the carousel with the player (always at full HP)
+        CAROUSEL_SIZE: 6, // Units on the ring (more than pickers, so the last pick is still a choice)
+        CAROUSEL_ITEM_CHANCE: 0.6, // Chance each carousel unit carries an item component
+
+        // Combat
+        COMBAT_TICK_MS: 100,
+        MOVE_SPEED: 4, // Cells per second for units without their own moveSpeed
+        PROJECTILE_SPEED: 8, // Cells per second for projectiles without their own speed
+
+        // Targeting (see targeting.js; units and traits can set their own)
+        DEFAULT_TARGETING: 'nearest', // Closest enemy
+        DEFAULT_RETARGET: 'never', // Stay on the target until it dies
+        AGGRO_RANGE: 2 // Cells within which units that draw aggro are targeted first
+    };
+
+    // Combat timers add up COMBAT_TICK_MS steps in seconds, and 0.1 isn't exact in floating
+    // point, so timer checks (status expiry, DoT ticks, hazards, summon lifetimes) allow this much drift
+    const TICK_EPSILON = 1e-9;
+
+    // ============================================================================
+    // MANA RULES
+    // ============================================================================
+
+    // A unit's max mana is its ability's manaCost; it casts when full
+    const MANA_RULES = {
+        PER_ATTACK: 10, // Each basic attack made
+        PER_DAMAGE_TAKEN: 5, // Each hit taken from attacks and abilities
+        DAMAGE_TAKEN_PERCENT: 0, // Plus this % of the damage of each hit taken (0 = flat amount only)
+        FROM_DAMAGE_OVER_TIME: false, // Whether burn and poison ticks give mana
+        CAST_LOCK_SECONDS: 1 // No mana gain for this long after casting (abilities can set their own manaLock)
+    };
+
+    // ============================================================================
+    // OVERTIME RULES
+    // ============================================================================
+
+    // Fights still going at the time limit go to overtime: healing is cut and every unit
+    // loses a growing share of its max HP each pulse, so stalled boards still finish
+    const OVERTIME_RULES = {
+        TIME_LIMIT_SECONDS: 30, // Fight time before overtime starts
+        PULSE_SECONDS: 1, // Seconds between overtime damage pulses
+        DAMAGE_PERCENT: 2, // % of max HP lost (true damage) on the first pulse
+        DAMAGE_PERCENT_INCREASE: 2, // Added to the % on every later pulse
+        HEALING_REDUCTION: 0.5 // Fraction of healing lost during overtime
+    };
+
+    // ============================================================================
+    // LEVEL UP XP THRESHOLDS
+    // ============================================================================
+
+    const LEVEL_XP = {
+        1: 0,    // Start at level 1
+        2: 2,
+        3: 6,
+        4: 10,
+        5: 20,
+        6: 36,
+        7: 56,
+        8: 80,
+        9: 100
+    };
+
+    // ============================================================================
+    // SHOP ODDS BY LEVEL (percentage chance for each cost tier)
+    // ============================================================================
+
+    const SHOP_ODDS = {
+        // Level: [1-cost%, 2-cost%, 3-cost%]
+        1: [100, 0, 0],
+        2: [100, 0, 0],
+        3: [75, 25, 0],
+        4: [55, 30, 15],
+        5: [45, 33, 22],
+        6: [30, 40, 30],
+        7: [20, 35, 45],
+        8: [15, 25, 60],
+        9: [10, 20, 70]
+    };
+
+    // ============================================================================
+    // STAR LEVEL MULTIPLIERS
+    // ============================================================================
+
+    const STAR_MULTIPLIERS = {
+        1: { hp: 1.0, attack: 1.0 },
+        2: { hp: 1.8, attack: 1.8 },
+        3: { hp: 3.2, attack: 3.2 }
+    };
+
+    // ============================================================================
+    // TRAIT DEFINITIONS
+    // ============================================================================
+
+    // Traits, items and abilities may list `triggers` that run effects on combat events
+    // (see triggers.js); on traits they are keyed by threshold like bonuses.
+    const TRAITS = {
+        warrior: {
+            name: 'Warrior',
+            description: 'Warriors gain bonus armor and take on tanks that draw aggro nearby',
+            targeting: 'respectAggro',
+            bonuses: {
+                2: { armor: 25 },
+                4: { armor: 55, attackBonus: 15 }
+            }
+        },
+        mage: {
+            name: 'Mage',
+            description: 'Mages gain spell power and mana regen',
+            bonuses: {
+                2: { spellPower: 20, manaRegen: 10 },
+                4: { spellPower: 50, manaRegen: 25 }
+            }
+        },
+        assassin: {
+            name: 'Assassin',
+            description: 'Assassins gain critical strike chance and damage, and dive the enemy backline',
+            targeting: 'farthest',
+            retarget: 'never',
+            bonuses: {
+                2: { critChance: 15, critDamage: 25 },
+                4: { critChance: 35, critDamage: 50 }
+            }
+        },
+        tank: {
+            name: 'Tank',
+            description: 'Tanks gain bonus HP and damage reduction, and draw attacks from nearby warriors',
+            drawsAggro: true,
+            bonuses: {
+                2: { hpBonus: 200, damageReduction: 10 },
+                4: { hpBonus: 500, damageReduction: 25 }
+            }
+        },
+        ranger: {
+            name: 'Ranger',
+            description: 'Rangers gain attack speed and switch to an enemy in range when their target slips away',
+            retarget: 'closerInRange',
+            bonuses: {
+                2: { attackSpeedBonus: 0.2 },
+                4: { attackSpeedBonus: 0.5, range: 1 }
+            }
+        },
+        support: {
+            name: 'Support',
+            description: 'Supports gain mana regen and magic resist, and their casts mend the whole team',
+            bonuses: {
+                2: { manaRegen: 10, magicResist: 15 },
+                4: { manaRegen: 20, magicResist: 30 }
+            },
+            triggers: {
+                2: [{ on: 'cast', name: 'Mending Aura', effects: [{ type: 'heal', target: 'allAllies', amount: 25 }] }],
+                4: [{ on: 'cast', name: 'Mending Aura', effects: [{ type: 'heal', target: 'allAllies', amount: 60 }] }]
+            }
+        },
+        elemental: {
+            name: 'Elemental',
+            description: 'Elementals deal bonus magic damage and resist magic, and burst when they die',
+            bonuses: {
+                2: { magicDamage: 20, magicResist: 20 },
+                4: { magicDamage: 45, magicResist: 45 }
+            },
+            triggers: {
+                // Burst damage matches the tier's magicDamage, as before triggers existed
+                2: [{ on: 'death', name: 'Elemental Burst', effects: [{ type: 'damage', target: 'enemiesNearSelf', radius: 1, amount: 20 }] }],
+                4: [{ on: 'death', name: 'Elemental Burst', effects: [{ type: 'damage', target: 'enemiesNearSelf', radius: 1, amount: 45 }] }]
+            }
         }
-    },
-    phantomStriker: {
-        id: 'phantomStriker',
-        name: 'Phantom Striker',
-        emoji: '👻',
-        cost: 3,
-        hp: 650,
-        attack: 95,
-        attackSpeed: 1.1,
-        range: 1,
-        armor: 20,
-        magicResist: 30,
-        traits: ['assassin', 'elemental'],
-        ability: {
-            name: 'Phase Strike',
-            damage: 300,
-            teleport: true,
-            manaCost: 70
+    };
+
+    // ============================================================================
+    // UNIT DEFINITIONS
+    // ============================================================================
+
+    // Units (or their traits) may set targeting, retarget and drawsAggro (see targeting.js).
+    // Attacks from units with range above 1 fly as projectiles (see projectiles.js); a unit's
+    // `projectile` sets { speed, emoji }. An ability with `projectile` { speed, emoji, retarget }
+    // runs its effects when the projectile lands instead of on cast.
+    // Abilities cost manaCost mana (the unit's max mana); startingMana is the mana a unit
+    // enters combat with and manaLock overrides MANA_RULES.CAST_LOCK_SECONDS.
+    // Abilities are lists of effects run in order by abilities.js. Each effect has a
+    // type (damage, heal, shield, stun, slow, cleanse, buff, status, teleport, summon, chain) and a
+    // target rule (see ABILITY_TARGETS); 'target' is the caster's current attack target.
+    // 'status' effects apply any STATUS_EFFECTS entry (burn, poison, silence, armorShred, taunt).
+    // 'summon' effects spawn a SUMMONS (or UNITS) template next to the caster; see SUMMONS.
+    const UNITS = {
+        // ========== 1-COST UNITS ==========
+        squire: {
+            id: 'squire',
+            name: 'Squire',
+            emoji: '⚔️',
+            cost: 1,
+            hp: 550,
+            attack: 50,
+            attackSpeed: 0.7,
+            range: 1,
+            armor: 20,
+            magicResist: 10,
+            traits: ['warrior'],
+            ability: null
+        },
+        apprentice: {
+            id: 'apprentice',
+            name: 'Apprentice',
+            emoji: '🔮',
+            cost: 1,
+            hp: 400,
+            attack: 40,
+            attackSpeed: 0.6,
+            range: 3,
+            armor: 10,
+            magicResist: 20,
+            traits: ['mage'],
+            projectile: { emoji: '✨' },
+            ability: {
+                name: 'Arcane Bolt',
+                manaCost: 60,
+                projectile: { speed: 10, emoji: '🔮', retarget: true },
+                effects: [
+                    { type: 'damage', target: 'target', amount: 150 }
+                ]
+            }
+        },
+        scout: {
+            id: 'scout',
+            name: 'Scout',
+            emoji: '🏹',
+            cost: 1,
+            hp: 450,
+            attack: 55,
+            attackSpeed: 0.8,
+            range: 3,
+            armor: 10,
+            magicResist: 10,
+            traits: ['ranger'],
+            ability: null
+        },
+        cutthroat: {
+            id: 'cutthroat',
+            name: 'Cutthroat',
+            emoji: '🗡️',
+            cost: 1,
+            hp: 480,
+            attack: 60,
+            attackSpeed: 0.9,
+            range: 1,
+            moveSpeed: 5,
+            armor: 10,
+            magicResist: 10,
+            traits: ['assassin'],
+            ability: null
+        },
+        acolyte: {
+            id: 'acolyte',
+            name: 'Acolyte',
+            emoji: '🕯️',
+            cost: 1,
+            hp: 480,
+            attack: 35,
+            attackSpeed: 0.7,
+            range: 3,
+            armor: 10,
+            magicResist: 20,
+            traits: ['support'],
+            projectile: { emoji: '✨' },
+            ability: {
+                name: 'Mend',
+                manaCost: 60,
+                effects: [
+                    { type: 'heal', target: 'lowestHpAlly', amount: 220 }
+                ]
+            }
+        },
+
+        // ========== 2-COST UNITS ==========
+        knight: {
+            id: 'knight',
+            name: 'Knight',
+            emoji: '🛡️',
+            cost: 2,
+            hp: 750,
+            attack: 55,
+            attackSpeed: 0.6,
+            range: 1,
+            armor: 40,
+            magicResist: 20,
+            traits: ['warrior', 'tank'],
+            ability: {
+                name: 'Shield Bash',
+                manaCost: 70,
+                startingMana: 20,
+                effects: [
+                    { type: 'damage', target: 'target', amount: 100 },
+                    { type: 'stun', target: 'target', duration: 1.0 }
+                ]
+            }
+        },
+        pyromancer: {
+            id: 'pyromancer',
+            name: 'Pyromancer',
+            emoji: '🔥',
+            cost: 2,
+            hp: 500,
+            attack: 45,
+            attackSpeed: 0.6,
+            range: 3,
+            armor: 10,
+            magicResist: 25,
+            traits: ['mage', 'elemental'],
+            projectile: { emoji: '✨' },
+            ability: {
+                name: 'Fireball',
+                manaCost: 80,
+                projectile: { speed: 6, emoji: '🔥', retarget: true },
+                effects: [
+                    { type: 'damage', target: 'allEnemies', amount: 250 }
+                ]
+            }
+        },
+        shadowBlade: {
+            id: 'shadowBlade',
+            name: 'Shadow Blade',
+            emoji: '⚫',
+            cost: 2,
+            hp: 550,
+            attack: 75,
+            attackSpeed: 1.0,
+            range: 1,
+            moveSpeed: 5,
+            armor: 15,
+            magicResist: 15,
+            traits: ['assassin'],
+            ability: {
+                name: 'Backstab',
+                manaCost: 50,
+                effects: [
+                    { type: 'damage', target: 'target', attackMultiplier: 2.5, damageType: 'physical' }
+                ]
+            }
+        },
+        marksman: {
+            id: 'marksman',
+            name: 'Marksman',
+            emoji: '🎯',
+            cost: 2,
+            hp: 520,
+            attack: 70,
+            attackSpeed: 0.85,
+            range: 4,
+            targeting: 'lowestHp',
+            armor: 10,
+            magicResist: 10,
+            traits: ['ranger'],
+            ability: {
+                name: 'Piercing Shot',
+                manaCost: 70,
+                projectile: { speed: 14, emoji: '➹', retarget: true },
+                effects: [
+                    { type: 'damage', target: 'target', amount: 200 }
+                ]
+            }
+        },
+        stoneGolem: {
+            id: 'stoneGolem',
+            name: 'Stone Golem',
+            emoji: '🗿',
+            cost: 2,
+            hp: 900,
+            attack: 45,
+            attackSpeed: 0.4,
+            range: 1,
+            moveSpeed: 3,
+            armor: 50,
+            magicResist: 30,
+            traits: ['tank', 'elemental'],
+            ability: {
+                name: 'Harden',
+                manaCost: 60,
+                startingMana: 30,
+                effects: [
+                    { type: 'buff', target: 'self', stat: 'armorBonus', value: 50, duration: 3 }
+                ]
+            }
+        },
+        cleric: {
+            id: 'cleric',
+            name: 'Cleric',
+            emoji: '⛑️',
+            cost: 2,
+            hp: 700,
+            attack: 45,
+            attackSpeed: 0.7,
+            range: 1,
+            armor: 35,
+            magicResist: 20,
+            traits: ['warrior', 'support'],
+            ability: {
+                name: 'Purify',
+                manaCost: 70,
+                effects: [
+                    { type: 'cleanse', target: 'alliesNearSelf', radius: 2 },
+                    { type: 'heal', target: 'alliesNearSelf', radius: 2, amount: 150 }
+                ]
+            }
+        },
+
+        // ========== 3-COST UNITS ==========
+        warlord: {
+            id: 'warlord',
+            name: 'Warlord',
+            emoji: '👑',
+            cost: 3,
+            hp: 900,
+            attack: 80,
+            attackSpeed: 0.7,
+            range: 1,
+            armor: 45,
+            magicResist: 25,
+            traits: ['warrior', 'tank'],
+            ability: {
+                name: 'War Cry',
+                manaCost: 90,
+                effects: [
+                    { type: 'buff', target: 'allAllies', stat: 'attackBonus', value: 30, duration: 4 }
+                ]
+            }
+        },
+        archmage: {
+            id: 'archmage',
+            name: 'Archmage',
+            emoji: '✨',
+            cost: 3,
+            hp: 600,
+            attack: 50,
+            attackSpeed: 0.55,
+            range: 4,
+            armor: 10,
+            magicResist: 40,
+            traits: ['mage'],
+            projectile: { emoji: '✨' },
+            ability: {
+                name: 'Meteor Strike',
+                manaCost: 100,
+                effects: [
+                    { type: 'damage', target: 'allEnemies', amount: 400 }
+                ]
+            }
+        },
+        necromancer: {
+            id: 'necromancer',
+            name: 'Necromancer',
+            emoji: '☠️',
+            cost: 3,
+            hp: 650,
+            attack: 45,
+            attackSpeed: 0.6,
+            range: 3,
+            armor: 15,
+            magicResist: 30,
+            traits: ['mage'],
+            projectile: { emoji: '💀' },
+            ability: {
+                name: 'Raise Dead',
+                manaCost: 80,
+                effects: [
+                    { type: 'summon', unitId: 'skeleton', count: 2 }
+                ]
+            }
+        },
+        oracle: {
+            id: 'oracle',
+            name: 'Oracle',
+            emoji: '🔯',
+            cost: 3,
+            hp: 650,
+            attack: 40,
+            attackSpeed: 0.6,
+            range: 4,
+            armor: 15,
+            magicResist: 35,
+            traits: ['support', 'mage'],
+            projectile: { emoji: '✨' },
+            ability: {
+                name: 'Aegis',
+                manaCost: 90,
+                effects: [
+                    { type: 'cleanse', target: 'allAllies' },
+                    { type: 'shield', target: 'allAllies', amount: 180, duration: 4 },
+                    { type: 'heal', target: 'lowestHpAlly', amount: 200 }
+                ]
+            }
+        },
+        phantomStriker: {
+            id: 'phantomStriker',
+            name: 'Phantom Striker',
+            emoji: '👻',
+            cost: 3,
+            hp: 650,
+            attack: 95,
+            attackSpeed: 1.1,
+            range: 1,
+            moveSpeed: 5,
+            armor: 20,
+            magicResist: 30,
+            traits: ['assassin', 'elemental'],
+            ability: {
+                name: 'Phase Strike',
+                manaCost: 70,
+                effects: [
+                    { type: 'teleport', target: 'target', position: 'behind' },
+                    { type: 'damage', target: 'target', amount: 300 }
+                ]
+            }
+        },
+        stormArcher: {
+            id: 'stormArcher',
+            name: 'Storm Archer',
+            emoji: '⚡',
+            cost: 3,
+            hp: 620,
+            attack: 85,
+            attackSpeed: 0.9,
+            range: 4,
+            armor: 15,
+            magicResist: 25,
+            traits: ['ranger', 'elemental'],
+            ability: {
+                name: 'Lightning Arrow',
+                manaCost: 80,
+                projectile: { speed: 12, emoji: '⚡', retarget: true },
+                effects: [
+                    { type: 'chain', target: 'target', amount: 250, maxTargets: 3, falloff: 0.2 }
+                ]
+            }
+        },
+        frostGuardian: {
+            id: 'frostGuardian',
+            name: 'Frost Guardian',
+            emoji: '❄️',
+            cost: 3,
+            hp: 1100,
+            attack: 60,
+            attackSpeed: 0.5,
+            range: 1,
+            moveSpeed: 3,
+            armor: 55,
+            magicResist: 45,
+            traits: ['tank', 'elemental', 'mage'],
+            ability: {
+                name: 'Frost Nova',
+                manaCost: 85,
+                startingMana: 25,
+                effects: [
+                    { type: 'damage', target: 'allEnemies', amount: 150 },
+                    { type: 'slow', target: 'allEnemies', amount: 0.3, duration: 3 }
+                ]
+            }
+        },
+        bladeMaster: {
+            id: 'bladeMaster',
+            name: 'Blade Master',
+            emoji: '🌀',
+            cost: 3,
+            hp: 800,
+            attack: 90,
+            attackSpeed: 0.85,
+            range: 1,
+            moveSpeed: 5,
+            armor: 30,
+            magicResist: 20,
+            targeting: 'farthest', // Dives like an assassin (the Warrior trait would make it respect aggro)
+            traits: ['warrior', 'assassin'],
+            ability: {
+                name: 'Whirlwind',
+                manaCost: 75,
+                effects: [
+                    { type: 'damage', target: 'enemiesNearSelf', radius: 1, amount: 200, hits: 3, damageType: 'physical' }
+                ]
+            }
         }
-    },
-    stormArcher: {
-        id: 'stormArcher',
-        name: 'Storm Archer',
-        emoji: '⚡',
-        cost: 3,
-        hp: 620,
-        attack: 85,
-        attackSpeed: 0.9,
-        range: 4,
-        armor: 15,
-        magicResist: 25,
-        traits: ['ranger', 'elemental'],
-        ability: {
-            name: 'Lightning Arrow',
-            damage: 250,
-            chainTargets: 3,
-            manaCost: 80
+    };
+
+    // ============================================================================
+    // SUMMON DEFINITIONS
+    // ============================================================================
+
+    // Units that only exist inside a fight, spawned by 'summon' ability or trigger effects.
+    // Same fields as UNITS, minus cost and traits: summons are never sold, pooled or
+    // counted for traits. They take the summoner's star level unless the effect sets
+    // starLevel, expire after `lifetime` seconds (null: they last the whole fight; an
+    // effect's duration overrides it), don't add to the damage the loser takes and are
+    // gone when the fight ends.
+    const SUMMONS = {
+        skeleton: {
+            id: 'skeleton',
+            name: 'Skeleton',
+            emoji: '💀',
+            hp: 300,
+            attack: 35,
+            attackSpeed: 0.8,
+            range: 1,
+            armor: 10,
+            magicResist: 0,
+            lifetime: 8
+        },
+        spiritWolf: {
+            id: 'spiritWolf',
+            name: 'Spirit Wolf',
+            emoji: '🐺',
+            hp: 400,
+            attack: 45,
+            attackSpeed: 1.0,
+            range: 1,
+            armor: 15,
+            magicResist: 15,
+            moveSpeed: 5,
+            lifetime: 10
         }
-    },
-    frostGuardian: {
-        id: 'frostGuardian',
-        name: 'Frost Guardian',
-        emoji: '❄️',
-        cost: 3,
-        hp: 1100,
-        attack: 60,
-        attackSpeed: 0.5,
-        range: 1,
-        armor: 55,
-        magicResist: 45,
-        traits: ['tank', 'elemental', 'mage'],
-        ability: {
-            name: 'Frost Nova',
-            damage: 150,
-            slow: 0.3,
-            duration: 3,
-            aoe: true,
-            manaCost: 85
+    };
+
+    // ============================================================================
+    // ITEM DEFINITIONS
+    // ============================================================================
+
+    // Item stats use the same keys as trait bonuses. Completed items list the two
+    // components they are built from and may have a combat effect:
+    //   lifesteal: heal for value% of attack damage dealt
+    //   thorns: reflect value% of attack damage taken back to the attacker
+    //   startingMana: start combat with value mana
+    const ITEMS = {
+        // ========== COMPONENTS ==========
+        long_sword: {
+            id: 'long_sword',
+            name: 'Long Sword',
+            emoji: '🗡️',
+            stats: { attackBonus: 15 }
+        },
+        recurve_bow: {
+            id: 'recurve_bow',
+            name: 'Recurve Bow',
+            emoji: '🎯',
+            stats: { attackSpeedBonus: 0.15 }
+        },
+        chain_vest: {
+            id: 'chain_vest',
+            name: 'Chain Vest',
+            emoji: '🦺',
+            stats: { armor: 20 }
+        },
+        arcane_cloak: {
+            id: 'arcane_cloak',
+            name: 'Arcane Cloak',
+            emoji: '🧥',
+            stats: { magicResist: 20 }
+        },
+        mage_rod: {
+            id: 'mage_rod',
+            name: 'Mage Rod',
+            emoji: '🪄',
+            stats: { spellPower: 20 }
+        },
+        giants_belt: {
+            id: 'giants_belt',
+            name: "Giant's Belt",
+            emoji: '🎗️',
+            stats: { hpBonus: 150 }
+        },
+
+        // ========== COMPLETED ITEMS ==========
+        deathblade: {
+            id: 'deathblade',
+            name: 'Deathblade',
+            emoji: '⚔️',
+            components: ['long_sword', 'long_sword'],
+            stats: { attackBonus: 45 },
+            triggers: [{ on: 'kill', name: 'Bloodthirst', effects: [{ type: 'buff', target: 'self', stat: 'attackBonus', value: 15 }] }]
+        },
+        executioners_edge: {
+            id: 'executioners_edge',
+            name: "Executioner's Edge",
+            emoji: '🪓',
+            components: ['long_sword', 'recurve_bow'],
+            stats: { attackBonus: 15, attackSpeedBonus: 0.15, critChance: 20 }
+        },
+        vampiric_blade: {
+            id: 'vampiric_blade',
+            name: 'Vampiric Blade',
+            emoji: '🩸',
+            components: ['long_sword', 'chain_vest'],
+            stats: { attackBonus: 15, armor: 20 },
+            effect: { type: 'lifesteal', value: 25 }
+        },
+        storm_bow: {
+            id: 'storm_bow',
+            name: 'Storm Bow',
+            emoji: '🌩️',
+            components: ['recurve_bow', 'arcane_cloak'],
+            stats: { attackSpeedBonus: 0.15, magicResist: 20, magicDamage: 30 }
+        },
+        thornmail: {
+            id: 'thornmail',
+            name: 'Thornmail',
+            emoji: '🌵',
+            components: ['chain_vest', 'chain_vest'],
+            stats: { armor: 50 },
+            effect: { type: 'thorns', value: 30 }
+        },
+        bulwark: {
+            id: 'bulwark',
+            name: 'Bulwark',
+            emoji: '🛡️',
+            components: ['chain_vest', 'giants_belt'],
+            stats: { armor: 20, hpBonus: 150, damageReduction: 10 },
+            triggers: [{ on: 'hpThreshold', threshold: 0.4, name: 'Last Stand', effects: [{ type: 'shield', target: 'self', amount: 200, duration: 4 }] }]
+        },
+        dragon_scale: {
+            id: 'dragon_scale',
+            name: 'Dragon Scale',
+            emoji: '🐉',
+            components: ['arcane_cloak', 'arcane_cloak'],
+            stats: { magicResist: 60 }
+        },
+        archmage_staff: {
+            id: 'archmage_staff',
+            name: 'Archmage Staff',
+            emoji: '🔱',
+            components: ['mage_rod', 'mage_rod'],
+            stats: { spellPower: 60 }
+        },
+        mana_heart: {
+            id: 'mana_heart',
+            name: 'Mana Heart',
+            emoji: '💙',
+            components: ['mage_rod', 'giants_belt'],
+            stats: { spellPower: 20, hpBonus: 150 },
+            effect: { type: 'startingMana', value: 40 }
+        },
+        titans_girdle: {
+            id: 'titans_girdle',
+            name: "Titan's Girdle",
+            emoji: '🏋️',
+            components: ['giants_belt', 'giants_belt'],
+            stats: { hpBonus: 400 }
         }
-    },
-    bladeMaster: {
-        id: 'bladeMaster',
-        name: 'Blade Master',
-        emoji: '🌀',
-        cost: 3,
-        hp: 800,
-        attack: 90,
-        attackSpeed: 0.85,
-        range: 1,
-        armor: 30,
-        magicResist: 20,
-        traits: ['warrior', 'assassin'],
-        ability: {
-            name: 'Whirlwind',
-            damage: 200,
-            hits: 3,
-            aoe: true,
-            manaCost: 75
+    };
+
+    // ============================================================================
+    // TERRAIN TILES
+    // ============================================================================
+
+    /**
+     * Special board cells (see terrain.js); cells without a tile are plain ground
+     * blocking: no unit can be placed on or walk through it
+     * buff: { stat, value } added to unit.buffs[stat] while a unit stands on it
+     * hazard: { damage, damageType } dealt every second to a unit standing on it
+     * moveCost: how many times longer stepping onto it takes (pathing avoids it when it can)
+     */
+    const TILE_TYPES = {
+        rock: {
+            id: 'rock',
+            name: 'Rock',
+            emoji: '🪨',
+            description: 'Blocks placement and movement',
+            blocking: true
+        },
+        shrine: {
+            id: 'shrine',
+            name: 'Shrine',
+            emoji: '⛩️',
+            description: '+20 attack damage while standing here',
+            buff: { stat: 'attackBonus', value: 20 }
+        },
+        lava: {
+            id: 'lava',
+            name: 'Lava',
+            emoji: '🔥',
+            description: '40 magic damage per second while standing here',
+            hazard: { damage: 40, damageType: 'magic' }
+        },
+        mud: {
+            id: 'mud',
+            name: 'Mud',
+            emoji: '🟫',
+            description: 'Stepping in takes twice as long',
+            moveCost: 2
         }
-    }
-};
+    };
 
-// ============================================================================
-// UNIT POOL SIZE (for shop)
-// ============================================================================
+    /**
+     * Tiles spawned each round, by the first round an entry applies to
+     * The latest entry at or before the round is used; every tile is placed as a
+     * mirrored pair (same cell in both halves) so neither side is favoured
+     */
+    const TERRAIN_SCHEDULE = [
+        { fromRound: 1, tiles: [] },
+        { fromRound: 4, tiles: [{ type: 'rock', count: 1 }, { type: 'mud', count: 1 }] },
+        { fromRound: 7, tiles: [{ type: 'rock', count: 1 }, { type: 'shrine', count: 1 }, { type: 'mud', count: 1 }] },
+        { fromRound: 11, tiles: [{ type: 'rock', count: 2 }, { type: 'shrine', count: 1 }, { type: 'lava', count: 1 }, { type: 'mud', count: 1 }] }
+    ];
+
+    // ============================================================================
+    // UNIT POOL SIZE (for shop)
+    // ============================================================================
+
+    const UNIT_POOL_SIZE = {
+        1: 29, // 29 copies of each 1-cost unit
+        2: 22, // 22 copies of each 2-cost unit
+        3: 16  // 16 copies of each 3-cost unit
+    };
 
-const UNIT_POOL_SIZE = {
-    1: 29, // 29 copies of each 1-cost unit
-    2: 22, // 22 copies of each 2-cost unit
-    3: 16  // 16 copies of each 3-cost unit
-};
+    // ============================================================================
+    // HELPER FUNCTIONS
+    // ============================================================================
 
-// ============================================================================
-// HELPER FUNCTIONS
-// ============================================================================
+    /**
+     * Get all units of a specific cost tier
+     */
+    function getUnitsByCost(cost) {
+        return Object.values(UNITS).filter(unit => unit.cost === cost);
+    }
 
-/**
- * Get all units of a specific cost tier
- */
-function getUnitsByCost(cost) {
-    return Object.values(UNITS).filter(unit => unit.cost === cost);
-}
+    /**
+     * Get all units that have a specific trait
+     */
+    function getUnitsByTrait(traitId) {
+        return Object.values(UNITS).filter(unit => unit.traits.includes(traitId));
+    }
 
-/**
- * Get all units that have a specific trait
- */
-function getUnitsByTrait(traitId) {
-    return Object.values(UNITS).filter(unit => unit.traits.includes(traitId));
-}
+    /**
+     * Get the template of a unit or a summon
+     * @param {string} templateId - Key of UNITS or SUMMONS
+     * @returns {object|null} Template, or null if unknown
+     */
+    function getUnitTemplate(templateId) {
+        return UNITS[templateId] || SUMMONS[templateId] || null;
+    }
 
-/**
- * Get trait bonus for a given count of trait units
- */
-function getTraitBonus(traitId, count) {
-    const trait = TRAITS[traitId];
-    if (!trait) return null;
-
-    // Find the highest applicable bonus threshold
-    const thresholds = Object.keys(trait.bonuses).map(Number).sort((a, b) => b - a);
-    for (const threshold of thresholds) {
-        if (count >= threshold) {
-            return { threshold, bonus: trait.bonuses[threshold] };
+    /**
+     * Get trait bonus for a given count of trait units
+     */
+    function getTraitBonus(traitId, count) {
+        const trait = TRAITS[traitId];
+        if (!trait) return null;
+
+        // Find the highest applicable bonus threshold
+        const thresholds = Object.keys(trait.bonuses).map(Number).sort((a, b) => b - a);
+        for (const threshold of thresholds) {
+            if (count >= threshold) {
+                return { threshold, bonus: trait.bonuses[threshold] };
+            }
         }
+        return null;
     }
-    return null;
-}
 
-/**
- * Calculate unit stats at a given star level
- */
-function getUnitStatsAtStar(unitId, starLevel) {
-    const baseUnit = UNITS[unitId];
-    if (!baseUnit) return null;
+    /**
+     * Calculate unit stats at a given star level
+     */
+    function getUnitStatsAtStar(unitId, starLevel) {
+        const baseUnit = UNITS[unitId];
+        if (!baseUnit) return null;
+
+        const multiplier = STAR_MULTIPLIERS[starLevel] || STAR_MULTIPLIERS[1];
+
+        return {
+            ...baseUnit,
+            starLevel,
+            hp: Math.floor(baseUnit.hp * multiplier.hp),
+            attack: Math.floor(baseUnit.attack * multiplier.attack)
+        };
+    }
 
-    const multiplier = STAR_MULTIPLIERS[starLevel] || STAR_MULTIPLIERS[1];
+    /**
+     * Get the ids of all item components (items without a recipe)
+     */
+    function getItemComponentIds() {
+        return Object.keys(ITEMS).filter(itemId => !ITEMS[itemId].components);
+    }
 
-    return {
-        ...baseUnit,
-        starLevel,
-        hp: Math.floor(baseUnit.hp * multiplier.hp),
-        attack: Math.floor(baseUnit.attack * multiplier.attack)
-    };
-}
+    /**
+     * Get the completed item built from two components (in either order)
+     * @returns {object|null} Completed item or null if there is no recipe
+     */
+    function getItemRecipe(itemIdA, itemIdB) {
+        return Object.values(ITEMS).find(item =>
+            item.components &&
+            ((item.components[0] === itemIdA && item.components[1] === itemIdB) ||
+             (item.components[0] === itemIdB && item.components[1] === itemIdA))
+        ) || null;
+    }
 
-/**
- * Get XP required for next level
- */
-function getXPForLevel(level) {
-    return LEVEL_XP[level] || null;
-}
+    /**
+     * Get XP required for next level
+     */
+    function getXPForLevel(level) {
+        return LEVEL_XP[level] || null;
+    }
 
-/**
- * Get shop odds for a given level
- */
-function getShopOddsForLevel(level) {
-    return SHOP_ODDS[level] || SHOP_ODDS[1];
-}
+    /**
+     * Get shop odds for a given level
+     */
+    function getShopOddsForLevel(level) {
+        return SHOP_ODDS[level] || SHOP_ODDS[1];
+    }
 
-// ============================================================================
-// EXPORT CHECK (for debugging)
-// ============================================================================
+    // ============================================================================
+    // EXPORT CHECK (for debugging)
+    // ============================================================================
 
-console.log('[Data] Game data module loaded');
-console.log(`[Data] ${Object.keys(UNITS).length} units defined`);
-console.log(`[Data] ${Object.keys(TRAITS).length} traits defined`);
+    console.log('[Data] Game data module loaded');
+    console.log(`[Data] ${Object.keys(UNITS).length} units defined`);
+    console.log(`[Data] ${Object.keys(SUMMONS).length} summons defined`);
+    console.log(`[Data] ${Object.keys(TRAITS).length} traits defined`);
+    console.log(`[Data] ${Object.keys(ITEMS).length} items defined`);
+
+    return {
+        GAME_CONFIG,
+        TICK_EPSILON,
+        MANA_RULES,
+        OVERTIME_RULES,
+        LEVEL_XP,
+        SHOP_ODDS,
+        STAR_MULTIPLIERS,
+        TRAITS,
+        UNITS,
+        SUMMONS,
+        ITEMS,
+        TILE_TYPES,
+        TERRAIN_SCHEDULE,
+        UNIT_POOL_SIZE,
+        getUnitsByCost,
+        getUnitsByTrait,
+        getUnitTemplate,
+        getTraitBonus,
+        getUnitStatsAtStar,
+        getItemComponentIds,
+        getItemRecipe,
+        getXPForLevel,
+        getShopOddsForLevel
+    };
+}));
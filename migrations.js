@@ -0,0 +1,325 @@
+/**
+ * Auto Chess Save Migrations
+ * Upgrades older save data one version at a time so format changes don't wipe players' saves
+ */
+
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./data.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
+
+    const { UNITS, ITEMS, UNIT_POOL_SIZE } = deps;
+
+    // ============================================================================
+    // VERSIONS
+    // ============================================================================
+
+    // Version written by GameState.toJSON()
+    const STATE_VERSION = 5;
+
+    // Version written by GameSession.toJSON() (the wrapper around a state save)
+    const SESSION_SAVE_VERSION = 5;
+
+    // ============================================================================
+    // MIGRATION HELPERS
+    // ============================================================================
+
+    /**
+     * Rename unit template ids everywhere a state save references them
+     * For migration steps that follow a unit being renamed in data.js
+     * @param {object} data - State save data (modified in place)
+     * @param {Object<string, string>} renames - Old template id -> new template id
+     */
+    function renameUnitTemplates(data, renames) {
+        const rename = (unitId) => (unitId && renames[unitId]) || unitId;
+
+        data.ownedUnits.forEach(entry => {
+            entry.data.unitId = rename(entry.data.unitId);
+        });
+        data.shop = (data.shop || []).map(rename);
+
+        const pool = {};
+        Object.entries(data.unitPool || {}).forEach(([unitId, count]) => {
+            const newId = rename(unitId);
+            pool[newId] = (pool[newId] || 0) + count;
+        });
+        data.unitPool = pool;
+    }
+
+    /**
+     * Move unit pool counts to the current UNIT_POOL_SIZE
+     * Copies players already took out of the pool stay taken
+     * @param {object} data - State save data (modified in place)
+     * @param {Object<number, number>} oldSizes - Pool size per cost in the old version
+     */
+    function resizeUnitPools(data, oldSizes) {
+        Object.keys(data.unitPool || {}).forEach(unitId => {
+            const unit = UNITS[unitId];
+            if (!unit) return;
+
+            const change = (UNIT_POOL_SIZE[unit.cost] || 0) - (oldSizes[unit.cost] || 0);
+            data.unitPool[unitId] = Math.max(0, data.unitPool[unitId] + change);
+        });
+    }
+
+    // ============================================================================
+    // STATE MIGRATIONS
+    // ============================================================================
+
+    /**
+     * One step per version, keyed by the version it upgrades from
+     * Each step gets a copy of the save at that version and returns it at version + 1
+     */
+    const STATE_MIGRATIONS = {
+        1: {
+            description: 'Add the unit instance id counter',
+            migrate(data) {
+                // Version 1 saves either had random ids or inst_N ids without the counter
+                let highest = 0;
+                (data.ownedUnits || []).forEach(({ id }) => {
+                    const match = /^inst_(\d+)$/.exec(id);
+                    if (match) highest = Math.max(highest, Number(match[1]));
+                });
+
+                data.nextUnitInstanceId = data.nextUnitInstanceId || highest + 1;
+                return data;
+            }
+        },
+        2: {
+            description: 'Add the item bench',
+            migrate(data) {
+                data.itemBench = [];
+                data.ownedUnits.forEach(entry => {
+                    entry.data.items = entry.data.items || [];
+                });
+                return data;
+            }
+        },
+        3: {
+            description: 'Count drawn rounds',
+            migrate(data) {
+                // Earlier versions counted draws as losses; those can't be told apart now
+                data.draws = 0;
+                return data;
+            }
+        },
+        4: {
+            description: 'Add board terrain',
+            migrate(data) {
+                // Saved rounds keep the plain board they were played on
+                data.terrain = [];
+                return data;
+            }
+        }
+    };
+
+    /**
+     * Check a state save at the current version before it is loaded
+     * @param {object} data - State save data
+     * @returns {string|null} Error message, or null if the data can be loaded
+     */
+    function validateStateData(data) {
+        const required = ['gold', 'level', 'hp', 'round', 'phase', 'playerBoard', 'bench', 'unitPool', 'ownedUnits', 'itemBench'];
+        const missing = required.filter(field => data[field] === undefined || data[field] === null);
+        if (missing.length > 0) {
+            return `Save is missing ${missing.join(', ')}`;
+        }
+
+        const unknown = data.ownedUnits.find(({ data: unit }) => !UNITS[unit.unitId]);
+        if (unknown) {
+            return `Save has unknown unit "${unknown.data.unitId}" (removed or renamed without a migration)`;
+        }
+
+        const items = [...data.itemBench, ...data.ownedUnits.flatMap(({ data: unit }) => unit.items)];
+        const unknownItem = items.find(itemId => !ITEMS[itemId]);
+        if (unknownItem) {
+            return `Save has unknown item "${unknownItem}" (removed or renamed without a migration)`;
+        }
+
+        return null;
+    }
+
+    // ============================================================================
+    // SESSION MIGRATIONS
+    // ============================================================================
+
+    // Steps for the session wrapper (shop offers, enemy board, RNG streams)
+    const SESSION_MIGRATIONS = {
+        1: {
+            description: 'Add the item drop RNG stream',
+            migrate(data) {
+                // null = no drops rolled yet; the stream starts fresh from the game seed
+                data.rng = { ...data.rng, loot: null };
+                return data;
+            }
+        },
+        2: {
+            description: 'Add the carousel RNG stream',
+            migrate(data) {
+                data.rng = { ...data.rng, carousel: null };
+                return data;
+            }
+        },
+        3: {
+            description: 'Add the board layout',
+            migrate(data) {
+                // Every game before hex boards was played on the square board
+                data.boardLayout = 'square';
+                return data;
+            }
+        },
+        4: {
+            description: 'Add the terrain RNG stream',
+            migrate(data) {
+                data.rng = { ...data.rng, terrain: null };
+                return data;
+            }
+        }
+    };
+
+    // ============================================================================
+    // MIGRATION PIPELINE
+    // ============================================================================
+
+    /**
+     * Run migration steps until the data reaches the target version
+     * The input is never modified; steps work on a copy
+     * @param {object} data - Save data with a version field
+     * @param {object} migrations - Steps keyed by the version they upgrade from
+     * @param {number} targetVersion - Current version
+     * @returns {object} { success, data, fromVersion, applied: string[] } or { success: false, error }
+     */
+    function runMigrations(data, migrations, targetVersion) {
+        if (!data || typeof data !== 'object') {
+            return { success: false, error: 'Save data is empty or not an object' };
+        }
+
+        const fromVersion = data.version;
+        if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+            return { success: false, error: `Save has no valid version (${fromVersion})` };
+        }
+        if (fromVersion > targetVersion) {
+            return { success: false, error: `Save is version ${fromVersion}, made by a newer version of the game (this one reads up to ${targetVersion})` };
+        }
+
+        let migrated = JSON.parse(JSON.stringify(data));
+        const applied = [];
+
+        for (let version = fromVersion; version < targetVersion; version++) {
+            const step = migrations[version];
+            if (!step) {
+                return { success: false, error: `No migration from save version ${version} to ${version + 1}` };
+            }
+
+            try {
+                migrated = step.migrate(migrated);
+            } catch (error) {
+                return { success: false, error: `Migration from version ${version} failed: ${error.message}` };
+            }
+
+            migrated.version = version + 1;
+            applied.push(`v${version} -> v${version + 1}: ${step.description}`);
+        }
+
+        return { success: true, data: migrated, fromVersion, applied };
+    }
+
+    /**
+     * Bring a GameState save up to the current version and validate it
+     * @param {object} data - State save data (from GameState.toJSON())
+     * @returns {object} { success, data, fromVersion, applied: string[] } or { success: false, error }
+     */
+    function migrateStateData(data) {
+        const result = runMigrations(data, STATE_MIGRATIONS, STATE_VERSION);
+        if (!result.success) return result;
+
+        const error = validateStateData(result.data);
+        if (error) {
+            return { success: false, error };
+        }
+
+        if (result.applied.length > 0) {
+            console.log(`[Migrations] Upgraded state save from version ${result.fromVersion}:`, result.applied);
+        }
+
+        return result;
+    }
+
+    /**
+     * Bring a GameSession save (including its state section) up to the current version
+     * @param {object} data - Session save data (from GameSession.toJSON())
+     * @returns {object} { success, data, fromVersion, applied: string[] } or { success: false, error }
+     */
+    function migrateSessionSave(data) {
+        const result = runMigrations(data, SESSION_MIGRATIONS, SESSION_SAVE_VERSION);
+        if (!result.success) return result;
+
+        if (!result.data.state || !result.data.rng) {
+            return { success: false, error: 'Save is missing the game state or RNG state' };
+        }
+
+        const stateResult = migrateStateData(result.data.state);
+        if (!stateResult.success) {
+            return { success: false, error: stateResult.error };
+        }
+
+        result.data.state = stateResult.data;
+        result.applied.push(...stateResult.applied);
+        return result;
+    }
+
+    // ============================================================================
+    // RECORDINGS
+    // ============================================================================
+
+    /**
+     * Check the version of a game recording or combat replay file
+     * Unlike saves these aren't migrated: they are played back by re-running the
+     * simulation, and a file from older rules plays out differently under new ones
+     * @param {object} data - File data with a version field
+     * @param {number} currentVersion - Version this build reads and writes
+     * @param {string} kind - What the file is, for the message (e.g. 'Game recording')
+     * @returns {string|null} Error message, or null if the file can be loaded
+     */
+    function checkRecordingVersion(data, currentVersion, kind) {
+        if (!data || typeof data !== 'object') {
+            return `${kind} is empty or not an object`;
+        }
+
+        const version = data.version;
+        if (!Number.isInteger(version) || version < 1) {
+            return `${kind} has no valid version (${version})`;
+        }
+        if (version < currentVersion) {
+            return `${kind} is version ${version}, made by an older version of the game; open it with a build that reads version ${version} (this one reads only version ${currentVersion})`;
+        }
+        if (version > currentVersion) {
+            return `${kind} is version ${version}, made by a newer version of the game (this one reads only version ${currentVersion})`;
+        }
+
+        return null;
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    console.log('[Migrations] Save migrations module loaded');
+
+    return {
+        STATE_VERSION,
+        SESSION_SAVE_VERSION,
+        STATE_MIGRATIONS,
+        SESSION_MIGRATIONS,
+        migrateStateData,
+        migrateSessionSave,
+        checkRecordingVersion,
+        renameUnitTemplates,
+        resizeUnitPools
+    };
+}));
@@ -13,6 +13,7 @@ class Renderer {
         this.boardGrid = null;
         this.playerBenchSlots = null;
         this.enemyBenchSlots = null;
+        this.itemBenchSlots = null;
 
         // Cell tracking
         this.cells = []; // 2D array of cell elements [row][col]
@@ -20,6 +21,7 @@ class Renderer {
 
         // Unit element tracking
         this.unitElements = new Map(); // unitId -> DOM element
+        this.projectileElements = new Map(); // projectile id -> DOM element
 
         // Animation queue
         this.animationQueue = [];
@@ -41,6 +43,12 @@ class Renderer {
         // Selected unit for drag/drop
         this.selectedUnit = null;
 
+        // Set while the replay viewer owns the board grid
+        this.isReplaying = false;
+
+        // Board layout being drawn (square or hex, see board-topology.js)
+        this.topology = getBoardTopology();
+
         console.log('[Renderer] Renderer instance created');
     }
 
@@ -55,6 +63,7 @@ class Renderer {
         this.boardGrid = document.getElementById('board-grid');
         this.playerBenchSlots = document.getElementById('player-bench-slots');
         this.enemyBenchSlots = document.getElementById('enemy-bench-slots');
+        this.itemBenchSlots = document.getElementById('item-bench-slots');
 
         if (!this.boardGrid) {
             console.error('[Renderer] Board grid element not found');
@@ -88,6 +97,8 @@ class Renderer {
         const totalRows = this.config.boardRows;
         const cols = this.config.boardCols;
 
+        this.boardGrid.dataset.layout = this.topology.layout;
+
         for (let row = 0; row < totalRows; row++) {
             this.cells[row] = [];
             for (let col = 0; col < cols; col++) {
@@ -99,16 +110,17 @@ class Renderer {
                 cell.classList.add(isLight ? 'light' : 'dark');
 
                 // Mark player vs enemy side
-                if (row < this.config.playerRows) {
-                    cell.classList.add('enemy-side');
-                } else {
-                    cell.classList.add('player-side');
-                }
+                const arenaCell = displayToArena(row, col);
+                const side = getArenaSide(arenaCell);
+                cell.classList.add(side === 'player' ? 'player-side' : 'enemy-side');
+
+                // Hex rows drawn half a cell over
+                cell.classList.toggle('offset-row', this.topology.getRowOffset(arenaCell.y) > 0);
 
                 // Store position data
                 cell.dataset.row = row;
                 cell.dataset.col = col;
-                cell.dataset.side = row < this.config.playerRows ? 'enemy' : 'player';
+                cell.dataset.side = side;
 
                 this.boardGrid.appendChild(cell);
                 this.cells[row][col] = cell;
@@ -116,6 +128,24 @@ class Renderer {
         }
     }
 
+    /**
+     * Switch the board between layouts (a new or loaded game)
+     * The cells stay the same; only how they are drawn changes
+     * @param {BoardTopology} topology - Layout of the game's board
+     */
+    setTopology(topology) {
+        this.topology = topology;
+        if (!this.boardGrid) return;
+
+        this.boardGrid.dataset.layout = topology.layout;
+        this.cells.forEach((row, rowIndex) => {
+            row.forEach((cell, colIndex) => {
+                const arenaCell = displayToArena(rowIndex, colIndex);
+                cell.classList.toggle('offset-row', topology.getRowOffset(arenaCell.y) > 0);
+            });
+        });
+    }
+
     /**
      * Create bench slot elements
      */
@@ -167,9 +197,19 @@ class Renderer {
      * Render the complete board state
      */
     renderBoard() {
+        // The replay viewer owns the board grid while it is open; keep the bench live
+        if (this.isReplaying) {
+            this.renderBench();
+            this.renderItemBench();
+            return;
+        }
+
         // Clear all existing units from cells
         this.clearAllUnits();
 
+        // Special tiles of the round
+        this.renderTerrain(window.gameState ? window.gameState.terrain.tiles : []);
+
         // Render player units (bottom 4 rows)
         this.renderPlayerBoard();
 
@@ -178,12 +218,13 @@ class Renderer {
 
         // Render bench
         this.renderBench();
+        this.renderItemBench();
 
         console.log('[Renderer] Board rendered');
     }
 
     /**
-     * Render player's board (rows 4-7, displayed as bottom half)
+     * Render player's board (displayed as bottom half)
      */
     renderPlayerBoard() {
         const state = window.gameState;
@@ -195,10 +236,7 @@ class Renderer {
                 if (unitId) {
                     const unit = state.ownedUnits.get(unitId);
                     if (unit) {
-                        // Map player board row to display row (bottom half)
-                        const displayRow = row + this.config.playerRows;
-                        const cell = this.cells[displayRow][col];
-                        this.renderUnit(unit, cell, 'ally');
+                        this.renderUnit(unit, this.getSideCell('player', row, col), 'ally');
                     }
                 }
             }
@@ -206,7 +244,7 @@ class Renderer {
     }
 
     /**
-     * Render enemy's board (rows 0-3, displayed as top half)
+     * Render enemy's board (displayed as top half)
      */
     renderEnemyBoard() {
         const state = window.gameState;
@@ -216,9 +254,7 @@ class Renderer {
             for (let col = 0; col < this.config.boardCols; col++) {
                 const unitId = state.enemyBoard[row][col];
                 if (unitId) {
-                    // Enemy board row maps to display row (mirror: row 0 -> display 3, row 3 -> display 0)
-                    const displayRow = this.config.playerRows - 1 - row;
-                    const cell = this.cells[displayRow][col];
+                    const cell = this.getSideCell('enemy', row, col);
 
                     // For enemy units, we need to get unit data differently
                     // Assuming enemy units have their data stored or we create display data
@@ -267,6 +303,150 @@ class Renderer {
         });
     }
 
+    /**
+     * Render the item bench (one slot per item; drag onto a unit to equip or onto another item to combine)
+     */
+    renderItemBench() {
+        const state = window.gameState;
+        if (!state || !this.itemBenchSlots) return;
+
+        const canDrag = !this.isReplaying && state.isPrep();
+
+        this.itemBenchSlots.innerHTML = '';
+        state.itemBench.forEach((itemId, index) => {
+            const item = ITEMS[itemId];
+            if (!item) return;
+
+            const slot = document.createElement('div');
+            slot.className = 'item-slot';
+            slot.classList.add(item.components ? 'completed' : 'component');
+            slot.dataset.itemIndex = index;
+            slot.textContent = item.emoji;
+            slot.title = this.describeItem(item);
+
+            if (canDrag) {
+                slot.draggable = true;
+                slot.addEventListener('dragstart', (e) => {
+                    e.dataTransfer.setData('text/plain', `item:${index}`);
+                    e.dataTransfer.effectAllowed = 'move';
+                    slot.classList.add('dragging');
+                });
+                slot.addEventListener('dragend', () => slot.classList.remove('dragging'));
+                slot.addEventListener('dragover', (e) => this.onDragOver(e));
+                slot.addEventListener('dragenter', (e) => this.onDragEnter(e));
+                slot.addEventListener('dragleave', (e) => this.onDragLeave(e));
+                slot.addEventListener('drop', (e) => this.onItemDrop(e, index));
+            }
+
+            this.itemBenchSlots.appendChild(slot);
+        });
+    }
+
+    /**
+     * Get a one-line summary of an item (name, stats and effect)
+     * @param {Object} item - Item definition from ITEMS
+     * @returns {string} Description
+     */
+    describeItem(item) {
+        const stats = Object.entries(item.stats).map(([stat, value]) => `+${value} ${stat}`);
+        if (item.effect) {
+            stats.push(`${item.effect.type} ${item.effect.value}`);
+        }
+        (item.triggers || []).forEach(trigger => {
+            stats.push(`${describeTrigger(trigger)}: ${describeAbility(trigger)}`);
+        });
+        return `${item.name} (${stats.join(', ')})`;
+    }
+
+    // ========================================================================
+    // CAROUSEL RENDERING
+    // ========================================================================
+
+    /**
+     * Draw the carousel ring in the middle of the board
+     * Claimed units stay on the ring, faded, until the carousel ends
+     * @param {Carousel} carousel - Carousel in progress
+     * @param {number} rotation - Steps the ring has turned
+     */
+    renderCarousel(carousel, rotation = 0) {
+        this.clearAllUnits();
+
+        const ring = this.getCarouselRingCells();
+        const spacing = Math.max(1, Math.floor(ring.length / carousel.units.length));
+
+        carousel.units.forEach((entry, index) => {
+            const [row, col] = ring[(index * spacing + rotation) % ring.length];
+            const unit = {
+                id: `carousel_${index}`,
+                unitId: entry.unitId,
+                starLevel: 1,
+                items: entry.itemId ? [entry.itemId] : []
+            };
+
+            const unitElement = this.renderUnit(unit, this.cells[row][col], 'carousel');
+            if (!unitElement) return;
+
+            // Redrawn every step; skip the spawn animation
+            unitElement.classList.remove('spawning');
+            unitElement.dataset.carouselIndex = index;
+
+            if (entry.claimedBy) {
+                const picker = carousel.pickOrder.find(p => p.id === entry.claimedBy);
+                unitElement.classList.add('claimed');
+                unitElement.title = `Claimed by ${picker ? picker.name : entry.claimedBy}`;
+            }
+        });
+    }
+
+    /**
+     * Get the ring path: the border of the 4x4 block in the middle of the board, clockwise
+     * @returns {number[][]} [row, col] display cells
+     */
+    getCarouselRingCells() {
+        const top = this.config.boardRows / 2 - 2;
+        const left = this.config.boardCols / 2 - 2;
+        const bottom = top + 3;
+        const right = left + 3;
+
+        const cells = [];
+        for (let col = left; col <= right; col++) cells.push([top, col]);
+        for (let row = top + 1; row <= bottom; row++) cells.push([row, right]);
+        for (let col = right - 1; col >= left; col--) cells.push([bottom, col]);
+        for (let row = bottom - 1; row > top; row--) cells.push([row, left]);
+        return cells;
+    }
+
+    /**
+     * Draw special tiles on the board cells (replacing the previous round's)
+     * @param {Array<{type: string, x: number, y: number}>} tiles - Tiles in arena space
+     */
+    renderTerrain(tiles) {
+        this.cells.forEach(row => {
+            row.forEach(cell => {
+                if (!cell.dataset.tile) return;
+                cell.classList.remove('terrain', `tile-${cell.dataset.tile}`);
+                cell.querySelectorAll('.tile-marker').forEach(marker => marker.remove());
+                cell.removeAttribute('title');
+                delete cell.dataset.tile;
+            });
+        });
+
+        for (const tile of tiles || []) {
+            const type = TILE_TYPES[tile.type];
+            const cell = this.getArenaCell(tile);
+            if (!type || !cell) continue;
+
+            cell.classList.add('terrain', `tile-${type.id}`);
+            cell.dataset.tile = type.id;
+            cell.title = `${type.name}: ${type.description}`;
+
+            const marker = document.createElement('span');
+            marker.className = 'tile-marker';
+            marker.textContent = type.emoji;
+            cell.appendChild(marker);
+        }
+    }
+
     /**
      * Clear all unit elements from the board
      */
@@ -281,6 +461,10 @@ class Renderer {
         });
 
         this.unitElements.clear();
+        this.syncProjectiles([]);
+        if (this.boardGrid) {
+            this.boardGrid.classList.remove('overtime');
+        }
     }
 
     // ========================================================================
@@ -296,7 +480,7 @@ class Renderer {
      */
     renderUnit(unit, cell, side = 'ally', isBench = false) {
         // Get unit template data
-        const templateData = UNITS[unit.unitId || unit.templateId];
+        const templateData = getUnitTemplate(unit.unitId || unit.templateId);
         if (!templateData) {
             console.warn('[Renderer] Unknown unit template:', unit.unitId || unit.templateId);
             return null;
@@ -307,6 +491,9 @@ class Renderer {
         unitElement.className = 'unit';
         unitElement.classList.add(side);
         unitElement.dataset.unitId = unit.id;
+        if (unit.isSummon) {
+            unitElement.classList.add('summon');
+        }
 
         // Add rarity class based on cost
         const rarityClass = this.getCostRarityClass(templateData.cost);
@@ -326,6 +513,14 @@ class Renderer {
         emojiElement.textContent = templateData.emoji;
         unitElement.appendChild(emojiElement);
 
+        // Equipped items
+        if (unit.items && unit.items.length > 0) {
+            const itemsElement = document.createElement('div');
+            itemsElement.className = 'unit-items';
+            itemsElement.textContent = unit.items.map(itemId => ITEMS[itemId] ? ITEMS[itemId].emoji : '?').join('');
+            unitElement.appendChild(itemsElement);
+        }
+
         // Health bar (only during combat or if unit has current HP)
         if (unit.currentHp !== null && unit.currentHp !== undefined) {
             const healthBar = this.createHealthBar(unit);
@@ -338,8 +533,8 @@ class Renderer {
             unitElement.appendChild(manaBar);
         }
 
-        // Make unit draggable during prep phase
-        if (side === 'ally' && window.gameState && window.gameState.isPrep()) {
+        // Make unit draggable during prep phase (not while a replay is showing)
+        if (side === 'ally' && !this.isReplaying && window.gameState && window.gameState.isPrep()) {
             unitElement.draggable = true;
             unitElement.addEventListener('dragstart', (e) => this.onUnitDragStart(e, unit));
             unitElement.addEventListener('dragend', (e) => this.onUnitDragEnd(e));
@@ -395,7 +590,7 @@ class Renderer {
         const fill = document.createElement('div');
         fill.className = 'unit-mana-fill';
 
-        const maxMana = unit.maxMana || GAME_CONFIG.MAX_MANA;
+        const maxMana = unit.maxMana;
         const currentMana = unit.currentMana || 0;
         const manaPercent = Math.max(0, Math.min(100, (currentMana / maxMana) * 100));
 
@@ -409,7 +604,7 @@ class Renderer {
      * Get max HP for a unit
      */
     getUnitMaxHp(unit) {
-        const template = UNITS[unit.unitId || unit.templateId];
+        const template = getUnitTemplate(unit.unitId || unit.templateId);
         if (!template) return 100;
 
         const starMultiplier = STAR_MULTIPLIERS[unit.starLevel] || STAR_MULTIPLIERS[1];
@@ -471,7 +666,7 @@ class Renderer {
         const manaBar = unitElement.querySelector('.unit-mana-fill');
         if (!manaBar) return;
 
-        const maxMana = unit.maxMana || GAME_CONFIG.MAX_MANA;
+        const maxMana = unit.maxMana;
         const currentMana = unit.currentMana || 0;
         const manaPercent = (currentMana / maxMana) * 100;
 
@@ -486,7 +681,7 @@ class Renderer {
      * Show floating damage number above a unit
      * @param {Object} unit - Unit that took damage
      * @param {number} amount - Damage amount
-     * @param {string} type - 'damage', 'heal', or 'crit'
+     * @param {string} type - 'damage', 'heal', 'shield', or 'crit'
      */
     showDamage(unit, amount, type = 'damage') {
         const unitElement = this.unitElements.get(unit.id);
@@ -495,8 +690,8 @@ class Renderer {
         const damageNumber = document.createElement('div');
         damageNumber.className = 'damage-number';
 
-        if (type === 'heal') {
-            damageNumber.classList.add('heal');
+        if (type === 'heal' || type === 'shield') {
+            damageNumber.classList.add(type);
             damageNumber.textContent = `+${amount}`;
         } else if (type === 'crit') {
             damageNumber.classList.add('crit');
@@ -531,11 +726,13 @@ class Renderer {
         const unitElement = this.unitElements.get(attacker.id);
         if (!unitElement) return;
 
-        // Determine attack direction
+        // Determine attack direction on screen (units are in arena space)
         let direction = 'right';
         if (target && attacker.x !== undefined && target.x !== undefined) {
-            const dx = target.x - attacker.x;
-            const dy = target.y - attacker.y;
+            const from = arenaToDisplay(attacker);
+            const to = arenaToDisplay(target);
+            const dx = (to.col + this.topology.getRowOffset(target.y)) - (from.col + this.topology.getRowOffset(attacker.y));
+            const dy = to.row - from.row;
 
             if (Math.abs(dx) > Math.abs(dy)) {
                 direction = dx > 0 ? 'right' : 'left';
@@ -648,13 +845,12 @@ class Renderer {
         if (!cells || cells.length === 0) return;
 
         cells.forEach(pos => {
-            // Adjust row for display (player area is bottom half)
-            const displayRow = pos.row + this.config.playerRows;
+            // Player board cells (side space) on screen
+            const cell = this.getSideCell('player', pos.row, pos.col);
 
-            if (this.cells[displayRow] && this.cells[displayRow][pos.col]) {
-                const cell = this.cells[displayRow][pos.col];
+            if (cell) {
                 cell.classList.add('valid-move');
-                this.highlightedCells.add(`${displayRow},${pos.col}`);
+                this.highlightedCells.add(`${cell.dataset.row},${cell.dataset.col}`);
             }
         });
     }
@@ -685,9 +881,11 @@ class Renderer {
         const maxTeam = state.level;
         const unitIsOnBoard = unit.position !== null;
 
-        // Check each cell in player area
+        // Check each cell in player area (blocking tiles can't take a unit)
         for (let row = 0; row < this.config.playerRows; row++) {
             for (let col = 0; col < this.config.boardCols; col++) {
+                if (state.isCellBlocked(row, col)) continue;
+
                 const occupied = state.playerBoard[row][col] !== null;
 
                 // Cell is valid if empty, or if swapping and within team limit
@@ -786,15 +984,22 @@ class Renderer {
         const unitId = e.dataTransfer.getData('text/plain');
         if (!unitId) return;
 
-        // Convert display row to board row (subtract playerRows for player area)
-        const isPlayerArea = row >= this.config.playerRows;
+        // Convert the display cell to a player board cell
+        const arenaCell = displayToArena(row, col);
+        const isPlayerArea = getArenaSide(arenaCell) === 'player';
+        const boardRow = arenaToSide('player', arenaCell).y;
+
+        if (this.isItemDrag(unitId)) {
+            const targetId = isPlayerArea ? window.gameState.playerBoard[boardRow][col] : null;
+            this.equipDraggedItem(unitId, targetId);
+            return;
+        }
+
         if (!isPlayerArea) {
             console.log('[Renderer] Cannot place units in enemy area');
             return;
         }
 
-        const boardRow = row - this.config.playerRows;
-
         // Emit placement event
         if (window.game && typeof window.game.onUnitPlacement === 'function') {
             window.game.onUnitPlacement(unitId, boardRow, col);
@@ -821,6 +1026,11 @@ class Renderer {
         const unitId = e.dataTransfer.getData('text/plain');
         if (!unitId) return;
 
+        if (this.isItemDrag(unitId)) {
+            this.equipDraggedItem(unitId, window.gameState.bench[index]);
+            return;
+        }
+
         // Emit bench placement event
         if (window.game && typeof window.game.onUnitBenchPlacement === 'function') {
             window.game.onUnitBenchPlacement(unitId, index);
@@ -837,6 +1047,42 @@ class Renderer {
         this.clearHighlights();
     }
 
+    /**
+     * Handle drop on an item bench slot (combine the two items)
+     */
+    onItemDrop(e, targetIndex) {
+        e.preventDefault();
+        e.target.classList.remove('drag-over');
+
+        const data = e.dataTransfer.getData('text/plain');
+        if (!this.isItemDrag(data)) return;
+
+        const itemIndex = parseInt(data.slice('item:'.length), 10);
+        if (itemIndex !== targetIndex && window.game) {
+            window.game.onItemCombine(itemIndex, targetIndex);
+        }
+    }
+
+    /**
+     * Check whether drag data carries an item bench index rather than a unit id
+     * @param {string} data - Drag data
+     * @returns {boolean} True for item drags
+     */
+    isItemDrag(data) {
+        return data.startsWith('item:');
+    }
+
+    /**
+     * Equip a dragged item on the unit it was dropped on
+     * @param {string} data - Drag data ('item:<index>')
+     * @param {string|null} unitId - Unit in the drop target, if any
+     */
+    equipDraggedItem(data, unitId) {
+        if (!unitId || !window.game) return;
+
+        window.game.onItemEquip(parseInt(data.slice('item:'.length), 10), unitId);
+    }
+
     /**
      * Handle cell click
      */
@@ -844,6 +1090,13 @@ class Renderer {
         const cell = this.cells[row][col];
         const unitElement = cell.querySelector('.unit');
 
+        if (unitElement && unitElement.dataset.carouselIndex !== undefined) {
+            if (window.game) {
+                window.game.claimCarouselUnit(parseInt(unitElement.dataset.carouselIndex, 10));
+            }
+            return;
+        }
+
         if (unitElement) {
             const unitId = unitElement.dataset.unitId;
             this.onUnitClick(unitId, row, col);
@@ -951,10 +1204,15 @@ class Renderer {
             ${template.ability ? `
                 <div class="tooltip-ability">
                     <strong>${template.ability.name}</strong>
-                    ${template.ability.damage ? ` - ${template.ability.damage} dmg` : ''}
+                    ${template.ability.effects ? ` - ${describeAbility(template.ability)}` : ''}
                     ${template.ability.manaCost ? ` (${template.ability.manaCost} mana)` : ''}
                 </div>
             ` : ''}
+            ${unit.items && unit.items.length > 0 ? `
+                <div class="tooltip-items">
+                    ${unit.items.map(itemId => `<div>${ITEMS[itemId].emoji} ${this.describeItem(ITEMS[itemId])}</div>`).join('')}
+                </div>
+            ` : ''}
         `;
 
         // Position tooltip near the cell
@@ -991,15 +1249,53 @@ class Renderer {
     updateCombat(combatState) {
         if (!combatState) return;
 
-        // Update all unit positions and health
-        const allUnits = [...(combatState.playerUnits || []), ...(combatState.enemyUnits || [])];
+        // Update all unit positions and health, removing units that died
+        this.syncCombatUnits(combatState);
+        this.syncProjectiles(combatState.projectiles);
+        this.boardGrid.classList.toggle('overtime', !!combatState.overtime);
+    }
 
-        allUnits.forEach(unit => {
-            if (unit.isAlive !== false) {
-                this.updateHealthBar(unit);
-                this.updateManaBar(unit);
-            }
-        });
+    /**
+     * Animate a live combat event (subscribed to the fight's event stream by the game)
+     * Event units are references ({ id, side, x, y }), which is all the animations need
+     * @param {Object} event - Combat event (see combat-events.js)
+     */
+    showCombatEvent(event) {
+        const data = event.data;
+
+        switch (event.type) {
+            case 'attack':
+                this.animateAttack(data.attacker, data.defender);
+                this.animateTakeDamage(data.defender);
+                this.showDamage(data.defender, data.totalDamage, data.isCrit ? 'crit' : 'damage');
+                break;
+            case 'ability_cast':
+                this.animateCast(data.caster);
+                break;
+            case 'ability_damage':
+            case 'ability_hit':
+            case 'ability_chain':
+            case 'item_thorns':
+                this.showDamage(data.target, data.damage);
+                break;
+            case 'status_damage':
+            case 'overtime_damage':
+            case 'terrain_damage':
+                this.showDamage(data.unit, data.damage);
+                break;
+            case 'ability_heal':
+                // Heals on allies already at full HP restore nothing
+                if (data.amount > 0) {
+                    this.showDamage(data.target, data.amount, 'heal');
+                }
+                break;
+            case 'ability_shield':
+                this.showDamage(data.target, data.amount, 'shield');
+                break;
+            case 'item_lifesteal':
+                this.showDamage(data.unit, data.amount, 'heal');
+                break;
+        }
     }
 
     /**
@@ -1016,10 +1312,9 @@ class Renderer {
         if (combatState.playerUnits) {
             combatState.playerUnits.forEach(unit => {
                 if (unit.isAlive !== false && unit.x !== null && unit.y !== null) {
-                    // Map combat position to display position
-                    const displayRow = unit.y + this.config.playerRows;
-                    if (this.cells[displayRow] && this.cells[displayRow][unit.x]) {
-                        this.renderUnit(unit, this.cells[displayRow][unit.x], 'ally');
+                    const cell = this.getArenaCell(unit);
+                    if (cell) {
+                        this.renderUnit(unit, cell, 'ally');
                     }
                 }
             });
@@ -1029,16 +1324,87 @@ class Renderer {
         if (combatState.enemyUnits) {
             combatState.enemyUnits.forEach(unit => {
                 if (unit.isAlive !== false && unit.x !== null && unit.y !== null) {
-                    // Enemy units are in top half, mirrored
-                    const displayRow = this.config.playerRows - 1 - unit.y;
-                    if (this.cells[displayRow] && this.cells[displayRow][unit.x]) {
-                        this.renderUnit(unit, this.cells[displayRow][unit.x], 'enemy');
+                    const cell = this.getArenaCell(unit);
+                    if (cell) {
+                        this.renderUnit(unit, cell, 'enemy');
                     }
                 }
             });
         }
     }
 
+    /**
+     * Sync the board with a combat snapshot, reusing existing unit elements
+     * Units are moved between cells and their bars updated; units that died are removed
+     * @param {Object} combatState - Combat state with playerUnits and enemyUnits
+     */
+    syncCombatUnits(combatState) {
+        if (!combatState) return;
+
+        const visibleIds = new Set();
+        const sides = [
+            ['ally', combatState.playerUnits || []],
+            ['enemy', combatState.enemyUnits || []]
+        ];
+
+        for (const [side, units] of sides) {
+            for (const unit of units) {
+                if (unit.isAlive === false || unit.x === null || unit.y === null) continue;
+
+                const cell = this.getArenaCell(unit);
+                if (!cell) continue;
+
+                visibleIds.add(unit.id);
+
+                const unitElement = this.unitElements.get(unit.id);
+                if (!unitElement) {
+                    this.renderUnit(unit, cell, side);
+                    continue;
+                }
+
+                if (unitElement.parentElement !== cell) {
+                    cell.appendChild(unitElement);
+                }
+                this.updateHealthBar(unit);
+                this.updateManaBar(unit);
+            }
+        }
+
+        // Remove units that are no longer on the board
+        this.cells.forEach(row => {
+            row.forEach(cell => {
+                cell.querySelectorAll('.unit').forEach(unitElement => {
+                    if (!visibleIds.has(unitElement.dataset.unitId)) {
+                        this.unitElements.delete(unitElement.dataset.unitId);
+                        unitElement.remove();
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Get the cell showing an arena cell (combat units, replays)
+     * The board is drawn from the player's side (see coordinates.js)
+     * @param {{x: number, y: number}} position - Cell in arena space
+     * @returns {HTMLElement|null} Cell element
+     */
+    getArenaCell(position) {
+        const { row, col } = arenaToDisplay(position);
+        return this.getCell(row, col);
+    }
+
+    /**
+     * Get the cell showing a cell of a side's own board
+     * @param {string} side - 'player' or 'enemy'
+     * @param {number} row - Side-space row (0 = front line)
+     * @param {number} col - Column
+     * @returns {HTMLElement|null} Cell element
+     */
+    getSideCell(side, row, col) {
+        return this.getArenaCell(sideToArena(side, { x: col, y: row }));
+    }
+
     // ========================================================================
     // STATE UPDATE HANDLING
     // ========================================================================
@@ -1061,8 +1427,7 @@ class Renderer {
 
         // Find the unit's current location and re-render
         if (unit.position) {
-            const displayRow = unit.position.y + this.config.playerRows;
-            const cell = this.cells[displayRow][unit.position.x];
+            const cell = this.getSideCell('player', unit.position.y, unit.position.x);
 
             // Remove old element
             const oldElement = this.unitElements.get(unitId);
@@ -1159,36 +1524,63 @@ class Renderer {
         return messageElement;
     }
 
+    // ========================================================================
+    // PROJECTILE RENDERING
+    // ========================================================================
+
     /**
-     * Create projectile animation between two units
+     * Sync projectile elements with the projectiles in flight (from combat state or a replay frame)
+     * Positions are arena coordinates (fractional in flight), mapped to the board like units
+     * @param {Object[]} projectiles - Projectile data ({ id, x, y, side, emoji })
      */
-    createProjectile(from, to, emoji = '💫') {
-        const fromElement = this.unitElements.get(from.id);
-        const toElement = this.unitElements.get(to.id);
-
-        if (!fromElement || !toElement) return;
-
-        const fromRect = fromElement.getBoundingClientRect();
-        const toRect = toElement.getBoundingClientRect();
-
-        const projectile = document.createElement('div');
-        projectile.className = 'projectile';
-        projectile.textContent = emoji;
-        projectile.style.left = `${fromRect.left + fromRect.width / 2}px`;
-        projectile.style.top = `${fromRect.top + fromRect.height / 2}px`;
+    syncProjectiles(projectiles) {
+        const visibleIds = new Set();
+
+        for (const projectile of projectiles || []) {
+            visibleIds.add(projectile.id);
+
+            let element = this.projectileElements.get(projectile.id);
+            if (!element) {
+                element = document.createElement('div');
+                element.className = 'projectile';
+                element.textContent = projectile.emoji;
+                this.boardGrid.appendChild(element);
+                this.projectileElements.set(projectile.id, element);
+            }
 
-        document.body.appendChild(projectile);
+            const point = this.getBoardPoint(projectile);
+            element.style.left = `${point.left}px`;
+            element.style.top = `${point.top}px`;
+        }
 
-        // Animate to target
-        requestAnimationFrame(() => {
-            projectile.style.transition = 'all 0.3s ease-out';
-            projectile.style.left = `${toRect.left + toRect.width / 2}px`;
-            projectile.style.top = `${toRect.top + toRect.height / 2}px`;
-        });
+        // Remove projectiles that landed or fizzled
+        for (const [id, element] of this.projectileElements) {
+            if (!visibleIds.has(id)) {
+                element.remove();
+                this.projectileElements.delete(id);
+            }
+        }
+    }
 
-        setTimeout(() => {
-            projectile.remove();
-        }, 300);
+    /**
+     * Get the pixel position of a point on the board, relative to the board grid
+     * @param {{x: number, y: number}} position - Position in arena space (may be fractional)
+     * @returns {{left: number, top: number}} Center of the point in pixels
+     */
+    getBoardPoint(position) {
+        const { row, col } = arenaToDisplay(position);
+        const origin = this.cells[0][0];
+        const stepX = this.cells[0][1].offsetLeft - origin.offsetLeft;
+        const stepY = this.cells[1][0].offsetTop - origin.offsetTop;
+
+        // Hex rows are drawn shifted; measure from where an unshifted first cell would be
+        const originOffset = this.topology.getRowOffset(displayToArena(0, 0).y);
+        const offset = this.topology.getRowOffset(position.y) - originOffset;
+
+        return {
+            left: origin.offsetLeft + origin.offsetWidth / 2 + (col + offset) * stepX,
+            top: origin.offsetTop + origin.offsetHeight / 2 + row * stepY
+        };
     }
 }
 
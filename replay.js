@@ -0,0 +1,335 @@
+/**
+ * Auto Chess Combat Replay
+ * Records a fight (initial boards, seed, per-tick events and unit snapshots) for playback
+ */
+
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./coordinates.js'), require('./board-topology.js'), require('./migrations.js')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
+
+    const { mirrorToSide, DEFAULT_BOARD_LAYOUT, checkRecordingVersion } = deps;
+
+    // ============================================================================
+    // CONSTANTS
+    // ============================================================================
+
+    // 2: events reference units by id (combat-events.js) instead of by name
+    const REPLAY_VERSION = 2;
+
+    // Snapshot tuple layout: [x, y, hp, mana]
+    const SNAPSHOT_X = 0;
+    const SNAPSHOT_Y = 1;
+    const SNAPSHOT_HP = 2;
+    const SNAPSHOT_MANA = 3;
+
+    /**
+     * Describe a unit for the replay's unit list
+     * @param {Unit} unit - Combat unit
+     * @param {string} side - 'player' or 'enemy'
+     * @returns {object} Static unit info
+     */
+    function describeUnit(unit, side) {
+        return {
+            id: unit.id,
+            templateId: unit.templateId,
+            name: unit.name,
+            starLevel: unit.starLevel,
+            side,
+            maxHp: unit.effectiveMaxHp,
+            maxMana: unit.maxMana,
+            x: unit.x,
+            y: unit.y
+        };
+    }
+
+    // ============================================================================
+    // COMBAT REPLAY CLASS
+    // ============================================================================
+
+    /**
+     * A recorded fight. Frames are indexed by tick; frame 0 is the board after
+     * trait bonuses were applied, before the first unit acted.
+     */
+    class CombatReplay {
+        constructor() {
+            this.version = REPLAY_VERSION;
+            this.seed = null; // Combat RNG state the fight started from
+            this.round = null; // Set by the game when the replay is stored
+            this.boardLayout = DEFAULT_BOARD_LAYOUT; // Layout the fight was on (see board-topology.js)
+            this.terrain = []; // Special tiles of the fight: [{ type, x, y }] in arena space
+
+            // Units in recording order (player side first, then summons), with their starting cells
+            this.units = [];
+
+            // frames[tick] = { units: [[x, y, hp, mana], ...], events: [...], projectiles?: [...] }
+            this.frames = [];
+
+            // Summary filled in by finish()
+            this.result = null;
+        }
+
+        // ========================================================================
+        // RECORDING
+        // ========================================================================
+
+        /**
+         * Start recording a fight
+         * @param {Unit[]} playerUnits - Player combat units (already initialized)
+         * @param {Unit[]} enemyUnits - Enemy combat units (already initialized)
+         * @param {number} seed - Combat RNG state at the start of the fight
+         * @param {string} boardLayout - Value of BOARD_LAYOUTS (default layout if omitted)
+         * @param {Array<{type: string, x: number, y: number}>} terrain - Tiles the fight is on
+         */
+        begin(playerUnits, enemyUnits, seed, boardLayout = DEFAULT_BOARD_LAYOUT, terrain = []) {
+            this.seed = seed;
+            this.boardLayout = boardLayout;
+            this.terrain = terrain.map(tile => ({ ...tile }));
+            this.frames = [];
+            this.result = null;
+
+            this.units = [
+                ...playerUnits.map(unit => describeUnit(unit, 'player')),
+                ...enemyUnits.map(unit => describeUnit(unit, 'enemy'))
+            ];
+        }
+
+        /**
+         * Add a unit that joined mid-fight (a summon); it is shown from its spawn tick on
+         * Later frames must list units in begin() order followed by added units
+         * @param {Unit} unit - Combat unit
+         * @param {string} side - 'player' or 'enemy'
+         * @param {number} tick - Tick it appeared
+         */
+        addUnit(unit, side, tick) {
+            this.units.push({ ...describeUnit(unit, side), spawnTick: tick });
+        }
+
+        /**
+         * Record the board at the end of a tick
+         * Recording the same tick twice replaces the snapshot and projectiles and appends the events
+         * @param {number} tick - Tick number
+         * @param {Unit[]} units - All combat units, in the same order as begin()
+         * @param {Array} events - Combat events produced during this tick
+         * @param {Array} projectiles - Projectiles in flight (Projectile.toJSON() data)
+         */
+        recordFrame(tick, units, events = [], projectiles = []) {
+            const snapshot = units.map(unit => [unit.x, unit.y, Math.max(0, unit.currentHp), unit.currentMana]);
+            const entries = events.map(({ seq, tick: eventTick, type, data }) => ({ seq, tick: eventTick, type, data }));
+
+            const frame = this.frames[tick] || { units: null, events: [] };
+            frame.units = snapshot;
+            frame.events.push(...entries);
+
+            // Only frames with something in flight carry a projectile list
+            if (projectiles.length > 0) {
+                frame.projectiles = projectiles;
+            } else {
+                delete frame.projectiles;
+            }
+
+            this.frames[tick] = frame;
+        }
+
+        /**
+         * Finish recording
+         * @param {CombatResult} result - Final combat result
+         * @returns {CombatReplay} This replay
+         */
+        finish(result) {
+            this.result = {
+                winner: result.winner,
+                damageToPlayer: result.damageToPlayer,
+                damageToEnemy: result.damageToEnemy,
+                overtime: result.overtime,
+                totalTicks: result.totalTicks,
+                stats: result.stats ? result.stats.toJSON() : null // Per-unit CombatStats entries
+            };
+            return this;
+        }
+
+        // ========================================================================
+        // PLAYBACK
+        // ========================================================================
+
+        /**
+         * Get the last recorded tick
+         * @returns {number} Last tick (0 if nothing was recorded)
+         */
+        get lastTick() {
+            return Math.max(0, this.frames.length - 1);
+        }
+
+        /**
+         * Get the frame for a tick (clamped to the recorded range)
+         * Ticks with no frame fall back to the closest earlier one
+         * @param {number} tick - Tick number
+         * @returns {object|null} Frame or null if nothing was recorded
+         */
+        getFrame(tick) {
+            let index = Math.max(0, Math.min(Math.floor(tick), this.lastTick));
+            while (index > 0 && !this.frames[index]) {
+                index--;
+            }
+            return this.frames[index] || null;
+        }
+
+        /**
+         * Get the events logged during a tick
+         * @param {number} tick - Tick number
+         * @returns {Array} Combat events ({ seq, tick, type, data })
+         */
+        getEventsAt(tick) {
+            const frame = this.frames[tick];
+            return frame ? frame.events : [];
+        }
+
+        /**
+         * Rebuild unit display data for a tick
+         * Units have the fields the renderer reads (id, templateId, starLevel, x, y, HP and mana)
+         * @param {number} tick - Tick number
+         * @returns {{playerUnits: object[], enemyUnits: object[]}} Units per side
+         */
+        getUnitsAt(tick) {
+            const frame = this.getFrame(tick);
+            const playerUnits = [];
+            const enemyUnits = [];
+
+            this.units.forEach((info, index) => {
+                // Summons aren't on the board before they appear
+                if (info.spawnTick !== undefined && tick < info.spawnTick) return;
+
+                const snapshot = frame ? frame.units[index] : null;
+                const hp = snapshot ? snapshot[SNAPSHOT_HP] : info.maxHp;
+
+                const unit = {
+                    id: info.id,
+                    templateId: info.templateId,
+                    name: info.name,
+                    starLevel: info.starLevel,
+                    x: snapshot ? snapshot[SNAPSHOT_X] : info.x,
+                    y: snapshot ? snapshot[SNAPSHOT_Y] : info.y,
+                    currentHp: hp,
+                    maxHp: info.maxHp,
+                    currentMana: snapshot ? snapshot[SNAPSHOT_MANA] : 0,
+                    maxMana: info.maxMana,
+                    isAlive: hp > 0,
+                    isSummon: info.spawnTick !== undefined
+                };
+
+                if (info.side === 'player') {
+                    playerUnits.push(unit);
+                } else {
+                    enemyUnits.push(unit);
+                }
+            });
+
+            return { playerUnits, enemyUnits };
+        }
+
+        /**
+         * Get the projectiles in flight at the end of a tick
+         * @param {number} tick - Tick number
+         * @returns {Array<{id: number, x: number, y: number, side: string, emoji: string}>} Projectiles
+         */
+        getProjectilesAt(tick) {
+            const frame = this.getFrame(tick);
+            return frame && frame.projectiles ? frame.projectiles : [];
+        }
+
+        /**
+         * Get the static info of a unit referenced by a combat event
+         * @param {string} id - Unit id (from a unitRef)
+         * @returns {object|null} Entry from the unit list
+         */
+        getUnitInfo(id) {
+            return this.units.find(info => info.id === id) || null;
+        }
+
+        /**
+         * Get one side's starting board (summons excluded), optionally moved into the other half
+         * @param {string} side - 'player' or 'enemy'
+         * @param {string} asSide - Half to put the board in (default: where it fought)
+         * @returns {Array<{templateId: string, starLevel: number, x: number, y: number}>} Initial units in arena space
+         */
+        getInitialBoard(side, asSide = side) {
+            return this.units
+                .filter(info => info.side === side && info.spawnTick === undefined)
+                .map(({ templateId, starLevel, x, y }) => ({ templateId, starLevel, ...mirrorToSide({ x, y }, side, asSide) }));
+        }
+
+        // ========================================================================
+        // SERIALIZATION
+        // ========================================================================
+
+        /**
+         * Serialize the replay to a plain object
+         * @returns {object} Serialized replay
+         */
+        toJSON() {
+            return {
+                version: this.version,
+                seed: this.seed,
+                round: this.round,
+                boardLayout: this.boardLayout,
+                terrain: this.terrain,
+                units: this.units,
+                frames: this.frames,
+                result: this.result
+            };
+        }
+
+        /**
+         * Load a replay from serialized data
+         * Replays from other versions are refused (see checkRecordingVersion)
+         * @param {object} data - Data from toJSON()
+         * @returns {CombatReplay|null} Replay or null if the data can't be loaded (the reason is logged)
+         */
+        static fromJSON(data) {
+            const error = checkRecordingVersion(data, REPLAY_VERSION, 'Combat replay');
+            if (error) {
+                console.error(`[Replay] Cannot load replay: ${error}`);
+                return null;
+            }
+
+            const replay = new CombatReplay();
+            replay.seed = data.seed;
+            replay.round = data.round;
+            replay.boardLayout = data.boardLayout || DEFAULT_BOARD_LAYOUT;
+            replay.terrain = data.terrain || [];
+            replay.units = data.units || [];
+            replay.frames = data.frames || [];
+            replay.result = data.result || null;
+            return replay;
+        }
+    }
+
+    // ============================================================================
+    // FACTORY FUNCTION
+    // ============================================================================
+
+    /**
+     * Create an empty combat replay
+     * @returns {CombatReplay} New replay
+     */
+    function createCombatReplay() {
+        return new CombatReplay();
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    console.log('[Replay] Combat replay module loaded');
+
+    return {
+        CombatReplay,
+        REPLAY_VERSION,
+        createCombatReplay
+    };
+}));
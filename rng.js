@@ -0,0 +1,177 @@
+/**
+ * Auto Chess Seeded Random Number Generator
+ * Deterministic PRNG shared by combat, shop and AI so a game seed reproduces a whole game
+ */
+
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    // ============================================================================
+    // SEED HELPERS
+    // ============================================================================
+
+    /**
+     * Convert a seed (number or string) to an unsigned 32-bit integer
+     * Strings are hashed with FNV-1a so "daily-2026-10-19" style seeds work
+     * @param {number|string} seed - Seed value
+     * @returns {number} Unsigned 32-bit seed
+     */
+    function hashSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+
+        // Numeric strings (e.g. ?seed=12345) mean the same as the number
+        if (typeof seed === 'string' && /^\d+$/.test(seed)) {
+            return Number(seed) >>> 0;
+        }
+
+        const text = String(seed);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Generate a fresh random seed (used when no seed is provided)
+     * @returns {number} Unsigned 32-bit seed
+     */
+    function randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    // ============================================================================
+    // RNG CLASS
+    // ============================================================================
+
+    /**
+     * Mulberry32 PRNG. The whole generator state is a single 32-bit integer,
+     * so a state snapshot is also a valid seed.
+     */
+    class RNG {
+        /**
+         * @param {number|string} seed - Seed value (random if omitted)
+         */
+        constructor(seed = randomSeed()) {
+            this.seed = hashSeed(seed);
+            this.state = this.seed;
+        }
+
+        /**
+         * Get the next float in [0, 1)
+         * @returns {number} Random float
+         */
+        next() {
+            this.state = (this.state + 0x6d2b79f5) >>> 0;
+            let t = this.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        /**
+         * Get a random integer in [min, max] (inclusive)
+         * @param {number} min - Minimum value
+         * @param {number} max - Maximum value
+         * @returns {number} Random integer
+         */
+        nextInt(min, max) {
+            return min + Math.floor(this.next() * (max - min + 1));
+        }
+
+        /**
+         * Roll a probability
+         * @param {number} probability - Chance of success (0-1)
+         * @returns {boolean} True if the roll succeeded
+         */
+        chance(probability) {
+            return this.next() < probability;
+        }
+
+        /**
+         * Pick a random element from an array
+         * @param {Array} array - Array to pick from
+         * @returns {*} Random element or null if empty
+         */
+        pick(array) {
+            if (!array || array.length === 0) return null;
+            return array[Math.floor(this.next() * array.length)];
+        }
+
+        /**
+         * Shuffle an array in place (Fisher-Yates)
+         * @param {Array} array - Array to shuffle
+         * @returns {Array} The same array
+         */
+        shuffle(array) {
+            for (let i = array.length - 1; i > 0; i--) {
+                const j = Math.floor(this.next() * (i + 1));
+                [array[i], array[j]] = [array[j], array[i]];
+            }
+            return array;
+        }
+
+        /**
+         * Create an independent child generator for a subsystem
+         * Derived from the original seed, so it does not depend on how much
+         * of this generator's stream has been consumed
+         * @param {string} label - Subsystem name (e.g. 'shop', 'ai', 'combat')
+         * @returns {RNG} New generator
+         */
+        fork(label) {
+            return new RNG(`${this.seed}:${label}`);
+        }
+
+        /**
+         * Get the current generator state (for save/replay)
+         * @returns {number} State snapshot
+         */
+        getState() {
+            return this.state;
+        }
+
+        /**
+         * Restore a state snapshot from getState()
+         * @param {number} state - State snapshot
+         */
+        setState(state) {
+            this.state = state >>> 0;
+        }
+    }
+
+    // ============================================================================
+    // FACTORY FUNCTION
+    // ============================================================================
+
+    /**
+     * Create a new seeded RNG
+     * @param {number|string} seed - Seed value (random if omitted)
+     * @returns {RNG} New RNG instance
+     */
+    function createRNG(seed) {
+        return new RNG(seed);
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    console.log('[RNG] Random number generator module loaded');
+
+    return {
+        RNG,
+        createRNG,
+        hashSeed,
+        randomSeed
+    };
+}));
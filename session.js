@@ -0,0 +1,815 @@
+/**
+ * Auto Chess Game Session
+ * Headless round flow (shop, AI board, actions, combat) shared by the browser game,
+ * bots and full-game replays, plus save files and save slots
+ */
+
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({},
+            require('./data.js'), require('./rng.js'), require('./state.js'), require('./unit.js'),
+            require('./shop.js'), require('./combat.js'), require('./ai.js'), require('./carousel.js'),
+            require('./actions.js'), require('./migrations.js'), require('./coordinates.js'), require('./board-topology.js'),
+            require('./terrain.js')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
+
+    const { GAME_CONFIG, getItemComponentIds, RNG, GameState, GAME_PHASES, createMemoryStorage, Unit, createUnit,
+        Shop, Combat, AI, Carousel, isCarouselRound, PlayerActions, applyAction, SESSION_SAVE_VERSION,
+        migrateSessionSave, checkRecordingVersion, sideToArena, DEFAULT_BOARD_LAYOUT, getBoardTopology, generateTerrain } = deps;
+
+    // ============================================================================
+    // CONSTANTS
+    // ============================================================================
+
+    // Version 2 added carousel rounds (version 1 games replay differently from round 3 on)
+    // Version 3 put the player's front row next to the enemy in combat (earlier games fight differently)
+    // Version 4 added terrain tiles (earlier games play differently from the first terrain round on)
+    // Version 5 added the Necromancer to the unit pool (earlier games roll different shops)
+    // Version 6 added the support units and trait (earlier games roll different shops and enemy boards)
+    // Version 7 ends status effects on their last tick instead of one tick late, takes the statuses
+    // back off Arcane Bolt, Fireball, Backstab, Piercing Shot and Harden and puts the Elemental Burst
+    // back at 20/45 damage (earlier games fight differently)
+    // Older recordings are refused with a message naming their version (see checkRecordingVersion)
+    const RECORDING_VERSION = 7;
+
+    // Overtime ends every fight (see OVERTIME_RULES); headless fights keep a cap far beyond it as a safety net
+    const SESSION_MAX_COMBAT_TICKS = 100000;
+
+    // Prep-phase actions that can be undone within a round
+    const UNDO_HISTORY_SIZE = 20;
+
+    // Storage keys: one entry per slot plus an index for listing them
+    const SAVE_KEY_PREFIX = 'autoChessSave:';
+    const SAVE_INDEX_KEY = 'autoChessSaveIndex';
+
+    // Slot written at every round start and offered as "Continue" on load
+    const AUTOSAVE_SLOT = 'Autosave';
+
+    // ============================================================================
+    // ENEMY BOARD SERIALIZATION
+    // ============================================================================
+
+    /**
+     * Describe an AI unit for a save file
+     * Keeps the boss HP and stat buffs the AI applied on top of the template
+     * @param {Unit} unit - Enemy unit
+     * @returns {object} Plain object for JSON
+     */
+    function serializeEnemyUnit(unit) {
+        return {
+            templateId: unit.templateId,
+            starLevel: unit.starLevel,
+            x: unit.x,
+            y: unit.y,
+            maxHp: unit.maxHp,
+            buffs: { ...unit.buffs },
+            ownerId: unit.ownerId
+        };
+    }
+
+    /**
+     * Rebuild an AI unit from serializeEnemyUnit() data
+     * @param {object} data - Serialized unit
+     * @returns {Unit} Enemy unit
+     */
+    function deserializeEnemyUnit(data) {
+        const unit = createUnit(data.templateId, data.starLevel);
+        unit.setPosition(data.x, data.y);
+        unit.maxHp = data.maxHp;
+        unit.currentHp = data.maxHp;
+        Object.assign(unit.buffs, data.buffs);
+        unit.ownerId = data.ownerId;
+        return unit;
+    }
+
+    // ============================================================================
+    // GAME RECORDING CLASS
+    // ============================================================================
+
+    /**
+     * Seed and board layout plus every applied player action, grouped by round
+     * Enough to rebuild a whole game with GameSession.replay()
+     */
+    class GameRecording {
+        /**
+         * @param {number} seed - Game seed
+         * @param {string} boardLayout - Value of BOARD_LAYOUTS (default layout if omitted)
+         */
+        constructor(seed = null, boardLayout = DEFAULT_BOARD_LAYOUT) {
+            this.version = RECORDING_VERSION;
+            this.seed = seed;
+            this.boardLayout = boardLayout;
+            this.rounds = []; // [{ round, actions: [...], winner }]
+        }
+
+        /**
+         * Start a new round entry
+         * @param {number} round - Round number
+         */
+        beginRound(round) {
+            this.rounds.push({ round, actions: [], winner: null });
+        }
+
+        /**
+         * Record an applied action in the current round
+         * @param {object} action - Action that was applied
+         */
+        record(action) {
+            const current = this.rounds[this.rounds.length - 1];
+            if (!current) return;
+            current.actions.push({ ...action });
+        }
+
+        /**
+         * Remove the last action of the current round (it was undone)
+         * @returns {object|null} Removed action
+         */
+        removeLast() {
+            const current = this.rounds[this.rounds.length - 1];
+            return current ? current.actions.pop() || null : null;
+        }
+
+        /**
+         * Record the combat outcome of the current round
+         * @param {string} winner - 'player', 'enemy' or 'draw'
+         */
+        recordResult(winner) {
+            const current = this.rounds[this.rounds.length - 1];
+            if (current) current.winner = winner;
+        }
+
+        /**
+         * Serialize the recording
+         * @returns {object} Plain object for JSON export
+         */
+        toJSON() {
+            return {
+                version: this.version,
+                seed: this.seed,
+                boardLayout: this.boardLayout,
+                rounds: this.rounds.map(entry => ({
+                    round: entry.round,
+                    actions: entry.actions.map(action => ({ ...action })),
+                    winner: entry.winner
+                }))
+            };
+        }
+
+        /**
+         * Load a recording from serialized data, reporting why it can't be used
+         * @param {object|string} data - Data from toJSON() (or its JSON text)
+         * @returns {object} { success, recording } or { success: false, error }
+         */
+        static load(data) {
+            let parsed;
+            try {
+                parsed = typeof data === 'string' ? JSON.parse(data) : data;
+            } catch (error) {
+                return { success: false, error: `Game recording is not valid JSON (${error.message})` };
+            }
+
+            const versionError = checkRecordingVersion(parsed, RECORDING_VERSION, 'Game recording');
+            if (versionError) {
+                return { success: false, error: versionError };
+            }
+            if (!Array.isArray(parsed.rounds)) {
+                return { success: false, error: 'Game recording has no rounds' };
+            }
+
+            // Recordings from before hex boards have no layout; they were all square
+            const recording = new GameRecording(parsed.seed, parsed.boardLayout || DEFAULT_BOARD_LAYOUT);
+            recording.rounds = parsed.rounds.map(entry => ({
+                round: entry.round,
+                actions: (entry.actions || []).map(action => ({ ...action })),
+                winner: entry.winner || null
+            }));
+            return { success: true, recording };
+        }
+
+        /**
+         * Load a recording from serialized data
+         * @param {object|string} data - Data from toJSON() (or its JSON text)
+         * @returns {GameRecording|null} Recording or null if it can't be loaded (the reason is logged)
+         */
+        static fromJSON(data) {
+            const result = GameRecording.load(data);
+            if (!result.success) {
+                console.error(`[Session] Cannot load game recording: ${result.error}`);
+                return null;
+            }
+            return result.recording;
+        }
+    }
+
+    // ============================================================================
+    // GAME SESSION CLASS
+    // ============================================================================
+
+    class GameSession {
+        /**
+         * Create a session around a game state
+         * @param {object} options - Session options
+         * @param {number|string} options.seed - Game seed (random if omitted)
+         * @param {string} options.boardLayout - Value of BOARD_LAYOUTS (default layout if omitted)
+         * @param {GameState} options.state - State to drive (a fresh in-memory state if omitted)
+         */
+        constructor(options = {}) {
+            this.state = options.state || new GameState({ storage: createMemoryStorage() });
+
+            // One root seed, forked per subsystem so e.g. shop rerolls don't change enemy boards
+            this.rng = options.seed === null || options.seed === undefined ? new RNG() : new RNG(options.seed);
+            this.seed = this.rng.seed;
+
+            // Square or hex board, fixed for the whole game
+            this.boardLayout = options.boardLayout || DEFAULT_BOARD_LAYOUT;
+            this.topology = getBoardTopology(this.boardLayout);
+            if (!this.topology) {
+                throw new Error(`[Session] Unknown board layout "${this.boardLayout}"`);
+            }
+
+            this.shop = new Shop(this.state, this.rng.fork('shop'));
+            this.combat = new Combat(this.rng.fork('combat'), this.topology);
+            this.ai = new AI(this.rng.fork('ai'), this.topology);
+            this.lootRng = this.rng.fork('loot');
+            this.carousel = new Carousel(this.state, this.rng.fork('carousel'));
+            this.terrainRng = this.rng.fork('terrain');
+
+            // Enemy board for the current round
+            this.currentEnemyUnits = [];
+
+            // Every applied action, for replay files
+            this.recording = new GameRecording(this.seed, this.boardLayout);
+
+            // Undo/redo stacks for the current prep phase: [{ action, snapshot }]
+            this.undoStack = [];
+            this.redoStack = [];
+        }
+
+        // ========================================================================
+        // ROUND FLOW
+        // ========================================================================
+
+        /**
+         * Start the current round: income, shop roll, enemy board, terrain and carousel
+         * On carousel rounds the game stays in the carousel phase until the
+         * player claims a unit (CLAIM_CAROUSEL), then moves on to prep
+         * @returns {object|null} Income breakdown (null in round 1)
+         */
+        startRound() {
+            let income = null;
+
+            // Collect income and XP at round start (except round 1)
+            if (this.state.round > 1) {
+                income = this.state.startRound();
+            }
+
+            // Generate shop for new round
+            this.shop.onRoundStart();
+
+            // Generate AI enemy board for this round
+            this.currentEnemyUnits = this.ai.generateBoard(this.state.round);
+
+            // Spawn the round's tiles around both boards
+            this.state.setTerrain(generateTerrain(this.state.round, this.terrainRng, this.getOccupiedCells()));
+
+            if (isCarouselRound(this.state.round)) {
+                this.carousel.start();
+            }
+
+            this.recording.beginRound(this.state.round);
+            this.clearHistory();
+
+            return income;
+        }
+
+        /**
+         * Apply a player action through the reducer and record it
+         * @param {object} action - Action from PlayerActions
+         * @returns {object} Result object with success status and data or error
+         */
+        dispatch(action) {
+            // Only prep-phase changes are undoable (the lock can also flip mid-fight)
+            const snapshot = this.state.phase === GAME_PHASES.PREP ? this.createSnapshot() : null;
+
+            const result = applyAction({ state: this.state, shop: this.shop, carousel: this.carousel }, action);
+
+            if (result.success) {
+                this.recording.record(action);
+
+                if (snapshot) {
+                    this.undoStack.push({ action, snapshot });
+                    if (this.undoStack.length > UNDO_HISTORY_SIZE) {
+                        this.undoStack.shift();
+                    }
+                    this.redoStack = [];
+                }
+            }
+
+            return result;
+        }
+
+        // ========================================================================
+        // UNDO / REDO
+        // ========================================================================
+
+        /**
+         * Check if an action can be undone (prep phase only)
+         * @returns {boolean} True if undo is available
+         */
+        canUndo() {
+            return this.state.phase === GAME_PHASES.PREP && this.undoStack.length > 0;
+        }
+
+        /**
+         * Check if an undone action can be redone (prep phase only)
+         * @returns {boolean} True if redo is available
+         */
+        canRedo() {
+            return this.state.phase === GAME_PHASES.PREP && this.redoStack.length > 0;
+        }
+
+        /**
+         * Undo the last prep-phase action
+         * Restores gold, board, bench, unit pool, upgrades and the shop roll
+         * @returns {object} Result object with success status and the undone action or error
+         */
+        undo() {
+            if (!this.canUndo()) {
+                return { success: false, error: this.state.phase === GAME_PHASES.PREP ? 'Nothing to undo' : 'Undo is only allowed during prep phase' };
+            }
+
+            const entry = this.undoStack.pop();
+            this.redoStack.push({ action: entry.action, snapshot: this.createSnapshot() });
+
+            this.restoreSnapshot(entry.snapshot);
+            this.recording.removeLast();
+
+            return { success: true, action: entry.action };
+        }
+
+        /**
+         * Redo the last undone action
+         * @returns {object} Result object with success status and the redone action or error
+         */
+        redo() {
+            if (!this.canRedo()) {
+                return { success: false, error: this.state.phase === GAME_PHASES.PREP ? 'Nothing to redo' : 'Redo is only allowed during prep phase' };
+            }
+
+            const entry = this.redoStack.pop();
+            this.undoStack.push({ action: entry.action, snapshot: this.createSnapshot() });
+
+            this.restoreSnapshot(entry.snapshot);
+            this.recording.record(entry.action);
+
+            return { success: true, action: entry.action };
+        }
+
+        /**
+         * Forget the undo/redo history (at round start and when combat begins)
+         */
+        clearHistory() {
+            this.undoStack = [];
+            this.redoStack = [];
+        }
+
+        /**
+         * Capture everything a prep-phase action can change
+         * The shop RNG is included so undoing a reroll and rerolling again gives
+         * the same shop as the recording will on replay
+         * @returns {object} Snapshot for restoreSnapshot()
+         */
+        createSnapshot() {
+            return {
+                state: this.state.toJSON(),
+                shop: this.shop.toJSON(),
+                shopRng: this.shop.rng.getState()
+            };
+        }
+
+        /**
+         * Restore a snapshot from createSnapshot()
+         * @param {object} snapshot - Snapshot to restore
+         */
+        restoreSnapshot(snapshot) {
+            this.state.fromJSON(snapshot.state);
+            this.shop.fromJSON(snapshot.shop);
+            this.shop.rng.setState(snapshot.shopRng);
+        }
+
+        // ========================================================================
+        // COMBAT
+        // ========================================================================
+
+        /**
+         * Enter the combat phase and build both teams
+         * If a side has no units the outcome is decided here and returned as result
+         * @returns {{playerUnits: Unit[], enemyUnits: Unit[], result: object|null}} Teams, or a decided result
+         */
+        prepareCombat() {
+            // Callers that skip the carousel (bots, the prep timer) get the default pick
+            if (this.carousel.active) {
+                this.dispatch(PlayerActions.claimCarouselUnit(this.carousel.getAutoPickIndex()));
+            }
+
+            this.state.startCombat();
+            this.clearHistory();
+
+            const playerUnits = this.getPlayerCombatUnits();
+            const enemyUnits = this.currentEnemyUnits;
+            let result = null;
+
+            this.combat.setTerrain(this.state.terrain);
+
+            if (playerUnits.length === 0) {
+                console.log('[Session] No player units on board, auto-lose');
+                result = {
+                    winner: 'enemy',
+                    damageToPlayer: this.calculateDamage(enemyUnits),
+                    survivingEnemyUnits: enemyUnits
+                };
+            } else if (enemyUnits.length === 0) {
+                console.log('[Session] No enemy units, auto-win');
+                result = {
+                    winner: 'player',
+                    damageToEnemy: this.calculateDamage(playerUnits),
+                    survivingPlayerUnits: playerUnits
+                };
+            }
+
+            return { playerUnits, enemyUnits, result };
+        }
+
+        /**
+         * Apply a combat result to the game state (ends the round)
+         * Draws cost no HP (see GameState.endCombat)
+         * @param {CombatResult} result - Combat result
+         * @returns {{won: boolean, draw: boolean, damage: number, itemId: string|null}} Outcome applied to the player
+         */
+        finishCombat(result) {
+            const won = result.winner === 'player';
+            const draw = result.winner === 'draw';
+            const damage = result.winner === 'enemy' ? result.damageToPlayer || 0 : 0;
+            const itemId = this.rollItemDrop(won);
+
+            this.recording.recordResult(result.winner);
+            this.state.endCombat(result.winner, damage);
+
+            return { won, draw, damage, itemId };
+        }
+
+        /**
+         * Roll the item component dropped after a fight
+         * Boss rounds always drop one; won fights drop one with ITEM_DROP_CHANCE
+         * @param {boolean} won - Whether the player won
+         * @returns {string|null} Item id added to the item bench, or null
+         */
+        rollItemDrop(won) {
+            const isBossRound = this.ai.isBossRound(this.state.round);
+            if (!isBossRound && !(won && this.lootRng.chance(GAME_CONFIG.ITEM_DROP_CHANCE))) {
+                return null;
+            }
+
+            const itemId = this.lootRng.pick(getItemComponentIds());
+            this.state.addItem(itemId);
+            return itemId;
+        }
+
+        /**
+         * Run the current round's fight synchronously and apply the result
+         * @returns {CombatResult|object} Combat result
+         */
+        runCombat() {
+            const { playerUnits, enemyUnits, result: decided } = this.prepareCombat();
+
+            const result = decided || this.combat.runSync(playerUnits, enemyUnits, SESSION_MAX_COMBAT_TICKS);
+            this.finishCombat(result);
+
+            return result;
+        }
+
+        /**
+         * Get player units configured for combat
+         * @returns {Unit[]} Array of Unit instances ready for combat (in arena space)
+         */
+        getPlayerCombatUnits() {
+            return this.state.getUnitsOnBoard().map(unitInstance => {
+                const unit = new Unit(unitInstance.unitId, unitInstance.starLevel);
+                unit.id = unitInstance.id; // Combat events refer to the player's board units
+                const cell = sideToArena('player', unitInstance.position);
+                unit.setPosition(cell.x, cell.y);
+                unit.items = [...unitInstance.items];
+                unit.ownerId = 'player';
+                return unit;
+            });
+        }
+
+        /**
+         * Get the arena cells units stand on at round start (both boards)
+         * @returns {Set<string>} "x,y" cells
+         */
+        getOccupiedCells() {
+            const cells = this.state.getUnitsOnBoard().map(unit => sideToArena('player', unit.position));
+            return new Set([...cells, ...this.currentEnemyUnits].map(cell => `${cell.x},${cell.y}`));
+        }
+
+        /**
+         * Calculate damage for a fight decided without combat
+         * @param {Unit[]} survivingUnits - Array of surviving units
+         * @returns {number} Damage to deal
+         */
+        calculateDamage(survivingUnits) {
+            let damage = 2; // Base damage
+
+            for (const unit of survivingUnits) {
+                damage += unit.starLevel || 1;
+            }
+
+            return damage;
+        }
+
+        // ========================================================================
+        // SAVE FILES
+        // ========================================================================
+
+        /**
+         * Serialize the whole session (prep phase) so it can resume identically
+         * Covers the board layout, game state, shop offers, enemy board, every RNG stream and the recording
+         * @returns {object} Save data
+         */
+        toJSON() {
+            return {
+                version: SESSION_SAVE_VERSION,
+                timestamp: Date.now(),
+                seed: this.seed,
+                boardLayout: this.boardLayout,
+                state: this.state.toJSON(),
+                shop: this.shop.toJSON(),
+                rng: {
+                    shop: this.shop.rng.getState(),
+                    combat: this.combat.rng.getState(),
+                    ai: this.ai.rng.getState(),
+                    loot: this.lootRng.getState(),
+                    carousel: this.carousel.rng.getState(),
+                    terrain: this.terrainRng.getState()
+                },
+                enemyUnits: this.currentEnemyUnits.map(serializeEnemyUnit),
+                recording: this.recording.toJSON()
+            };
+        }
+
+        /**
+         * Restore a session from toJSON() data (older save versions are migrated first)
+         * @param {object} saved - Save data
+         * @param {object} options - Session options
+         * @param {GameState} options.state - State to load into (a fresh in-memory state if omitted)
+         * @returns {GameSession|null} Restored session or null if the data is invalid
+         */
+        static fromJSON(saved, options = {}) {
+            const migration = migrateSessionSave(saved);
+            if (!migration.success) {
+                console.error(`[Session] Cannot load save: ${migration.error}`);
+                return null;
+            }
+
+            const data = migration.data;
+            if (!getBoardTopology(data.boardLayout)) {
+                console.error(`[Session] Cannot load save: unknown board layout "${data.boardLayout}"`);
+                return null;
+            }
+
+            const session = new GameSession({ seed: data.seed, boardLayout: data.boardLayout, state: options.state });
+            if (!session.state.fromJSON(data.state)) {
+                return null;
+            }
+
+            try {
+                session.shop.fromJSON(data.shop);
+                session.shop.rng.setState(data.rng.shop);
+                session.combat.rng.setState(data.rng.combat);
+                session.ai.rng.setState(data.rng.ai);
+                if (data.rng.loot !== null) {
+                    session.lootRng.setState(data.rng.loot);
+                }
+                if (data.rng.carousel !== null) {
+                    session.carousel.rng.setState(data.rng.carousel);
+                }
+                if (data.rng.terrain !== null) {
+                    session.terrainRng.setState(data.rng.terrain);
+                }
+
+                session.currentEnemyUnits = (data.enemyUnits || []).map(deserializeEnemyUnit);
+
+                // The game itself still loads when its recording is from an older build
+                const loaded = GameRecording.load(data.recording);
+                if (loaded.success) {
+                    session.recording = loaded.recording;
+                } else {
+                    console.warn(`[Session] Save loaded without its game recording (replay export starts over): ${loaded.error}`);
+                }
+            } catch (error) {
+                console.error('[Session] Failed to restore save data:', error);
+                return null;
+            }
+
+            return session;
+        }
+
+        // ========================================================================
+        // REPLAY
+        // ========================================================================
+
+        /**
+         * Rebuild a game from a recording, round by round
+         * Rounds without a recorded winner (e.g. the round in progress when the
+         * file was exported) are left in prep phase after their actions
+         * @param {GameRecording|object} recording - Recording or its serialized form
+         * @param {object} options - Replay options
+         * @param {Function} options.onRound - Called with { round, session, result } after each fight
+         * @returns {{session: GameSession, errors: string[]}} Rebuilt session and any desyncs found
+         */
+        static replay(recording, options = {}) {
+            const loaded = recording instanceof GameRecording ? { success: true, recording } : GameRecording.load(recording);
+            if (!loaded.success) {
+                return { session: null, errors: [loaded.error] };
+            }
+
+            const source = loaded.recording;
+            if (!getBoardTopology(source.boardLayout)) {
+                return { session: null, errors: [`Unknown board layout "${source.boardLayout}"`] };
+            }
+
+            const session = new GameSession({ seed: source.seed, boardLayout: source.boardLayout });
+            const errors = [];
+
+            for (const entry of source.rounds) {
+                if (session.state.isGameOver()) {
+                    errors.push(`Game ended before round ${entry.round}`);
+                    break;
+                }
+
+                if (session.state.round !== entry.round) {
+                    errors.push(`Expected round ${entry.round}, game is at round ${session.state.round}`);
+                    break;
+                }
+
+                session.startRound();
+
+                entry.actions.forEach((action, index) => {
+                    const result = session.dispatch(action);
+                    if (!result.success) {
+                        errors.push(`Round ${entry.round} action ${index} (${action.type}) failed: ${result.error}`);
+                    }
+                });
+
+                if (!entry.winner) break;
+
+                const result = session.runCombat();
+                if (result.winner !== entry.winner) {
+                    errors.push(`Round ${entry.round}: recorded ${entry.winner} but replay gave ${result.winner}`);
+                }
+
+                if (options.onRound) {
+                    options.onRound({ round: entry.round, session, result });
+                }
+            }
+
+            return { session, errors };
+        }
+    }
+
+    // ============================================================================
+    // SAVE SLOTS
+    // ============================================================================
+
+    /**
+     * Named save slots on a storage backend (localStorage in the browser)
+     * Each slot holds one GameSession save; a small index keeps the slot list
+     */
+    class SaveSlots {
+        /**
+         * @param {object} storage - Storage with getItem/setItem/removeItem
+         */
+        constructor(storage) {
+            this.storage = storage;
+        }
+
+        /**
+         * List saved slots, newest first
+         * @returns {Array<{name: string, round: number, hp: number, timestamp: number}>} Slot summaries
+         */
+        list() {
+            try {
+                const index = JSON.parse(this.storage.getItem(SAVE_INDEX_KEY) || '[]');
+                return index.sort((a, b) => b.timestamp - a.timestamp);
+            } catch (error) {
+                console.error('[Session] Failed to read save index:', error);
+                return [];
+            }
+        }
+
+        /**
+         * Check if a slot exists
+         * @param {string} name - Slot name
+         * @returns {boolean} True if the slot has a save
+         */
+        has(name) {
+            return this.storage.getItem(SAVE_KEY_PREFIX + name) !== null;
+        }
+
+        /**
+         * Write save data to a slot (overwrites an existing slot of the same name)
+         * @param {string} name - Slot name
+         * @param {object} data - Save data from GameSession.toJSON()
+         * @returns {object} Result object with success status or error
+         */
+        save(name, data) {
+            if (!name) {
+                return { success: false, error: 'Save name is required' };
+            }
+
+            try {
+                this.storage.setItem(SAVE_KEY_PREFIX + name, JSON.stringify(data));
+
+                const index = this.list().filter(entry => entry.name !== name);
+                index.push({
+                    name,
+                    round: data.state.round,
+                    hp: data.state.hp,
+                    timestamp: data.timestamp
+                });
+                this.storage.setItem(SAVE_INDEX_KEY, JSON.stringify(index));
+
+                console.log(`[Session] Saved to slot "${name}"`);
+                return { success: true };
+            } catch (error) {
+                console.error('[Session] Failed to save:', error);
+                return { success: false, error: 'Could not write save (storage full?)' };
+            }
+        }
+
+        /**
+         * Read save data from a slot
+         * @param {string} name - Slot name
+         * @returns {object|null} Save data or null if missing or unreadable
+         */
+        load(name) {
+            try {
+                const text = this.storage.getItem(SAVE_KEY_PREFIX + name);
+                return text ? JSON.parse(text) : null;
+            } catch (error) {
+                console.error(`[Session] Failed to read slot "${name}":`, error);
+                return null;
+            }
+        }
+
+        /**
+         * Delete a slot
+         * @param {string} name - Slot name
+         * @returns {boolean} True if the slot existed
+         */
+        remove(name) {
+            const existed = this.has(name);
+
+            this.storage.removeItem(SAVE_KEY_PREFIX + name);
+            const index = this.list().filter(entry => entry.name !== name);
+            this.storage.setItem(SAVE_INDEX_KEY, JSON.stringify(index));
+
+            return existed;
+        }
+    }
+
+    // ============================================================================
+    // FACTORY FUNCTION
+    // ============================================================================
+
+    /**
+     * Create a new game session
+     * @param {object} options - See GameSession constructor
+     * @returns {GameSession} New session
+     */
+    function createGameSession(options = {}) {
+        return new GameSession(options);
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    console.log('[Session] Game session module loaded');
+
+    return {
+        GameSession,
+        GameRecording,
+        SaveSlots,
+        RECORDING_VERSION,
+        UNDO_HISTORY_SIZE,
+        AUTOSAVE_SLOT,
+        createGameSession
+    };
+}));
@@ -0,0 +1,266 @@
+/**
+ * Auto Chess Carousel
+ * Shared draft at the start of some rounds: a ring of units (some carrying an item)
+ * that the player and AI rivals claim one by one, lowest HP first
+ *
+ * The rivals are stand-ins that never fight, so they stay at STARTING_HP: once the
+ * player has lost any HP they always pick first (a catch-up bonus by design), and at
+ * full HP their place among the rivals is drawn at random.
+ */
+
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./data.js'), require('./rng.js'), require('./state.js')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
+
+    const { UNITS, GAME_CONFIG, SHOP_ODDS, getItemComponentIds, RNG, GAME_PHASES } = deps;
+
+    // Picker id used for the human player
+    const CAROUSEL_PLAYER_ID = 'player';
+
+    /**
+     * Check if a round opens with a carousel
+     * @param {number} round - Round number
+     * @returns {boolean}
+     */
+    function isCarouselRound(round) {
+        return round >= GAME_CONFIG.CAROUSEL_FIRST_ROUND &&
+            (round - GAME_CONFIG.CAROUSEL_FIRST_ROUND) % GAME_CONFIG.CAROUSEL_INTERVAL === 0;
+    }
+
+    // ============================================================================
+    // CAROUSEL CLASS
+    // ============================================================================
+
+    class Carousel {
+        /**
+         * @param {GameState} gameState - Reference to the game state
+         * @param {RNG} rng - Seeded random generator (a random seed is used if omitted)
+         */
+        constructor(gameState, rng = null) {
+            this.gameState = gameState;
+            this.rng = rng || new RNG();
+            this.reset();
+        }
+
+        /**
+         * Clear the ring (no carousel in progress)
+         */
+        reset() {
+            this.active = false;
+            this.units = [];      // [{ unitId, itemId, claimedBy }]
+            this.pickOrder = [];  // [{ id, name, hp }]
+            this.nextPick = 0;    // Index into pickOrder
+        }
+
+        // ========================================================================
+        // SETUP
+        // ========================================================================
+
+        /**
+         * Fill the ring, decide the pick order and let any rivals ahead of the player pick
+         * Puts the game in the carousel phase until the player claims a unit
+         */
+        start() {
+            this.reset();
+
+            this.units = this.generateUnits();
+            this.pickOrder = this.getPickOrder();
+            this.active = true;
+            this.gameState.phase = GAME_PHASES.CAROUSEL;
+
+            console.log(`[Carousel] Ring: ${this.units.map(entry => entry.unitId + (entry.itemId ? `+${entry.itemId}` : '')).join(', ')}`);
+
+            this.runRivalPicks();
+        }
+
+        /**
+         * Roll the ring units from costs the player's level can find in the shop
+         * Only units still in the pool are offered, so the player's pick can always be taken from it
+         * @returns {object[]} Ring entries
+         */
+        generateUnits() {
+            const odds = SHOP_ODDS[this.gameState.level] || SHOP_ODDS[1];
+            const candidates = Object.keys(UNITS).filter(unitId =>
+                odds[UNITS[unitId].cost - 1] > 0 && this.gameState.getPoolCount(unitId) > 0);
+
+            const units = [];
+            for (let i = 0; i < GAME_CONFIG.CAROUSEL_SIZE; i++) {
+                const unitId = this.rng.pick(candidates);
+                if (!unitId) break;
+
+                const itemId = this.rng.chance(GAME_CONFIG.CAROUSEL_ITEM_CHANCE)
+                    ? this.rng.pick(getItemComponentIds())
+                    : null;
+
+                units.push({ unitId, itemId, claimedBy: null });
+            }
+
+            return units;
+        }
+
+        /**
+         * Order the pickers by HP, lowest first (ties drawn at random)
+         * Rivals always count as full HP (see the top of this file), so a hurt player picks first
+         * @returns {object[]} Pickers in pick order
+         */
+        getPickOrder() {
+            const pickers = [{ id: CAROUSEL_PLAYER_ID, name: 'You', hp: this.gameState.hp }];
+            for (let i = 1; i <= GAME_CONFIG.CAROUSEL_RIVALS; i++) {
+                pickers.push({ id: `rival_${i}`, name: `Rival ${i}`, hp: GAME_CONFIG.STARTING_HP });
+            }
+
+            // Shuffle first so the stable sort leaves equal HP in random order
+            return this.rng.shuffle(pickers).sort((a, b) => a.hp - b.hp);
+        }
+
+        // ========================================================================
+        // PICKING
+        // ========================================================================
+
+        /**
+         * Get whoever picks next
+         * @returns {object|null} Picker, or null when everyone has picked
+         */
+        getCurrentPicker() {
+            return this.active ? this.pickOrder[this.nextPick] || null : null;
+        }
+
+        /**
+         * Check if it is the player's turn to pick
+         * @returns {boolean}
+         */
+        isPlayerTurn() {
+            const picker = this.getCurrentPicker();
+            return !!picker && picker.id === CAROUSEL_PLAYER_ID;
+        }
+
+        /**
+         * Get the ring indexes nobody has claimed yet
+         * @returns {number[]} Unclaimed indexes
+         */
+        getAvailableIndexes() {
+            return this.units
+                .map((entry, index) => entry.claimedBy ? null : index)
+                .filter(index => index !== null);
+        }
+
+        /**
+         * Index claimed for the player when their pick timer runs out
+         * Uses no randomness so a recorded game replays the same way
+         * @returns {number} First unclaimed index
+         */
+        getAutoPickIndex() {
+            return this.getAvailableIndexes()[0];
+        }
+
+        /**
+         * Let rivals pick until it is the player's turn or the ring is done
+         */
+        runRivalPicks() {
+            while (this.active) {
+                const picker = this.getCurrentPicker();
+                if (!picker || this.getAvailableIndexes().length === 0) {
+                    this.finish();
+                    return;
+                }
+                if (picker.id === CAROUSEL_PLAYER_ID) return;
+
+                const index = this.chooseRivalPick();
+                this.units[index].claimedBy = picker.id;
+                this.nextPick++;
+                console.log(`[Carousel] ${picker.name} claimed ${this.units[index].unitId}`);
+            }
+        }
+
+        /**
+         * Choose a rival's pick: units with an item first, then the most expensive
+         * @returns {number} Ring index
+         */
+        chooseRivalPick() {
+            const value = (index) => UNITS[this.units[index].unitId].cost + (this.units[index].itemId ? 10 : 0);
+
+            const available = this.getAvailableIndexes();
+            const best = Math.max(...available.map(value));
+            return this.rng.pick(available.filter(index => value(index) === best));
+        }
+
+        /**
+         * Claim a ring unit for the player, then let the remaining rivals pick
+         * The unit goes to the bench holding its item; with a full bench it is
+         * sold straight away and the item goes to the item bench
+         * @param {number} index - Ring index
+         * @returns {object} Result object with success status, unitId, itemId and soldFor, or error
+         */
+        claim(index) {
+            if (!this.isPlayerTurn()) {
+                return { success: false, error: 'Not your turn to pick' };
+            }
+
+            const entry = this.units[index];
+            if (!entry || entry.claimedBy) {
+                return { success: false, error: 'Unit already claimed' };
+            }
+
+            entry.claimedBy = CAROUSEL_PLAYER_ID;
+            this.nextPick++;
+
+            let soldFor = 0;
+            const unit = this.gameState.createUnit(entry.unitId, true);
+            if (unit) {
+                if (entry.itemId) unit.items.push(entry.itemId);
+                this.gameState.checkForUpgrades(entry.unitId);
+            } else {
+                soldFor = UNITS[entry.unitId].cost;
+                this.gameState.addGold(soldFor, 'carousel - bench full');
+                if (entry.itemId) this.gameState.addItem(entry.itemId);
+            }
+
+            console.log(`[Carousel] Player claimed ${entry.unitId}${entry.itemId ? ` with ${entry.itemId}` : ''}`);
+
+            this.runRivalPicks();
+
+            return { success: true, unitId: entry.unitId, itemId: entry.itemId, soldFor };
+        }
+
+        /**
+         * End the carousel and move on to the prep phase
+         */
+        finish() {
+            this.active = false;
+            if (this.gameState.phase === GAME_PHASES.CAROUSEL) {
+                this.gameState.phase = GAME_PHASES.PREP;
+            }
+        }
+
+        /**
+         * Get a summary of the carousel for debugging
+         * @returns {object} Ring and pick order
+         */
+        getSummary() {
+            return {
+                active: this.active,
+                units: this.units.map(entry => ({ ...entry })),
+                pickOrder: this.pickOrder.map(picker => picker.name),
+                nextPick: this.nextPick
+            };
+        }
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    console.log('[Carousel] Carousel module loaded');
+
+    return {
+        CAROUSEL_PLAYER_ID,
+        Carousel,
+        isCarouselRound
+    };
+}));
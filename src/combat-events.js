@@ -0,0 +1,169 @@
+/**
+ * Auto Chess Combat Events
+ * Typed, versioned event stream for a fight; units are referenced by id and board cell
+ */
+
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    // ============================================================================
+    // SCHEMA
+    // ============================================================================
+
+    // Bump when an event's fields change meaning or are removed (new types and fields don't need it)
+    const COMBAT_EVENT_VERSION = 1;
+
+    /**
+     * Data fields of every event type
+     * Fields marked `UnitRef` hold { id, side, x, y } from unitRef(): the unit's combat id
+     * (the id of the board unit it was cloned from, so stable for a fight and its replay)
+     * and its cell in combat coordinates when the event happened
+     */
+    const COMBAT_EVENT_SCHEMA = {
+        combat_start: ['playerUnitCount', 'enemyUnitCount'],
+        combat_end: ['winner', 'damageToLoser', 'overtime', 'totalTicks', 'survivingPlayerUnits', 'survivingEnemyUnits'],
+        trait_active: ['side', 'trait', 'count', 'threshold', 'bonus'],
+
+        // unit: UnitRef (at `to`)
+        move: ['unit', 'from', 'to'],
+
+        // attacker, defender: UnitRef
+        attack: ['attacker', 'defender', 'physicalDamage', 'magicDamage', 'totalDamage', 'isCrit', 'defenderHp', 'defenderDied'],
+
+        // unit, killer: UnitRef (killer is null for overtime and other sourceless deaths)
+        unit_death: ['unit', 'killer'],
+
+        // caster, target, targets[], unit: UnitRef
+        ability_cast: ['caster', 'ability', 'target'],
+        ability_damage: ['caster', 'ability', 'target', 'damage'],
+        ability_hit: ['caster', 'ability', 'target', 'hitNumber', 'damage'],
+        ability_chain: ['caster', 'ability', 'target', 'chainIndex', 'damage'],
+        ability_heal: ['caster', 'ability', 'target', 'amount'],
+        ability_shield: ['caster', 'ability', 'target', 'amount', 'duration'],
+        ability_stun: ['caster', 'ability', 'target', 'duration'],
+        ability_slow: ['caster', 'ability', 'target', 'amount', 'duration'],
+        ability_cleanse: ['caster', 'ability', 'target', 'statuses'],
+        ability_status: ['caster', 'ability', 'target', 'status', 'value', 'stacks', 'duration'],
+        ability_buff: ['caster', 'ability', 'effect', 'targets'],
+        ability_teleport: ['caster', 'ability', 'from', 'to'],
+        ability_summon: ['caster', 'ability', 'unit', 'at'],
+
+        // unit: UnitRef (a summon whose lifetime ran out)
+        summon_expire: ['unit'],
+
+        // unit: UnitRef
+        trigger: ['unit', 'source', 'trigger', 'event'],
+
+        // unit, source: UnitRef (source is whoever applied the effect, if known)
+        status_damage: ['unit', 'source', 'effect', 'damage', 'unitHp', 'unitDied'],
+
+        // unit (the item holder), target: UnitRef
+        item_lifesteal: ['unit', 'amount'],
+        item_thorns: ['unit', 'target', 'damage'],
+
+        // unit (shooter), target, from, to: UnitRef
+        projectile_retarget: ['projectile', 'unit', 'from', 'to'],
+        projectile_fizzle: ['projectile', 'unit', 'target'],
+
+        overtime_start: ['healingReduction'],
+        overtime_damage: ['unit', 'damage', 'unitHp', 'unitDied'],
+
+        // unit: UnitRef; tile: key of TILE_TYPES
+        terrain_damage: ['unit', 'tile', 'damage', 'unitHp', 'unitDied']
+    };
+
+    /**
+     * Reference a unit in event data
+     * @param {Unit} unit - Combat unit (may be null)
+     * @returns {{id: string, side: string, x: number, y: number}|null} Reference
+     */
+    function unitRef(unit) {
+        if (!unit) return null;
+        return { id: unit.id, side: unit.ownerId, x: unit.x, y: unit.y };
+    }
+
+    // ============================================================================
+    // EVENT STREAM
+    // ============================================================================
+
+    /**
+     * The events of one fight, in order, with subscriptions
+     * Events are { version, seq, tick, type, data }. Listeners run synchronously when
+     * an event is emitted, so they see the fight as it was at that moment.
+     */
+    class CombatEventStream {
+        constructor() {
+            this.log = [];
+            this.listeners = new Map(); // type (or '*') -> [listener]
+        }
+
+        /**
+         * Listen for events
+         * @param {string} type - Event type, or '*' for every event
+         * @param {function(object)} listener - Called with each event
+         * @returns {function()} Call to unsubscribe
+         */
+        subscribe(type, listener) {
+            if (type !== '*' && !COMBAT_EVENT_SCHEMA[type]) {
+                throw new Error(`[CombatEvents] Unknown event type "${type}"`);
+            }
+
+            if (!this.listeners.has(type)) {
+                this.listeners.set(type, []);
+            }
+            this.listeners.get(type).push(listener);
+
+            return () => {
+                this.listeners.set(type, this.listeners.get(type).filter(entry => entry !== listener));
+            };
+        }
+
+        /**
+         * Record an event and send it to listeners
+         * @param {number} tick - Combat tick it happened on
+         * @param {string} type - Key of COMBAT_EVENT_SCHEMA
+         * @param {object} data - Fields listed in the schema
+         * @returns {object} The event
+         */
+        emit(tick, type, data) {
+            if (!COMBAT_EVENT_SCHEMA[type]) {
+                throw new Error(`[CombatEvents] Unknown event type "${type}"`);
+            }
+
+            const event = { version: COMBAT_EVENT_VERSION, seq: this.log.length, tick, type, data };
+            this.log.push(event);
+
+            (this.listeners.get(type) || []).forEach(listener => listener(event));
+            (this.listeners.get('*') || []).forEach(listener => listener(event));
+
+            return event;
+        }
+
+        /**
+         * Start a new fight's log (listeners stay subscribed)
+         */
+        reset() {
+            this.log = [];
+        }
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    console.log('[CombatEvents] Combat events module loaded');
+
+    return {
+        COMBAT_EVENT_VERSION,
+        COMBAT_EVENT_SCHEMA,
+        CombatEventStream,
+        unitRef
+    };
+}));
@@ -0,0 +1,163 @@
+/**
+ * Auto Chess Combat Statistics
+ * Per-unit counters collected during a fight (damage, mitigation, healing, kills, casts)
+ */
+
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    // ============================================================================
+    // CATEGORIES
+    // ============================================================================
+
+    /**
+     * Where damage came from, for the damage dealt split
+     */
+    const DAMAGE_SOURCES = {
+        PHYSICAL: 'physical', // Basic attacks
+        MAGIC: 'magic',       // Bonus magic damage on attacks and item effects (thorns)
+        ABILITY: 'ability'    // Ability effects, their damage over time and trigger effects
+    };
+
+    // ============================================================================
+    // COMBAT STATS CLASS
+    // ============================================================================
+
+    /**
+     * Counters for every unit in one fight, keyed by unit id
+     * Entries are plain objects so they can be stored with a replay as they are
+     */
+    class CombatStats {
+        constructor() {
+            this.entries = new Map(); // unit id -> entry
+        }
+
+        /**
+         * Start counting for a unit (starting boards and summons)
+         * @param {Unit} unit - Combat unit with ownerId set
+         */
+        track(unit) {
+            if (this.entries.has(unit.id)) return;
+
+            this.entries.set(unit.id, {
+                id: unit.id,
+                templateId: unit.templateId,
+                name: unit.name,
+                emoji: unit.emoji,
+                starLevel: unit.starLevel,
+                side: unit.ownerId,
+                isSummon: !!unit.isSummon,
+                damageDealt: { physical: 0, magic: 0, ability: 0 },
+                damageTaken: 0,
+                damageMitigated: 0,
+                healing: 0,
+                kills: 0,
+                casts: 0
+            });
+        }
+
+        /**
+         * Get a unit's entry
+         * @param {Unit} unit - Combat unit (null for sourceless damage such as overtime)
+         * @returns {object|null} Entry, or null if the unit isn't tracked
+         */
+        get(unit) {
+            return (unit && this.entries.get(unit.id)) || null;
+        }
+
+        /**
+         * Count a hit
+         * @param {Unit} source - Unit that dealt it (may be null)
+         * @param {Unit} target - Unit that took it
+         * @param {number} raw - Damage before armor, magic resist and damage reduction
+         * @param {number} dealt - Damage after mitigation (shields included)
+         * @param {string} damageSource - Value of DAMAGE_SOURCES
+         */
+        recordDamage(source, target, raw, dealt, damageSource) {
+            const attacker = this.get(source);
+            if (attacker) {
+                attacker.damageDealt[damageSource] += dealt;
+            }
+
+            const defender = this.get(target);
+            if (defender) {
+                defender.damageTaken += dealt;
+                defender.damageMitigated += Math.max(0, raw - dealt);
+            }
+        }
+
+        /**
+         * Count healing done by a unit
+         * @param {Unit} healer - Unit credited with the heal
+         * @param {number} amount - HP restored
+         */
+        recordHealing(healer, amount) {
+            const entry = this.get(healer);
+            if (entry) entry.healing += amount;
+        }
+
+        /**
+         * Count a kill
+         * @param {Unit} killer - Unit credited with the kill
+         */
+        recordKill(killer) {
+            const entry = this.get(killer);
+            if (entry) entry.kills++;
+        }
+
+        /**
+         * Count an ability cast
+         * @param {Unit} caster - Unit that cast
+         */
+        recordCast(caster) {
+            const entry = this.get(caster);
+            if (entry) entry.casts++;
+        }
+
+        /**
+         * Get the entries, optionally for one side
+         * @param {string} side - 'player' or 'enemy' (optional)
+         * @returns {object[]} Entries in the order units joined the fight
+         */
+        getEntries(side = null) {
+            const entries = [...this.entries.values()];
+            return side ? entries.filter(entry => entry.side === side) : entries;
+        }
+
+        /**
+         * Serialize for replays
+         * @returns {object[]} Entries
+         */
+        toJSON() {
+            return this.getEntries().map(entry => ({ ...entry, damageDealt: { ...entry.damageDealt } }));
+        }
+    }
+
+    /**
+     * Total damage dealt by an entry across all sources
+     * @param {object} entry - Entry from CombatStats
+     * @returns {number} Damage dealt
+     */
+    function getTotalDamageDealt(entry) {
+        return entry.damageDealt.physical + entry.damageDealt.magic + entry.damageDealt.ability;
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    console.log('[CombatStats] Combat statistics module loaded');
+
+    return {
+        DAMAGE_SOURCES,
+        CombatStats,
+        getTotalDamageDealt
+    };
+}));
@@ -3,73 +3,180 @@
  * Handles combat simulation between two teams of units
  */
 
-// GAME_CONFIG, TRAITS, getTraitBonus are loaded globally from data.js
-// Unit, UnitState are loaded globally from unit.js
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./data.js'), require('./unit.js'), require('./rng.js'), require('./replay.js'),
+            require('./abilities.js'), require('./pathfinding.js'), require('./targeting.js'), require('./triggers.js'),
+            require('./projectiles.js'), require('./combat-stats.js'), require('./combat-events.js'), require('./coordinates.js'),
+            require('./board-topology.js'), require('./terrain.js')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
 
-// ============================================================================
-// COMBAT RESULT CLASS
-// ============================================================================
+    const { GAME_CONFIG, TICK_EPSILON, MANA_RULES, OVERTIME_RULES, TRAITS, ITEMS, getTraitBonus, UnitState, RNG, CombatReplay, executeAbility, findNextStep,
+        selectTarget, updateTarget, TRIGGER_EVENTS, CombatTriggers, Projectile, DAMAGE_SOURCES, CombatStats,
+        CombatEventStream, unitRef, isInArena, getBoardTopology, TerrainMap } = deps;
 
-/**
- * Represents the result of a combat round
- */
-class CombatResult {
-    constructor() {
-        this.winner = null; // 'player' | 'enemy' | 'draw'
-        this.damageToPlayer = 0;
-        this.damageToEnemy = 0;
-        this.survivingPlayerUnits = [];
-        this.survivingEnemyUnits = [];
-        this.totalTicks = 0;
-        this.combatLog = [];
-    }
-}
+    // ============================================================================
+    // SPEED MODES
+    // ============================================================================
+
+    // Live combat speeds. A tick always advances the simulation by COMBAT_TICK_MS
+    // of game time, so speed only changes how often ticks run, never the outcome.
+    const COMBAT_SPEEDS = [0.5, 1, 2, 4, 'instant'];
+    const INSTANT_TICKS_PER_SLICE = 100; // Ticks per timer callback in instant mode (keeps the page responsive)
 
-// ============================================================================
-// COMBAT CLASS
-// ============================================================================
+    // ============================================================================
+    // COMBAT RESULT CLASS
+    // ============================================================================
 
-class Combat {
     /**
-     * Create a new combat instance
+     * Represents the result of a combat round
      */
-    constructor() {
-        // Combat units (clones of originals to preserve state)
-        this.playerUnits = [];
-        this.enemyUnits = [];
+    class CombatResult {
+        constructor() {
+            this.winner = null; // 'player' | 'enemy' | 'draw'
+            this.damageToPlayer = 0;
+            this.damageToEnemy = 0;
+            this.overtime = false; // Whether the fight went past the time limit
+            this.stats = null; // CombatStats: per-unit damage, healing, kills and casts
+            this.survivingPlayerUnits = [];
+            this.survivingEnemyUnits = [];
+            this.totalTicks = 0;
+            this.seed = null; // RNG state the fight started from
+            this.combatLog = []; // Events from combat-events.js
+            this.replay = null; // CombatReplay of the fight (if recording was enabled)
+        }
+    }
+
+    // ============================================================================
+    // COMBAT CLASS
+    // ============================================================================
+
+    class Combat {
+        /**
+         * Create a new combat instance
+         * @param {RNG} rng - Seeded random generator (a random seed is used if omitted)
+         * @param {BoardTopology} topology - Board layout to fight on (default layout if omitted)
+         */
+        constructor(rng = null, topology = null) {
+            // Randomness (turn order, crits) comes from this generator only
+            this.rng = rng || new RNG();
+            this.seed = null; // Generator state at the start of the current fight
+
+            // Adjacency and distance rules of the board (see board-topology.js)
+            this.topology = topology || getBoardTopology();
+
+            // Special tiles for the next fight (see terrain.js and setTerrain)
+            this.terrain = new TerrainMap();
+            this.hazardTimers = new Map(); // Unit -> seconds spent on its current hazard tile
+
+            // Combat units (clones of originals to preserve state)
+            this.playerUnits = [];
+            this.enemyUnits = [];
+
+            // Combat state
+            this.isRunning = false;
+            this.tickCount = 0;
+            this.tickInterval = null;
 
-        // Combat state
-        this.isRunning = false;
-        this.tickCount = 0;
-        this.tickInterval = null;
+            // Configuration
+            this.tickDuration = GAME_CONFIG.COMBAT_TICK_MS; // 100ms of game time per tick
+            this.speed = 1; // One of COMBAT_SPEEDS (live combat only)
+            this.isPaused = false;
 
-        // Configuration
-        this.tickDuration = GAME_CONFIG.COMBAT_TICK_MS; // 100ms per tick
+            // Result tracking
+            this.result = new CombatResult();
 
-        // Result tracking
-        this.result = new CombatResult();
-        this.combatLog = [];
+            // Typed event stream (see combat-events.js); subscribers stay across fights
+            this.events = new CombatEventStream();
 
-        // Callbacks
-        this.onTick = null;
-        this.onCombatEnd = null;
+            // Replay recording (disable for bulk simulations that don't need it)
+            this.recordReplay = true;
+            this.replay = null;
+            this.replayEvents = []; // Events not yet written to a replay frame
+            this.replayUnits = []; // Units in replay order (starting boards, then summons)
+            this.events.subscribe('*', (event) => {
+                if (this.recordReplay) this.replayEvents.push(event);
+            });
 
-        // Occupied positions cache
-        this.occupiedPositions = new Set();
-    }
+            // Callbacks
+            this.onTick = null;
+            this.onCombatEnd = null;
 
-    // ========================================================================
-    // MAIN COMBAT METHODS
-    // ========================================================================
+            // Occupied positions cache
+            this.occupiedPositions = new Set();
 
-    /**
-     * Start combat between two teams
-     * @param {Unit[]} playerUnits - Array of player units
-     * @param {Unit[]} enemyUnits - Array of enemy units
-     * @returns {Promise<CombatResult>} Promise that resolves when combat ends
-     */
-    start(playerUnits, enemyUnits) {
-        return new Promise((resolve) => {
+            // Cells units are stepping into: "x,y" -> Unit
+            this.reservedCells = new Map();
+
+            // Ranged attacks and spells in flight
+            this.projectiles = [];
+            this.nextProjectileId = 1;
+
+            // Summon IDs count from 1 each fight, so replays don't depend on earlier fights
+            this.nextSummonId = 1;
+        }
+
+        // ========================================================================
+        // MAIN COMBAT METHODS
+        // ========================================================================
+
+        /**
+         * Start combat between two teams
+         * @param {Unit[]} playerUnits - Array of player units
+         * @param {Unit[]} enemyUnits - Array of enemy units
+         * @param {number} seed - RNG state to start the fight from (optional, for reproducing a fight)
+         * @returns {Promise<CombatResult>} Promise that resolves when combat ends
+         */
+        start(playerUnits, enemyUnits, seed = null) {
+            return new Promise((resolve) => {
+                this.setupCombat(playerUnits, enemyUnits, seed);
+
+                // Store resolve callback
+                this.onCombatEnd = resolve;
+
+                // Start the combat loop
+                this.isPaused = false;
+                this.startTickLoop();
+            });
+        }
+
+        /**
+         * Run combat synchronously (useful for AI simulation or testing)
+         * Overtime ends fights on its own; maxTicks is only a safety net
+         * @param {Unit[]} playerUnits - Array of player units
+         * @param {Unit[]} enemyUnits - Array of enemy units
+         * @param {number} maxTicks - Maximum ticks before a forced draw (default 1000)
+         * @param {number} seed - RNG state to start the fight from (optional, for reproducing a fight)
+         * @returns {CombatResult} Combat result
+         */
+        runSync(playerUnits, enemyUnits, maxTicks = 1000, seed = null) {
+            this.setupCombat(playerUnits, enemyUnits, seed);
+
+            // Run ticks until combat ends or max ticks reached
+            while (this.isRunning && this.tickCount < maxTicks) {
+                this.tick();
+            }
+
+            // Force end if max ticks reached
+            if (this.tickCount >= maxTicks && this.isRunning) {
+                this.endCombat('draw');
+            }
+
+            return this.result;
+        }
+
+        /**
+         * Prepare a fight: clone both teams, seed the RNG and apply traits
+         * @param {Unit[]} playerUnits - Array of player units
+         * @param {Unit[]} enemyUnits - Array of enemy units
+         * @param {number} seed - RNG state to start the fight from (optional)
+         */
+        setupCombat(playerUnits, enemyUnits, seed = null) {
             // Clone units to preserve original state
             this.playerUnits = playerUnits.map(unit => unit.clone());
             this.enemyUnits = enemyUnits.map(unit => unit.clone());
@@ -81,8 +188,19 @@ class Combat {
             // Reset combat state
             this.isRunning = true;
             this.tickCount = 0;
-            this.combatLog = [];
+            this.events.reset();
+            this.replayEvents = [];
             this.result = new CombatResult();
+            this.projectiles = [];
+            this.nextProjectileId = 1;
+            this.nextSummonId = 1;
+            this.hazardTimers = new Map();
+            this.reservedCells.clear(); // Units still mid-step when the last fight ended
+
+            // Nothing above carries over from the last fight, so the same boards, terrain and
+            // seed replay the same fight on a fresh or reused Combat; record the RNG state for that
+            if (seed !== null) this.rng.setState(seed);
+            this.seed = this.rng.getState();
 
             // Initialize units for combat
             this.initializeUnits();
@@ -91,6 +209,16 @@ class Combat {
             this.applyTraitBonuses(this.playerUnits);
             this.applyTraitBonuses(this.enemyUnits);
 
+            // Apply item stats and effects on top of the trait bonuses
+            this.applyItemBonuses(this.playerUnits);
+            this.applyItemBonuses(this.enemyUnits);
+
+            // Per-unit counters, then item effects and the data triggers of traits, items and abilities
+            this.stats = new CombatStats();
+            this.result.stats = this.stats;
+            [...this.playerUnits, ...this.enemyUnits].forEach(unit => this.stats.track(unit));
+            this.setupTriggers();
+
             // Build occupied positions cache
             this.updateOccupiedPositions();
 
@@ -100,123 +228,251 @@ class Combat {
                 enemyUnitCount: this.enemyUnits.length
             });
 
-            // Store resolve callback
-            this.onCombatEnd = resolve;
+            [...this.playerUnits, ...this.enemyUnits].forEach(unit => this.triggers.emit(TRIGGER_EVENTS.COMBAT_START, { unit }));
+            this.triggers.checkUnits();
 
-            // Start the combat loop
-            this.tickInterval = setInterval(() => {
-                this.tick();
-            }, this.tickDuration);
-        });
-    }
+            // Start the replay with the boards as they enter the fight (tick 0)
+            this.replay = this.recordReplay ? new CombatReplay() : null;
+            this.replayUnits = [...this.playerUnits, ...this.enemyUnits];
+            if (this.replay) {
+                this.replay.begin(this.playerUnits, this.enemyUnits, this.seed, this.topology.layout, this.terrain.toJSON());
+                this.recordReplayFrame();
+            }
+        }
 
-    /**
-     * Run combat synchronously (useful for AI simulation or testing)
-     * @param {Unit[]} playerUnits - Array of player units
-     * @param {Unit[]} enemyUnits - Array of enemy units
-     * @param {number} maxTicks - Maximum ticks before forced end (default 1000)
-     * @returns {CombatResult} Combat result
-     */
-    runSync(playerUnits, enemyUnits, maxTicks = 1000) {
-        // Clone units to preserve original state
-        this.playerUnits = playerUnits.map(unit => unit.clone());
-        this.enemyUnits = enemyUnits.map(unit => unit.clone());
-
-        // Assign owner IDs for identification
-        this.playerUnits.forEach(unit => { unit.ownerId = 'player'; });
-        this.enemyUnits.forEach(unit => { unit.ownerId = 'enemy'; });
-
-        // Reset combat state
-        this.isRunning = true;
-        this.tickCount = 0;
-        this.combatLog = [];
-        this.result = new CombatResult();
-
-        // Initialize units for combat
-        this.initializeUnits();
-
-        // Apply trait bonuses
-        this.applyTraitBonuses(this.playerUnits);
-        this.applyTraitBonuses(this.enemyUnits);
-
-        // Build occupied positions cache
-        this.updateOccupiedPositions();
-
-        // Log combat start
-        this.log('combat_start', {
-            playerUnitCount: this.playerUnits.length,
-            enemyUnitCount: this.enemyUnits.length
-        });
-
-        // Run ticks until combat ends or max ticks reached
-        while (this.isRunning && this.tickCount < maxTicks) {
-            this.tick();
+        /**
+         * Initialize units for combat
+         */
+        initializeUnits() {
+            // Reset all units for combat
+            [...this.playerUnits, ...this.enemyUnits].forEach(unit => {
+                unit.topology = this.topology;
+                unit.resetForCombat();
+            });
         }
 
-        // Force end if max ticks reached
-        if (this.tickCount >= maxTicks && this.isRunning) {
-            this.endCombat('draw');
+        /**
+         * Execute a single combat tick
+         */
+        tick() {
+            if (!this.isRunning) return;
+
+            this.tickCount++;
+            const deltaTime = this.tickDuration / 1000; // Convert to seconds
+
+            // Get alive units
+            const alivePlayerUnits = this.playerUnits.filter(u => u.isAlive);
+            const aliveEnemyUnits = this.enemyUnits.filter(u => u.isAlive);
+
+            // Check for combat end
+            if (this.isOver()) {
+                this.determinWinner();
+                return;
+            }
+
+            // Update occupied positions
+            this.updateOccupiedPositions();
+
+            // Past the time limit: cut healing and hurt everyone
+            this.updateOvertime();
+            if (this.isOver()) {
+                this.determinWinner();
+                return;
+            }
+
+            // Tile buffs follow units around; hazards hurt whoever stands on them
+            this.updateTerrain(deltaTime);
+            if (this.isOver()) {
+                this.determinWinner();
+                return;
+            }
+
+            // Summons whose time is up leave the fight
+            this.updateSummons(deltaTime);
+            if (this.isOver()) {
+                this.determinWinner();
+                return;
+            }
+
+            // Process each unit
+            const allUnits = [...alivePlayerUnits, ...aliveEnemyUnits];
+
+            // Shuffle unit order for fairness
+            this.shuffleArray(allUnits);
+
+            for (const unit of allUnits) {
+                if (!unit.isAlive) continue;
+
+                this.takeTurn(unit, unit.ownerId === 'player' ? aliveEnemyUnits : alivePlayerUnits, deltaTime);
+
+                // Deaths, kills and HP thresholds from this turn
+                this.triggers.checkUnits();
+            }
+
+            // Projectiles fired this tick move too, so point-blank shots can land at once
+            this.updateProjectiles(deltaTime);
+            this.triggers.checkUnits();
+
+            this.recordReplayFrame();
+
+            this.notifyTick();
         }
 
-        return this.result;
-    }
+        /**
+         * Send the board to the tick callback, if set
+         */
+        notifyTick() {
+            if (this.onTick) {
+                this.onTick({
+                    tickCount: this.tickCount,
+                    playerUnits: this.playerUnits,
+                    enemyUnits: this.enemyUnits,
+                    projectiles: this.projectiles.map(projectile => projectile.toJSON()),
+                    overtime: this.result.overtime
+                });
+            }
+        }
 
-    /**
-     * Initialize units for combat
-     */
-    initializeUnits() {
-        // Reset all units for combat
-        [...this.playerUnits, ...this.enemyUnits].forEach(unit => {
-            unit.resetForCombat();
-        });
-    }
+        /**
+         * Start overtime at the time limit, then deal a damage pulse every PULSE_SECONDS
+         * Pulses are true damage that grows each time, so every fight ends
+         */
+        updateOvertime() {
+            const limitTicks = Math.round(OVERTIME_RULES.TIME_LIMIT_SECONDS * 1000 / this.tickDuration);
+            const pulseTicks = Math.max(1, Math.round(OVERTIME_RULES.PULSE_SECONDS * 1000 / this.tickDuration));
+            const overtimeTicks = this.tickCount - limitTicks;
+            if (overtimeTicks <= 0) return;
+
+            if (!this.result.overtime) {
+                this.result.overtime = true;
+                this.log('overtime_start', { healingReduction: OVERTIME_RULES.HEALING_REDUCTION });
+                [...this.playerUnits, ...this.enemyUnits].forEach(unit => this.applyOvertimeWounds(unit));
+            }
 
-    /**
-     * Execute a single combat tick
-     */
-    tick() {
-        if (!this.isRunning) return;
+            if (overtimeTicks % pulseTicks !== 0) return;
 
-        this.tickCount++;
-        const deltaTime = this.tickDuration / 1000; // Convert to seconds
+            const pulse = overtimeTicks / pulseTicks;
+            const percent = OVERTIME_RULES.DAMAGE_PERCENT + OVERTIME_RULES.DAMAGE_PERCENT_INCREASE * (pulse - 1);
 
-        // Get alive units
-        const alivePlayerUnits = this.playerUnits.filter(u => u.isAlive);
-        const aliveEnemyUnits = this.enemyUnits.filter(u => u.isAlive);
+            for (const unit of [...this.playerUnits, ...this.enemyUnits]) {
+                if (!unit.isAlive) continue;
 
-        // Check for combat end
-        if (this.isOver()) {
-            this.determinWinner();
-            return;
+                const damage = this.dealDamage(null, unit, Math.floor(unit.effectiveMaxHp * percent / 100), 'true', null, { grantsMana: false });
+                this.log('overtime_damage', { unit: unitRef(unit), damage, unitHp: unit.currentHp, unitDied: !unit.isAlive });
+            }
+
+            this.triggers.checkUnits();
         }
 
-        // Update occupied positions
-        this.updateOccupiedPositions();
+        /**
+         * Apply the tile under each unit: keep its tile buff in sync and deal hazard
+         * damage every full second a unit stands on a hazard
+         * @param {number} deltaTime - Tick length in seconds
+         */
+        updateTerrain(deltaTime) {
+            for (const unit of [...this.playerUnits, ...this.enemyUnits]) {
+                if (!unit.isAlive) continue;
+
+                const tile = this.terrain.getTile(unit.x, unit.y);
+
+                // Tile buffs last while the unit stays on the tile
+                const buff = tile && tile.buff;
+                const current = unit.statusEffects.get('terrain');
+                if (buff && (!current || current.stat !== buff.stat || current.value !== buff.value)) {
+                    unit.applyStatus('terrain', { stat: buff.stat, value: buff.value });
+                } else if (!buff && current) {
+                    unit.statusEffects.remove(current);
+                }
+
+                // Leaving a hazard restarts its timer
+                if (!tile || !tile.hazard) {
+                    this.hazardTimers.delete(unit);
+                    continue;
+                }
+
+                const elapsed = (this.hazardTimers.get(unit) || 0) + deltaTime;
+                if (elapsed < 1 - TICK_EPSILON) {
+                    this.hazardTimers.set(unit, elapsed);
+                    continue;
+                }
+                this.hazardTimers.set(unit, elapsed - 1);
 
-        // Process each unit
-        const allUnits = [...alivePlayerUnits, ...aliveEnemyUnits];
+                const damage = this.dealDamage(null, unit, tile.hazard.damage, tile.hazard.damageType, null);
+                this.log('terrain_damage', { unit: unitRef(unit), tile: tile.id, damage, unitHp: unit.currentHp, unitDied: !unit.isAlive });
+            }
 
-        // Shuffle unit order for fairness
-        this.shuffleArray(allUnits);
+            this.triggers.checkUnits();
+        }
 
-        for (const unit of allUnits) {
-            if (!unit.isAlive) continue;
+        /**
+         * Count down summon lifetimes and remove the summons that ran out
+         * Expiring isn't a kill: nobody is credited and the death has no killer
+         * @param {number} deltaTime - Tick length in seconds
+         */
+        updateSummons(deltaTime) {
+            for (const unit of [...this.playerUnits, ...this.enemyUnits]) {
+                if (!unit.isAlive || !unit.isSummon || unit.lifetime === null) continue;
+
+                unit.lifetime -= deltaTime;
+                if (unit.lifetime > TICK_EPSILON) continue;
+
+                this.log('summon_expire', { unit: unitRef(unit) });
+                this.cancelMove(unit);
+                unit.lastDamagedBy = null;
+                unit.die();
+            }
 
-            // Update status effects
-            unit.updateStatusEffects(deltaTime);
+            this.triggers.checkUnits();
+        }
 
-            // Skip if stunned
-            if (!unit.canAct) continue;
+        /**
+         * Use a round's tiles for the next fights
+         * @param {TerrainMap|Array<{type: string, x: number, y: number}>} terrain - Tiles in arena space
+         */
+        setTerrain(terrain) {
+            this.terrain = terrain instanceof TerrainMap ? terrain : new TerrainMap(terrain);
+        }
 
-            // Get enemies for this unit
-            const enemies = unit.ownerId === 'player' ? aliveEnemyUnits : alivePlayerUnits;
+        /**
+         * Cut a unit's healing for the rest of the fight (overtime)
+         * @param {Unit} unit - Combat unit
+         */
+        applyOvertimeWounds(unit) {
+            if (OVERTIME_RULES.HEALING_REDUCTION > 0) {
+                unit.applyStatus('healingReduction', { value: OVERTIME_RULES.HEALING_REDUCTION });
+            }
+        }
 
-            // Find or validate target
-            if (!unit.target || !unit.target.isAlive) {
-                this.findTarget(unit, enemies);
+        /**
+         * Run one unit's part of a tick: status effects, then targeting and an attack or a step
+         * @param {Unit} unit - Living unit whose turn it is
+         * @param {Unit[]} enemies - Enemies alive at the start of the tick
+         * @param {number} deltaTime - Tick length in seconds
+         */
+        takeTurn(unit, enemies, deltaTime) {
+            // Update status effects (damage over time can kill the unit)
+            for (const { type, amount, damage, source } of unit.updateStatusEffects(deltaTime)) {
+                this.stats.recordDamage(source, unit, amount, damage, DAMAGE_SOURCES.ABILITY);
+                this.log('status_damage', {
+                    unit: unitRef(unit),
+                    source: unitRef(source),
+                    effect: type,
+                    damage,
+                    unitHp: unit.currentHp,
+                    unitDied: !unit.isAlive
+                });
             }
 
-            if (!unit.target) continue;
+            // Skip if stunned or dead (a stunned unit stops mid-step)
+            if (!unit.canAct) {
+                this.cancelMove(unit);
+                return;
+            }
+
+            // Keep, switch or find a target (taunts, then the unit's retarget rule)
+            updateTarget(unit, enemies);
+
+            if (!unit.target) return;
 
             // Update attack cooldown
             if (unit.attackCooldown > 0) {
@@ -228,6 +484,8 @@ class Combat {
             const effectiveRange = this.getEffectiveRange(unit);
 
             if (distance <= effectiveRange) {
+                this.cancelMove(unit);
+
                 // In range - attack if cooldown ready
                 if (unit.attackCooldown <= 0) {
                     this.attack(unit, unit.target);
@@ -238,662 +496,951 @@ class Combat {
                 }
             } else {
                 // Out of range - move toward target
-                this.moveToward(unit, unit.target);
+                this.moveToward(unit, unit.target, deltaTime);
             }
         }
 
-        // Call tick callback if set
-        if (this.onTick) {
-            this.onTick({
-                tickCount: this.tickCount,
-                playerUnits: this.playerUnits,
-                enemyUnits: this.enemyUnits
-            });
+        /**
+         * Stop the combat
+         */
+        stop() {
+            this.isRunning = false;
+            this.stopTickLoop();
         }
-    }
 
-    /**
-     * Stop the combat
-     */
-    stop() {
-        this.isRunning = false;
-        if (this.tickInterval) {
-            clearInterval(this.tickInterval);
-            this.tickInterval = null;
+        // ========================================================================
+        // SPEED AND STEPPING
+        // ========================================================================
+
+        /**
+         * Start (or restart) the live tick timer at the current speed
+         */
+        startTickLoop() {
+            this.stopTickLoop();
+            if (!this.isRunning || this.isPaused) return;
+
+            if (this.speed === 'instant') {
+                this.tickInterval = setInterval(() => {
+                    for (let i = 0; i < INSTANT_TICKS_PER_SLICE && this.isRunning; i++) {
+                        this.tick();
+                    }
+                }, 0);
+            } else {
+                this.tickInterval = setInterval(() => {
+                    this.tick();
+                }, this.tickDuration / this.speed);
+            }
         }
-    }
 
-    // ========================================================================
-    // TARGETING
-    // ========================================================================
-
-    /**
-     * Find the nearest enemy target for a unit
-     * @param {Unit} unit - The unit looking for a target
-     * @param {Unit[]} enemies - Array of enemy units
-     * @returns {Unit|null} The selected target
-     */
-    findTarget(unit, enemies) {
-        if (!unit.isAlive || !enemies || enemies.length === 0) {
-            unit.target = null;
-            return null;
+        /**
+         * Stop the live tick timer without ending the fight
+         */
+        stopTickLoop() {
+            if (this.tickInterval) {
+                clearInterval(this.tickInterval);
+                this.tickInterval = null;
+            }
         }
 
-        // Filter to alive enemies on the board
-        const validEnemies = enemies.filter(e => e.isAlive && e.isOnBoard);
+        /**
+         * Change the live combat speed (takes effect immediately)
+         * @param {number|string} speed - One of COMBAT_SPEEDS (0.5, 1, 2, 4 or 'instant')
+         * @returns {boolean} True if the speed is valid
+         */
+        setSpeed(speed) {
+            if (!COMBAT_SPEEDS.includes(speed)) {
+                console.warn('[Combat] Unknown combat speed:', speed);
+                return false;
+            }
 
-        if (validEnemies.length === 0) {
-            unit.target = null;
-            return null;
+            this.speed = speed;
+            if (this.tickInterval) {
+                this.startTickLoop();
+            }
+            return true;
         }
 
-        // Find closest enemy
-        let closestEnemy = null;
-        let closestDistance = Infinity;
-
-        for (const enemy of validEnemies) {
-            const distance = unit.getDistanceTo(enemy);
-            if (distance < closestDistance) {
-                closestDistance = distance;
-                closestEnemy = enemy;
-            }
+        /**
+         * Pause live combat
+         */
+        pause() {
+            if (!this.isRunning) return;
+            this.isPaused = true;
+            this.stopTickLoop();
         }
 
-        unit.target = closestEnemy;
-        return closestEnemy;
-    }
+        /**
+         * Resume live combat after a pause
+         */
+        resume() {
+            if (!this.isRunning) return;
+            this.isPaused = false;
+            this.startTickLoop();
+        }
 
-    // ========================================================================
-    // MOVEMENT
-    // ========================================================================
+        /**
+         * Advance a paused fight by exactly one tick
+         * @returns {boolean} True if a tick was run
+         */
+        stepTick() {
+            if (!this.isRunning || !this.isPaused) return false;
+            this.tick();
+            return true;
+        }
 
-    /**
-     * Move a unit toward its target
-     * @param {Unit} unit - The unit to move
-     * @param {Unit} target - The target to move toward
-     * @returns {boolean} True if the unit moved
-     */
-    moveToward(unit, target) {
-        if (!unit.canAct || !unit.isOnBoard || !target || !target.isOnBoard) {
-            return false;
+        // ========================================================================
+        // TARGETING
+        // ========================================================================
+
+        /**
+         * Find a target for a unit with its targeting strategy (see targeting.js)
+         * @param {Unit} unit - The unit looking for a target
+         * @param {Unit[]} enemies - Array of enemy units
+         * @returns {Unit|null} The selected target
+         */
+        findTarget(unit, enemies) {
+            unit.target = unit.isAlive ? selectTarget(unit, enemies) : null;
+            return unit.target;
         }
 
-        // Calculate direction
-        const dx = Math.sign(target.x - unit.x);
-        const dy = Math.sign(target.y - unit.y);
+        // ========================================================================
+        // MOVEMENT
+        // ========================================================================
+
+        /**
+         * Walk a unit toward its target
+         * The unit reserves the next cell on its path and enters it once it has covered
+         * the distance at its move speed; other units path around reserved cells
+         * @param {Unit} unit - The unit to move
+         * @param {Unit} target - The target to move toward
+         * @param {number} deltaTime - Time elapsed in seconds
+         * @returns {boolean} True if the unit entered a new cell
+         */
+        moveToward(unit, target, deltaTime) {
+            if (!unit.canAct || !unit.isOnBoard || !target || !target.isOnBoard) {
+                return false;
+            }
 
-        if (dx === 0 && dy === 0) {
-            return false; // Already at target position
-        }
+            if (!unit.nextStep) {
+                const step = findNextStep({ x: unit.x, y: unit.y }, { x: target.x, y: target.y }, {
+                    range: this.getEffectiveRange(unit),
+                    isBlocked: (x, y) => !this.isCellFree(x, y),
+                    stepCost: (x, y) => this.terrain.getMoveCost(x, y),
+                    topology: this.topology
+                });
 
-        // Generate move options prioritizing direction toward target
-        const moveOptions = this.generateMoveOptions(unit, dx, dy);
+                if (!step) {
+                    // Boxed in: wait for a cell to open up
+                    unit.moveProgress = 0;
+                    unit.state = UnitState.IDLE;
+                    return false;
+                }
 
-        // Try each move option
-        for (const option of moveOptions) {
-            const posKey = `${option.x},${option.y}`;
+                unit.nextStep = step;
+                this.reservedCells.set(`${step.x},${step.y}`, unit);
+            }
 
-            if (this.isValidPosition(option.x, option.y) && !this.occupiedPositions.has(posKey)) {
-                // Update occupied positions
-                this.occupiedPositions.delete(`${unit.x},${unit.y}`);
-                this.occupiedPositions.add(posKey);
+            // Slow ground (mud) takes longer to step onto
+            unit.state = UnitState.MOVING;
+            unit.moveProgress += unit.effectiveMoveSpeed * deltaTime / this.terrain.getMoveCost(unit.nextStep.x, unit.nextStep.y);
+            if (unit.moveProgress < 1) {
+                return false;
+            }
 
-                // Move the unit
-                unit.x = option.x;
-                unit.y = option.y;
-                unit.state = UnitState.MOVING;
+            // Keep the leftover progress so units walk at their exact speed
+            const progress = unit.moveProgress - 1;
+            const from = { x: unit.x, y: unit.y };
+            const to = unit.nextStep;
 
-                this.log('move', {
-                    unit: unit.name,
-                    from: { x: unit.x - (option.x - unit.x), y: unit.y - (option.y - unit.y) },
-                    to: { x: unit.x, y: unit.y }
-                });
+            this.moveUnitTo(unit, to.x, to.y);
+            unit.moveProgress = progress;
 
-                return true;
+            this.log('move', { unit: unitRef(unit), from, to: { x: to.x, y: to.y } });
+            return true;
+        }
+
+        /**
+         * Drop a unit's step in progress and free its reserved cell
+         * @param {Unit} unit - The unit
+         */
+        cancelMove(unit) {
+            if (unit.nextStep) {
+                this.reservedCells.delete(`${unit.nextStep.x},${unit.nextStep.y}`);
             }
+            unit.nextStep = null;
+            unit.moveProgress = 0;
         }
 
-        // Couldn't move
-        unit.state = UnitState.IDLE;
-        return false;
-    }
+        // ========================================================================
+        // COMBAT ACTIONS
+        // ========================================================================
+
+        /**
+         * Execute an attack from attacker to defender
+         * Melee attacks land at once; ranged attacks fire a projectile and land on arrival
+         * (damage and crits are decided when the attack is made)
+         * @param {Unit} attacker - The attacking unit
+         * @param {Unit} defender - The defending unit
+         * @returns {object|null} Attack result for attacks that landed at once
+         */
+        attack(attacker, defender) {
+            if (!attacker.canAct || !defender.isAlive) {
+                return null;
+            }
 
-    /**
-     * Generate prioritized move options
-     * @param {Unit} unit - The unit to move
-     * @param {number} dx - X direction (-1, 0, 1)
-     * @param {number} dy - Y direction (-1, 0, 1)
-     * @returns {Array<{x: number, y: number}>} Array of position options
-     */
-    generateMoveOptions(unit, dx, dy) {
-        const options = [];
-
-        if (dx !== 0 && dy !== 0) {
-            // Diagonal movement preferred
-            options.push({ x: unit.x + dx, y: unit.y + dy }); // Diagonal
-            options.push({ x: unit.x + dx, y: unit.y }); // Horizontal
-            options.push({ x: unit.x, y: unit.y + dy }); // Vertical
-        } else if (dx !== 0) {
-            // Horizontal movement
-            options.push({ x: unit.x + dx, y: unit.y }); // Direct horizontal
-            options.push({ x: unit.x + dx, y: unit.y + 1 }); // Diagonal up
-            options.push({ x: unit.x + dx, y: unit.y - 1 }); // Diagonal down
-        } else if (dy !== 0) {
-            // Vertical movement
-            options.push({ x: unit.x, y: unit.y + dy }); // Direct vertical
-            options.push({ x: unit.x + 1, y: unit.y + dy }); // Diagonal right
-            options.push({ x: unit.x - 1, y: unit.y + dy }); // Diagonal left
-        }
-
-        return options;
-    }
+            // Calculate base damage
+            let damage = attacker.attack;
+            let isCrit = false;
+
+            // Check for critical strike
+            if (attacker.getBonus('critChance') > 0) {
+                const critRoll = this.rng.next() * 100;
+                if (critRoll < attacker.getBonus('critChance')) {
+                    isCrit = true;
+                    const critMultiplier = 1.5 + (attacker.getBonus('critDamage') / 100);
+                    damage = Math.floor(damage * critMultiplier);
+                }
+            }
 
-    // ========================================================================
-    // COMBAT ACTIONS
-    // ========================================================================
+            // Gain mana from attacking
+            attacker.gainMana(MANA_RULES.PER_ATTACK);
 
-    /**
-     * Execute an attack from attacker to defender
-     * @param {Unit} attacker - The attacking unit
-     * @param {Unit} defender - The defending unit
-     * @returns {object} Attack result
-     */
-    attack(attacker, defender) {
-        if (!attacker.canAct || !defender.isAlive) {
-            return null;
+            let result = null;
+            if (attacker.projectile) {
+                this.fireProjectile(attacker, defender, attacker.projectile,
+                    (target) => this.resolveAttack(attacker, target, damage, isCrit));
+            } else {
+                result = this.resolveAttack(attacker, defender, damage, isCrit);
+            }
+
+            // Check for ability cast (when mana is full; thorns can kill the attacker, silence blocks casting)
+            if (attacker.canCast && attacker.currentMana >= attacker.maxMana && attacker.ability) {
+                this.castAbility(attacker, defender);
+            }
+
+            return result;
         }
 
-        // Calculate base damage
-        let damage = attacker.attack;
-        let isCrit = false;
-        let damageType = 'physical';
+        /**
+         * Deal an attack's damage and run on-hit effects
+         * @param {Unit} attacker - The attacking unit (may have died while its projectile flew)
+         * @param {Unit} defender - The defending unit
+         * @param {number} damage - Physical damage before mitigation (crits included)
+         * @param {boolean} isCrit - Whether the attack crit
+         * @returns {object|null} Attack result, or null if the defender was already dead
+         */
+        resolveAttack(attacker, defender, damage, isCrit) {
+            if (!defender.isAlive) {
+                return null;
+            }
 
-        // Check for critical strike
-        if (attacker.buffs.critChance > 0) {
-            const critRoll = Math.random() * 100;
-            if (critRoll < attacker.buffs.critChance) {
-                isCrit = true;
-                const critMultiplier = 1.5 + (attacker.buffs.critDamage / 100);
-                damage = Math.floor(damage * critMultiplier);
+            // Deal physical damage
+            const physicalDamageDealt = this.dealDamage(attacker, defender, damage, 'physical', DAMAGE_SOURCES.PHYSICAL);
+
+            // Deal bonus magic damage if present
+            let magicDamageDealt = 0;
+            if (attacker.getBonus('magicDamage') > 0) {
+                magicDamageDealt = this.dealDamage(attacker, defender, attacker.getBonus('magicDamage'), 'magic', DAMAGE_SOURCES.MAGIC);
             }
-        }
 
-        // Deal physical damage
-        const physicalDamageDealt = defender.takeDamage(damage, 'physical', attacker);
+            const totalDamage = physicalDamageDealt + magicDamageDealt;
+
+            // Log the attack
+            this.log('attack', {
+                attacker: unitRef(attacker),
+                defender: unitRef(defender),
+                physicalDamage: physicalDamageDealt,
+                magicDamage: magicDamageDealt,
+                totalDamage,
+                isCrit,
+                defenderHp: defender.currentHp,
+                defenderDied: !defender.isAlive
+            });
 
-        // Deal bonus magic damage if present
-        let magicDamageDealt = 0;
-        if (attacker.buffs.magicDamage > 0) {
-            magicDamageDealt = defender.takeDamage(attacker.buffs.magicDamage, 'magic', attacker);
+            // On-hit effects (lifesteal, thorns, data triggers)
+            const hit = { physicalDamage: physicalDamageDealt, totalDamage, isCrit };
+            this.triggers.emit(TRIGGER_EVENTS.ATTACK, { unit: attacker, target: defender, ...hit });
+            this.triggers.emit(TRIGGER_EVENTS.HIT, { unit: defender, target: attacker, ...hit });
+
+            return {
+                attacker,
+                defender,
+                physicalDamage: physicalDamageDealt,
+                magicDamage: magicDamageDealt,
+                totalDamage,
+                isCrit,
+                defenderDied: !defender.isAlive
+            };
         }
 
-        const totalDamage = physicalDamageDealt + magicDamageDealt;
+        /**
+         * Cast a unit's ability (effects are run by executeAbility in abilities.js)
+         * @param {Unit} caster - The unit casting the ability
+         * @param {Unit} target - The primary target
+         */
+        castAbility(caster, target) {
+            const ability = caster.ability;
+            if (!ability) return;
+
+            // Spend mana, then lock it so hits taken during the cast don't refill it
+            caster.currentMana = 0;
+            caster.state = UnitState.CASTING;
+
+            const manaLock = ability.manaLock !== undefined ? ability.manaLock : MANA_RULES.CAST_LOCK_SECONDS;
+            if (manaLock > 0) {
+                caster.applyStatus('manaLock', { duration: manaLock });
+            }
 
-        // Gain mana from attacking
-        attacker.gainMana(GAME_CONFIG.MANA_PER_ATTACK);
+            this.log('ability_cast', {
+                caster: unitRef(caster),
+                ability: ability.name,
+                target: unitRef(target)
+            });
 
-        // Log the attack
-        this.log('attack', {
-            attacker: attacker.name,
-            defender: defender.name,
-            physicalDamage: physicalDamageDealt,
-            magicDamage: magicDamageDealt,
-            totalDamage,
-            isCrit,
-            defenderHp: defender.currentHp,
-            defenderDied: !defender.isAlive
-        });
+            // Projectile spells take effect where they land
+            if (ability.projectile && target) {
+                this.fireProjectile(caster, target, ability.projectile,
+                    (impactTarget) => executeAbility(this, caster, impactTarget, ability));
+            } else {
+                executeAbility(this, caster, target, ability);
+            }
+            this.triggers.emit(TRIGGER_EVENTS.CAST, { unit: caster, target });
+        }
 
-        // Check for ability cast (when mana is full)
-        if (attacker.currentMana >= attacker.maxMana && attacker.ability) {
-            this.castAbility(attacker, defender);
+        // ========================================================================
+        // DAMAGE AND HEALING (counted in the fight's stats)
+        // ========================================================================
+
+        /**
+         * Deal damage to a unit and count it in the fight's stats
+         * @param {Unit} source - Unit dealing it (null for overtime)
+         * @param {Unit} target - Unit taking it
+         * @param {number} amount - Damage before mitigation
+         * @param {string} type - 'physical', 'magic' or 'true'
+         * @param {string} damageSource - DAMAGE_SOURCES value for the damage meter (default: ability)
+         * @param {object} options - Passed to Unit.takeDamage
+         * @returns {number} Damage taken after mitigation
+         */
+        dealDamage(source, target, amount, type, damageSource = DAMAGE_SOURCES.ABILITY, options = {}) {
+            const damage = target.takeDamage(amount, type, source, options);
+            this.stats.recordDamage(source, target, amount, damage, damageSource);
+            return damage;
         }
 
-        return {
-            attacker,
-            defender,
-            physicalDamage: physicalDamageDealt,
-            magicDamage: magicDamageDealt,
-            totalDamage,
-            isCrit,
-            defenderDied: !defender.isAlive
-        };
-    }
+        /**
+         * Heal a unit and credit the healer in the fight's stats
+         * @param {Unit} healer - Unit credited with the heal
+         * @param {Unit} target - Unit healed
+         * @param {number} amount - Healing before reductions
+         * @returns {number} HP restored
+         */
+        healUnit(healer, target, amount) {
+            const healed = target.heal(amount);
+            this.stats.recordHealing(healer, healed);
+            return healed;
+        }
 
-    /**
-     * Cast a unit's ability
-     * @param {Unit} caster - The unit casting the ability
-     * @param {Unit} target - The primary target
-     */
-    castAbility(caster, target) {
-        const ability = caster.ability;
-        if (!ability) return;
-
-        // Spend mana
-        caster.currentMana = 0;
-        caster.state = UnitState.CASTING;
-
-        // Get all enemies for AoE abilities
-        const enemies = caster.ownerId === 'player'
-            ? this.enemyUnits.filter(u => u.isAlive)
-            : this.playerUnits.filter(u => u.isAlive);
-
-        // Calculate spell power bonus
-        const spellPowerMultiplier = 1 + (caster.buffs.spellPower / 100);
-
-        // Handle different ability types
-        if (ability.damage) {
-            let baseDamage = Math.floor(ability.damage * spellPowerMultiplier);
-
-            if (ability.aoe) {
-                // AoE damage to all enemies
-                for (const enemy of enemies) {
-                    const damageDealt = enemy.takeDamage(baseDamage, 'magic', caster);
-                    this.log('ability_damage', {
-                        caster: caster.name,
-                        ability: ability.name,
-                        target: enemy.name,
-                        damage: damageDealt
-                    });
+        // ========================================================================
+        // PROJECTILES
+        // ========================================================================
+
+        /**
+         * Launch a projectile from a unit toward a target
+         * @param {Unit} source - Unit firing it
+         * @param {Unit} target - Unit it flies toward
+         * @param {object} spec - { speed, emoji, retarget } from unit or ability data
+         * @param {function(Unit)} onImpact - Called with the unit hit on arrival
+         * @returns {Projectile} The projectile
+         */
+        fireProjectile(source, target, spec, onImpact) {
+            const projectile = new Projectile({ ...spec, id: this.nextProjectileId++, source, target, onImpact });
+            this.projectiles.push(projectile);
+            return projectile;
+        }
 
-                    // Apply crowd control effects
-                    if (ability.stun) {
-                        enemy.applyStun(ability.stun);
-                    }
-                    if (ability.slow) {
-                        enemy.applySlow(ability.slow, ability.duration || 2);
+        /**
+         * Move projectiles in flight and resolve the ones that arrive
+         * A projectile whose target died retargets to the enemy nearest to it if it can,
+         * otherwise it fizzles
+         * @param {number} deltaTime - Time elapsed in seconds
+         */
+        updateProjectiles(deltaTime) {
+            for (const projectile of [...this.projectiles]) {
+                if (!projectile.target.isAlive) {
+                    const enemies = projectile.retarget ? this.getEnemiesOf(projectile.source) : [];
+                    const target = this.findNearestTo(projectile, enemies);
+
+                    if (!target) {
+                        this.removeProjectile(projectile);
+                        this.log('projectile_fizzle', {
+                            projectile: projectile.id,
+                            unit: unitRef(projectile.source),
+                            target: unitRef(projectile.target)
+                        });
+                        continue;
                     }
+
+                    this.log('projectile_retarget', {
+                        projectile: projectile.id,
+                        unit: unitRef(projectile.source),
+                        from: unitRef(projectile.target),
+                        to: unitRef(target)
+                    });
+                    projectile.target = target;
                 }
-            } else {
-                // Single target damage
-                const damageDealt = target.takeDamage(baseDamage, 'magic', caster);
-                this.log('ability_damage', {
-                    caster: caster.name,
-                    ability: ability.name,
-                    target: target.name,
-                    damage: damageDealt
-                });
 
-                // Apply crowd control effects
-                if (ability.stun) {
-                    target.applyStun(ability.stun);
+                if (projectile.update(deltaTime)) {
+                    this.removeProjectile(projectile);
+                    projectile.onImpact(projectile.target);
                 }
-                if (ability.slow) {
-                    target.applySlow(ability.slow, ability.duration || 2);
+            }
+        }
+
+        /**
+         * Take a projectile out of flight
+         * @param {Projectile} projectile - Projectile to remove
+         */
+        removeProjectile(projectile) {
+            this.projectiles = this.projectiles.filter(entry => entry !== projectile);
+        }
+
+        /**
+         * Find the unit closest to a point
+         * @param {{x: number, y: number}} point - Position (may be fractional)
+         * @param {Unit[]} units - Candidates
+         * @returns {Unit|null} Closest unit (first one on ties)
+         */
+        findNearestTo(point, units) {
+            let nearest = null;
+            let nearestDistance = Infinity;
+
+            for (const unit of units) {
+                const distance = Math.hypot(unit.x - point.x, unit.y - point.y);
+                if (distance < nearestDistance) {
+                    nearest = unit;
+                    nearestDistance = distance;
                 }
             }
+
+            return nearest;
         }
 
-        // Handle damage multiplier abilities (like Backstab)
-        if (ability.damageMultiplier) {
-            const damage = Math.floor(caster.attack * ability.damageMultiplier * spellPowerMultiplier);
-            const damageDealt = target.takeDamage(damage, 'physical', caster);
-            this.log('ability_damage', {
-                caster: caster.name,
-                ability: ability.name,
-                target: target.name,
-                damage: damageDealt
-            });
+        // ========================================================================
+        // BOARD QUERIES (used by ability effects)
+        // ========================================================================
+
+        /**
+         * Get the living units fighting against a unit
+         * @param {Unit} unit - Reference unit
+         * @returns {Unit[]} Alive enemies
+         */
+        getEnemiesOf(unit) {
+            const enemies = unit.ownerId === 'player' ? this.enemyUnits : this.playerUnits;
+            return enemies.filter(u => u.isAlive);
         }
 
-        // Handle buff abilities (like Harden, War Cry)
-        if (ability.armorBonus) {
-            caster.buffs.armorBonus += ability.armorBonus;
-            this.log('ability_buff', {
-                caster: caster.name,
-                ability: ability.name,
-                effect: `+${ability.armorBonus} armor`
-            });
+        /**
+         * Get the living units on a unit's side (including the unit itself)
+         * @param {Unit} unit - Reference unit
+         * @returns {Unit[]} Alive allies
+         */
+        getAlliesOf(unit) {
+            const allies = unit.ownerId === 'player' ? this.playerUnits : this.enemyUnits;
+            return allies.filter(u => u.isAlive);
+        }
+
+        /**
+         * Check if a cell is on the board, unoccupied, not blocked by terrain and not reserved by a moving unit
+         * @param {number} x - X coordinate
+         * @param {number} y - Y coordinate
+         * @returns {boolean} True if a unit can stand there
+         */
+        isCellFree(x, y) {
+            const key = `${x},${y}`;
+            return this.isValidPosition(x, y) && !this.terrain.isBlocked(x, y) &&
+                !this.occupiedPositions.has(key) && !this.reservedCells.has(key);
         }
 
-        if (ability.attackBonus && ability.aoe) {
-            // Buff all allies
-            const allies = caster.ownerId === 'player'
-                ? this.playerUnits.filter(u => u.isAlive)
-                : this.enemyUnits.filter(u => u.isAlive);
+        /**
+         * Get the free cells within a distance of a cell (the cell itself excluded)
+         * @param {number} x - X coordinate
+         * @param {number} y - Y coordinate
+         * @param {number} distance - Distance in cells on the board layout
+         * @returns {Array<{x: number, y: number}>} Free cells, row by row
+         */
+        getFreeCellsAround(x, y, distance) {
+            return this.topology.getCellsWithin({ x, y }, distance).filter(cell => this.isCellFree(cell.x, cell.y));
+        }
 
-            for (const ally of allies) {
-                ally.buffs.attackBonus += ability.attackBonus;
+        /**
+         * Find the free cell closest to a cell
+         * @param {number} x - X coordinate
+         * @param {number} y - Y coordinate
+         * @returns {{x: number, y: number}|null} Free cell, or null if the board is full
+         */
+        findFreeCellNear(x, y) {
+            // Far enough to reach every cell in either layout
+            const maxDistance = GAME_CONFIG.BOARD_COLS + GAME_CONFIG.BOARD_ROWS;
+            for (let distance = 1; distance <= maxDistance; distance++) {
+                const cells = this.getFreeCellsAround(x, y, distance);
+                if (cells.length > 0) return cells[0];
             }
-            this.log('ability_buff', {
-                caster: caster.name,
-                ability: ability.name,
-                effect: `+${ability.attackBonus} attack to all allies`
-            });
+            return null;
         }
 
-        // Handle chain abilities (like Lightning Arrow)
-        if (ability.chainTargets && ability.damage) {
-            const baseDamage = Math.floor(ability.damage * spellPowerMultiplier);
-            const chainCount = Math.min(ability.chainTargets, enemies.length);
-
-            // Sort enemies by distance and chain damage
-            const sortedEnemies = [...enemies].sort((a, b) =>
-                caster.getDistanceTo(a) - caster.getDistanceTo(b)
-            );
-
-            for (let i = 0; i < chainCount && i < sortedEnemies.length; i++) {
-                const chainTarget = sortedEnemies[i];
-                const chainDamage = Math.floor(baseDamage * (1 - i * 0.2)); // 20% reduction per chain
-                const damageDealt = chainTarget.takeDamage(chainDamage, 'magic', caster);
-                this.log('ability_chain', {
-                    caster: caster.name,
-                    ability: ability.name,
-                    target: chainTarget.name,
-                    chainIndex: i + 1,
-                    damage: damageDealt
-                });
+        /**
+         * Move a unit straight to a cell (teleports and knockbacks, not walking)
+         * @param {Unit} unit - Unit to move
+         * @param {number} x - X coordinate
+         * @param {number} y - Y coordinate
+         */
+        moveUnitTo(unit, x, y) {
+            this.cancelMove(unit);
+            this.occupiedPositions.delete(`${unit.x},${unit.y}`);
+            unit.setPosition(x, y);
+            this.occupiedPositions.add(`${x},${y}`);
+        }
+
+        /**
+         * Add a unit to a side mid-fight (summons)
+         * It acts from the next tick and is recorded in the replay from this tick
+         * @param {Unit} unit - Positioned unit
+         * @param {string} side - 'player' or 'enemy'
+         * @param {Unit} summoner - Unit that summoned it (optional)
+         */
+        addUnit(unit, side, summoner = null) {
+            unit.id = `summon_${this.nextSummonId++}`;
+            unit.ownerId = side;
+            unit.isSummon = true;
+            unit.summonerId = summoner ? summoner.id : null;
+            unit.topology = this.topology;
+            unit.resetForCombat();
+
+            (side === 'player' ? this.playerUnits : this.enemyUnits).push(unit);
+            this.occupiedPositions.add(`${unit.x},${unit.y}`);
+
+            this.replayUnits.push(unit);
+            if (this.replay) {
+                this.replay.addUnit(unit, side, this.tickCount);
+            }
+
+            // Summons bring their own item and ability triggers (traits aren't recounted mid-fight)
+            this.stats.track(unit);
+            this.triggers.registerUnits([unit]);
+
+            if (this.result.overtime) {
+                this.applyOvertimeWounds(unit);
             }
         }
 
-        // Handle multi-hit abilities (like Whirlwind)
-        if (ability.hits && ability.damage && ability.aoe) {
-            const baseDamage = Math.floor(ability.damage * spellPowerMultiplier);
+        // ========================================================================
+        // TRAIT SYSTEM
+        // ========================================================================
+
+        /**
+         * Apply trait bonuses to a team of units
+         * @param {Unit[]} units - Array of units to apply bonuses to
+         */
+        applyTraitBonuses(units) {
+            // Reset all buffs first
+            units.forEach(unit => unit.resetBuffs());
+
+            // Count traits
+            const traitCounts = this.countTraits(units);
+
+            // Apply bonuses for each active trait
+            for (const [traitId, count] of Object.entries(traitCounts)) {
+                const traitBonus = getTraitBonus(traitId, count);
+
+                if (traitBonus) {
+                    // Apply bonus to all units with this trait
+                    for (const unit of units) {
+                        if (unit.traits.includes(traitId) && unit.isAlive) {
+                            this.applyBonusToUnit(unit, traitBonus.bonus);
+                        }
+                    }
 
-            for (let hit = 0; hit < ability.hits; hit++) {
-                for (const enemy of enemies) {
-                    if (enemy.isAlive && caster.getDistanceTo(enemy) <= 1) {
-                        const damageDealt = enemy.takeDamage(baseDamage, 'physical', caster);
-                        this.log('ability_hit', {
-                            caster: caster.name,
-                            ability: ability.name,
-                            target: enemy.name,
-                            hitNumber: hit + 1,
-                            damage: damageDealt
-                        });
+                    this.log('trait_active', {
+                        side: units.length > 0 ? units[0].ownerId : null,
+                        trait: TRAITS[traitId]?.name || traitId,
+                        count,
+                        threshold: traitBonus.threshold,
+                        bonus: traitBonus.bonus
+                    });
+                }
+            }
+        }
+
+        /**
+         * Apply equipped item stats and start-of-combat effects
+         * Called after applyTraitBonuses (which resets buffs)
+         * @param {Unit[]} units - Array of units
+         */
+        applyItemBonuses(units) {
+            for (const unit of units) {
+                if (unit.items.length === 0) continue;
+
+                const maxHpBefore = unit.effectiveMaxHp;
+                for (const itemId of unit.items) {
+                    const item = ITEMS[itemId];
+                    if (item) {
+                        this.applyBonusToUnit(unit, item.stats);
                     }
                 }
+
+                // Bonus HP from items is usable from the first tick
+                unit.currentHp += unit.effectiveMaxHp - maxHpBefore;
+
+                const startingMana = unit.getItemEffect('startingMana');
+                if (startingMana > 0) {
+                    unit.currentMana = Math.min(unit.maxMana, unit.currentMana + startingMana);
+                }
             }
         }
-    }
 
-    // ========================================================================
-    // TRAIT SYSTEM
-    // ========================================================================
+        /**
+         * Create the fight's trigger dispatch (see triggers.js)
+         * Lifesteal and thorns subscribe in code; traits, items and abilities subscribe
+         * with their `triggers` data
+         */
+        setupTriggers() {
+            this.triggers = new CombatTriggers(this);
+
+            this.triggers.on(TRIGGER_EVENTS.HIT, ({ unit, target, physicalDamage, totalDamage }) =>
+                this.applyOnHitItemEffects(target, unit, physicalDamage, totalDamage));
+            this.triggers.on(TRIGGER_EVENTS.DEATH, ({ unit, target }) => this.log('unit_death', { unit: unitRef(unit), killer: unitRef(target) }));
+            this.triggers.on(TRIGGER_EVENTS.KILL, ({ unit }) => this.stats.recordKill(unit));
+            this.triggers.on(TRIGGER_EVENTS.CAST, ({ unit }) => this.stats.recordCast(unit));
+
+            this.triggers.registerUnits(this.playerUnits, this.countTraits(this.playerUnits));
+            this.triggers.registerUnits(this.enemyUnits, this.countTraits(this.enemyUnits));
+        }
 
-    /**
-     * Apply trait bonuses to a team of units
-     * @param {Unit[]} units - Array of units to apply bonuses to
-     */
-    applyTraitBonuses(units) {
-        // Reset all buffs first
-        units.forEach(unit => unit.resetBuffs());
-
-        // Count traits
-        const traitCounts = this.countTraits(units);
-
-        // Apply bonuses for each active trait
-        for (const [traitId, count] of Object.entries(traitCounts)) {
-            const traitBonus = getTraitBonus(traitId, count);
-
-            if (traitBonus) {
-                // Apply bonus to all units with this trait
-                for (const unit of units) {
-                    if (unit.traits.includes(traitId) && unit.isAlive) {
-                        this.applyBonusToUnit(unit, traitBonus.bonus);
-                    }
+        /**
+         * Apply lifesteal and thorns after an attack lands (subscribed to the hit trigger)
+         * @param {Unit} attacker - The attacking unit
+         * @param {Unit} defender - The defending unit
+         * @param {number} physicalDamage - Physical damage dealt
+         * @param {number} totalDamage - Physical plus magic damage dealt
+         */
+        applyOnHitItemEffects(attacker, defender, physicalDamage, totalDamage) {
+            const lifesteal = attacker.getItemEffect('lifesteal');
+            if (lifesteal > 0) {
+                const healed = this.healUnit(attacker, attacker, Math.floor(totalDamage * lifesteal / 100));
+                if (healed > 0) {
+                    this.log('item_lifesteal', { unit: unitRef(attacker), amount: healed });
                 }
+            }
 
-                this.log('trait_active', {
-                    trait: TRAITS[traitId]?.name || traitId,
-                    count,
-                    threshold: traitBonus.threshold,
-                    bonus: traitBonus.bonus
-                });
+            const thorns = defender.getItemEffect('thorns');
+            if (thorns > 0 && physicalDamage > 0) {
+                const reflected = this.dealDamage(defender, attacker, Math.floor(physicalDamage * thorns / 100), 'magic', DAMAGE_SOURCES.MAGIC);
+                this.log('item_thorns', { unit: unitRef(defender), target: unitRef(attacker), damage: reflected });
             }
         }
-    }
 
-    /**
-     * Count traits among units
-     * @param {Unit[]} units - Array of units
-     * @returns {object} Object mapping trait IDs to counts
-     */
-    countTraits(units) {
-        const counts = {};
-        const countedUnits = new Set(); // Track unique units per trait
+        /**
+         * Count traits among units
+         * @param {Unit[]} units - Array of units
+         * @returns {object} Object mapping trait IDs to counts
+         */
+        countTraits(units) {
+            const counts = {};
+            const countedUnits = new Set(); // Track unique units per trait
+
+            for (const unit of units) {
+                if (!unit.isAlive) continue;
+
+                for (const traitId of unit.traits) {
+                    if (!counts[traitId]) {
+                        counts[traitId] = 0;
+                    }
+                    // Each unique unit counts once per trait
+                    const key = `${unit.id}_${traitId}`;
+                    if (!countedUnits.has(key)) {
+                        counts[traitId]++;
+                        countedUnits.add(key);
+                    }
+                }
+            }
 
-        for (const unit of units) {
-            if (!unit.isAlive) continue;
+            return counts;
+        }
 
-            for (const traitId of unit.traits) {
-                if (!counts[traitId]) {
-                    counts[traitId] = 0;
+        /**
+         * Apply a bonus object to a unit
+         * @param {Unit} unit - The unit to buff
+         * @param {object} bonus - The bonus stats to apply
+         */
+        applyBonusToUnit(unit, bonus) {
+            // Map trait bonus keys to unit buff keys
+            const bonusMapping = {
+                armor: 'armorBonus',
+                attackBonus: 'attackBonus',
+                spellPower: 'spellPower',
+                manaRegen: 'manaRegen',
+                critChance: 'critChance',
+                critDamage: 'critDamage',
+                hpBonus: 'hpBonus',
+                damageReduction: 'damageReduction',
+                attackSpeedBonus: 'attackSpeedBonus',
+                magicDamage: 'magicDamage',
+                magicResist: 'magicResistBonus'
+            };
+
+            for (const [bonusKey, value] of Object.entries(bonus)) {
+                const buffKey = bonusMapping[bonusKey];
+                if (buffKey && buffKey in unit.buffs) {
+                    unit.buffs[buffKey] += value;
                 }
-                // Each unique unit counts once per trait
-                const key = `${unit.id}_${traitId}`;
-                if (!countedUnits.has(key)) {
-                    counts[traitId]++;
-                    countedUnits.add(key);
+
+                // Special handling for range bonus
+                if (bonusKey === 'range') {
+                    unit.range += value;
                 }
             }
         }
 
-        return counts;
-    }
+        // ========================================================================
+        // COMBAT STATE
+        // ========================================================================
 
-    /**
-     * Apply a bonus object to a unit
-     * @param {Unit} unit - The unit to buff
-     * @param {object} bonus - The bonus stats to apply
-     */
-    applyBonusToUnit(unit, bonus) {
-        // Map trait bonus keys to unit buff keys
-        const bonusMapping = {
-            armor: 'armorBonus',
-            attackBonus: 'attackBonus',
-            spellPower: 'spellPower',
-            manaRegen: 'manaRegen',
-            critChance: 'critChance',
-            critDamage: 'critDamage',
-            hpBonus: 'hpBonus',
-            damageReduction: 'damageReduction',
-            attackSpeedBonus: 'attackSpeedBonus',
-            magicDamage: 'magicDamage',
-            magicResist: 'magicResistBonus'
-        };
-
-        for (const [bonusKey, value] of Object.entries(bonus)) {
-            const buffKey = bonusMapping[bonusKey];
-            if (buffKey && buffKey in unit.buffs) {
-                unit.buffs[buffKey] += value;
-            }
-
-            // Special handling for range bonus
-            if (bonusKey === 'range') {
-                unit.range += value;
+        /**
+         * Check if combat is over
+         * @returns {boolean} True if combat should end
+         */
+        isOver() {
+            const alivePlayerUnits = this.playerUnits.filter(u => u.isAlive);
+            const aliveEnemyUnits = this.enemyUnits.filter(u => u.isAlive);
+
+            return alivePlayerUnits.length === 0 || aliveEnemyUnits.length === 0;
+        }
+
+        /**
+         * Determine the winner and finalize combat
+         */
+        determinWinner() {
+            const alivePlayerUnits = this.playerUnits.filter(u => u.isAlive);
+            const aliveEnemyUnits = this.enemyUnits.filter(u => u.isAlive);
+
+            let winner;
+            let damageToLoser = 0;
+
+            if (alivePlayerUnits.length === 0 && aliveEnemyUnits.length === 0) {
+                winner = 'draw';
+            } else if (alivePlayerUnits.length === 0) {
+                winner = 'enemy';
+                // Calculate damage to player based on surviving enemy units
+                damageToLoser = this.calculateDamage(aliveEnemyUnits);
+            } else {
+                winner = 'player';
+                // Calculate damage to enemy based on surviving player units
+                damageToLoser = this.calculateDamage(alivePlayerUnits);
             }
+
+            this.endCombat(winner, damageToLoser);
         }
-    }
 
-    // ========================================================================
-    // COMBAT STATE
-    // ========================================================================
+        /**
+         * Calculate damage based on surviving units
+         * Summons help win the fight but don't add damage
+         * @param {Unit[]} survivingUnits - Array of surviving units
+         * @returns {number} Damage to deal to the loser
+         */
+        calculateDamage(survivingUnits) {
+            // Base damage + damage per surviving unit based on cost/star
+            let damage = 2; // Base damage for losing
+
+            for (const unit of survivingUnits) {
+                if (unit.isSummon) continue;
+
+                // Each unit deals damage based on their star level
+                damage += unit.starLevel;
+            }
 
-    /**
-     * Check if combat is over
-     * @returns {boolean} True if combat should end
-     */
-    isOver() {
-        const alivePlayerUnits = this.playerUnits.filter(u => u.isAlive);
-        const aliveEnemyUnits = this.enemyUnits.filter(u => u.isAlive);
+            return damage;
+        }
 
-        return alivePlayerUnits.length === 0 || aliveEnemyUnits.length === 0;
-    }
+        /**
+         * End combat and resolve results
+         * @param {string} winner - 'player', 'enemy', or 'draw'
+         * @param {number} damageToLoser - Damage dealt to the loser (optional)
+         */
+        endCombat(winner, damageToLoser = 0) {
+            this.stop();
+
+            // Anything still in flight when the fight is decided never lands
+            this.projectiles = [];
+
+            // Summons only last the fight, so they aren't among the survivors
+            this.removeSummons();
+
+            // Populate result
+            this.result.winner = winner;
+            this.result.totalTicks = this.tickCount;
+            this.result.seed = this.seed;
+            this.result.combatLog = this.combatLog;
+            this.result.survivingPlayerUnits = this.playerUnits.filter(u => u.isAlive);
+            this.result.survivingEnemyUnits = this.enemyUnits.filter(u => u.isAlive);
+
+            if (winner === 'enemy') {
+                this.result.damageToPlayer = damageToLoser;
+            } else if (winner === 'player') {
+                this.result.damageToEnemy = damageToLoser;
+            }
 
-    /**
-     * Determine the winner and finalize combat
-     */
-    determinWinner() {
-        const alivePlayerUnits = this.playerUnits.filter(u => u.isAlive);
-        const aliveEnemyUnits = this.enemyUnits.filter(u => u.isAlive);
-
-        let winner;
-        let damageToLoser = 0;
-
-        if (alivePlayerUnits.length === 0 && aliveEnemyUnits.length === 0) {
-            winner = 'draw';
-        } else if (alivePlayerUnits.length === 0) {
-            winner = 'enemy';
-            // Calculate damage to player based on surviving enemy units
-            damageToLoser = this.calculateDamage(aliveEnemyUnits);
-        } else {
-            winner = 'player';
-            // Calculate damage to enemy based on surviving player units
-            damageToLoser = this.calculateDamage(alivePlayerUnits);
-        }
-
-        this.endCombat(winner, damageToLoser);
-    }
+            this.log('combat_end', {
+                winner,
+                damageToLoser,
+                overtime: this.result.overtime,
+                totalTicks: this.tickCount,
+                survivingPlayerUnits: this.result.survivingPlayerUnits.length,
+                survivingEnemyUnits: this.result.survivingEnemyUnits.length
+            });
 
-    /**
-     * Calculate damage based on surviving units
-     * @param {Unit[]} survivingUnits - Array of surviving units
-     * @returns {number} Damage to deal to the loser
-     */
-    calculateDamage(survivingUnits) {
-        // Base damage + damage per surviving unit based on cost/star
-        let damage = 2; // Base damage for losing
+            // Close the replay with the final board and the end event
+            if (this.replay) {
+                this.recordReplayFrame();
+                this.result.replay = this.replay.finish(this.result);
+            }
 
-        for (const unit of survivingUnits) {
-            // Each unit deals damage based on their star level
-            damage += unit.starLevel;
+            // Call end callback if set
+            if (this.onCombatEnd) {
+                this.onCombatEnd(this.result);
+            }
         }
 
-        return damage;
-    }
-
-    /**
-     * End combat and resolve results
-     * @param {string} winner - 'player', 'enemy', or 'draw'
-     * @param {number} damageToLoser - Damage dealt to the loser (optional)
-     */
-    endCombat(winner, damageToLoser = 0) {
-        this.stop();
-
-        // Populate result
-        this.result.winner = winner;
-        this.result.totalTicks = this.tickCount;
-        this.result.combatLog = this.combatLog;
-        this.result.survivingPlayerUnits = this.playerUnits.filter(u => u.isAlive);
-        this.result.survivingEnemyUnits = this.enemyUnits.filter(u => u.isAlive);
-
-        if (winner === 'enemy') {
-            this.result.damageToPlayer = damageToLoser;
-        } else if (winner === 'player') {
-            this.result.damageToEnemy = damageToLoser;
-        }
-
-        this.log('combat_end', {
-            winner,
-            damageToLoser,
-            totalTicks: this.tickCount,
-            survivingPlayerUnits: this.result.survivingPlayerUnits.length,
-            survivingEnemyUnits: this.result.survivingEnemyUnits.length
-        });
-
-        // Call end callback if set
-        if (this.onCombatEnd) {
-            this.onCombatEnd(this.result);
+        /**
+         * Take every summon off the board (the replay and the stats keep them)
+         */
+        removeSummons() {
+            this.playerUnits = this.playerUnits.filter(unit => !unit.isSummon);
+            this.enemyUnits = this.enemyUnits.filter(unit => !unit.isSummon);
+            this.updateOccupiedPositions();
+            this.notifyTick();
         }
-    }
 
-    // ========================================================================
-    // UTILITY METHODS
-    // ========================================================================
+        // ========================================================================
+        // UTILITY METHODS
+        // ========================================================================
 
-    /**
-     * Update the occupied positions cache
-     */
-    updateOccupiedPositions() {
-        this.occupiedPositions.clear();
+        /**
+         * Update the occupied positions cache
+         */
+        updateOccupiedPositions() {
+            this.occupiedPositions.clear();
 
-        for (const unit of [...this.playerUnits, ...this.enemyUnits]) {
-            if (unit.isAlive && unit.isOnBoard) {
-                this.occupiedPositions.add(`${unit.x},${unit.y}`);
+            for (const unit of [...this.playerUnits, ...this.enemyUnits]) {
+                if (unit.isAlive && unit.isOnBoard) {
+                    this.occupiedPositions.add(`${unit.x},${unit.y}`);
+                }
+            }
+
+            // Drop reservations held by units that died or stopped moving
+            for (const [key, unit] of this.reservedCells) {
+                if (!unit.isAlive || !unit.nextStep || `${unit.nextStep.x},${unit.nextStep.y}` !== key) {
+                    this.reservedCells.delete(key);
+                }
             }
         }
-    }
 
-    /**
-     * Check if a position is valid on the board
-     * @param {number} x - X coordinate
-     * @param {number} y - Y coordinate
-     * @returns {boolean} True if valid
-     */
-    isValidPosition(x, y) {
-        return x >= 0 && x < GAME_CONFIG.BOARD_COLS &&
-               y >= 0 && y < GAME_CONFIG.BOARD_ROWS;
-    }
+        /**
+         * Check if a position is valid on the board
+         * @param {number} x - X coordinate (arena space)
+         * @param {number} y - Y coordinate (arena space)
+         * @returns {boolean} True if valid
+         */
+        isValidPosition(x, y) {
+            return isInArena(x, y);
+        }
 
-    /**
-     * Get effective range for a unit (including trait bonuses)
-     * @param {Unit} unit - The unit
-     * @returns {number} Effective attack range
-     */
-    getEffectiveRange(unit) {
-        return unit.range; // Range bonus already applied via traits
-    }
+        /**
+         * Get effective range for a unit (including trait bonuses)
+         * @param {Unit} unit - The unit
+         * @returns {number} Effective attack range
+         */
+        getEffectiveRange(unit) {
+            return unit.range; // Range bonus already applied via traits
+        }
 
-    /**
-     * Shuffle an array in place (Fisher-Yates)
-     * @param {Array} array - Array to shuffle
-     */
-    shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
+        /**
+         * Shuffle an array in place (Fisher-Yates)
+         * @param {Array} array - Array to shuffle
+         */
+        shuffleArray(array) {
+            this.rng.shuffle(array);
         }
-    }
 
-    /**
-     * Add an entry to the combat log
-     * @param {string} type - Log entry type
-     * @param {object} data - Log entry data
-     */
-    log(type, data) {
-        this.combatLog.push({
-            tick: this.tickCount,
-            type,
-            data,
-            timestamp: Date.now()
-        });
+        /**
+         * Write the current tick's board and the events since the last frame to the replay
+         */
+        recordReplayFrame() {
+            if (!this.replay) return;
+
+            const events = this.replayEvents;
+            this.replayEvents = [];
+
+            this.replay.recordFrame(this.tickCount, this.replayUnits, events, this.projectiles.map(projectile => projectile.toJSON()));
+        }
+
+        /**
+         * Events of the current fight so far
+         * @returns {object[]} Events from the event stream
+         */
+        get combatLog() {
+            return this.events.log;
+        }
+
+        /**
+         * Emit a combat event on the current tick
+         * @param {string} type - Event type (key of COMBAT_EVENT_SCHEMA)
+         * @param {object} data - Event data (units as unitRef() references)
+         */
+        log(type, data) {
+            this.events.emit(this.tickCount, type, data);
+        }
+
+        /**
+         * Get current combat state (for UI rendering)
+         * @returns {object} Current state of all units
+         */
+        getState() {
+            return {
+                isRunning: this.isRunning,
+                tickCount: this.tickCount,
+                playerUnits: this.playerUnits.map(u => u.toJSON()),
+                enemyUnits: this.enemyUnits.map(u => u.toJSON()),
+                projectiles: this.projectiles.map(projectile => projectile.toJSON()),
+                overtime: this.result.overtime,
+                result: this.result
+            };
+        }
     }
 
+    // ============================================================================
+    // FACTORY FUNCTION
+    // ============================================================================
+
     /**
-     * Get current combat state (for UI rendering)
-     * @returns {object} Current state of all units
+     * Create a new combat instance
+     * @param {RNG} rng - Seeded random generator (optional)
+     * @param {BoardTopology} topology - Board layout (optional)
+     * @returns {Combat} New combat instance
      */
-    getState() {
-        return {
-            isRunning: this.isRunning,
-            tickCount: this.tickCount,
-            playerUnits: this.playerUnits.map(u => u.toJSON()),
-            enemyUnits: this.enemyUnits.map(u => u.toJSON()),
-            result: this.result
-        };
+    function createCombat(rng = null, topology = null) {
+        return new Combat(rng, topology);
     }
-}
-
-// ============================================================================
-// FACTORY FUNCTION
-// ============================================================================
-
-/**
- * Create a new combat instance
- * @returns {Combat} New combat instance
- */
-function createCombat() {
-    return new Combat();
-}
 
-// ============================================================================
-// EXPORT
-// ============================================================================
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
 
-// Expose globally
-window.Combat = Combat;
-window.CombatResult = CombatResult;
-window.createCombat = createCombat;
+    console.log('[Combat] Combat system module loaded');
 
-console.log('[Combat] Combat system module loaded');
+    return {
+        Combat,
+        CombatResult,
+        COMBAT_SPEEDS,
+        createCombat
+    };
+}));
@@ -0,0 +1,32 @@
+/**
+ * Auto Chess Headless Core
+ * Single entry point for running the simulation from Node (bots, balance scripts, tests).
+ * The browser loads the same modules as plain scripts from index.html.
+ */
+
+module.exports = {
+    ...require('./data.js'),
+    ...require('./coordinates.js'),
+    ...require('./board-topology.js'),
+    ...require('./terrain.js'),
+    ...require('./rng.js'),
+    ...require('./migrations.js'),
+    ...require('./status-effects.js'),
+    ...require('./pathfinding.js'),
+    ...require('./targeting.js'),
+    ...require('./projectiles.js'),
+    ...require('./combat-events.js'),
+    ...require('./state.js'),
+    ...require('./unit.js'),
+    ...require('./traits.js'),
+    ...require('./shop.js'),
+    ...require('./replay.js'),
+    ...require('./abilities.js'),
+    ...require('./triggers.js'),
+    ...require('./combat-stats.js'),
+    ...require('./combat.js'),
+    ...require('./ai.js'),
+    ...require('./carousel.js'),
+    ...require('./actions.js'),
+    ...require('./session.js')
+};
@@ -8,8 +8,10 @@
 // ============================================================================
 
 const PREP_PHASE_DURATION = 30; // seconds
-const COMBAT_SPEED = 1; // Multiplier for combat speed
+const CAROUSEL_PICK_DURATION = 10; // seconds to claim a carousel unit before the first free one is taken
+const COMBAT_SPEED = 1; // Default live combat speed (one of COMBAT_SPEEDS)
 const RESULTS_DISPLAY_DURATION = 2000; // ms to show results before next round
+const REPLAY_HISTORY_SIZE = 10; // Number of recent fights kept for the replay viewer
 
 // ============================================================================
 // GAME CLASS
@@ -17,6 +19,11 @@ const RESULTS_DISPLAY_DURATION = 2000; // ms to show results before next round
 
 class Game {
     constructor() {
+        // Headless round flow and action reducer (owns the RNG, shop, combat and AI)
+        this.session = null;
+        this.seed = null;
+        this.rng = null;
+
         // Core systems
         this.state = null;
         this.shop = null;
@@ -24,15 +31,26 @@ class Game {
         this.ai = null;
         this.traitSystem = null;
         this.renderer = null;
+        this.replayViewer = null;
+        this.damageMeter = null;
+        this.saveSlots = null;
 
         // Timer state
         this.prepTimer = null;
         this.prepTimeRemaining = PREP_PHASE_DURATION;
         this.timerInterval = null;
 
+        // Carousel state (the ring turns one step per second while the player picks)
+        this.carouselInterval = null;
+        this.carouselTimeRemaining = 0;
+        this.carouselRotation = 0;
+
         // Combat state
-        this.currentEnemyUnits = [];
         this.combatPromise = null;
+        this.combatSpeed = COMBAT_SPEED; // Kept across fights
+
+        // Recorded fights (oldest first, capped at REPLAY_HISTORY_SIZE)
+        this.replays = [];
 
         // UI update callbacks
         this.onStateChange = null;
@@ -46,22 +64,21 @@ class Game {
 
     /**
      * Initialize all game systems
+     * @param {number|string} seed - Game seed (random if omitted)
+     * @param {string} boardLayout - Value of BOARD_LAYOUTS (default layout if omitted)
      */
-    init() {
+    init(seed = null, boardLayout = null) {
         console.log('[Game] Initializing game systems...');
 
         // Initialize game state (already created by state.js)
         this.state = window.gameState;
         this.state.reset();
 
-        // Initialize shop system
-        this.shop = new Shop(this.state);
+        // Save slots live next to the state's storage (localStorage)
+        this.saveSlots = new SaveSlots(this.state.storage);
 
-        // Initialize combat system
-        this.combat = new Combat();
-
-        // Initialize AI opponent
-        this.ai = new AI();
+        // Seed shop, combat and AI from one game seed
+        this.setupSession(seed, boardLayout);
 
         // Initialize trait system
         this.traitSystem = new TraitSystem();
@@ -69,6 +86,15 @@ class Game {
         // Initialize renderer (already created by renderer.js)
         this.renderer = window.renderer;
         this.renderer.init();
+        this.renderer.setTopology(this.session.topology);
+
+        // Initialize replay viewer (already created by replay-viewer.js)
+        this.replayViewer = window.replayViewer;
+        this.replayViewer.init(this);
+
+        // Initialize damage meter (already created by damage-meter.js)
+        this.damageMeter = window.damageMeter;
+        this.damageMeter.init(this);
 
         // Set up UI event handlers
         this.setupUI();
@@ -76,12 +102,47 @@ class Game {
         // Expose game instance globally for renderer callbacks
         window.game = this;
 
-        // Start the first round
-        this.startRound();
+        // Offer to resume the last game, unless a specific seed was requested
+        if (!seed && this.saveSlots.has(AUTOSAVE_SLOT)) {
+            this.showContinuePrompt();
+        } else {
+            this.startRound();
+        }
 
         console.log('[Game] Game initialized successfully');
     }
 
+    /**
+     * Create the game session for a seed
+     * The session owns the seeded shop, combat and AI; they are aliased here for the UI
+     * @param {number|string} seed - Game seed (random if omitted)
+     * @param {string} boardLayout - Value of BOARD_LAYOUTS (default layout if omitted)
+     */
+    setupSession(seed = null, boardLayout = null) {
+        this.useSession(new GameSession({ seed, boardLayout, state: this.state }));
+    }
+
+    /**
+     * Switch to a session (new or loaded) and alias its systems
+     * @param {GameSession} session - Session driving this.state
+     */
+    useSession(session) {
+        this.session = session;
+        this.rng = this.session.rng;
+        this.seed = this.session.seed;
+
+        this.shop = this.session.shop;
+        this.combat = this.session.combat;
+        this.ai = this.session.ai;
+
+        // Draw the session's board layout (the renderer isn't set up yet on the first call)
+        if (this.renderer) {
+            this.renderer.setTopology(this.session.topology);
+        }
+
+        console.log(`[Game] Game seed: ${this.seed}, board: ${this.session.boardLayout}`);
+    }
+
     /**
      * Set up UI event handlers
      */
@@ -104,17 +165,134 @@ class Game {
             lockBtn.addEventListener('click', () => this.toggleShopLock());
         }
 
+        // Undo / redo buttons
+        const undoBtn = document.getElementById('undo-btn');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.undo());
+        }
+
+        const redoBtn = document.getElementById('redo-btn');
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => this.redo());
+        }
+
+        // Ctrl+Z undo, Ctrl+Y / Ctrl+Shift+Z redo
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
         // Shop slot click handlers
         const shopSlots = document.querySelectorAll('.shop-slot');
         shopSlots.forEach((slot, index) => {
             slot.addEventListener('click', () => this.buyUnit(index));
         });
 
-        // Restart button
+        // Combat speed, pause and step controls
+        document.querySelectorAll('.combat-speed-btn').forEach(btn => {
+            const speed = btn.dataset.speed === 'instant' ? 'instant' : parseFloat(btn.dataset.speed);
+            btn.addEventListener('click', () => this.setCombatSpeed(speed));
+        });
+
+        const pauseBtn = document.getElementById('combat-pause-btn');
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => this.toggleCombatPause());
+        }
+
+        const stepBtn = document.getElementById('combat-step-btn');
+        if (stepBtn) {
+            stepBtn.addEventListener('click', () => this.stepCombat());
+        }
+
+        // Replays button
+        const replayBtn = document.getElementById('replay-btn');
+        if (replayBtn) {
+            replayBtn.addEventListener('click', () => this.openReplays());
+        }
+
+        // Fight stats button
+        const statsBtn = document.getElementById('stats-btn');
+        if (statsBtn) {
+            statsBtn.addEventListener('click', () => this.openFightStats());
+        }
+
+        // Export replay button
+        const exportBtn = document.getElementById('export-replay-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportRecording());
+        }
+
+        // Restart button (the next game's board comes from the picker next to it)
         const restartBtn = document.getElementById('restart-btn');
         if (restartBtn) {
-            restartBtn.addEventListener('click', () => this.restart());
+            restartBtn.addEventListener('click', () => this.restart(null, this.getPickedBoardLayout('restart-board-layout')));
+        }
+
+        // Board layout pickers for new games
+        this.populateBoardLayoutPicker('restart-board-layout');
+        this.populateBoardLayoutPicker('continue-board-layout');
+
+        // Save menu
+        const saveMenuBtn = document.getElementById('save-menu-btn');
+        if (saveMenuBtn) {
+            saveMenuBtn.addEventListener('click', () => this.openSaveMenu());
+        }
+
+        const saveCloseBtn = document.getElementById('save-close-btn');
+        if (saveCloseBtn) {
+            saveCloseBtn.addEventListener('click', () => this.closeSaveMenu());
+        }
+
+        const saveForm = document.getElementById('save-form');
+        if (saveForm) {
+            saveForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const nameInput = document.getElementById('save-name');
+                if (this.saveGame(nameInput.value.trim()).success) {
+                    nameInput.value = '';
+                }
+            });
+        }
+
+        // Continue prompt
+        const continueBtn = document.getElementById('continue-btn');
+        if (continueBtn) {
+            continueBtn.addEventListener('click', () => {
+                this.hideContinuePrompt();
+                if (!this.loadGame(AUTOSAVE_SLOT)) {
+                    this.startRound();
+                }
+            });
+        }
+
+        const newGameBtn = document.getElementById('new-game-btn');
+        if (newGameBtn) {
+            newGameBtn.addEventListener('click', () => {
+                this.hideContinuePrompt();
+
+                const boardLayout = this.getPickedBoardLayout('continue-board-layout');
+                if (boardLayout !== this.session.boardLayout) {
+                    this.setupSession(null, boardLayout);
+                }
+
+                this.startRound();
+            });
         }
+
+        // Keep prep-phase progress when the page is closed or reloaded
+        window.addEventListener('pagehide', () => {
+            if (this.state.isPrep() && !this.isContinuePromptOpen()) {
+                this.autosave();
+            }
+        });
     }
 
     // ========================================================================
@@ -122,23 +300,29 @@ class Game {
     // ========================================================================
 
     /**
-     * Start a new round (prep phase)
+     * Start a new round (carousel on carousel rounds, then prep phase)
      */
     startRound() {
         console.log(`[Game] Starting round ${this.state.round}`);
 
-        // Collect income and XP at round start (except round 1)
-        if (this.state.round > 1) {
-            const income = this.state.startRound();
+        // Income, shop roll, enemy board and carousel (no income in round 1)
+        const income = this.session.startRound();
+        if (income) {
             this.showIncomeNotification(income);
         }
 
-        // Generate shop for new round
-        this.shop.onRoundStart();
+        if (this.state.isCarousel()) {
+            this.startCarousel();
+            return;
+        }
 
-        // Generate AI enemy board for this round
-        this.currentEnemyUnits = this.ai.generateBoard(this.state.round);
+        this.beginPrep();
+    }
 
+    /**
+     * Enter the prep phase of the current round
+     */
+    beginPrep() {
         // Calculate and display traits
         this.updateTraits();
 
@@ -150,13 +334,17 @@ class Game {
 
         // Render the board
         this.renderer.renderBoard();
+
+        // Continue from here if the page is reloaded
+        this.autosave();
     }
 
     /**
      * Start the preparation phase timer
+     * @param {number} duration - Seconds on the clock (a full prep phase if omitted)
      */
-    startPrepTimer() {
-        this.prepTimeRemaining = PREP_PHASE_DURATION;
+    startPrepTimer(duration = PREP_PHASE_DURATION) {
+        this.prepTimeRemaining = duration;
         this.updateTimerDisplay();
 
         // Clear any existing timer
@@ -192,6 +380,8 @@ class Game {
         if (phaseIndicator) {
             if (this.state.isPrep()) {
                 phaseIndicator.textContent = `Prep Phase: ${this.prepTimeRemaining}s`;
+            } else if (this.state.isCarousel()) {
+                phaseIndicator.textContent = `Carousel: ${this.carouselTimeRemaining}s`;
             } else if (this.state.isCombat()) {
                 phaseIndicator.textContent = 'Combat!';
             } else if (this.state.isGameOver()) {
@@ -200,6 +390,80 @@ class Game {
         }
     }
 
+    // ========================================================================
+    // CAROUSEL
+    // ========================================================================
+
+    /**
+     * Show the carousel ring and start the pick timer
+     * Rivals ahead of the player have already picked (see Carousel.start)
+     */
+    startCarousel() {
+        const carousel = this.session.carousel;
+        const order = carousel.pickOrder.map(picker => picker.name).join(', ');
+        this.renderer.showBoardMessage(`Carousel! Pick order: ${order}`, 2500);
+
+        this.carouselRotation = 0;
+        this.carouselTimeRemaining = CAROUSEL_PICK_DURATION;
+
+        this.updateTraits();
+        this.updateUI();
+        this.updateTimerDisplay();
+        this.renderer.renderBench();
+        this.renderer.renderItemBench();
+        this.renderer.renderCarousel(carousel, this.carouselRotation);
+
+        this.stopCarouselTimer();
+        this.carouselInterval = setInterval(() => {
+            this.carouselTimeRemaining--;
+            this.carouselRotation++;
+            this.updateTimerDisplay();
+
+            if (this.carouselTimeRemaining <= 0) {
+                this.claimCarouselUnit(carousel.getAutoPickIndex());
+                return;
+            }
+
+            this.renderer.renderCarousel(carousel, this.carouselRotation);
+        }, 1000);
+    }
+
+    /**
+     * Stop the carousel timer and ring rotation
+     */
+    stopCarouselTimer() {
+        if (this.carouselInterval) {
+            clearInterval(this.carouselInterval);
+            this.carouselInterval = null;
+        }
+    }
+
+    /**
+     * Claim a carousel unit for the player and move on to the prep phase
+     * @param {number} index - Ring index
+     * @returns {object} Result object with success status and data or error
+     */
+    claimCarouselUnit(index) {
+        const result = this.dispatch(PlayerActions.claimCarouselUnit(index));
+        if (!result.success) {
+            this.renderer.showBoardMessage(result.error, 1500);
+            return result;
+        }
+
+        this.stopCarouselTimer();
+
+        const unitName = UNITS[result.unitId].name;
+        const itemName = result.itemId ? ITEMS[result.itemId].name : null;
+        let message = `You claimed ${unitName}${itemName ? ` with ${itemName}` : ''}`;
+        if (result.soldFor) {
+            message = `Bench full: ${unitName} sold for ${result.soldFor}g${itemName ? `, ${itemName} kept` : ''}`;
+        }
+        this.renderer.showBoardMessage(message, 2000);
+
+        this.beginPrep();
+        return result;
+    }
+
     // ========================================================================
     // COMBAT
     // ========================================================================
@@ -210,35 +474,22 @@ class Game {
     async startCombat() {
         console.log('[Game] Starting combat phase');
 
-        // Stop prep timer
+        // Stop prep timer (and the carousel, if skipped straight to combat)
         this.stopPrepTimer();
+        this.stopCarouselTimer();
 
-        // Set game phase to combat
-        this.state.startCombat();
-        this.updateTimerDisplay();
-
-        // Get player units from board
-        const playerUnits = this.getPlayerCombatUnits();
+        // Give the board back before the live fight is drawn
+        this.replayViewer.close();
+        this.damageMeter.hide();
 
-        // Check if player has units
-        if (playerUnits.length === 0) {
-            console.log('[Game] No player units on board, auto-lose');
-            this.endCombat({
-                winner: 'enemy',
-                damageToPlayer: this.calculateDamage(this.currentEnemyUnits),
-                survivingEnemyUnits: this.currentEnemyUnits
-            });
-            return;
-        }
+        // Set game phase to combat and build both teams
+        const { playerUnits, enemyUnits, result: decidedResult } = this.session.prepareCombat();
+        this.updateTimerDisplay();
+        this.updateUndoButtons();
 
-        // Check if enemy has units
-        if (this.currentEnemyUnits.length === 0) {
-            console.log('[Game] No enemy units, auto-win');
-            this.endCombat({
-                winner: 'player',
-                damageToEnemy: this.calculateDamage(playerUnits),
-                survivingPlayerUnits: playerUnits
-            });
+        // One side has no units - no fight needed
+        if (decidedResult) {
+            this.endCombat(decidedResult);
             return;
         }
 
@@ -251,53 +502,32 @@ class Game {
             this.renderer.updateCombat(state);
         };
 
+        // Attack animations and damage numbers come from the fight's event stream
+        const unsubscribe = this.combat.events.subscribe('*', (event) => {
+            if (this.combat.speed !== 'instant') {
+                this.renderer.showCombatEvent(event);
+            }
+        });
+
         // Render initial combat state
-        this.renderCombatBoard(playerUnits, this.currentEnemyUnits);
+        this.renderCombatBoard(playerUnits, enemyUnits);
+
+        // Show speed/pause controls for the live fight
+        this.combat.setSpeed(this.combatSpeed);
+        this.showCombatControls(true);
 
         // Run combat (async)
+        let result;
         try {
-            const result = await this.combat.start(playerUnits, this.currentEnemyUnits);
-            this.endCombat(result);
+            result = await this.combat.start(playerUnits, enemyUnits);
         } catch (error) {
             console.error('[Game] Combat error:', error);
             // Fallback: run sync combat
-            const result = this.combat.runSync(playerUnits, this.currentEnemyUnits);
-            this.endCombat(result);
-        }
-    }
-
-    /**
-     * Get player units configured for combat
-     * @returns {Unit[]} Array of Unit instances ready for combat
-     */
-    getPlayerCombatUnits() {
-        const units = [];
-        const unitsOnBoard = this.state.getUnitsOnBoard();
-
-        for (const unitInstance of unitsOnBoard) {
-            // Create combat unit from unit instance
-            const unit = new Unit(unitInstance.unitId, unitInstance.starLevel);
-            unit.setPosition(unitInstance.position.x, unitInstance.position.y);
-            unit.ownerId = 'player';
-            units.push(unit);
-        }
-
-        return units;
-    }
-
-    /**
-     * Calculate damage based on surviving units
-     * @param {Unit[]} survivingUnits - Array of surviving units
-     * @returns {number} Damage to deal
-     */
-    calculateDamage(survivingUnits) {
-        let damage = 2; // Base damage
-
-        for (const unit of survivingUnits) {
-            damage += unit.starLevel || 1;
+            result = this.combat.runSync(playerUnits, enemyUnits);
         }
 
-        return damage;
+        unsubscribe();
+        this.endCombat(result);
     }
 
     /**
@@ -318,14 +548,22 @@ class Game {
     endCombat(result) {
         console.log('[Game] Combat ended:', result.winner);
 
-        const won = result.winner === 'player';
-        const damage = won ? 0 : result.damageToPlayer || 0;
+        this.showCombatControls(false);
+
+        // Keep the fight for the replay viewer and show its damage meter (auto wins/losses have no replay)
+        if (result.replay) {
+            this.storeReplay(result.replay);
+            this.damageMeter.show(result.replay);
+        }
 
-        // Update game state with combat result
-        this.state.endCombat(won, damage);
+        // Update game state with combat result (a draw costs no HP and isn't a loss)
+        const { draw, itemId } = this.session.finishCombat(result);
+        if (draw) {
+            console.log(`[Game] Round drawn${result.overtime ? ' in overtime' : ''}`);
+        }
 
         // Show result message
-        this.showCombatResult(result);
+        this.showCombatResult(result, itemId);
 
         // Check for game over
         if (this.state.isGameOver()) {
@@ -339,15 +577,142 @@ class Game {
         }, RESULTS_DISPLAY_DURATION);
     }
 
+    // ========================================================================
+    // COMBAT SPEED CONTROLS
+    // ========================================================================
+
+    /**
+     * Set the live combat speed (also used for later fights)
+     * @param {number|string} speed - One of COMBAT_SPEEDS (0.5, 1, 2, 4 or 'instant')
+     */
+    setCombatSpeed(speed) {
+        if (!this.combat.setSpeed(speed)) return;
+
+        this.combatSpeed = speed;
+        this.updateCombatControls();
+    }
+
+    /**
+     * Pause or resume the live fight
+     */
+    toggleCombatPause() {
+        if (!this.combat.isRunning) return;
+
+        if (this.combat.isPaused) {
+            this.combat.resume();
+        } else {
+            this.combat.pause();
+        }
+        this.updateCombatControls();
+    }
+
+    /**
+     * Advance a paused fight by one tick
+     */
+    stepCombat() {
+        if (!this.combat.isPaused) {
+            this.combat.pause();
+        }
+        this.combat.stepTick();
+        this.updateCombatControls();
+    }
+
+    /**
+     * Show or hide the live combat controls
+     * @param {boolean} visible - Whether the controls should be shown
+     */
+    showCombatControls(visible) {
+        const controls = document.getElementById('combat-controls');
+        if (controls) {
+            controls.classList.toggle('hidden', !visible);
+        }
+        this.updateCombatControls();
+    }
+
+    /**
+     * Sync the speed buttons and pause state with the combat
+     */
+    updateCombatControls() {
+        document.querySelectorAll('.combat-speed-btn').forEach(btn => {
+            const speed = btn.dataset.speed === 'instant' ? 'instant' : parseFloat(btn.dataset.speed);
+            btn.classList.toggle('active', speed === this.combatSpeed);
+        });
+
+        const pauseBtn = document.getElementById('combat-pause-btn');
+        if (pauseBtn) {
+            pauseBtn.textContent = this.combat.isPaused ? '▶ Resume' : '⏸ Pause';
+        }
+
+        const stepBtn = document.getElementById('combat-step-btn');
+        if (stepBtn) {
+            stepBtn.disabled = !this.combat.isRunning;
+        }
+    }
+
+    // ========================================================================
+    // REPLAYS
+    // ========================================================================
+
+    /**
+     * Store a finished fight's replay, dropping the oldest past the history limit
+     * @param {CombatReplay} replay - Recorded fight
+     */
+    storeReplay(replay) {
+        replay.round = this.state.round;
+        this.replays.push(replay);
+
+        if (this.replays.length > REPLAY_HISTORY_SIZE) {
+            this.replays.shift();
+        }
+    }
+
+    /**
+     * Open the replay viewer on the most recent fight (prep phase only)
+     */
+    openReplays() {
+        if (!this.state.isPrep()) {
+            console.log('[Game] Replays can only be watched during prep phase');
+            return;
+        }
+
+        if (this.replays.length === 0) {
+            this.renderer.showBoardMessage('No fights recorded yet', 1500);
+            return;
+        }
+
+        this.replayViewer.open(this.replays[this.replays.length - 1]);
+    }
+
+    /**
+     * Show the damage meter for the most recent fight
+     */
+    openFightStats() {
+        const replay = this.replays[this.replays.length - 1];
+
+        if (!this.damageMeter.show(replay)) {
+            this.renderer.showBoardMessage('No fight stats yet', 1500);
+        }
+    }
+
     /**
      * Show combat result notification
+     * @param {CombatResult} result - Combat result object
+     * @param {string|null} itemId - Item dropped this round, if any
      */
-    showCombatResult(result) {
-        const message = result.winner === 'player'
+    showCombatResult(result, itemId = null) {
+        let message = result.winner === 'player'
             ? 'Victory!'
             : result.winner === 'enemy'
             ? `Defeat! -${result.damageToPlayer || 0} HP`
-            : 'Draw!';
+            : 'Draw! No HP lost';
+
+        if (result.overtime) {
+            message += ' (overtime)';
+        }
+
+        if (itemId) {
+            message += ` ${ITEMS[itemId].emoji} ${ITEMS[itemId].name} dropped`;
+        }
 
         this.renderer.showBoardMessage(message, RESULTS_DISPLAY_DURATION);
     }
@@ -374,6 +739,10 @@ class Game {
 
         // Stop any timers
         this.stopPrepTimer();
+        this.stopCarouselTimer();
+
+        // A finished game can't be continued
+        this.saveSlots.remove(AUTOSAVE_SLOT);
 
         // Calculate final score
         const score = this.calculateScore();
@@ -390,6 +759,7 @@ class Game {
             roundsPlayed: this.state.round - 1,
             wins: this.state.wins,
             losses: this.state.losses,
+            draws: this.state.draws,
             goldEarned: this.state.stats.totalGoldEarned,
             unitsUpgraded: this.state.stats.unitsUpgraded,
             // Simple score formula
@@ -410,12 +780,16 @@ class Game {
             message.innerHTML = `
                 <div class="score-display">
                     <p><strong>Rounds Survived:</strong> ${score.roundsPlayed}</p>
-                    <p><strong>Wins:</strong> ${score.wins} | <strong>Losses:</strong> ${score.losses}</p>
+                    <p><strong>Wins:</strong> ${score.wins} | <strong>Losses:</strong> ${score.losses} | <strong>Draws:</strong> ${score.draws}</p>
                     <p><strong>Units Upgraded:</strong> ${score.unitsUpgraded}</p>
                     <p class="final-score"><strong>Final Score:</strong> ${score.total}</p>
                 </div>
             `;
 
+            // Offer the same board again by default
+            const picker = document.getElementById('restart-board-layout');
+            if (picker) picker.value = this.session.boardLayout;
+
             modal.classList.remove('hidden');
         }
     }
@@ -432,225 +806,387 @@ class Game {
 
     /**
      * Restart the game
+     * @param {number|string} seed - Seed for the new game (random if omitted)
+     * @param {string} boardLayout - Board for the new game (the current one if omitted)
      */
-    restart() {
+    restart(seed = null, boardLayout = null) {
         console.log('[Game] Restarting game');
 
         // Hide game over modal
         this.hideGameOverModal();
+        this.stopCarouselTimer();
+
+        // Drop the previous game's replays
+        this.replayViewer.close();
+        this.damageMeter.hide();
+        this.replays = [];
 
         // Reset game state
         this.state.reset();
 
-        // Reinitialize shop
-        this.shop = new Shop(this.state);
+        // Reseed and reinitialize shop, combat and AI
+        this.setupSession(seed, boardLayout || this.session.boardLayout);
 
         // Start fresh
         this.startRound();
     }
 
     // ========================================================================
-    // SHOP ACTIONS
+    // SAVE / LOAD
     // ========================================================================
 
     /**
-     * Buy a unit from the shop
-     * @param {number} slotIndex - Shop slot index (0-4)
+     * Save the game to a named slot (prep phase only)
+     * @param {string} name - Slot name
+     * @returns {object} Result object with success status or error
      */
-    buyUnit(slotIndex) {
+    saveGame(name) {
         if (!this.state.isPrep()) {
-            console.log('[Game] Can only buy units during prep phase');
-            return;
+            return { success: false, error: 'Can only save during prep phase' };
         }
 
-        const result = this.shop.buyUnit(slotIndex);
+        const data = this.session.toJSON();
+        data.prepTimeRemaining = this.prepTimeRemaining;
 
-        if (result.success) {
-            console.log(`[Game] Bought unit from slot ${slotIndex}`);
+        const result = this.saveSlots.save(name, data);
+        if (name !== AUTOSAVE_SLOT) {
+            this.renderer.showBoardMessage(result.success ? `Saved "${name}"` : result.error, 1500);
+            this.renderSaveSlots();
+        }
 
-            // Update traits if unit was upgraded
-            if (result.upgraded) {
-                this.updateTraits();
-            }
+        return result;
+    }
 
-            // Update UI
-            this.updateUI();
-            this.renderer.renderBoard();
-        } else {
-            console.log(`[Game] Failed to buy unit: ${result.error}`);
-            // Could show error notification here
-        }
+    /**
+     * Save to the autosave slot
+     */
+    autosave() {
+        this.saveGame(AUTOSAVE_SLOT);
     }
 
     /**
-     * Refresh the shop
+     * Load a saved game and resume its prep phase
+     * @param {string} name - Slot name
+     * @returns {boolean} True if the game was loaded
      */
-    refreshShop() {
-        if (!this.state.isPrep()) {
-            console.log('[Game] Can only refresh shop during prep phase');
-            return;
+    loadGame(name) {
+        if (this.state.isCombat() || this.state.isCarousel()) {
+            this.renderer.showBoardMessage(`Can't load during ${this.state.isCombat() ? 'combat' : 'the carousel'}`, 1500);
+            return false;
+        }
+
+        // Migrate and check the save against a scratch state first so a bad file can't break the running game
+        const data = this.saveSlots.load(name);
+        const migration = data ? migrateSessionSave(data) : { success: false, error: 'Save not found' };
+        if (!migration.success || !GameSession.fromJSON(migration.data)) {
+            const reason = migration.error || 'the save is damaged';
+            console.error(`[Game] Could not load "${name}": ${reason}`);
+            this.renderer.showBoardMessage(`Could not load "${name}": ${reason}`, 4000);
+            return false;
         }
 
-        const result = this.shop.refresh(false);
+        const session = GameSession.fromJSON(data, { state: this.state });
 
-        if (result.success) {
-            console.log('[Game] Shop refreshed');
-            this.updateUI();
-        } else {
-            console.log(`[Game] Failed to refresh shop: ${result.error}`);
+        this.stopPrepTimer();
+        this.hideGameOverModal();
+        this.closeSaveMenu();
+        this.replayViewer.close();
+        this.damageMeter.hide();
+        this.replays = [];
+
+        this.useSession(session);
+
+        this.startPrepTimer(data.prepTimeRemaining || PREP_PHASE_DURATION);
+        this.updateTraits();
+        this.updateUI();
+        this.renderer.renderBoard();
+
+        console.log(`[Game] Loaded "${name}" (round ${this.state.round})`);
+        return true;
+    }
+
+    /**
+     * Show the save/load menu
+     */
+    openSaveMenu() {
+        this.renderSaveSlots();
+
+        const modal = document.getElementById('save-modal');
+        if (modal) {
+            modal.classList.remove('hidden');
         }
     }
 
     /**
-     * Toggle shop lock
+     * Hide the save/load menu
      */
-    toggleShopLock() {
-        const locked = this.shop.toggleLock();
-        console.log(`[Game] Shop ${locked ? 'locked' : 'unlocked'}`);
-        this.updateLockButton();
+    closeSaveMenu() {
+        const modal = document.getElementById('save-modal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
     }
 
     /**
-     * Buy XP
+     * Fill the save menu with the stored slots
      */
-    buyXP() {
-        if (!this.state.isPrep()) {
-            console.log('[Game] Can only buy XP during prep phase');
+    renderSaveSlots() {
+        const list = document.getElementById('save-slot-list');
+        if (!list) return;
+
+        const canSave = this.state.isPrep();
+        const saveBtn = document.getElementById('save-btn');
+        if (saveBtn) {
+            saveBtn.disabled = !canSave;
+        }
+
+        list.innerHTML = '';
+
+        const slots = this.saveSlots.list();
+        if (slots.length === 0) {
+            list.innerHTML = '<li class="save-slot empty">No saves yet</li>';
             return;
         }
 
-        if (this.state.buyXP()) {
-            console.log('[Game] Bought XP');
-            this.updateUI();
-        } else {
-            console.log('[Game] Failed to buy XP');
+        slots.forEach(slot => {
+            const item = document.createElement('li');
+            item.className = 'save-slot';
+
+            const info = document.createElement('span');
+            info.className = 'save-slot-info';
+            info.textContent = `${slot.name} - Round ${slot.round}, ${slot.hp} HP (${new Date(slot.timestamp).toLocaleString()})`;
+
+            const loadBtn = document.createElement('button');
+            loadBtn.className = 'action-btn';
+            loadBtn.textContent = 'Load';
+            loadBtn.disabled = this.state.isCombat();
+            loadBtn.addEventListener('click', () => this.loadGame(slot.name));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'action-btn secondary';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => {
+                this.saveSlots.remove(slot.name);
+                this.renderSaveSlots();
+            });
+
+            item.append(info, loadBtn, deleteBtn);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Offer to continue the autosaved game (shown on page load)
+     */
+    showContinuePrompt() {
+        const modal = document.getElementById('continue-modal');
+        const info = document.getElementById('continue-info');
+        const autosave = this.saveSlots.list().find(slot => slot.name === AUTOSAVE_SLOT);
+
+        if (info && autosave) {
+            info.textContent = `Round ${autosave.round}, ${autosave.hp} HP`;
+        }
+        if (modal) {
+            modal.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Hide the continue prompt
+     */
+    hideContinuePrompt() {
+        const modal = document.getElementById('continue-modal');
+        if (modal) {
+            modal.classList.add('hidden');
         }
     }
 
+    /**
+     * Whether the continue prompt is waiting for a choice
+     * @returns {boolean} True if the prompt is shown
+     */
+    isContinuePromptOpen() {
+        const modal = document.getElementById('continue-modal');
+        return !!modal && !modal.classList.contains('hidden');
+    }
+
+    /**
+     * Fill a board layout picker with the available layouts, current game's selected
+     * @param {string} id - Select element id
+     */
+    populateBoardLayoutPicker(id) {
+        const select = document.getElementById(id);
+        if (!select) return;
+
+        select.innerHTML = Object.values(BOARD_LAYOUTS)
+            .map(layout => `<option value="${layout}">${getBoardTopology(layout).name}</option>`)
+            .join('');
+        select.value = this.session.boardLayout;
+    }
+
+    /**
+     * Get the layout chosen in a board layout picker
+     * @param {string} id - Select element id
+     * @returns {string} Value of BOARD_LAYOUTS (the current game's if the picker is missing)
+     */
+    getPickedBoardLayout(id) {
+        const select = document.getElementById(id);
+        return select && getBoardTopology(select.value) ? select.value : this.session.boardLayout;
+    }
+
     // ========================================================================
-    // UNIT PLACEMENT (called by renderer)
+    // PLAYER ACTIONS
     // ========================================================================
 
     /**
-     * Handle unit placement on board
-     * @param {string} unitId - Unit ID
-     * @param {number} row - Board row
-     * @param {number} col - Board column
+     * Apply a player action through the session reducer and refresh the UI
+     * Every prep-phase change (shop, XP, placement, selling) goes through here
+     * @param {object} action - Action from PlayerActions
+     * @returns {object} Result object with success status and data or error
      */
-    onUnitPlacement(unitId, row, col) {
-        if (!this.state.isPrep()) {
-            console.log('[Game] Can only place units during prep phase');
-            return;
+    dispatch(action) {
+        const result = this.session.dispatch(action);
+
+        if (!result.success) {
+            console.log(`[Game] ${action.type} failed: ${result.error}`);
+            return result;
         }
 
-        const unit = this.state.ownedUnits.get(unitId);
-        if (!unit) {
-            console.log('[Game] Unit not found:', unitId);
-            return;
+        this.updateTraits();
+        this.updateUI();
+
+        // The lock can be toggled mid-fight; don't redraw the prep board over it
+        if (this.state.isPrep()) {
+            this.renderer.renderBoard();
         }
 
-        // Check if there's already a unit at the target position
-        const existingUnitId = this.state.playerBoard[row][col];
-
-        if (existingUnitId && existingUnitId !== unitId) {
-            // Swap units
-            const existingUnit = this.state.ownedUnits.get(existingUnitId);
-            if (existingUnit && unit.position) {
-                // Store original positions
-                const originalPos = unit.position ? { ...unit.position } : null;
-                const originalBenchIndex = unit.benchIndex;
-                const wasOnBench = unit.isOnBench;
-
-                // Remove both units from current positions
-                this.state.removeUnitFromCurrentLocation(unit);
-                this.state.removeUnitFromCurrentLocation(existingUnit);
-
-                // Place unit at new position
-                this.state.playerBoard[row][col] = unit.id;
-                unit.position = { x: col, y: row };
-                unit.isOnBench = false;
-                unit.benchIndex = null;
-
-                // Place existing unit at original position
-                if (wasOnBench) {
-                    this.state.bench[originalBenchIndex] = existingUnit.id;
-                    existingUnit.isOnBench = true;
-                    existingUnit.benchIndex = originalBenchIndex;
-                    existingUnit.position = null;
-                } else if (originalPos) {
-                    this.state.playerBoard[originalPos.y][originalPos.x] = existingUnit.id;
-                    existingUnit.position = originalPos;
-                    existingUnit.isOnBench = false;
-                }
-            }
-        } else {
-            // Normal placement
-            this.state.placeUnitOnBoard(unit, row, col);
+        return result;
+    }
+
+    /**
+     * Undo the last prep-phase action of this round
+     * @returns {object} Result object with success status
+     */
+    undo() {
+        return this.applyHistoryStep(this.session.undo(), 'Undo');
+    }
+
+    /**
+     * Redo the last undone action
+     * @returns {object} Result object with success status
+     */
+    redo() {
+        return this.applyHistoryStep(this.session.redo(), 'Redo');
+    }
+
+    /**
+     * Refresh everything after an undo or redo replaced the state
+     * @param {object} result - Result from session.undo() or session.redo()
+     * @param {string} label - 'Undo' or 'Redo' (for logging)
+     * @returns {object} The same result
+     */
+    applyHistoryStep(result, label) {
+        if (!result.success) {
+            console.log(`[Game] ${label} failed: ${result.error}`);
+            return result;
         }
 
-        // Update traits and render
+        console.log(`[Game] ${label}: ${result.action.type}`);
+
         this.updateTraits();
         this.updateUI();
         this.renderer.renderBoard();
+
+        return result;
+    }
+
+    /**
+     * Buy a unit from the shop
+     * @param {number} slotIndex - Shop slot index (0-4)
+     */
+    buyUnit(slotIndex) {
+        return this.dispatch(PlayerActions.buyUnit(slotIndex));
+    }
+
+    /**
+     * Refresh the shop
+     */
+    refreshShop() {
+        return this.dispatch(PlayerActions.reroll());
+    }
+
+    /**
+     * Toggle shop lock
+     */
+    toggleShopLock() {
+        return this.dispatch(PlayerActions.toggleLock());
+    }
+
+    /**
+     * Buy XP
+     */
+    buyXP() {
+        return this.dispatch(PlayerActions.buyXP());
+    }
+
+    /**
+     * Download the game so far (seed + actions) as a replay file
+     */
+    exportRecording() {
+        const json = JSON.stringify(this.session.recording.toJSON(), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `auto-chess-${this.seed}-round-${this.state.round}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        console.log(`[Game] Exported replay file (${this.session.recording.rounds.length} rounds)`);
     }
 
+    // ========================================================================
+    // UNIT PLACEMENT (called by renderer)
+    // ========================================================================
+
     /**
-     * Handle unit placement on bench
+     * Handle unit placement on board (swaps with a unit already there)
+     * @param {string} unitId - Unit ID
+     * @param {number} row - Board row
+     * @param {number} col - Board column
+     */
+    onUnitPlacement(unitId, row, col) {
+        return this.dispatch(PlayerActions.moveToBoard(unitId, row, col));
+    }
+
+    /**
+     * Handle unit placement on bench (swaps with a unit already there)
      * @param {string} unitId - Unit ID
      * @param {number} benchIndex - Bench slot index
      */
     onUnitBenchPlacement(unitId, benchIndex) {
-        if (!this.state.isPrep()) {
-            console.log('[Game] Can only move units during prep phase');
-            return;
-        }
-
-        const unit = this.state.ownedUnits.get(unitId);
-        if (!unit) {
-            console.log('[Game] Unit not found:', unitId);
-            return;
-        }
+        return this.dispatch(PlayerActions.moveToBench(unitId, benchIndex));
+    }
 
-        // Check if there's already a unit at the bench slot
-        const existingUnitId = this.state.bench[benchIndex];
-
-        if (existingUnitId && existingUnitId !== unitId) {
-            // Swap with existing bench unit
-            const existingUnit = this.state.ownedUnits.get(existingUnitId);
-            if (existingUnit) {
-                const originalPos = unit.position ? { ...unit.position } : null;
-                const originalBenchIndex = unit.benchIndex;
-                const wasOnBench = unit.isOnBench;
-
-                // Remove both from current locations
-                this.state.removeUnitFromCurrentLocation(unit);
-                this.state.removeUnitFromCurrentLocation(existingUnit);
-
-                // Place unit on bench
-                this.state.bench[benchIndex] = unit.id;
-                unit.isOnBench = true;
-                unit.benchIndex = benchIndex;
-                unit.position = null;
-
-                // Place existing unit at original location
-                if (wasOnBench) {
-                    this.state.bench[originalBenchIndex] = existingUnit.id;
-                    existingUnit.isOnBench = true;
-                    existingUnit.benchIndex = originalBenchIndex;
-                } else if (originalPos) {
-                    this.state.playerBoard[originalPos.y][originalPos.x] = existingUnit.id;
-                    existingUnit.position = originalPos;
-                    existingUnit.isOnBench = false;
-                }
-            }
-        } else {
-            // Normal bench placement
-            this.state.addUnitToBench(unit);
-        }
+    /**
+     * Handle an item dropped on a unit (combines with a matching component it holds)
+     * @param {number} itemIndex - Item bench index
+     * @param {string} unitId - Unit ID
+     */
+    onItemEquip(itemIndex, unitId) {
+        return this.dispatch(PlayerActions.equipItem(itemIndex, unitId));
+    }
 
-        this.updateTraits();
-        this.updateUI();
-        this.renderer.renderBoard();
+    /**
+     * Handle an item dropped on another item on the item bench
+     * @param {number} itemIndex - Item bench index of the dragged item
+     * @param {number} targetIndex - Item bench index it was dropped on
+     */
+    onItemCombine(itemIndex, targetIndex) {
+        return this.dispatch(PlayerActions.combineItems(itemIndex, targetIndex));
     }
 
     /**
@@ -667,24 +1203,7 @@ class Game {
      * @param {string} unitId - Unit ID to sell
      */
     sellUnit(unitId) {
-        if (!this.state.isPrep()) {
-            console.log('[Game] Can only sell units during prep phase');
-            return;
-        }
-
-        const unit = this.state.ownedUnits.get(unitId);
-        if (!unit) {
-            console.log('[Game] Unit not found:', unitId);
-            return;
-        }
-
-        const result = this.shop.sellUnit(unit);
-        if (result.success) {
-            console.log(`[Game] Sold unit for ${result.goldRefunded} gold`);
-            this.updateTraits();
-            this.updateUI();
-            this.renderer.renderBoard();
-        }
+        return this.dispatch(PlayerActions.sellUnit(unitId));
     }
 
     // ========================================================================
@@ -700,7 +1219,8 @@ class Game {
         // Create Unit instances for trait calculation
         const combatUnits = unitsOnBoard.map(unitInstance => {
             const unit = new Unit(unitInstance.unitId, unitInstance.starLevel);
-            unit.setPosition(unitInstance.position.x, unitInstance.position.y);
+            const cell = sideToArena('player', unitInstance.position);
+            unit.setPosition(cell.x, cell.y);
             return unit;
         });
 
@@ -751,6 +1271,7 @@ class Game {
         this.updateShopDisplay();
         this.updateRoundInfo();
         this.updateLockButton();
+        this.updateUndoButtons();
     }
 
     /**
@@ -848,6 +1369,21 @@ class Game {
         }
     }
 
+    /**
+     * Enable the undo/redo buttons when there is history to step through
+     */
+    updateUndoButtons() {
+        const undoBtn = document.getElementById('undo-btn');
+        if (undoBtn) {
+            undoBtn.disabled = !this.session.canUndo();
+        }
+
+        const redoBtn = document.getElementById('redo-btn');
+        if (redoBtn) {
+            redoBtn.disabled = !this.session.canRedo();
+        }
+    }
+
     /**
      * Show income notification
      */
@@ -900,6 +1436,9 @@ class Game {
 // GLOBAL INSTANCE AND INITIALIZATION
 // ============================================================================
 
+// Create global game state instance (the core modules themselves stay headless)
+window.gameState = new GameState();
+
 // Create global game instance
 window.Game = Game;
 window.game = null;
@@ -909,9 +1448,19 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('[Game] DOM loaded, initializing game...');
 
     // Small delay to ensure all other scripts have loaded
+    // Optional ?seed=... in the URL replays a specific game (e.g. a daily challenge)
+    // and ?board=hex picks the board layout
+    const params = new URLSearchParams(window.location.search);
+    const seed = params.get('seed');
+    let boardLayout = params.get('board');
+    if (boardLayout && !getBoardTopology(boardLayout)) {
+        console.warn(`[Game] Unknown board layout "${boardLayout}", using the default`);
+        boardLayout = null;
+    }
+
     setTimeout(() => {
         window.game = new Game();
-        window.game.init();
+        window.game.init(seed, boardLayout);
     }, 100);
 });
 
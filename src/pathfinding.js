@@ -0,0 +1,120 @@
+/**
+ * Auto Chess Pathfinding
+ * A* search over the combat grid, shared by combat movement and Unit.move
+ */
+
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./board-topology.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
+
+    const { getBoardTopology } = deps;
+
+    // ============================================================================
+    // A* SEARCH
+    // ============================================================================
+
+    /**
+     * Find a path to any free cell within range of a goal cell
+     * When no such cell can be reached, the path leads to the reachable cell closest
+     * to the goal instead (so blocked units still close in), or is empty if none is closer.
+     * Ties are broken by search order, never randomly, so fights replay identically.
+     * @param {{x: number, y: number}} start - Starting cell
+     * @param {{x: number, y: number}} goal - Cell to get within range of (usually the target's cell)
+     * @param {object} options - { range: cells from the goal that count as arrived (default 1),
+     *     isBlocked: (x, y) => boolean for cells that can't be entered,
+     *     stepCost: (x, y) => cost of entering a cell, at least 1 (default 1, see terrain move costs),
+     *     topology: BoardTopology of the board (default layout if omitted) }
+     * @returns {Array<{x: number, y: number}>} Cells to walk through, start excluded
+     */
+    function findPath(start, goal, { range = 1, isBlocked = () => false, stepCost = () => 1, topology = getBoardTopology() } = {}) {
+        const key = (cell) => `${cell.x},${cell.y}`;
+        const isGoal = (cell) => topology.getDistance(cell, goal) <= range;
+
+        if (isGoal(start)) return [];
+
+        const startNode = { cell: start, cost: 0, estimate: topology.getDistance(start, goal), parent: null, order: 0 };
+        const open = [startNode];
+        const best = new Map([[key(start), startNode]]);
+        const closed = new Set();
+        let closest = startNode;
+        let order = 1;
+
+        while (open.length > 0) {
+            // Lowest cost + estimate first, then lowest estimate, then oldest
+            let index = 0;
+            for (let i = 1; i < open.length; i++) {
+                const a = open[i];
+                const b = open[index];
+                const fa = a.cost + a.estimate;
+                const fb = b.cost + b.estimate;
+                if (fa < fb || (fa === fb && (a.estimate < b.estimate || (a.estimate === b.estimate && a.order < b.order)))) {
+                    index = i;
+                }
+            }
+
+            const node = open.splice(index, 1)[0];
+            if (isGoal(node.cell)) return buildPath(node);
+
+            closed.add(key(node.cell));
+            if (node.estimate < closest.estimate) closest = node;
+
+            for (const next of topology.getNeighbors(node.cell)) {
+                const nextKey = key(next);
+                if (closed.has(nextKey) || isBlocked(next.x, next.y)) continue;
+
+                const cost = node.cost + stepCost(next.x, next.y);
+                const known = best.get(nextKey);
+                if (known && known.cost <= cost) continue;
+
+                const nextNode = { cell: next, cost, estimate: topology.getDistance(next, goal), parent: node, order: order++ };
+                if (known) open.splice(open.indexOf(known), 1);
+                open.push(nextNode);
+                best.set(nextKey, nextNode);
+            }
+        }
+
+        return buildPath(closest);
+    }
+
+    /**
+     * Walk parent links back to the start
+     * @param {object} node - Final search node
+     * @returns {Array<{x: number, y: number}>} Cells from the first step to the node
+     */
+    function buildPath(node) {
+        const path = [];
+        for (let current = node; current.parent; current = current.parent) {
+            path.unshift(current.cell);
+        }
+        return path;
+    }
+
+    /**
+     * Get the first cell of the path toward a goal
+     * @param {{x: number, y: number}} start - Starting cell
+     * @param {{x: number, y: number}} goal - Cell to get within range of
+     * @param {object} options - See findPath
+     * @returns {{x: number, y: number}|null} Next cell, or null if there is no useful step
+     */
+    function findNextStep(start, goal, options) {
+        const path = findPath(start, goal, options);
+        return path.length > 0 ? path[0] : null;
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    console.log('[Pathfinding] Pathfinding module loaded');
+
+    return {
+        findPath,
+        findNextStep
+    };
+}));
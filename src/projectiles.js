@@ -0,0 +1,99 @@
+/**
+ * Auto Chess Projectiles
+ * Ranged attacks and spells in flight: they travel toward their target and resolve on arrival
+ */
+
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./data.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
+
+    const { GAME_CONFIG } = deps;
+
+    // ============================================================================
+    // PROJECTILE CLASS
+    // ============================================================================
+
+    /**
+     * A projectile flying across the combat grid
+     * It homes in on its target's current cell at `speed` cells per second and
+     * calls onImpact(target) when it gets there. Combat decides what happens when
+     * the target dies in flight (retarget or fizzle).
+     */
+    class Projectile {
+        /**
+         * @param {object} options - { id, source, target, speed, emoji, retarget, onImpact }
+         */
+        constructor({ id, source, target, speed = GAME_CONFIG.PROJECTILE_SPEED, emoji = '➶', retarget = false, onImpact }) {
+            this.id = id;
+            this.source = source;
+            this.target = target;
+            this.side = source.ownerId;
+            this.speed = speed; // Cells per second
+            this.emoji = emoji;
+            this.retarget = retarget; // Pick a new target if this one dies in flight (otherwise fizzle)
+            this.onImpact = onImpact;
+
+            // Position in combat grid coordinates (fractional while in flight)
+            this.x = source.x;
+            this.y = source.y;
+        }
+
+        /**
+         * Distance left to the target's cell
+         * @returns {number} Distance in cells
+         */
+        get remainingDistance() {
+            return Math.hypot(this.target.x - this.x, this.target.y - this.y);
+        }
+
+        /**
+         * Move toward the target
+         * @param {number} deltaTime - Time elapsed in seconds
+         * @returns {boolean} True if the projectile reached the target
+         */
+        update(deltaTime) {
+            const step = this.speed * deltaTime;
+            const distance = this.remainingDistance;
+
+            if (distance <= step) {
+                this.x = this.target.x;
+                this.y = this.target.y;
+                return true;
+            }
+
+            this.x += (this.target.x - this.x) * step / distance;
+            this.y += (this.target.y - this.y) * step / distance;
+            return false;
+        }
+
+        /**
+         * Get display data for the renderer and replays
+         * @returns {{id: number, x: number, y: number, side: string, emoji: string}}
+         */
+        toJSON() {
+            return {
+                id: this.id,
+                x: Math.round(this.x * 100) / 100,
+                y: Math.round(this.y * 100) / 100,
+                side: this.side,
+                emoji: this.emoji
+            };
+        }
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    console.log('[Projectiles] Projectiles module loaded');
+
+    return {
+        Projectile
+    };
+}));
@@ -0,0 +1,469 @@
+/**
+ * Auto Chess Replay Viewer Module
+ * Plays recorded fights back in the board grid with pause, step, seek and speed controls
+ */
+
+// ============================================================================
+// VIEWER CONFIGURATION
+// ============================================================================
+
+const REPLAY_SPEEDS = [0.5, 1, 2, 4]; // Playback multipliers offered in the speed picker
+
+// ============================================================================
+// REPLAY VIEWER CLASS
+// ============================================================================
+
+class ReplayViewer {
+    constructor() {
+        // System references (set in init)
+        this.game = null;
+        this.renderer = null;
+
+        // Playback state
+        this.replay = null;
+        this.tick = 0;
+        this.speed = 1;
+        this.isPlaying = false;
+        this.playInterval = null;
+
+        // DOM element references
+        this.elements = {
+            panel: null,
+            title: null,
+            select: null,
+            restartBtn: null,
+            stepBackBtn: null,
+            playBtn: null,
+            stepBtn: null,
+            seek: null,
+            tickLabel: null,
+            speedSelect: null,
+            closeBtn: null,
+            eventList: null
+        };
+
+        console.log('[ReplayViewer] Replay viewer instance created');
+    }
+
+    // ========================================================================
+    // INITIALIZATION
+    // ========================================================================
+
+    /**
+     * Initialize the viewer and bind the replay controls
+     * @param {Game} game - Game controller (source of stored replays)
+     */
+    init(game) {
+        this.game = game;
+        this.renderer = game.renderer;
+
+        this.cacheElements();
+        this.bindEvents();
+
+        console.log('[ReplayViewer] Replay viewer initialized');
+    }
+
+    /**
+     * Cache DOM element references
+     */
+    cacheElements() {
+        this.elements.panel = document.getElementById('replay-controls');
+        this.elements.title = document.getElementById('replay-title');
+        this.elements.select = document.getElementById('replay-select');
+        this.elements.restartBtn = document.getElementById('replay-restart-btn');
+        this.elements.stepBackBtn = document.getElementById('replay-step-back-btn');
+        this.elements.playBtn = document.getElementById('replay-play-btn');
+        this.elements.stepBtn = document.getElementById('replay-step-btn');
+        this.elements.seek = document.getElementById('replay-seek');
+        this.elements.tickLabel = document.getElementById('replay-tick');
+        this.elements.speedSelect = document.getElementById('replay-speed');
+        this.elements.closeBtn = document.getElementById('replay-close-btn');
+        this.elements.eventList = document.getElementById('replay-events');
+
+        // Populate speed options
+        if (this.elements.speedSelect) {
+            this.elements.speedSelect.innerHTML = REPLAY_SPEEDS
+                .map(speed => `<option value="${speed}"${speed === this.speed ? ' selected' : ''}>${speed}x</option>`)
+                .join('');
+        }
+    }
+
+    /**
+     * Bind control event listeners
+     */
+    bindEvents() {
+        const { select, restartBtn, stepBackBtn, playBtn, stepBtn, seek, speedSelect, closeBtn } = this.elements;
+
+        if (select) {
+            select.addEventListener('change', () => {
+                const replay = this.game.replays[parseInt(select.value, 10)];
+                if (replay) this.open(replay);
+            });
+        }
+        if (restartBtn) restartBtn.addEventListener('click', () => this.seek(0));
+        if (stepBackBtn) stepBackBtn.addEventListener('click', () => this.step(-1));
+        if (playBtn) playBtn.addEventListener('click', () => this.togglePlay());
+        if (stepBtn) stepBtn.addEventListener('click', () => this.step(1));
+        if (seek) seek.addEventListener('input', () => this.seek(parseInt(seek.value, 10)));
+        if (speedSelect) speedSelect.addEventListener('change', () => this.setSpeed(parseFloat(speedSelect.value)));
+        if (closeBtn) closeBtn.addEventListener('click', () => this.close());
+    }
+
+    // ========================================================================
+    // OPEN / CLOSE
+    // ========================================================================
+
+    /**
+     * Whether a replay is currently shown
+     * @returns {boolean} True if the viewer is open
+     */
+    get isOpen() {
+        return this.replay !== null;
+    }
+
+    /**
+     * Show a replay in the board grid (paused at the first tick)
+     * @param {CombatReplay} replay - Replay to play back
+     */
+    open(replay) {
+        this.pause();
+
+        this.replay = replay;
+        this.tick = 0;
+
+        // Take over the board; the bench stays visible but locked
+        this.renderer.isReplaying = true;
+        this.renderer.clearAllUnits();
+        this.renderer.renderBoard();
+        this.renderer.renderTerrain(replay.terrain);
+
+        if (this.elements.panel) {
+            this.elements.panel.classList.remove('hidden');
+        }
+        if (this.elements.seek) {
+            this.elements.seek.max = replay.lastTick;
+        }
+
+        this.updateReplayList();
+        this.renderTick();
+
+        // Keep an open damage meter on the fight being watched
+        if (this.game.damageMeter && this.game.damageMeter.isOpen) {
+            this.game.damageMeter.show(replay);
+        }
+
+        console.log(`[ReplayViewer] Opened replay of round ${replay.round} (${replay.lastTick} ticks, seed ${replay.seed})`);
+    }
+
+    /**
+     * Close the viewer and give the board back to the game
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        this.pause();
+        this.replay = null;
+
+        if (this.elements.panel) {
+            this.elements.panel.classList.add('hidden');
+        }
+
+        this.renderer.isReplaying = false;
+        this.renderer.clearAllUnits();
+        this.renderer.renderBoard();
+    }
+
+    // ========================================================================
+    // PLAYBACK CONTROLS
+    // ========================================================================
+
+    /**
+     * Start playing from the current tick (restarts if at the end)
+     */
+    play() {
+        if (!this.isOpen || this.isPlaying) return;
+
+        if (this.tick >= this.replay.lastTick) {
+            this.seek(0);
+        }
+
+        this.isPlaying = true;
+        this.playInterval = setInterval(() => {
+            if (this.tick >= this.replay.lastTick) {
+                this.pause();
+                return;
+            }
+            this.step(1);
+        }, GAME_CONFIG.COMBAT_TICK_MS / this.speed);
+
+        this.updateControls();
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        this.isPlaying = false;
+        if (this.playInterval) {
+            clearInterval(this.playInterval);
+            this.playInterval = null;
+        }
+        this.updateControls();
+    }
+
+    /**
+     * Toggle between play and pause
+     */
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Move by a number of ticks
+     * Single forward steps animate HP changes; other moves just redraw
+     * @param {number} delta - Ticks to move (negative to go back)
+     */
+    step(delta) {
+        if (!this.isOpen) return;
+
+        const target = Math.max(0, Math.min(this.tick + delta, this.replay.lastTick));
+        if (target === this.tick) return;
+
+        const animate = target === this.tick + 1;
+        this.tick = target;
+        this.renderTick(animate);
+    }
+
+    /**
+     * Jump to a tick
+     * @param {number} tick - Tick to show
+     */
+    seek(tick) {
+        if (!this.isOpen || Number.isNaN(tick)) return;
+
+        this.tick = Math.max(0, Math.min(tick, this.replay.lastTick));
+        this.renderTick();
+    }
+
+    /**
+     * Change the playback speed
+     * @param {number} speed - Speed multiplier (e.g. 0.5, 1, 2, 4)
+     */
+    setSpeed(speed) {
+        if (!(speed > 0)) return;
+
+        this.speed = speed;
+
+        // Restart the interval at the new rate
+        if (this.isPlaying) {
+            this.pause();
+            this.play();
+        }
+    }
+
+    // ========================================================================
+    // RENDERING
+    // ========================================================================
+
+    /**
+     * Draw the current tick
+     * @param {boolean} animate - Show floating numbers for HP changes since the previous tick
+     */
+    renderTick(animate = false) {
+        if (!this.isOpen) return;
+
+        const units = this.replay.getUnitsAt(this.tick);
+        this.renderer.syncCombatUnits(units);
+        this.renderer.syncProjectiles(this.replay.getProjectilesAt(this.tick));
+
+        if (animate) {
+            this.showHpChanges(this.replay.getUnitsAt(this.tick - 1), units);
+        }
+
+        this.renderEvents();
+        this.updateControls();
+    }
+
+    /**
+     * Show damage and heal numbers for units whose HP changed
+     * @param {Object} previous - Units at the previous tick
+     * @param {Object} current - Units at the current tick
+     */
+    showHpChanges(previous, current) {
+        const previousHp = new Map();
+        [...previous.playerUnits, ...previous.enemyUnits].forEach(unit => {
+            previousHp.set(unit.id, unit.currentHp);
+        });
+
+        [...current.playerUnits, ...current.enemyUnits].forEach(unit => {
+            const change = unit.currentHp - previousHp.get(unit.id);
+            if (change < 0) {
+                this.renderer.showDamage(unit, -change);
+            } else if (change > 0) {
+                this.renderer.showDamage(unit, change, 'heal');
+            }
+        });
+    }
+
+    /**
+     * List the events logged during the current tick
+     */
+    renderEvents() {
+        const list = this.elements.eventList;
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.replay.getEventsAt(this.tick).forEach(entry => {
+            const item = document.createElement('li');
+            item.className = `replay-event replay-event-${entry.type}`;
+            item.textContent = this.describeEvent(entry);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Get a readable line for a combat log entry
+     * @param {Object} entry - Combat log entry
+     * @returns {string} Description
+     */
+    describeEvent(entry) {
+        const data = entry.data || {};
+
+        switch (entry.type) {
+            case 'combat_start':
+                return `Fight starts: ${data.playerUnitCount} vs ${data.enemyUnitCount}`;
+            case 'combat_end':
+                return (data.winner === 'draw' ? 'Draw' : `${data.winner === 'player' ? 'Player' : 'Enemy'} wins`) +
+                    (data.overtime ? ' in overtime' : '');
+            case 'trait_active':
+                return `${data.trait} (${data.count}) active`;
+            case 'move':
+                return `${this.unitName(data.unit)} moves to ${data.to.x},${data.to.y}`;
+            case 'unit_death':
+                return `${this.unitName(data.unit)} dies` + (data.killer ? ` (${this.unitName(data.killer)})` : '');
+            case 'attack':
+                return `${this.unitName(data.attacker)} hits ${this.unitName(data.defender)} for ${data.totalDamage}${data.isCrit ? ' (crit)' : ''}`;
+            case 'ability_cast':
+                return `${this.unitName(data.caster)} casts ${data.ability}`;
+            case 'ability_damage':
+            case 'ability_chain':
+            case 'ability_hit':
+                return `${this.unitName(data.caster)} ${data.ability} → ${this.unitName(data.target)} for ${data.damage}`;
+            case 'ability_buff':
+                return `${this.unitName(data.caster)} ${data.ability}: ${data.effect}`;
+            case 'ability_heal':
+                return `${this.unitName(data.caster)} ${data.ability} heals ${this.unitName(data.target)} for ${data.amount}`;
+            case 'ability_shield':
+                return `${this.unitName(data.caster)} ${data.ability} shields ${this.unitName(data.target)} for ${data.amount}`;
+            case 'ability_stun':
+                return `${this.unitName(data.caster)} ${data.ability} stuns ${this.unitName(data.target)} for ${data.duration}s`;
+            case 'ability_cleanse':
+                return `${this.unitName(data.caster)} ${data.ability} cleanses ${data.statuses.join(', ')} from ${this.unitName(data.target)}`;
+            case 'ability_slow':
+                return `${this.unitName(data.caster)} ${data.ability} slows ${this.unitName(data.target)} by ${Math.round(data.amount * 100)}%`;
+            case 'ability_status':
+                return `${this.unitName(data.caster)} ${data.ability}: ${data.status} on ${this.unitName(data.target)}${data.stacks > 1 ? ` (${data.stacks} stacks)` : ''}`;
+            case 'overtime_start':
+                return `Overtime! Healing reduced by ${Math.round(data.healingReduction * 100)}%`;
+            case 'overtime_damage':
+                return `${this.unitName(data.unit)} takes ${data.damage} overtime damage`;
+            case 'terrain_damage':
+                return `${this.unitName(data.unit)} takes ${data.damage} damage from ${TILE_TYPES[data.tile] ? TILE_TYPES[data.tile].name.toLowerCase() : data.tile}`;
+            case 'projectile_retarget':
+                return `${this.unitName(data.unit)}'s projectile turns from ${this.unitName(data.from)} to ${this.unitName(data.to)}`;
+            case 'projectile_fizzle':
+                return `${this.unitName(data.unit)}'s projectile fizzles (${this.unitName(data.target)} died)`;
+            case 'trigger':
+                return `${this.unitName(data.unit)} ${data.source}: ${data.trigger}`;
+            case 'status_damage':
+                return `${this.unitName(data.unit)} takes ${data.damage} from ${data.effect}`;
+            case 'ability_teleport':
+                return `${this.unitName(data.caster)} ${data.ability}: teleports to ${data.to.x},${data.to.y}`;
+            case 'ability_summon':
+                return `${this.unitName(data.caster)} ${data.ability} summons ${this.unitName(data.unit)}`;
+            case 'summon_expire':
+                return `${this.unitName(data.unit)} fades away`;
+            case 'item_lifesteal':
+                return `${this.unitName(data.unit)} heals ${data.amount} (lifesteal)`;
+            case 'item_thorns':
+                return `${this.unitName(data.unit)} reflects ${data.damage} to ${this.unitName(data.target)}`;
+            default:
+                return entry.type;
+        }
+    }
+
+    /**
+     * Get the display name of a unit referenced by a combat event
+     * Same-named units are told apart by side
+     * @param {Object} ref - Unit reference ({ id, side, x, y })
+     * @returns {string} Name
+     */
+    unitName(ref) {
+        if (!ref) return '?';
+
+        const info = this.replay.getUnitInfo(ref.id);
+        if (!info) return ref.id;
+        return ref.side === 'enemy' ? `enemy ${info.name}` : info.name;
+    }
+
+    /**
+     * Sync the control widgets with the playback state
+     */
+    updateControls() {
+        const { title, playBtn, seek, tickLabel } = this.elements;
+        if (!this.isOpen) return;
+
+        if (title) {
+            const outcome = { player: 'Victory', enemy: 'Defeat', draw: 'Draw' };
+            const winner = this.replay.result ? this.replay.result.winner : null;
+            title.textContent = `Round ${this.replay.round} - ${outcome[winner] || 'Unfinished'}`;
+        }
+        if (playBtn) {
+            playBtn.textContent = this.isPlaying ? '⏸' : '▶';
+        }
+        if (seek) {
+            seek.value = this.tick;
+        }
+        if (tickLabel) {
+            tickLabel.textContent = `${this.tick} / ${this.replay.lastTick}`;
+        }
+    }
+
+    /**
+     * Fill the replay picker with the game's stored fights (newest first)
+     */
+    updateReplayList() {
+        const select = this.elements.select;
+        if (!select) return;
+
+        const outcome = { player: 'Win', enemy: 'Loss', draw: 'Draw' };
+
+        select.innerHTML = '';
+        for (let i = this.game.replays.length - 1; i >= 0; i--) {
+            const replay = this.game.replays[i];
+            const winner = replay.result ? replay.result.winner : null;
+
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = `Round ${replay.round} (${outcome[winner] || '?'})`;
+            option.selected = replay === this.replay;
+            select.appendChild(option);
+        }
+    }
+}
+
+// ============================================================================
+// GLOBAL INSTANCE
+// ============================================================================
+
+// Create global replay viewer instance
+window.replayViewer = new ReplayViewer();
+
+// Expose class for other modules
+window.ReplayViewer = ReplayViewer;
+
+console.log('[ReplayViewer] Replay viewer module loaded');
@@ -3,524 +3,530 @@
  * Handles shop generation, unit purchasing, selling, and unit combination upgrades
  */
 
-// UNITS, GAME_CONFIG, SHOP_ODDS, UNIT_POOL_SIZE are loaded globally from data.js
-// Unit, createUnit are loaded globally from unit.js
-
-// ============================================================================
-// HELPER FUNCTIONS
-// ============================================================================
-
-/**
- * Get all unit IDs of a specific cost tier
- * @param {number} cost - Unit cost (1, 2, or 3)
- * @returns {string[]} Array of unit template IDs
- */
-function getUnitIdsByCost(cost) {
-    return Object.keys(UNITS).filter(id => UNITS[id].cost === cost);
-}
-
-/**
- * Select a random element from an array
- * @param {Array} array - Array to select from
- * @returns {*} Random element
- */
-function randomElement(array) {
-    return array[Math.floor(Math.random() * array.length)];
-}
-
-/**
- * Select a cost tier based on player level probabilities
- * @param {number} level - Player level (1-9)
- * @returns {number} Selected cost tier (1, 2, or 3)
- */
-function rollCostTier(level) {
-    const odds = SHOP_ODDS[level] || SHOP_ODDS[1];
-    const roll = Math.random() * 100;
-
-    let cumulative = 0;
-    for (let tier = 0; tier < odds.length; tier++) {
-        cumulative += odds[tier];
-        if (roll < cumulative) {
-            return tier + 1; // Tiers are 1-indexed
-        }
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./data.js'), require('./rng.js')));
+    } else {
+        Object.assign(root, factory(root));
     }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
 
-    return 1; // Default to 1-cost
-}
+    const { UNITS, GAME_CONFIG, SHOP_ODDS, RNG } = deps;
 
-// ============================================================================
-// SHOP CLASS
-// ============================================================================
+    // ============================================================================
+    // HELPER FUNCTIONS
+    // ============================================================================
 
-class Shop {
     /**
-     * Create a new shop instance
-     * @param {GameState} gameState - Reference to the game state
+     * Get all unit IDs of a specific cost tier
+     * @param {number} cost - Unit cost (1, 2, or 3)
+     * @returns {string[]} Array of unit template IDs
      */
-    constructor(gameState) {
-        this.gameState = gameState;
-        this.offers = new Array(GAME_CONFIG.SHOP_SIZE).fill(null);
-        this.locked = false;
+    function getUnitIdsByCost(cost) {
+        return Object.keys(UNITS).filter(id => UNITS[id].cost === cost);
     }
 
-    // ========================================================================
-    // SHOP GENERATION
-    // ========================================================================
-
     /**
-     * Generate 5 random shop offers based on player level
-     * Considers unit pool availability
-     * @returns {Array} Array of shop offers (unit template IDs or null)
+     * Select a cost tier based on player level probabilities
+     * @param {number} level - Player level (1-9)
+     * @param {RNG} rng - Random generator to roll with
+     * @returns {number} Selected cost tier (1, 2, or 3)
      */
-    generateShop() {
-        // Don't regenerate if shop is locked
-        if (this.locked) {
-            console.log('[Shop] Shop is locked, keeping current offers');
-            return this.offers;
+    function rollCostTier(level, rng) {
+        const odds = SHOP_ODDS[level] || SHOP_ODDS[1];
+        const roll = rng.next() * 100;
+
+        let cumulative = 0;
+        for (let tier = 0; tier < odds.length; tier++) {
+            cumulative += odds[tier];
+            if (roll < cumulative) {
+                return tier + 1; // Tiers are 1-indexed
+            }
         }
 
-        const level = this.gameState.level;
-        const newOffers = [];
+        return 1; // Default to 1-cost
+    }
 
-        for (let i = 0; i < GAME_CONFIG.SHOP_SIZE; i++) {
-            const offer = this.generateSingleOffer(level);
-            newOffers.push(offer);
+    // ============================================================================
+    // SHOP CLASS
+    // ============================================================================
+
+    class Shop {
+        /**
+         * Create a new shop instance
+         * @param {GameState} gameState - Reference to the game state
+         * @param {RNG} rng - Seeded random generator (a random seed is used if omitted)
+         */
+        constructor(gameState, rng = null) {
+            this.gameState = gameState;
+            this.rng = rng || new RNG();
+            this.offers = new Array(GAME_CONFIG.SHOP_SIZE).fill(null);
+            this.locked = false;
         }
 
-        this.offers = newOffers;
+        // ========================================================================
+        // SHOP GENERATION
+        // ========================================================================
+
+        /**
+         * Generate 5 random shop offers based on player level
+         * Considers unit pool availability
+         * @returns {Array} Array of shop offers (unit template IDs or null)
+         */
+        generateShop() {
+            // Don't regenerate if shop is locked
+            if (this.locked) {
+                console.log('[Shop] Shop is locked, keeping current offers');
+                return this.offers;
+            }
 
-        // Sync with game state
-        this.gameState.setShop(this.offers.map(o => o ? o.templateId : null));
+            const level = this.gameState.level;
+            const newOffers = [];
 
-        console.log(`[Shop] Generated shop for level ${level}:`,
-            this.offers.map(o => o ? `${o.name} ($${o.cost})` : 'empty'));
+            for (let i = 0; i < GAME_CONFIG.SHOP_SIZE; i++) {
+                const offer = this.generateSingleOffer(level);
+                newOffers.push(offer);
+            }
 
-        return this.offers;
-    }
+            this.offers = newOffers;
 
-    /**
-     * Generate a single shop offer
-     * @param {number} level - Player level
-     * @returns {object|null} Unit template data or null if pool exhausted
-     */
-    generateSingleOffer(level) {
-        // Try multiple times to find an available unit
-        const maxAttempts = 20;
-
-        for (let attempt = 0; attempt < maxAttempts; attempt++) {
-            // Roll for cost tier
-            const costTier = rollCostTier(level);
-
-            // Get available units of this tier
-            const unitIds = getUnitIdsByCost(costTier);
-
-            // Filter to units still available in the pool
-            const availableUnitIds = unitIds.filter(id =>
-                this.gameState.getPoolCount(id) > 0
-            );
-
-            if (availableUnitIds.length > 0) {
-                // Select a random available unit, weighted by pool count
-                const unitId = this.selectWeightedUnit(availableUnitIds);
-                return UNITS[unitId];
-            }
-        }
+            // Sync with game state
+            this.gameState.setShop(this.offers.map(o => o ? o.templateId : null));
 
-        // If we couldn't find any unit after all attempts, return null
-        console.log('[Shop] Warning: Could not generate offer, pools may be exhausted');
-        return null;
-    }
+            console.log(`[Shop] Generated shop for level ${level}:`,
+                this.offers.map(o => o ? `${o.name} ($${o.cost})` : 'empty'));
 
-    /**
-     * Select a unit weighted by remaining pool count
-     * Units with more copies in the pool are more likely to appear
-     * @param {string[]} unitIds - Array of unit template IDs
-     * @returns {string} Selected unit ID
-     */
-    selectWeightedUnit(unitIds) {
-        // Calculate total weight
-        let totalWeight = 0;
-        const weights = unitIds.map(id => {
-            const weight = this.gameState.getPoolCount(id);
-            totalWeight += weight;
-            return weight;
-        });
-
-        // Roll for selection
-        let roll = Math.random() * totalWeight;
-
-        for (let i = 0; i < unitIds.length; i++) {
-            roll -= weights[i];
-            if (roll <= 0) {
-                return unitIds[i];
-            }
+            return this.offers;
         }
 
-        // Fallback to random selection
-        return randomElement(unitIds);
-    }
-
-    // ========================================================================
-    // PURCHASING
-    // ========================================================================
+        /**
+         * Generate a single shop offer
+         * @param {number} level - Player level
+         * @returns {object|null} Unit template data or null if pool exhausted
+         */
+        generateSingleOffer(level) {
+            // Try multiple times to find an available unit
+            const maxAttempts = 20;
+
+            for (let attempt = 0; attempt < maxAttempts; attempt++) {
+                // Roll for cost tier
+                const costTier = rollCostTier(level, this.rng);
+
+                // Get available units of this tier
+                const unitIds = getUnitIdsByCost(costTier);
+
+                // Filter to units still available in the pool
+                const availableUnitIds = unitIds.filter(id =>
+                    this.gameState.getPoolCount(id) > 0
+                );
+
+                if (availableUnitIds.length > 0) {
+                    // Select a random available unit, weighted by pool count
+                    const unitId = this.selectWeightedUnit(availableUnitIds);
+                    return UNITS[unitId];
+                }
+            }
 
-    /**
-     * Buy a unit from the shop
-     * @param {number} index - Shop slot index (0-4)
-     * @returns {object} Result object with success status and unit/error
-     */
-    buyUnit(index) {
-        // Validate index
-        if (index < 0 || index >= GAME_CONFIG.SHOP_SIZE) {
-            return { success: false, error: 'Invalid shop slot' };
+            // If we couldn't find any unit after all attempts, return null
+            console.log('[Shop] Warning: Could not generate offer, pools may be exhausted');
+            return null;
         }
 
-        // Check if slot has an offer
-        const offer = this.offers[index];
-        if (!offer) {
-            return { success: false, error: 'Shop slot is empty' };
-        }
+        /**
+         * Select a unit weighted by remaining pool count
+         * Units with more copies in the pool are more likely to appear
+         * @param {string[]} unitIds - Array of unit template IDs
+         * @returns {string} Selected unit ID
+         */
+        selectWeightedUnit(unitIds) {
+            // Calculate total weight
+            let totalWeight = 0;
+            const weights = unitIds.map(id => {
+                const weight = this.gameState.getPoolCount(id);
+                totalWeight += weight;
+                return weight;
+            });
+
+            // Roll for selection
+            let roll = this.rng.next() * totalWeight;
+
+            for (let i = 0; i < unitIds.length; i++) {
+                roll -= weights[i];
+                if (roll <= 0) {
+                    return unitIds[i];
+                }
+            }
 
-        // Check if player has enough gold
-        if (this.gameState.gold < offer.cost) {
-            return { success: false, error: 'Not enough gold' };
+            // Fallback to random selection
+            return this.rng.pick(unitIds);
         }
 
-        // Check if bench has space
-        if (!this.gameState.hasBenchSpace()) {
-            return { success: false, error: 'Bench is full' };
-        }
+        // ========================================================================
+        // PURCHASING
+        // ========================================================================
+
+        /**
+         * Buy a unit from the shop
+         * @param {number} index - Shop slot index (0-4)
+         * @returns {object} Result object with success status and unit/error
+         */
+        buyUnit(index) {
+            // Validate index
+            if (index < 0 || index >= GAME_CONFIG.SHOP_SIZE) {
+                return { success: false, error: 'Invalid shop slot' };
+            }
 
-        // Check if unit is available in pool
-        if (this.gameState.getPoolCount(offer.id) <= 0) {
-            return { success: false, error: 'Unit no longer available in pool' };
-        }
+            // Check if slot has an offer
+            const offer = this.offers[index];
+            if (!offer) {
+                return { success: false, error: 'Shop slot is empty' };
+            }
 
-        // Perform the purchase
-        // 1. Spend gold
-        this.gameState.spendGold(offer.cost, `buy ${offer.name}`);
+            // Check if player has enough gold
+            if (this.gameState.gold < offer.cost) {
+                return { success: false, error: 'Not enough gold' };
+            }
 
-        // 2. Create the unit and add to bench
-        const unit = this.gameState.createUnit(offer.id, true);
+            // Check if bench has space
+            if (!this.gameState.hasBenchSpace()) {
+                return { success: false, error: 'Bench is full' };
+            }
 
-        if (!unit) {
-            // Refund if unit creation failed
-            this.gameState.addGold(offer.cost, 'refund - failed purchase');
-            return { success: false, error: 'Failed to create unit' };
-        }
+            // Check if unit is available in pool
+            if (this.gameState.getPoolCount(offer.id) <= 0) {
+                return { success: false, error: 'Unit no longer available in pool' };
+            }
 
-        // 3. Clear the shop slot
-        this.offers[index] = null;
-        this.gameState.clearShopSlot(index);
+            // Perform the purchase
+            // 1. Spend gold
+            this.gameState.spendGold(offer.cost, `buy ${offer.name}`);
 
-        // 4. Check for unit combinations
-        const upgraded = this.checkCombine(offer.id);
+            // 2. Create the unit and add to bench
+            const unit = this.gameState.createUnit(offer.id, true);
 
-        console.log(`[Shop] Bought ${offer.name} for ${offer.cost} gold`);
+            if (!unit) {
+                // Refund if unit creation failed
+                this.gameState.addGold(offer.cost, 'refund - failed purchase');
+                return { success: false, error: 'Failed to create unit' };
+            }
 
-        return {
-            success: true,
-            unit,
-            upgraded,
-            unitId: offer.id
-        };
-    }
+            // 3. Clear the shop slot
+            this.offers[index] = null;
+            this.gameState.clearShopSlot(index);
 
-    // ========================================================================
-    // SELLING
-    // ========================================================================
+            // 4. Check for unit combinations
+            const upgraded = this.checkCombine(offer.id);
 
-    /**
-     * Sell a unit back (delegates to GameState)
-     * Refunds gold based on unit cost and star level
-     * @param {UnitInstance} unit - The unit to sell
-     * @returns {object} Result object with success status and gold refunded
-     */
-    sellUnit(unit) {
-        if (!unit) {
-            return { success: false, error: 'No unit provided' };
-        }
+            console.log(`[Shop] Bought ${offer.name} for ${offer.cost} gold`);
 
-        // Get base unit data for sell value calculation
-        const baseData = unit.getBaseData();
-        if (!baseData) {
-            return { success: false, error: 'Invalid unit' };
+            return {
+                success: true,
+                unit,
+                upgraded,
+                unitId: offer.id
+            };
         }
 
-        // Calculate sell value
-        // 1-star: cost * 1 = cost
-        // 2-star: cost * 3 (3 units combined)
-        // 3-star: cost * 9 (9 units combined)
-        const starMultiplier = Math.pow(GAME_CONFIG.COPIES_TO_UPGRADE, unit.starLevel - 1);
-        const sellValue = Math.floor(baseData.cost * starMultiplier * GAME_CONFIG.SELL_REFUND_RATE);
+        // ========================================================================
+        // SELLING
+        // ========================================================================
+
+        /**
+         * Sell a unit back (delegates to GameState)
+         * Refunds gold based on unit cost and star level
+         * @param {UnitInstance} unit - The unit to sell
+         * @returns {object} Result object with success status and gold refunded
+         */
+        sellUnit(unit) {
+            if (!unit) {
+                return { success: false, error: 'No unit provided' };
+            }
 
-        // Perform the sale through game state
-        const success = this.gameState.sellUnit(unit);
+            // Get base unit data for sell value calculation
+            const baseData = unit.getBaseData();
+            if (!baseData) {
+                return { success: false, error: 'Invalid unit' };
+            }
 
-        if (success) {
-            console.log(`[Shop] Sold ${baseData.name} (${unit.starLevel} star) for ${sellValue} gold`);
-            return { success: true, goldRefunded: sellValue };
-        }
+            // Calculate sell value
+            // 1-star: cost * 1 = cost
+            // 2-star: cost * 3 (3 units combined)
+            // 3-star: cost * 9 (9 units combined)
+            const starMultiplier = Math.pow(GAME_CONFIG.COPIES_TO_UPGRADE, unit.starLevel - 1);
+            const sellValue = Math.floor(baseData.cost * starMultiplier * GAME_CONFIG.SELL_REFUND_RATE);
 
-        return { success: false, error: 'Failed to sell unit' };
-    }
+            // Perform the sale through game state
+            const success = this.gameState.sellUnit(unit);
 
-    // ========================================================================
-    // REFRESH
-    // ========================================================================
+            if (success) {
+                console.log(`[Shop] Sold ${baseData.name} (${unit.starLevel} star) for ${sellValue} gold`);
+                return { success: true, goldRefunded: sellValue };
+            }
 
-    /**
-     * Refresh the shop (costs 2 gold)
-     * @param {boolean} free - If true, refresh is free (round start)
-     * @returns {object} Result object with success status
-     */
-    refresh(free = false) {
-        // If shop is locked and this isn't a forced refresh, don't refresh
-        if (this.locked && !free) {
-            return { success: false, error: 'Shop is locked' };
+            return { success: false, error: 'Failed to sell unit' };
         }
 
-        // Check and spend gold if not free
-        if (!free) {
-            if (this.gameState.gold < GAME_CONFIG.REROLL_COST) {
-                return { success: false, error: 'Not enough gold for refresh' };
+        // ========================================================================
+        // REFRESH
+        // ========================================================================
+
+        /**
+         * Refresh the shop (costs 2 gold)
+         * @param {boolean} free - If true, refresh is free (round start)
+         * @returns {object} Result object with success status
+         */
+        refresh(free = false) {
+            // If shop is locked and this isn't a forced refresh, don't refresh
+            if (this.locked && !free) {
+                return { success: false, error: 'Shop is locked' };
             }
 
-            this.gameState.spendGold(GAME_CONFIG.REROLL_COST, 'shop refresh');
-        }
+            // Check and spend gold if not free
+            if (!free) {
+                if (this.gameState.gold < GAME_CONFIG.REROLL_COST) {
+                    return { success: false, error: 'Not enough gold for refresh' };
+                }
 
-        // Generate new shop
-        this.locked = false; // Unlock before generating
-        this.generateShop();
+                this.gameState.spendGold(GAME_CONFIG.REROLL_COST, 'shop refresh');
+            }
 
-        console.log(`[Shop] Shop refreshed${free ? ' (free)' : ` (cost: ${GAME_CONFIG.REROLL_COST}g)`}`);
+            // Generate new shop
+            this.locked = false; // Unlock before generating
+            this.generateShop();
 
-        return { success: true, offers: this.offers };
-    }
+            console.log(`[Shop] Shop refreshed${free ? ' (free)' : ` (cost: ${GAME_CONFIG.REROLL_COST}g)`}`);
 
-    /**
-     * Automatic refresh at round start
-     * Called when a new round begins
-     */
-    onRoundStart() {
-        // Only refresh if not locked
-        if (!this.locked) {
-            this.refresh(true);
+            return { success: true, offers: this.offers };
         }
-        console.log('[Shop] Round start - shop updated');
-    }
 
-    // ========================================================================
-    // SHOP LOCK
-    // ========================================================================
-
-    /**
-     * Toggle shop lock status
-     * @returns {boolean} New lock status
-     */
-    toggleLock() {
-        this.locked = !this.locked;
-        this.gameState.shopLocked = this.locked;
-        console.log(`[Shop] Shop ${this.locked ? 'locked' : 'unlocked'}`);
-        return this.locked;
-    }
+        /**
+         * Automatic refresh at round start
+         * Called when a new round begins
+         */
+        onRoundStart() {
+            // Only refresh if not locked
+            if (!this.locked) {
+                this.refresh(true);
+            }
+            console.log('[Shop] Round start - shop updated');
+        }
 
-    /**
-     * Set shop lock status
-     * @param {boolean} locked - Whether to lock the shop
-     */
-    setLocked(locked) {
-        this.locked = locked;
-        this.gameState.shopLocked = locked;
-    }
+        // ========================================================================
+        // SHOP LOCK
+        // ========================================================================
+
+        /**
+         * Toggle shop lock status
+         * @returns {boolean} New lock status
+         */
+        toggleLock() {
+            this.locked = !this.locked;
+            this.gameState.shopLocked = this.locked;
+            console.log(`[Shop] Shop ${this.locked ? 'locked' : 'unlocked'}`);
+            return this.locked;
+        }
 
-    // ========================================================================
-    // UNIT COMBINATION
-    // ========================================================================
+        /**
+         * Set shop lock status
+         * @param {boolean} locked - Whether to lock the shop
+         */
+        setLocked(locked) {
+            this.locked = locked;
+            this.gameState.shopLocked = locked;
+        }
 
-    /**
-     * Check for and perform unit combinations
-     * 3 same units = 1 star upgrade
-     * @param {string} unitId - The unit template ID to check for combinations
-     * @returns {boolean} True if an upgrade occurred
-     */
-    checkCombine(unitId) {
-        // Delegate to game state's upgrade check
-        const upgraded = this.gameState.checkForUpgrades(unitId);
+        // ========================================================================
+        // UNIT COMBINATION
+        // ========================================================================
+
+        /**
+         * Check for and perform unit combinations
+         * 3 same units = 1 star upgrade
+         * @param {string} unitId - The unit template ID to check for combinations
+         * @returns {boolean} True if an upgrade occurred
+         */
+        checkCombine(unitId) {
+            // Delegate to game state's upgrade check
+            const upgraded = this.gameState.checkForUpgrades(unitId);
+
+            if (upgraded) {
+                console.log(`[Shop] Unit combination: ${UNITS[unitId]?.name || unitId} upgraded!`);
+            }
 
-        if (upgraded) {
-            console.log(`[Shop] Unit combination: ${UNITS[unitId]?.name || unitId} upgraded!`);
+            return upgraded;
         }
 
-        return upgraded;
-    }
-
-    /**
-     * Check all owned units for possible combinations
-     * Useful after loading a save or complex operations
-     * @returns {object} Object with upgraded unit IDs
-     */
-    checkAllCombinations() {
-        const upgrades = {};
-        const checkedTypes = new Set();
-
-        // Get all owned units
-        for (const [id, unit] of this.gameState.ownedUnits) {
-            if (!checkedTypes.has(unit.unitId)) {
-                checkedTypes.add(unit.unitId);
-                if (this.checkCombine(unit.unitId)) {
-                    upgrades[unit.unitId] = true;
+        /**
+         * Check all owned units for possible combinations
+         * Useful after loading a save or complex operations
+         * @returns {object} Object with upgraded unit IDs
+         */
+        checkAllCombinations() {
+            const upgrades = {};
+            const checkedTypes = new Set();
+
+            // Get all owned units
+            for (const [id, unit] of this.gameState.ownedUnits) {
+                if (!checkedTypes.has(unit.unitId)) {
+                    checkedTypes.add(unit.unitId);
+                    if (this.checkCombine(unit.unitId)) {
+                        upgrades[unit.unitId] = true;
+                    }
                 }
             }
+
+            return upgrades;
         }
 
-        return upgrades;
-    }
+        // ========================================================================
+        // UTILITY METHODS
+        // ========================================================================
 
-    // ========================================================================
-    // UTILITY METHODS
-    // ========================================================================
+        /**
+         * Get current shop offers
+         * @returns {Array} Array of unit template data or null for empty slots
+         */
+        getOffers() {
+            return this.offers;
+        }
 
-    /**
-     * Get current shop offers
-     * @returns {Array} Array of unit template data or null for empty slots
-     */
-    getOffers() {
-        return this.offers;
-    }
+        /**
+         * Get shop offer at specific index
+         * @param {number} index - Shop slot index
+         * @returns {object|null} Unit template data or null
+         */
+        getOffer(index) {
+            if (index < 0 || index >= this.offers.length) {
+                return null;
+            }
+            return this.offers[index];
+        }
 
-    /**
-     * Get shop offer at specific index
-     * @param {number} index - Shop slot index
-     * @returns {object|null} Unit template data or null
-     */
-    getOffer(index) {
-        if (index < 0 || index >= this.offers.length) {
-            return null;
+        /**
+         * Check if a specific shop slot has an offer
+         * @param {number} index - Shop slot index
+         * @returns {boolean} True if slot has an offer
+         */
+        hasOffer(index) {
+            return this.offers[index] !== null;
         }
-        return this.offers[index];
-    }
 
-    /**
-     * Check if a specific shop slot has an offer
-     * @param {number} index - Shop slot index
-     * @returns {boolean} True if slot has an offer
-     */
-    hasOffer(index) {
-        return this.offers[index] !== null;
-    }
+        /**
+         * Get the refresh cost
+         * @returns {number} Gold cost to refresh
+         */
+        getRefreshCost() {
+            return GAME_CONFIG.REROLL_COST;
+        }
 
-    /**
-     * Get the refresh cost
-     * @returns {number} Gold cost to refresh
-     */
-    getRefreshCost() {
-        return GAME_CONFIG.REROLL_COST;
-    }
+        /**
+         * Check if player can afford to refresh
+         * @returns {boolean} True if player has enough gold
+         */
+        canAffordRefresh() {
+            return this.gameState.gold >= GAME_CONFIG.REROLL_COST;
+        }
 
-    /**
-     * Check if player can afford to refresh
-     * @returns {boolean} True if player has enough gold
-     */
-    canAffordRefresh() {
-        return this.gameState.gold >= GAME_CONFIG.REROLL_COST;
-    }
+        /**
+         * Check if player can afford a specific unit
+         * @param {number} index - Shop slot index
+         * @returns {boolean} True if player can afford the unit
+         */
+        canAffordUnit(index) {
+            const offer = this.offers[index];
+            if (!offer) return false;
+            return this.gameState.gold >= offer.cost;
+        }
 
-    /**
-     * Check if player can afford a specific unit
-     * @param {number} index - Shop slot index
-     * @returns {boolean} True if player can afford the unit
-     */
-    canAffordUnit(index) {
-        const offer = this.offers[index];
-        if (!offer) return false;
-        return this.gameState.gold >= offer.cost;
-    }
+        /**
+         * Get shop odds for current level
+         * @returns {number[]} Array of percentages for each cost tier
+         */
+        getCurrentOdds() {
+            return SHOP_ODDS[this.gameState.level] || SHOP_ODDS[1];
+        }
 
-    /**
-     * Get shop odds for current level
-     * @returns {number[]} Array of percentages for each cost tier
-     */
-    getCurrentOdds() {
-        return SHOP_ODDS[this.gameState.level] || SHOP_ODDS[1];
-    }
+        /**
+         * Get shop state summary for debugging
+         * @returns {object} Shop state summary
+         */
+        getSummary() {
+            return {
+                locked: this.locked,
+                offers: this.offers.map((o, i) => ({
+                    slot: i,
+                    unit: o ? o.name : null,
+                    cost: o ? o.cost : null,
+                    canAfford: this.canAffordUnit(i)
+                })),
+                canRefresh: this.canAffordRefresh(),
+                refreshCost: GAME_CONFIG.REROLL_COST,
+                odds: this.getCurrentOdds()
+            };
+        }
 
-    /**
-     * Get shop state summary for debugging
-     * @returns {object} Shop state summary
-     */
-    getSummary() {
-        return {
-            locked: this.locked,
-            offers: this.offers.map((o, i) => ({
-                slot: i,
-                unit: o ? o.name : null,
-                cost: o ? o.cost : null,
-                canAfford: this.canAffordUnit(i)
-            })),
-            canRefresh: this.canAffordRefresh(),
-            refreshCost: GAME_CONFIG.REROLL_COST,
-            odds: this.getCurrentOdds()
-        };
-    }
+        /**
+         * Serialize shop state
+         * @returns {object} Serialized shop data
+         */
+        toJSON() {
+            return {
+                offers: this.offers.map(o => o ? o.id : null),
+                locked: this.locked
+            };
+        }
 
-    /**
-     * Serialize shop state
-     * @returns {object} Serialized shop data
-     */
-    toJSON() {
-        return {
-            offers: this.offers.map(o => o ? o.id : null),
-            locked: this.locked
-        };
-    }
+        /**
+         * Load shop state from saved data
+         * @param {object} data - Saved shop data
+         */
+        fromJSON(data) {
+            if (!data) return;
 
-    /**
-     * Load shop state from saved data
-     * @param {object} data - Saved shop data
-     */
-    fromJSON(data) {
-        if (!data) return;
+            this.locked = data.locked || false;
+            this.offers = (data.offers || []).map(id => id ? UNITS[id] : null);
 
-        this.locked = data.locked || false;
-        this.offers = (data.offers || []).map(id => id ? UNITS[id] : null);
+            // Pad offers array to correct size
+            while (this.offers.length < GAME_CONFIG.SHOP_SIZE) {
+                this.offers.push(null);
+            }
+        }
 
-        // Pad offers array to correct size
-        while (this.offers.length < GAME_CONFIG.SHOP_SIZE) {
-            this.offers.push(null);
+        /**
+         * Print shop state to console for debugging
+         */
+        debug() {
+            console.log('=== Shop Debug ===');
+            console.log(JSON.stringify(this.getSummary(), null, 2));
         }
     }
 
+    // ============================================================================
+    // FACTORY FUNCTION
+    // ============================================================================
+
     /**
-     * Print shop state to console for debugging
+     * Create a new shop instance
+     * @param {GameState} gameState - Reference to the game state
+     * @param {RNG} rng - Seeded random generator (optional)
+     * @returns {Shop} New shop instance
      */
-    debug() {
-        console.log('=== Shop Debug ===');
-        console.log(JSON.stringify(this.getSummary(), null, 2));
+    function createShop(gameState, rng = null) {
+        const shop = new Shop(gameState, rng);
+        shop.generateShop();
+        return shop;
     }
-}
-
-// ============================================================================
-// FACTORY FUNCTION
-// ============================================================================
-
-/**
- * Create a new shop instance
- * @param {GameState} gameState - Reference to the game state
- * @returns {Shop} New shop instance
- */
-function createShop(gameState) {
-    const shop = new Shop(gameState);
-    shop.generateShop();
-    return shop;
-}
 
-// ============================================================================
-// EXPORT
-// ============================================================================
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
 
-// Expose globally
-window.Shop = Shop;
-window.createShop = createShop;
+    console.log('[Shop] Shop module loaded');
 
-console.log('[Shop] Shop module loaded');
+    return {
+        Shop,
+        createShop
+    };
+}));
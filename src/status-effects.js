@@ -0,0 +1,299 @@
+/**
+ * Auto Chess Status Effects
+ * Timed effects on units in combat (stuns, damage over time, stat modifiers, shields)
+ * and the rules for combining repeat applications
+ */
+
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./data.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
+
+    const { TICK_EPSILON } = deps;
+
+    // ============================================================================
+    // STACKING RULES
+    // ============================================================================
+
+    /**
+     * What happens when an effect is applied to a unit that already has it
+     */
+    const STACKING = {
+        REFRESH: 'refresh',         // Keep one copy: strongest value, longest remaining time
+        STACK: 'stack',             // Keep one copy: add a stack (up to maxStacks) and restart the timer
+        REPLACE: 'replace',         // The new application replaces the old one
+        INDEPENDENT: 'independent'  // Every application is its own copy with its own timer
+    };
+
+    // Seconds between damage-over-time ticks
+    const DOT_INTERVAL = 1;
+
+    // ============================================================================
+    // EFFECT DEFINITIONS
+    // ============================================================================
+
+    /**
+     * Known status effects, keyed by type
+     * `value` means something different per effect (see the comments); stat effects
+     * add value * stacks * scale to a unit.buffs key while they last
+     */
+    const STATUS_EFFECTS = {
+        // Can't move, attack or cast
+        stun: { name: 'Stunned', stacking: STACKING.REFRESH, preventsActing: true },
+
+        // Can attack but not cast
+        silence: { name: 'Silenced', stacking: STACKING.REFRESH, preventsCasting: true },
+
+        // value = fraction of attack and movement speed lost (0-1)
+        slow: { name: 'Slowed', stacking: STACKING.REFRESH },
+
+        // value = magic damage per second
+        burn: { name: 'Burning', stacking: STACKING.REFRESH, damageType: 'magic' },
+
+        // value = damage per second per stack, ignoring armor and magic resist
+        poison: { name: 'Poisoned', stacking: STACKING.STACK, maxStacks: 5, damageType: 'true' },
+
+        // value = damage absorbed before HP
+        shield: { name: 'Shielded', stacking: STACKING.INDEPENDENT },
+
+        // value = armor removed per stack
+        armorShred: { name: 'Armor shred', stacking: STACKING.STACK, maxStacks: 5, stat: 'armorBonus', scale: -1 },
+
+        // Must attack the unit that applied it
+        taunt: { name: 'Taunted', stacking: STACKING.REPLACE },
+
+        // Gains no mana (applied to a unit after it casts)
+        manaLock: { name: 'Mana locked', stacking: STACKING.REFRESH, preventsManaGain: true },
+
+        // value = fraction of healing lost (0-1)
+        healingReduction: { name: 'Wounded', stacking: STACKING.REFRESH },
+
+        // value = amount added to the buff stat given when applied
+        buff: { name: 'Buffed', stacking: STACKING.INDEPENDENT },
+
+        // value = amount added to the buff stat of the tile the unit stands on (see terrain.js)
+        terrain: { name: 'Empowered by terrain', stacking: STACKING.REPLACE }
+    };
+
+    // ============================================================================
+    // STATUS EFFECT LIST
+    // ============================================================================
+
+    /**
+     * The effects active on one unit
+     * Each entry is { type, value, stacks, remaining, stat, source, tickTimer }
+     */
+    class StatusEffectList {
+        constructor() {
+            this.effects = [];
+        }
+
+        /**
+         * Apply an effect, combining it with an existing copy per its stacking rule
+         * @param {string} type - Key of STATUS_EFFECTS
+         * @param {object} options - { value, duration (seconds, 0 = rest of the fight), stat, source }
+         * @returns {object|null} The active effect entry, or null for an unknown type
+         */
+        apply(type, { value = 0, duration = 0, stat = null, source = null } = {}) {
+            const definition = STATUS_EFFECTS[type];
+            if (!definition) return null;
+
+            const remaining = duration > 0 ? duration : Infinity;
+            const existing = this.get(type);
+
+            if (existing && definition.stacking === STACKING.REFRESH) {
+                existing.value = Math.max(existing.value, value);
+                existing.remaining = Math.max(existing.remaining, remaining);
+                existing.source = source || existing.source;
+                return existing;
+            }
+
+            if (existing && definition.stacking === STACKING.STACK) {
+                existing.stacks = Math.min(definition.maxStacks || Infinity, existing.stacks + 1);
+                existing.value = Math.max(existing.value, value);
+                existing.remaining = remaining;
+                existing.source = source || existing.source;
+                return existing;
+            }
+
+            if (existing && definition.stacking === STACKING.REPLACE) {
+                this.remove(existing);
+            }
+
+            const effect = {
+                type,
+                value,
+                stacks: 1,
+                remaining,
+                stat: stat || definition.stat || null,
+                source,
+                tickTimer: 0
+            };
+            this.effects.push(effect);
+            return effect;
+        }
+
+        /**
+         * Remove one effect entry
+         * @param {object} effect - Entry from this list
+         */
+        remove(effect) {
+            this.effects = this.effects.filter(entry => entry !== effect);
+        }
+
+        /**
+         * Remove every effect of a type (cleanses)
+         * @param {string} type - Effect type
+         * @returns {boolean} True if any was removed
+         */
+        removeType(type) {
+            const count = this.effects.length;
+            this.effects = this.effects.filter(entry => entry.type !== type);
+            return this.effects.length < count;
+        }
+
+        /**
+         * Remove every effect (start of a fight)
+         */
+        clear() {
+            this.effects = [];
+        }
+
+        /**
+         * Get the first active effect of a type
+         * @param {string} type - Effect type
+         * @returns {object|null} Effect entry
+         */
+        get(type) {
+            return this.effects.find(effect => effect.type === type) || null;
+        }
+
+        /**
+         * Check if an effect of a type is active
+         * @param {string} type - Effect type
+         * @returns {boolean}
+         */
+        has(type) {
+            return this.effects.some(effect => effect.type === type);
+        }
+
+        /**
+         * Check if any active effect sets a definition flag (e.g. 'preventsActing')
+         * @param {string} flag - STATUS_EFFECTS field
+         * @returns {boolean}
+         */
+        hasFlag(flag) {
+            return this.effects.some(effect => STATUS_EFFECTS[effect.type][flag]);
+        }
+
+        /**
+         * Sum what active effects add to a buff stat
+         * @param {string} stat - Key of unit.buffs (e.g. 'armorBonus')
+         * @returns {number} Total modifier (negative for debuffs)
+         */
+        getStatModifier(stat) {
+            return this.effects.reduce((total, effect) => {
+                if (effect.stat !== stat) return total;
+                return total + effect.value * effect.stacks * (STATUS_EFFECTS[effect.type].scale || 1);
+            }, 0);
+        }
+
+        /**
+         * Total shield left across all shield effects
+         */
+        get shield() {
+            return this.effects.reduce((total, effect) => effect.type === 'shield' ? total + effect.value : total, 0);
+        }
+
+        /**
+         * Soak damage with shields, oldest first; broken shields are removed
+         * @param {number} damage - Damage after mitigation
+         * @returns {number} Damage absorbed
+         */
+        absorb(damage) {
+            let absorbed = 0;
+
+            for (const effect of this.effects) {
+                if (effect.type !== 'shield' || absorbed >= damage) continue;
+
+                const soaked = Math.min(effect.value, damage - absorbed);
+                effect.value -= soaked;
+                absorbed += soaked;
+            }
+
+            this.effects = this.effects.filter(effect => effect.type !== 'shield' || effect.value > 0);
+            return absorbed;
+        }
+
+        /**
+         * Advance timers, drop expired effects and collect damage-over-time ticks
+         * @param {number} deltaTime - Time elapsed in seconds
+         * @returns {Array<{type: string, amount: number, damageType: string, source: Unit}>} Damage due this update
+         */
+        update(deltaTime) {
+            const ticks = [];
+
+            for (const effect of this.effects) {
+                const definition = STATUS_EFFECTS[effect.type];
+                const elapsed = Math.min(deltaTime, effect.remaining);
+                effect.remaining -= deltaTime;
+
+                if (!definition.damageType) continue;
+
+                effect.tickTimer += elapsed;
+                while (effect.tickTimer >= DOT_INTERVAL - TICK_EPSILON) {
+                    effect.tickTimer -= DOT_INTERVAL;
+                    ticks.push({
+                        type: effect.type,
+                        amount: Math.floor(effect.value * effect.stacks),
+                        damageType: definition.damageType,
+                        source: effect.source
+                    });
+                }
+            }
+
+            this.effects = this.effects.filter(effect => effect.remaining > TICK_EPSILON);
+            return ticks;
+        }
+
+        /**
+         * Copy the list (sources are shared references)
+         * @returns {StatusEffectList} New list
+         */
+        clone() {
+            const cloned = new StatusEffectList();
+            cloned.effects = this.effects.map(effect => ({ ...effect }));
+            return cloned;
+        }
+
+        /**
+         * Get a display summary of the active effects
+         * @returns {Array<{type: string, name: string, stacks: number, remaining: number}>}
+         */
+        getSummary() {
+            return this.effects.map(effect => ({
+                type: effect.type,
+                name: STATUS_EFFECTS[effect.type].name,
+                stacks: effect.stacks,
+                remaining: effect.remaining
+            }));
+        }
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    console.log('[StatusEffects] Status effects module loaded');
+
+    return {
+        STACKING,
+        STATUS_EFFECTS,
+        StatusEffectList
+    };
+}));
@@ -0,0 +1,167 @@
+/**
+ * Auto Chess Targeting
+ * Target selection strategies and retarget rules, declared per unit or per trait in data.js
+ */
+
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./data.js'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
+
+    const { GAME_CONFIG, TRAITS } = deps;
+
+    // ============================================================================
+    // STRATEGIES
+    // ============================================================================
+
+    /**
+     * Pick the candidate with the lowest score, closest first on ties (then list order)
+     * @param {Unit} unit - Unit choosing a target
+     * @param {Unit[]} candidates - Living enemies on the board
+     * @param {function(Unit): number} score - Lower is better
+     * @returns {Unit|null} Best candidate
+     */
+    function pickBest(unit, candidates, score) {
+        let best = null;
+        let bestScore = Infinity;
+        let bestDistance = Infinity;
+
+        for (const candidate of candidates) {
+            const value = score(candidate);
+            const distance = unit.getDistanceTo(candidate);
+            if (value < bestScore || (value === bestScore && distance < bestDistance)) {
+                best = candidate;
+                bestScore = value;
+                bestDistance = distance;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Target selection strategies, keyed by the `targeting` field in unit or trait data
+     * Each gets the unit and the living enemies on the board and returns one of them
+     */
+    const TARGETING_STRATEGIES = {
+        nearest: (unit, candidates) => pickBest(unit, candidates, enemy => unit.getDistanceTo(enemy)),
+
+        lowestHp: (unit, candidates) => pickBest(unit, candidates, enemy => enemy.currentHp),
+
+        // Backline divers: the enemy farthest away
+        farthest: (unit, candidates) => pickBest(unit, candidates, enemy => -unit.getDistanceTo(enemy)),
+
+        highestAttack: (unit, candidates) => pickBest(unit, candidates, enemy => -enemy.attack),
+
+        // Nearest, but enemies that draw aggro (tanks) within AGGRO_RANGE come first
+        respectAggro: (unit, candidates) => {
+            const aggro = candidates.filter(enemy => enemy.drawsAggro && unit.getDistanceTo(enemy) <= GAME_CONFIG.AGGRO_RANGE);
+            return TARGETING_STRATEGIES.nearest(unit, aggro.length > 0 ? aggro : candidates);
+        }
+    };
+
+    // ============================================================================
+    // RETARGET RULES
+    // ============================================================================
+
+    /**
+     * When a unit drops a living target, keyed by the `retarget` field in unit or trait data
+     * Each returns the new target, or null to keep the current one
+     */
+    const RETARGET_RULES = {
+        // Stay on the target until it dies
+        never: () => null,
+
+        // Switch when the target is out of range and another enemy is in range
+        closerInRange: (unit, candidates) => {
+            if (unit.getDistanceTo(unit.target) <= unit.range) return null;
+
+            const inRange = candidates.filter(enemy => unit.getDistanceTo(enemy) <= unit.range);
+            return inRange.length > 0 ? selectTarget(unit, inRange) : null;
+        }
+    };
+
+    // ============================================================================
+    // POLICY
+    // ============================================================================
+
+    /**
+     * Work out a unit template's targeting policy
+     * Fields on the unit win, then the first of its traits that sets them, then GAME_CONFIG defaults
+     * @param {object} template - Entry from UNITS
+     * @returns {{targeting: string, retarget: string, drawsAggro: boolean}} Policy
+     */
+    function getTargetingPolicy(template) {
+        const traits = (template.traits || []).map(traitId => TRAITS[traitId]).filter(Boolean);
+        const fromData = (field) => {
+            if (template[field] !== undefined) return template[field];
+            const trait = traits.find(entry => entry[field] !== undefined);
+            return trait ? trait[field] : undefined;
+        };
+
+        return {
+            targeting: fromData('targeting') || GAME_CONFIG.DEFAULT_TARGETING,
+            retarget: fromData('retarget') || GAME_CONFIG.DEFAULT_RETARGET,
+            drawsAggro: !!fromData('drawsAggro')
+        };
+    }
+
+    // ============================================================================
+    // TARGET SELECTION
+    // ============================================================================
+
+    /**
+     * Choose a target with the unit's strategy
+     * @param {Unit} unit - Unit choosing a target
+     * @param {Unit[]} enemies - Enemy units (dead and benched ones are skipped)
+     * @returns {Unit|null} Chosen target, or null if no enemy is left
+     */
+    function selectTarget(unit, enemies) {
+        const candidates = (enemies || []).filter(enemy => enemy.isAlive && enemy.isOnBoard);
+        if (candidates.length === 0) return null;
+
+        const strategy = TARGETING_STRATEGIES[unit.targeting] || TARGETING_STRATEGIES.nearest;
+        return strategy(unit, candidates);
+    }
+
+    /**
+     * Keep, replace or pick a unit's target for this tick and store it on the unit
+     * Taunts override everything; otherwise a dead target is replaced and a living
+     * one is kept unless the unit's retarget rule says to switch
+     * @param {Unit} unit - Unit acting this tick
+     * @param {Unit[]} enemies - Enemy units
+     * @returns {Unit|null} Current target
+     */
+    function updateTarget(unit, enemies) {
+        if (unit.tauntedBy) {
+            unit.target = unit.tauntedBy;
+        } else if (!unit.target || !unit.target.isAlive || !unit.target.isOnBoard) {
+            unit.target = selectTarget(unit, enemies);
+        } else {
+            const rule = RETARGET_RULES[unit.retarget];
+            const candidates = enemies.filter(enemy => enemy.isAlive && enemy.isOnBoard);
+            unit.target = (rule && rule(unit, candidates)) || unit.target;
+        }
+
+        return unit.target;
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    console.log('[Targeting] Targeting module loaded');
+
+    return {
+        TARGETING_STRATEGIES,
+        RETARGET_RULES,
+        getTargetingPolicy,
+        selectTarget,
+        updateTarget
+    };
+}));
@@ -0,0 +1,202 @@
+/**
+ * Auto Chess Combat Triggers
+ * Hooks for things that happen in a fight (attacks, hits, casts, kills, deaths, low HP)
+ * and the data-driven trait, item and ability effects that subscribe to them
+ */
+
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./data.js'), require('./abilities.js'), require('./combat-events.js')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
+
+    const { TRAITS, ITEMS, getTraitBonus, executeAbility, unitRef } = deps;
+
+    // ============================================================================
+    // EVENTS
+    // ============================================================================
+
+    /**
+     * Trigger events; `unit` in the payload is always the unit the event happened to
+     * and `target` the other unit involved (if any)
+     */
+    const TRIGGER_EVENTS = {
+        COMBAT_START: 'combatStart',   // unit = every unit on the board, once
+        ATTACK: 'attack',              // unit = attacker, target = defender (after the attack lands)
+        HIT: 'hit',                    // unit = defender, target = attacker
+        CAST: 'cast',                  // unit = caster, target = its attack target
+        KILL: 'kill',                  // unit = killer, target = the unit that died
+        DEATH: 'death',                // unit = the unit that died, target = its killer
+        HP_THRESHOLD: 'hpThreshold'    // unit = unit at or below `threshold` (fraction of max HP), once per fight
+    };
+
+    // ============================================================================
+    // COMBAT TRIGGERS
+    // ============================================================================
+
+    /**
+     * Trigger dispatch for one fight
+     *
+     * Code subscribes with on(event, handler). Data subscribes with `triggers` lists on
+     * traits (keyed by threshold), items and abilities in data.js:
+     *   { on: 'death', name: 'Elemental Burst', effects: [...] }
+     * (hpThreshold entries also set `threshold`). Their effects run through
+     * executeAbility with the subscribed unit as the caster.
+     */
+    class CombatTriggers {
+        /**
+         * @param {Combat} combat - Fight the triggers belong to
+         */
+        constructor(combat) {
+            this.combat = combat;
+            this.handlers = new Map(); // event -> [handler]
+            this.subscriptions = new Map(); // unit -> [{ trigger, source }]
+            this.handledDeaths = new Set();
+            this.firedThresholds = new Set(); // Subscriptions whose HP threshold was passed
+        }
+
+        /**
+         * Subscribe a handler to an event
+         * @param {string} event - Value of TRIGGER_EVENTS
+         * @param {function(object)} handler - Called with the event payload
+         */
+        on(event, handler) {
+            if (!this.handlers.has(event)) {
+                this.handlers.set(event, []);
+            }
+            this.handlers.get(event).push(handler);
+        }
+
+        /**
+         * Collect the data triggers of a team: its active traits, then items, then abilities
+         * @param {Unit[]} units - Units on one side
+         * @param {object} traitCounts - Trait counts for the side (see Combat.countTraits)
+         */
+        registerUnits(units, traitCounts = {}) {
+            for (const unit of units) {
+                const subscriptions = [];
+                const add = (triggers, source) => {
+                    (triggers || []).forEach(trigger => subscriptions.push({ trigger, source }));
+                };
+
+                for (const traitId of unit.traits) {
+                    const trait = TRAITS[traitId];
+                    const traitBonus = getTraitBonus(traitId, traitCounts[traitId] || 0);
+                    if (trait && trait.triggers && traitBonus) {
+                        add(trait.triggers[traitBonus.threshold], trait.name);
+                    }
+                }
+
+                unit.items.forEach(itemId => ITEMS[itemId] && add(ITEMS[itemId].triggers, ITEMS[itemId].name));
+
+                if (unit.ability) {
+                    add(unit.ability.triggers, unit.ability.name);
+                }
+
+                this.subscriptions.set(unit, subscriptions);
+            }
+        }
+
+        /**
+         * Send an event to code handlers, then to the data triggers of the unit it happened to
+         * Dead units only run their death triggers
+         * @param {string} event - Value of TRIGGER_EVENTS
+         * @param {object} payload - { unit, target, ... }
+         */
+        emit(event, payload) {
+            const data = { event, target: null, ...payload };
+
+            (this.handlers.get(event) || []).forEach(handler => handler(data));
+
+            if (!data.unit.isAlive && event !== TRIGGER_EVENTS.DEATH) return;
+
+            for (const { trigger, source } of this.subscriptions.get(data.unit) || []) {
+                if (trigger.on !== event) continue;
+                if (event === TRIGGER_EVENTS.HP_THRESHOLD && trigger.threshold !== data.threshold) continue;
+
+                this.combat.log('trigger', { unit: unitRef(data.unit), source, trigger: trigger.name, event });
+                executeAbility(this.combat, data.unit, data.target, { name: trigger.name, effects: trigger.effects });
+            }
+        }
+
+        /**
+         * Emit death, kill and HP threshold events for everything that happened since the last check
+         * Repeats until nothing new happens, since triggered effects can kill or hurt more units
+         */
+        checkUnits() {
+            let changed = true;
+
+            while (changed) {
+                changed = false;
+
+                for (const unit of [...this.combat.playerUnits, ...this.combat.enemyUnits]) {
+                    if (!unit.isAlive) {
+                        if (this.handledDeaths.has(unit)) continue;
+
+                        this.handledDeaths.add(unit);
+                        changed = true;
+
+                        const killer = unit.lastDamagedBy;
+                        this.emit(TRIGGER_EVENTS.DEATH, { unit, target: killer });
+                        if (killer) {
+                            this.emit(TRIGGER_EVENTS.KILL, { unit: killer, target: unit });
+                        }
+                        continue;
+                    }
+
+                    for (const subscription of this.subscriptions.get(unit) || []) {
+                        const { trigger } = subscription;
+                        if (trigger.on !== TRIGGER_EVENTS.HP_THRESHOLD || this.firedThresholds.has(subscription)) continue;
+                        if (unit.currentHp > unit.effectiveMaxHp * trigger.threshold) continue;
+
+                        this.firedThresholds.add(subscription);
+                        changed = true;
+                        this.emit(TRIGGER_EVENTS.HP_THRESHOLD, { unit, target: unit.lastDamagedBy, threshold: trigger.threshold });
+                    }
+                }
+            }
+        }
+    }
+
+    // ============================================================================
+    // DESCRIPTIONS
+    // ============================================================================
+
+    // Short labels for trigger descriptions
+    const EVENT_LABELS = {
+        combatStart: 'At combat start',
+        attack: 'On attack',
+        hit: 'When hit',
+        cast: 'On cast',
+        kill: 'On kill',
+        death: 'On death'
+    };
+
+    /**
+     * Describe when a trigger fires
+     * @param {object} trigger - Trigger entry from data.js
+     * @returns {string} e.g. "On death" or "Below 50% HP"
+     */
+    function describeTrigger(trigger) {
+        if (trigger.on === TRIGGER_EVENTS.HP_THRESHOLD) {
+            return `Below ${Math.round(trigger.threshold * 100)}% HP`;
+        }
+        return EVENT_LABELS[trigger.on] || trigger.on;
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    console.log('[Triggers] Combat triggers module loaded');
+
+    return {
+        TRIGGER_EVENTS,
+        CombatTriggers,
+        describeTrigger
+    };
+}));
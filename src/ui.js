@@ -240,55 +240,22 @@ class UI {
             return false;
         }
 
-        const state = window.gameState;
         const unit = this.draggedUnit;
-        let success = false;
+        let action = null;
 
         if (target === 'board') {
-            // Dropping onto the board
-            const { row, col } = position;
-
-            // Check if position is valid (player area only)
-            if (row >= 0 && row < GAME_CONFIG.PLAYER_ROWS && col >= 0 && col < GAME_CONFIG.BOARD_COLS) {
-                // Check team size limit if moving from bench
-                const currentTeamSize = state.getTeamSize();
-                const isFromBench = unit.isOnBench;
-
-                if (isFromBench && currentTeamSize >= state.level) {
-                    // Check if swapping with existing unit
-                    const existingUnit = state.getUnitAtPosition(row, col);
-                    if (!existingUnit) {
-                        this.showMessage('Team is full! Level up to add more units.');
-                        this.clearDragState();
-                        return false;
-                    }
-                }
-
-                // Handle swap if position is occupied
-                const existingUnit = state.getUnitAtPosition(row, col);
-                if (existingUnit && existingUnit.id !== unit.id) {
-                    // Swap positions
-                    this.swapUnits(unit, existingUnit);
-                    success = true;
-                } else {
-                    // Place unit on board
-                    success = state.placeUnitOnBoard(unit, row, col);
-                }
-            }
+            // Dropping onto the board (swaps with a unit already there)
+            action = PlayerActions.moveToBoard(unit.id, position.row, position.col);
         } else if (target === 'bench') {
-            // Dropping onto the bench
-            const { index } = position;
-
-            // Check if bench slot is occupied
-            const existingUnit = state.getUnitFromBench(index);
-            if (existingUnit && existingUnit.id !== unit.id) {
-                // Swap positions
-                this.swapUnits(unit, existingUnit);
-                success = true;
-            } else {
-                // Add to bench
-                success = state.addUnitToBench(unit);
-            }
+            // Dropping onto the bench (swaps with a unit already there)
+            action = PlayerActions.moveToBench(unit.id, position.index);
+        }
+
+        const result = action ? this.dispatchAction(action) : { success: false };
+        const success = result.success;
+
+        if (!success && result.error) {
+            this.showMessage(result.error);
         }
 
         if (success) {
@@ -310,53 +277,6 @@ class UI {
         return success;
     }
 
-    /**
-     * Swap two units' positions
-     * @param {Object} unit1 - First unit
-     * @param {Object} unit2 - Second unit
-     */
-    swapUnits(unit1, unit2) {
-        const state = window.gameState;
-
-        // Store positions
-        const pos1 = unit1.position ? { ...unit1.position } : null;
-        const bench1 = unit1.isOnBench ? unit1.benchIndex : null;
-
-        const pos2 = unit2.position ? { ...unit2.position } : null;
-        const bench2 = unit2.isOnBench ? unit2.benchIndex : null;
-
-        // Remove both from current locations
-        state.removeUnitFromCurrentLocation(unit1);
-        state.removeUnitFromCurrentLocation(unit2);
-
-        // Place in swapped positions
-        if (pos2 !== null) {
-            state.playerBoard[pos2.y][pos2.x] = unit1.id;
-            unit1.position = pos2;
-            unit1.isOnBench = false;
-            unit1.benchIndex = null;
-        } else if (bench2 !== null) {
-            state.bench[bench2] = unit1.id;
-            unit1.isOnBench = true;
-            unit1.benchIndex = bench2;
-            unit1.position = null;
-        }
-
-        if (pos1 !== null) {
-            state.playerBoard[pos1.y][pos1.x] = unit2.id;
-            unit2.position = pos1;
-            unit2.isOnBench = false;
-            unit2.benchIndex = null;
-        } else if (bench1 !== null) {
-            state.bench[bench1] = unit2.id;
-            unit2.isOnBench = true;
-            unit2.benchIndex = bench1;
-            unit2.position = null;
-        }
-
-        console.log(`[UI] Swapped ${unit1.unitId} and ${unit2.unitId}`);
-    }
-
     /**
      * Clear drag state
      */
@@ -414,7 +334,7 @@ class UI {
         }
 
         // Attempt purchase
-        const result = shop.buyUnit(index);
+        const result = this.dispatchAction(PlayerActions.buyUnit(index));
 
         if (result.success) {
             // Trigger callback
@@ -460,20 +380,7 @@ class UI {
             return false;
         }
 
-        const shop = window.shop || (window.game && window.game.shop);
-        if (!shop) {
-            // Fall back to direct state selling
-            const success = state.sellUnit(unit);
-            if (success) {
-                this.updateDisplay();
-                if (window.renderer) {
-                    window.renderer.renderBoard();
-                }
-            }
-            return success;
-        }
-
-        const result = shop.sellUnit(unit);
+        const result = this.dispatchAction(PlayerActions.sellUnit(unit.id));
 
         if (result.success) {
             // Trigger callback
@@ -524,9 +431,9 @@ class UI {
             return false;
         }
 
-        const success = state.buyXP();
+        const result = this.dispatchAction(PlayerActions.buyXP());
 
-        if (success) {
+        if (result.success) {
             // Trigger callback
             if (this.callbacks.onBuyXP) {
                 this.callbacks.onBuyXP();
@@ -563,13 +470,7 @@ class UI {
             return false;
         }
 
-        const shop = window.shop || (window.game && window.game.shop);
-        if (!shop) {
-            console.error('[UI] Shop not found');
-            return false;
-        }
-
-        const result = shop.refresh(false);
+        const result = this.dispatchAction(PlayerActions.reroll());
 
         if (result.success) {
             // Trigger callback
@@ -596,13 +497,13 @@ class UI {
      * Handle toggle shop lock button click
      */
     onToggleLock() {
-        const shop = window.shop || (window.game && window.game.shop);
-        if (!shop) {
-            console.error('[UI] Shop not found');
+        const result = this.dispatchAction(PlayerActions.toggleLock());
+        if (!result.success) {
+            this.showMessage(result.error || 'Lock failed');
             return false;
         }
 
-        const isLocked = shop.toggleLock();
+        const isLocked = result.locked;
 
         // Trigger callback
         if (this.callbacks.onToggleLock) {
@@ -1113,6 +1014,19 @@ class UI {
     // UTILITY METHODS
     // ========================================================================
 
+    /**
+     * Send a player action to the game's reducer
+     * @param {Object} action - Action from PlayerActions
+     * @returns {Object} Result object with success status
+     */
+    dispatchAction(action) {
+        if (!window.game) {
+            return { success: false, error: 'Game not ready' };
+        }
+        return window.game.dispatch(action);
+    }
+
+
     /**
      * Show a temporary message to the user
      * @param {string} message - Message text
@@ -3,705 +3,756 @@
  * Represents a single unit instance with stats, combat state, and behavior
  */
 
-// UNITS, STAR_MULTIPLIERS, GAME_CONFIG are loaded globally from data.js
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./data.js'), require('./status-effects.js'), require('./pathfinding.js'),
+            require('./targeting.js'), require('./coordinates.js'), require('./board-topology.js')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
 
-// ============================================================================
-// UNIQUE ID GENERATOR
-// ============================================================================
+    const { ITEMS, STAR_MULTIPLIERS, GAME_CONFIG, MANA_RULES, StatusEffectList, findNextStep, getTargetingPolicy, selectTarget,
+        isInArena, getBoardTopology, getUnitTemplate } = deps;
 
-let nextUnitId = 1;
+    // ============================================================================
+    // UNIQUE ID GENERATOR
+    // ============================================================================
 
-function generateUnitId() {
-    return `unit_${nextUnitId++}`;
-}
+    let nextUnitId = 1;
 
-/**
- * Reset the unit ID counter (useful for testing)
- */
-function resetUnitIdCounter() {
-    nextUnitId = 1;
-}
-
-// ============================================================================
-// UNIT STATES
-// ============================================================================
-
-const UnitState = {
-    IDLE: 'idle',
-    MOVING: 'moving',
-    ATTACKING: 'attacking',
-    CASTING: 'casting',
-    DEAD: 'dead'
-};
-
-// ============================================================================
-// UNIT CLASS
-// ============================================================================
-
-class Unit {
-    /**
-     * Create a new unit instance from a template
-     * @param {string} templateId - The ID of the unit template from UNITS
-     * @param {number} starLevel - Star level (1-3), defaults to 1
-     */
-    constructor(templateId, starLevel = 1) {
-        const template = UNITS[templateId];
-        if (!template) {
-            throw new Error(`Unknown unit template: ${templateId}`);
-        }
-
-        // Validate star level
-        if (starLevel < 1 || starLevel > 3) {
-            throw new Error(`Invalid star level: ${starLevel}. Must be 1-3.`);
-        }
-
-        // Unique identifier
-        this.id = generateUnitId();
-        this.templateId = templateId;
-
-        // Base template info (immutable)
-        this.name = template.name;
-        this.emoji = template.emoji;
-        this.cost = template.cost;
-        this.traits = [...template.traits];
-        this.ability = template.ability ? { ...template.ability } : null;
-
-        // Star level
-        this.starLevel = starLevel;
-        const multiplier = STAR_MULTIPLIERS[starLevel];
-
-        // Scaled stats based on star level
-        this.maxHp = Math.floor(template.hp * multiplier.hp);
-        this.baseAttack = Math.floor(template.attack * multiplier.attack);
-        this.attackSpeed = template.attackSpeed;
-        this.range = template.range;
-        this.armor = template.armor;
-        this.magicResist = template.magicResist;
-
-        // Current combat stats
-        this.currentHp = this.maxHp;
-        this.currentMana = 0;
-        this.maxMana = GAME_CONFIG.MAX_MANA;
-
-        // Position on the board (null if on bench or in shop)
-        this.x = null;
-        this.y = null;
-
-        // Combat state
-        this.state = UnitState.IDLE;
-        this.target = null; // Reference to target unit
-        this.attackCooldown = 0; // Time until next attack
-
-        // Buffs and debuffs (applied by traits/abilities)
-        this.buffs = {
-            attackBonus: 0,
-            armorBonus: 0,
-            magicResistBonus: 0,
-            attackSpeedBonus: 0,
-            hpBonus: 0,
-            spellPower: 0,
-            critChance: 0,
-            critDamage: 0,
-            damageReduction: 0,
-            magicDamage: 0,
-            manaRegen: 0
-        };
-
-        // Status effects
-        this.statusEffects = {
-            stunned: false,
-            stunDuration: 0,
-            slowed: false,
-            slowAmount: 0,
-            slowDuration: 0
-        };
-
-        // Owner reference (player ID)
-        this.ownerId = null;
+    function generateUnitId() {
+        return `unit_${nextUnitId++}`;
     }
 
-    // ========================================================================
-    // COMPUTED PROPERTIES
-    // ========================================================================
-
     /**
-     * Get effective attack damage including buffs
+     * Reset the unit ID counter (useful for testing)
      */
-    get attack() {
-        return this.baseAttack + this.buffs.attackBonus;
+    function resetUnitIdCounter() {
+        nextUnitId = 1;
     }
 
-    /**
-     * Get effective armor including buffs
-     */
-    get effectiveArmor() {
-        return this.armor + this.buffs.armorBonus;
-    }
+    // ============================================================================
+    // UNIT STATES
+    // ============================================================================
 
-    /**
-     * Get effective magic resist including buffs
-     */
-    get effectiveMagicResist() {
-        return this.magicResist + this.buffs.magicResistBonus;
-    }
+    const UnitState = {
+        IDLE: 'idle',
+        MOVING: 'moving',
+        ATTACKING: 'attacking',
+        CASTING: 'casting',
+        DEAD: 'dead'
+    };
 
-    /**
-     * Get effective attack speed including buffs and slows
-     */
-    get effectiveAttackSpeed() {
-        let speed = this.attackSpeed + this.buffs.attackSpeedBonus;
-        if (this.statusEffects.slowed) {
-            speed *= (1 - this.statusEffects.slowAmount);
-        }
-        return Math.max(0.1, speed); // Minimum attack speed
-    }
+    // ============================================================================
+    // UNIT CLASS
+    // ============================================================================
 
-    /**
-     * Get effective max HP including buffs
-     */
-    get effectiveMaxHp() {
-        return this.maxHp + this.buffs.hpBonus;
-    }
+    class Unit {
+        /**
+         * Create a new unit instance from a template
+         * @param {string} templateId - The ID of the unit template from UNITS (or SUMMONS)
+         * @param {number} starLevel - Star level (1-3), defaults to 1
+         */
+        constructor(templateId, starLevel = 1) {
+            const template = getUnitTemplate(templateId);
+            if (!template) {
+                throw new Error(`Unknown unit template: ${templateId}`);
+            }
 
-    /**
-     * Check if unit is alive
-     */
-    get isAlive() {
-        return this.currentHp > 0 && this.state !== UnitState.DEAD;
-    }
+            // Validate star level
+            if (starLevel < 1 || starLevel > 3) {
+                throw new Error(`Invalid star level: ${starLevel}. Must be 1-3.`);
+            }
 
-    /**
-     * Check if unit is on the board
-     */
-    get isOnBoard() {
-        return this.x !== null && this.y !== null;
-    }
+            // Unique identifier
+            this.id = generateUnitId();
+            this.templateId = templateId;
+
+            // Base template info (immutable)
+            this.name = template.name;
+            this.emoji = template.emoji;
+            this.cost = template.cost || 0; // Summons have no cost or traits
+            this.traits = [...(template.traits || [])];
+            this.ability = template.ability ? { ...template.ability } : null;
+
+            // Star level
+            this.starLevel = starLevel;
+            const multiplier = STAR_MULTIPLIERS[starLevel];
+
+            // Scaled stats based on star level
+            this.maxHp = Math.floor(template.hp * multiplier.hp);
+            this.baseAttack = Math.floor(template.attack * multiplier.attack);
+            this.attackSpeed = template.attackSpeed;
+            this.range = template.range;
+            this.moveSpeed = template.moveSpeed || GAME_CONFIG.MOVE_SPEED; // Cells per second
+            this.projectile = template.range > 1 ? { ...template.projectile } : null; // Ranged attacks fly (see projectiles.js)
+            this.armor = template.armor;
+            this.magicResist = template.magicResist;
+
+            // Current combat stats (units without an ability have no mana)
+            this.currentHp = this.maxHp;
+            this.maxMana = this.ability ? this.ability.manaCost : 0;
+            this.currentMana = this.startingMana;
+
+            // Position on the board (null if on bench or in shop)
+            this.x = null;
+            this.y = null;
+
+            // Combat state
+            this.state = UnitState.IDLE;
+            this.target = null; // Reference to target unit
+            this.attackCooldown = 0; // Time until next attack
+            this.nextStep = null; // Cell reserved for the step in progress ({ x, y })
+            this.moveProgress = 0; // Progress toward nextStep (a step completes at 1)
+            this.lastDamagedBy = null; // Unit credited with the kill if this unit dies
+
+            // Targeting policy from unit or trait data (see targeting.js)
+            const policy = getTargetingPolicy(template);
+            this.targeting = policy.targeting;
+            this.retarget = policy.retarget;
+            this.drawsAggro = policy.drawsAggro;
+
+            // Buffs and debuffs (applied by traits/abilities)
+            this.buffs = {
+                attackBonus: 0,
+                armorBonus: 0,
+                magicResistBonus: 0,
+                attackSpeedBonus: 0,
+                hpBonus: 0,
+                spellPower: 0,
+                critChance: 0,
+                critDamage: 0,
+                damageReduction: 0,
+                magicDamage: 0,
+                manaRegen: 0
+            };
+
+            // Timed status effects (stuns, damage over time, ability buffs, shields)
+            this.statusEffects = new StatusEffectList();
+
+            // Equipped item ids (stats are applied by combat with the trait bonuses)
+            this.items = [];
+
+            // Owner reference (player ID)
+            this.ownerId = null;
+
+            // Set for units summoned mid-fight by an ability or trigger
+            this.isSummon = false;
+            this.summonerId = null; // Id of the unit that summoned it
+            this.lifetime = template.lifetime || null; // Seconds left before a summon expires (null: the whole fight)
+
+            // Grid rules for distance and movement (Combat sets the fight's layout)
+            this.topology = getBoardTopology();
+        }
 
-    /**
-     * Check if unit can act (not stunned or dead)
-     */
-    get canAct() {
-        return this.isAlive && !this.statusEffects.stunned;
-    }
+        // ========================================================================
+        // COMPUTED PROPERTIES
+        // ========================================================================
+
+        /**
+         * Get a bonus stat: trait/item buffs plus active status effect modifiers
+         * @param {string} stat - Key of this.buffs (e.g. 'armorBonus')
+         * @returns {number} Total bonus
+         */
+        getBonus(stat) {
+            return this.buffs[stat] + this.statusEffects.getStatModifier(stat);
+        }
 
-    /**
-     * Get HP percentage (0-1)
-     */
-    get hpPercent() {
-        return this.currentHp / this.effectiveMaxHp;
-    }
+        /**
+         * Get effective attack damage including buffs
+         */
+        get attack() {
+            return this.baseAttack + this.getBonus('attackBonus');
+        }
 
-    /**
-     * Get mana percentage (0-1)
-     */
-    get manaPercent() {
-        return this.currentMana / this.maxMana;
-    }
+        /**
+         * Get effective armor including buffs
+         */
+        get effectiveArmor() {
+            return this.armor + this.getBonus('armorBonus');
+        }
 
-    // ========================================================================
-    // COMBAT METHODS
-    // ========================================================================
+        /**
+         * Get effective magic resist including buffs
+         */
+        get effectiveMagicResist() {
+            return this.magicResist + this.getBonus('magicResistBonus');
+        }
 
-    /**
-     * Take damage from an attack or ability
-     * @param {number} amount - Raw damage amount
-     * @param {string} type - 'physical' or 'magic'
-     * @param {Unit} source - The unit dealing damage (optional)
-     * @returns {number} Actual damage taken after mitigation
-     */
-    takeDamage(amount, type = 'physical', source = null) {
-        if (!this.isAlive) return 0;
+        /**
+         * Get effective attack speed including buffs and slows
+         */
+        get effectiveAttackSpeed() {
+            let speed = this.attackSpeed + this.getBonus('attackSpeedBonus');
+            const slow = this.statusEffects.get('slow');
+            if (slow) {
+                speed *= (1 - slow.value);
+            }
+            return Math.max(0.1, speed); // Minimum attack speed
+        }
 
-        let actualDamage = amount;
+        /**
+         * Get effective movement speed in cells per second, including slows
+         */
+        get effectiveMoveSpeed() {
+            const slow = this.statusEffects.get('slow');
+            return this.moveSpeed * (slow ? 1 - slow.value : 1);
+        }
 
-        // Apply damage reduction from armor or magic resist
-        if (type === 'physical') {
-            const reduction = this.effectiveArmor / (this.effectiveArmor + 100);
-            actualDamage = Math.floor(amount * (1 - reduction));
-        } else if (type === 'magic') {
-            const reduction = this.effectiveMagicResist / (this.effectiveMagicResist + 100);
-            actualDamage = Math.floor(amount * (1 - reduction));
+        /**
+         * Get effective max HP including buffs
+         */
+        get effectiveMaxHp() {
+            return this.maxHp + this.getBonus('hpBonus');
         }
 
-        // Apply flat damage reduction from buffs
-        if (this.buffs.damageReduction > 0) {
-            actualDamage = Math.floor(actualDamage * (1 - this.buffs.damageReduction / 100));
+        /**
+         * Check if unit is alive
+         */
+        get isAlive() {
+            return this.currentHp > 0 && this.state !== UnitState.DEAD;
         }
 
-        // Ensure minimum 1 damage
-        actualDamage = Math.max(1, actualDamage);
+        /**
+         * Check if unit is on the board
+         */
+        get isOnBoard() {
+            return this.x !== null && this.y !== null;
+        }
 
-        // Apply damage
-        this.currentHp = Math.max(0, this.currentHp - actualDamage);
+        /**
+         * Check if unit can act (not stunned or dead)
+         */
+        get canAct() {
+            return this.isAlive && !this.statusEffects.hasFlag('preventsActing');
+        }
 
-        // Gain mana from taking damage
-        this.gainMana(GAME_CONFIG.MANA_PER_DAMAGE_TAKEN);
+        /**
+         * Check if unit can cast its ability (can act and isn't silenced)
+         */
+        get canCast() {
+            return this.canAct && !this.statusEffects.hasFlag('preventsCasting');
+        }
 
-        // Check for death
-        if (this.currentHp <= 0) {
-            this.die();
+        /**
+         * Get the unit this one is taunted by, if that unit is still fighting
+         */
+        get tauntedBy() {
+            const taunt = this.statusEffects.get('taunt');
+            return taunt && taunt.source && taunt.source.isAlive && taunt.source.isOnBoard ? taunt.source : null;
         }
 
-        return actualDamage;
-    }
+        /**
+         * Get HP percentage (0-1)
+         */
+        get hpPercent() {
+            return this.currentHp / this.effectiveMaxHp;
+        }
 
-    /**
-     * Heal the unit
-     * @param {number} amount - Amount to heal
-     * @returns {number} Actual amount healed
-     */
-    heal(amount) {
-        if (!this.isAlive) return 0;
+        /**
+         * Get mana percentage (0-1)
+         */
+        get manaPercent() {
+            return this.maxMana > 0 ? this.currentMana / this.maxMana : 0;
+        }
 
-        const maxHeal = this.effectiveMaxHp - this.currentHp;
-        const actualHeal = Math.min(amount, maxHeal);
-        this.currentHp += actualHeal;
+        /**
+         * Get the mana the unit enters combat with (from its ability data)
+         */
+        get startingMana() {
+            return this.ability ? Math.min(this.maxMana, this.ability.startingMana || 0) : 0;
+        }
 
-        return actualHeal;
-    }
+        // ========================================================================
+        // COMBAT METHODS
+        // ========================================================================
+
+        /**
+         * Take damage from an attack or ability
+         * @param {number} amount - Raw damage amount
+         * @param {string} type - 'physical', 'magic' or 'true' (no mitigation)
+         * @param {Unit} source - The unit dealing damage (optional)
+         * @param {object} options - { grantsMana: false for damage that gives no mana }
+         * @returns {number} Actual damage taken after mitigation
+         */
+        takeDamage(amount, type = 'physical', source = null, { grantsMana = true } = {}) {
+            if (!this.isAlive) return 0;
+
+            let actualDamage = amount;
+
+            // Apply damage reduction from armor or magic resist
+            if (type === 'physical') {
+                const reduction = this.effectiveArmor / (this.effectiveArmor + 100);
+                actualDamage = Math.floor(amount * (1 - reduction));
+            } else if (type === 'magic') {
+                const reduction = this.effectiveMagicResist / (this.effectiveMagicResist + 100);
+                actualDamage = Math.floor(amount * (1 - reduction));
+            }
 
-    /**
-     * Gain mana
-     * @param {number} amount - Amount of mana to gain
-     */
-    gainMana(amount) {
-        if (!this.isAlive) return;
-        const totalGain = amount + this.buffs.manaRegen;
-        this.currentMana = Math.min(this.maxMana, this.currentMana + totalGain);
-    }
+            // Apply flat damage reduction from buffs
+            const damageReduction = this.getBonus('damageReduction');
+            if (damageReduction > 0) {
+                actualDamage = Math.floor(actualDamage * (1 - damageReduction / 100));
+            }
 
-    /**
-     * Perform an attack on the current target
-     * @returns {object|null} Attack result with damage info, or null if can't attack
-     */
-    attack() {
-        if (!this.canAct || !this.target || !this.target.isAlive) {
-            return null;
-        }
+            // Ensure minimum 1 damage
+            actualDamage = Math.max(1, actualDamage);
 
-        // Check if in range
-        const distance = this.getDistanceTo(this.target);
-        if (distance > this.range) {
-            return null;
-        }
+            // Shields soak damage before HP
+            const absorbed = this.statusEffects.absorb(actualDamage);
+
+            // Apply damage
+            this.currentHp = Math.max(0, this.currentHp - (actualDamage - absorbed));
+            if (source) this.lastDamagedBy = source;
 
-        // Calculate damage
-        let damage = this.attack;
-        let isCrit = false;
+            // Gain mana from taking damage
+            if (grantsMana) {
+                this.gainMana(MANA_RULES.PER_DAMAGE_TAKEN + Math.floor(actualDamage * MANA_RULES.DAMAGE_TAKEN_PERCENT / 100));
+            }
 
-        // Check for critical strike
-        if (this.buffs.critChance > 0) {
-            const critRoll = Math.random() * 100;
-            if (critRoll < this.buffs.critChance) {
-                isCrit = true;
-                const critMultiplier = 1.5 + (this.buffs.critDamage / 100);
-                damage = Math.floor(damage * critMultiplier);
+            // Check for death
+            if (this.currentHp <= 0) {
+                this.die();
             }
+
+            return actualDamage;
         }
 
-        // Add bonus magic damage if present
-        let magicDamage = 0;
-        if (this.buffs.magicDamage > 0) {
-            magicDamage = this.buffs.magicDamage;
+        /**
+         * Heal the unit (less while it has healingReduction)
+         * @param {number} amount - Amount to heal
+         * @returns {number} Actual amount healed
+         */
+        heal(amount) {
+            if (!this.isAlive) return 0;
+
+            const reduction = this.statusEffects.get('healingReduction');
+            const reducedAmount = reduction ? Math.floor(amount * (1 - reduction.value)) : amount;
+
+            const maxHeal = this.effectiveMaxHp - this.currentHp;
+            const actualHeal = Math.min(reducedAmount, maxHeal);
+            this.currentHp += actualHeal;
+
+            return actualHeal;
         }
 
-        // Deal damage
-        const physicalDamageDealt = this.target.takeDamage(damage, 'physical', this);
-        let magicDamageDealt = 0;
-        if (magicDamage > 0) {
-            magicDamageDealt = this.target.takeDamage(magicDamage, 'magic', this);
+        /**
+         * Gain mana (nothing while the post-cast mana lock is active)
+         * @param {number} amount - Amount of mana to gain
+         */
+        gainMana(amount) {
+            if (!this.isAlive || this.statusEffects.hasFlag('preventsManaGain')) return;
+            const totalGain = amount + this.getBonus('manaRegen');
+            this.currentMana = Math.min(this.maxMana, this.currentMana + totalGain);
         }
 
-        // Gain mana from attacking
-        this.gainMana(GAME_CONFIG.MANA_PER_ATTACK);
+        /**
+         * Perform an attack on the current target
+         * (Not named attack() - that would shadow the attack stat getter)
+         * @param {RNG} rng - Random generator for crit rolls (optional, falls back to Math.random)
+         * @returns {object|null} Attack result with damage info, or null if can't attack
+         */
+        performAttack(rng = null) {
+            if (!this.canAct || !this.target || !this.target.isAlive) {
+                return null;
+            }
 
-        return {
-            attacker: this,
-            target: this.target,
-            physicalDamage: physicalDamageDealt,
-            magicDamage: magicDamageDealt,
-            totalDamage: physicalDamageDealt + magicDamageDealt,
-            isCrit,
-            targetDied: !this.target.isAlive
-        };
-    }
+            // Check if in range
+            const distance = this.getDistanceTo(this.target);
+            if (distance > this.range) {
+                return null;
+            }
 
-    /**
-     * Find a target from enemy units
-     * @param {Unit[]} enemies - Array of enemy units to target
-     * @returns {Unit|null} The selected target or null if none found
-     */
-    findTarget(enemies) {
-        if (!this.isAlive || !enemies || enemies.length === 0) {
-            this.target = null;
-            return null;
+            // Calculate damage
+            let damage = this.attack;
+            let isCrit = false;
+
+            // Check for critical strike
+            if (this.getBonus('critChance') > 0) {
+                const critRoll = (rng ? rng.next() : Math.random()) * 100;
+                if (critRoll < this.getBonus('critChance')) {
+                    isCrit = true;
+                    const critMultiplier = 1.5 + (this.getBonus('critDamage') / 100);
+                    damage = Math.floor(damage * critMultiplier);
+                }
+            }
+
+            // Add bonus magic damage if present
+            let magicDamage = 0;
+            if (this.getBonus('magicDamage') > 0) {
+                magicDamage = this.getBonus('magicDamage');
+            }
+
+            // Deal damage
+            const physicalDamageDealt = this.target.takeDamage(damage, 'physical', this);
+            let magicDamageDealt = 0;
+            if (magicDamage > 0) {
+                magicDamageDealt = this.target.takeDamage(magicDamage, 'magic', this);
+            }
+
+            // Gain mana from attacking
+            this.gainMana(MANA_RULES.PER_ATTACK);
+
+            return {
+                attacker: this,
+                target: this.target,
+                physicalDamage: physicalDamageDealt,
+                magicDamage: magicDamageDealt,
+                totalDamage: physicalDamageDealt + magicDamageDealt,
+                isCrit,
+                targetDied: !this.target.isAlive
+            };
         }
 
-        // Filter to alive enemies
-        const aliveEnemies = enemies.filter(e => e.isAlive && e.isOnBoard);
-        if (aliveEnemies.length === 0) {
-            this.target = null;
-            return null;
+        /**
+         * Find a target from enemy units using the unit's targeting strategy
+         * @param {Unit[]} enemies - Array of enemy units to target
+         * @returns {Unit|null} The selected target or null if none found
+         */
+        findTarget(enemies) {
+            this.target = this.isAlive ? selectTarget(this, enemies) : null;
+            return this.target;
         }
 
-        // Find closest enemy
-        let closestEnemy = null;
-        let closestDistance = Infinity;
+        /**
+         * Step one cell along the shortest path toward a position (see findPath)
+         * @param {number} targetX - Target X coordinate
+         * @param {number} targetY - Target Y coordinate
+         * @param {Set<string>} occupiedPositions - Set of "x,y" strings for occupied cells
+         * @param {number} range - Stop once within this many cells of the position
+         * @returns {boolean} True if moved, false if stayed in place
+         */
+        move(targetX, targetY, occupiedPositions = new Set(), range = 0) {
+            if (!this.canAct || !this.isOnBoard) {
+                return false;
+            }
 
-        for (const enemy of aliveEnemies) {
-            const distance = this.getDistanceTo(enemy);
-            if (distance < closestDistance) {
-                closestDistance = distance;
-                closestEnemy = enemy;
+            const step = findNextStep({ x: this.x, y: this.y }, { x: targetX, y: targetY }, {
+                range,
+                isBlocked: (x, y) => occupiedPositions.has(`${x},${y}`),
+                topology: this.topology
+            });
+            if (!step) {
+                return false; // Already there, or no free cell gets closer
             }
-        }
 
-        this.target = closestEnemy;
-        return closestEnemy;
-    }
+            // Update occupied positions
+            occupiedPositions.delete(`${this.x},${this.y}`);
+            occupiedPositions.add(`${step.x},${step.y}`);
 
-    /**
-     * Move towards the target position
-     * @param {number} targetX - Target X coordinate
-     * @param {number} targetY - Target Y coordinate
-     * @param {Set<string>} occupiedPositions - Set of "x,y" strings for occupied cells
-     * @returns {boolean} True if moved, false if stayed in place
-     */
-    move(targetX, targetY, occupiedPositions = new Set()) {
-        if (!this.canAct || !this.isOnBoard) {
-            return false;
-        }
-
-        // Calculate direction
-        const dx = Math.sign(targetX - this.x);
-        const dy = Math.sign(targetY - this.y);
-
-        if (dx === 0 && dy === 0) {
-            return false; // Already at target
-        }
-
-        // Try to move in primary direction first, then diagonally, then secondary
-        const moveOptions = [];
-
-        // Prioritize moves
-        if (dx !== 0 && dy !== 0) {
-            // Diagonal movement available
-            moveOptions.push({ x: this.x + dx, y: this.y + dy }); // Diagonal
-            moveOptions.push({ x: this.x + dx, y: this.y }); // Horizontal
-            moveOptions.push({ x: this.x, y: this.y + dy }); // Vertical
-        } else if (dx !== 0) {
-            moveOptions.push({ x: this.x + dx, y: this.y }); // Horizontal
-            moveOptions.push({ x: this.x + dx, y: this.y + 1 }); // Diagonal up
-            moveOptions.push({ x: this.x + dx, y: this.y - 1 }); // Diagonal down
-        } else {
-            moveOptions.push({ x: this.x, y: this.y + dy }); // Vertical
-            moveOptions.push({ x: this.x + 1, y: this.y + dy }); // Diagonal right
-            moveOptions.push({ x: this.x - 1, y: this.y + dy }); // Diagonal left
-        }
-
-        // Find first valid move
-        for (const option of moveOptions) {
-            const posKey = `${option.x},${option.y}`;
-            if (this.isValidPosition(option.x, option.y) && !occupiedPositions.has(posKey)) {
-                // Update occupied positions
-                occupiedPositions.delete(`${this.x},${this.y}`);
-                occupiedPositions.add(posKey);
-
-                // Move unit
-                this.x = option.x;
-                this.y = option.y;
-                this.state = UnitState.MOVING;
-                return true;
+            this.x = step.x;
+            this.y = step.y;
+            this.state = UnitState.MOVING;
+            return true;
+        }
+
+        /**
+         * Move towards the current target
+         * @param {Set<string>} occupiedPositions - Set of "x,y" strings for occupied cells
+         * @returns {boolean} True if moved
+         */
+        moveTowardsTarget(occupiedPositions = new Set()) {
+            if (!this.target || !this.target.isOnBoard) {
+                return false;
             }
+            return this.move(this.target.x, this.target.y, occupiedPositions, this.range);
         }
 
-        return false; // Couldn't move
-    }
+        // ========================================================================
+        // STATE MANAGEMENT
+        // ========================================================================
+
+        /**
+         * Set the unit's position on the board
+         * @param {number} x - X coordinate
+         * @param {number} y - Y coordinate
+         */
+        setPosition(x, y) {
+            this.x = x;
+            this.y = y;
+        }
 
-    /**
-     * Move towards the current target
-     * @param {Set<string>} occupiedPositions - Set of "x,y" strings for occupied cells
-     * @returns {boolean} True if moved
-     */
-    moveTowardsTarget(occupiedPositions = new Set()) {
-        if (!this.target || !this.target.isOnBoard) {
-            return false;
+        /**
+         * Remove the unit from the board
+         */
+        removeFromBoard() {
+            this.x = null;
+            this.y = null;
+            this.target = null;
         }
-        return this.move(this.target.x, this.target.y, occupiedPositions);
-    }
 
-    // ========================================================================
-    // STATE MANAGEMENT
-    // ========================================================================
+        /**
+         * Handle unit death
+         */
+        die() {
+            this.currentHp = 0;
+            this.state = UnitState.DEAD;
+            this.target = null;
+        }
 
-    /**
-     * Set the unit's position on the board
-     * @param {number} x - X coordinate
-     * @param {number} y - Y coordinate
-     */
-    setPosition(x, y) {
-        this.x = x;
-        this.y = y;
-    }
+        /**
+         * Reset combat state for a new round
+         */
+        resetForCombat() {
+            this.currentHp = this.effectiveMaxHp;
+            this.currentMana = this.startingMana;
+            this.state = UnitState.IDLE;
+            this.target = null;
+            this.attackCooldown = 0;
+            this.nextStep = null;
+            this.moveProgress = 0;
+            this.lastDamagedBy = null;
+            this.statusEffects.clear();
+        }
 
-    /**
-     * Remove the unit from the board
-     */
-    removeFromBoard() {
-        this.x = null;
-        this.y = null;
-        this.target = null;
-    }
+        /**
+         * Apply a status effect (see STATUS_EFFECTS for types and what value means)
+         * @param {string} type - Effect type (e.g. 'burn', 'shield', 'buff')
+         * @param {object} options - { value, duration (seconds, 0 = rest of the fight), stat, source }
+         * @returns {object|null} Active effect entry, or null if dead or the effect is invalid
+         */
+        applyStatus(type, options = {}) {
+            if (!this.isAlive) return null;
+            if (type === 'buff' && !(options.stat in this.buffs)) return null;
+            return this.statusEffects.apply(type, options);
+        }
 
-    /**
-     * Handle unit death
-     */
-    die() {
-        this.currentHp = 0;
-        this.state = UnitState.DEAD;
-        this.target = null;
-    }
+        /**
+         * Apply a stun effect
+         * @param {number} duration - Stun duration in seconds
+         */
+        applyStun(duration) {
+            this.applyStatus('stun', { duration });
+        }
 
-    /**
-     * Reset combat state for a new round
-     */
-    resetForCombat() {
-        this.currentHp = this.effectiveMaxHp;
-        this.currentMana = 0;
-        this.state = UnitState.IDLE;
-        this.target = null;
-        this.attackCooldown = 0;
-        this.statusEffects = {
-            stunned: false,
-            stunDuration: 0,
-            slowed: false,
-            slowAmount: 0,
-            slowDuration: 0
-        };
-    }
+        /**
+         * Apply a slow effect
+         * @param {number} amount - Slow percentage (0-1)
+         * @param {number} duration - Slow duration in seconds
+         */
+        applySlow(amount, duration) {
+            this.applyStatus('slow', { value: amount, duration });
+        }
 
-    /**
-     * Apply a stun effect
-     * @param {number} duration - Stun duration in seconds
-     */
-    applyStun(duration) {
-        if (!this.isAlive) return;
-        this.statusEffects.stunned = true;
-        this.statusEffects.stunDuration = Math.max(this.statusEffects.stunDuration, duration);
-    }
+        /**
+         * Update status effect timers and deal damage over time
+         * @param {number} deltaTime - Time elapsed in seconds
+         * @returns {Array<{type: string, amount: number, damage: number, source: Unit}>} Damage taken from
+         *     effects this update (amount before mitigation, damage after)
+         */
+        updateStatusEffects(deltaTime) {
+            const results = [];
 
-    /**
-     * Apply a slow effect
-     * @param {number} amount - Slow percentage (0-1)
-     * @param {number} duration - Slow duration in seconds
-     */
-    applySlow(amount, duration) {
-        if (!this.isAlive) return;
-        this.statusEffects.slowed = true;
-        this.statusEffects.slowAmount = Math.max(this.statusEffects.slowAmount, amount);
-        this.statusEffects.slowDuration = Math.max(this.statusEffects.slowDuration, duration);
-    }
+            for (const tick of this.statusEffects.update(deltaTime)) {
+                if (!this.isAlive) break;
 
-    /**
-     * Update status effect timers
-     * @param {number} deltaTime - Time elapsed in seconds
-     */
-    updateStatusEffects(deltaTime) {
-        // Update stun
-        if (this.statusEffects.stunned) {
-            this.statusEffects.stunDuration -= deltaTime;
-            if (this.statusEffects.stunDuration <= 0) {
-                this.statusEffects.stunned = false;
-                this.statusEffects.stunDuration = 0;
+                const damage = this.takeDamage(tick.amount, tick.damageType, tick.source, { grantsMana: MANA_RULES.FROM_DAMAGE_OVER_TIME });
+                results.push({ type: tick.type, amount: tick.amount, damage, source: tick.source });
             }
+
+            return results;
         }
 
-        // Update slow
-        if (this.statusEffects.slowed) {
-            this.statusEffects.slowDuration -= deltaTime;
-            if (this.statusEffects.slowDuration <= 0) {
-                this.statusEffects.slowed = false;
-                this.statusEffects.slowAmount = 0;
-                this.statusEffects.slowDuration = 0;
+        /**
+         * Apply trait bonuses to this unit
+         * @param {object} bonuses - Object with bonus stat values
+         */
+        applyTraitBonuses(bonuses) {
+            for (const [key, value] of Object.entries(bonuses)) {
+                if (key in this.buffs) {
+                    this.buffs[key] += value;
+                }
             }
         }
-    }
 
-    /**
-     * Apply trait bonuses to this unit
-     * @param {object} bonuses - Object with bonus stat values
-     */
-    applyTraitBonuses(bonuses) {
-        for (const [key, value] of Object.entries(bonuses)) {
-            if (key in this.buffs) {
-                this.buffs[key] += value;
+        /**
+         * Reset all buffs (called before reapplying trait bonuses)
+         */
+        resetBuffs() {
+            for (const key of Object.keys(this.buffs)) {
+                this.buffs[key] = 0;
             }
         }
-    }
 
-    /**
-     * Reset all buffs (called before reapplying trait bonuses)
-     */
-    resetBuffs() {
-        for (const key of Object.keys(this.buffs)) {
-            this.buffs[key] = 0;
+        /**
+         * Get the total value of an item effect across equipped items
+         * @param {string} type - Effect type (e.g. 'lifesteal', 'thorns', 'startingMana')
+         * @returns {number} Summed effect value (0 if no item has it)
+         */
+        getItemEffect(type) {
+            return this.items.reduce((total, itemId) => {
+                const effect = ITEMS[itemId] && ITEMS[itemId].effect;
+                return effect && effect.type === type ? total + effect.value : total;
+            }, 0);
         }
-    }
-
-    // ========================================================================
-    // UTILITY METHODS
-    // ========================================================================
 
-    /**
-     * Calculate distance to another unit (Chebyshev distance for grid)
-     * @param {Unit} other - The other unit
-     * @returns {number} Distance in grid cells
-     */
-    getDistanceTo(other) {
-        if (!this.isOnBoard || !other.isOnBoard) {
-            return Infinity;
+        // ========================================================================
+        // UTILITY METHODS
+        // ========================================================================
+
+        /**
+         * Calculate distance to another unit (in moves on the board layout, see board-topology.js)
+         * @param {Unit} other - The other unit
+         * @returns {number} Distance in grid cells
+         */
+        getDistanceTo(other) {
+            if (!this.isOnBoard || !other.isOnBoard) {
+                return Infinity;
+            }
+            return this.topology.getDistance(this, other);
         }
-        return Math.max(Math.abs(this.x - other.x), Math.abs(this.y - other.y));
-    }
-
-    /**
-     * Check if a position is within board bounds
-     * @param {number} x - X coordinate
-     * @param {number} y - Y coordinate
-     * @returns {boolean} True if valid
-     */
-    isValidPosition(x, y) {
-        return x >= 0 && x < GAME_CONFIG.BOARD_COLS &&
-               y >= 0 && y < GAME_CONFIG.BOARD_ROWS;
-    }
 
-    /**
-     * Check if target is in attack range
-     * @returns {boolean} True if target is in range
-     */
-    isTargetInRange() {
-        if (!this.target) return false;
-        return this.getDistanceTo(this.target) <= this.range;
-    }
-
-    /**
-     * Upgrade this unit to the next star level
-     * @returns {boolean} True if upgraded, false if already max level
-     */
-    upgrade() {
-        if (this.starLevel >= 3) {
-            return false;
+        /**
+         * Check if a position is within board bounds
+         * @param {number} x - X coordinate (arena space)
+         * @param {number} y - Y coordinate (arena space)
+         * @returns {boolean} True if valid
+         */
+        isValidPosition(x, y) {
+            return isInArena(x, y);
         }
 
-        this.starLevel++;
-        const multiplier = STAR_MULTIPLIERS[this.starLevel];
-        const template = UNITS[this.templateId];
+        /**
+         * Check if target is in attack range
+         * @returns {boolean} True if target is in range
+         */
+        isTargetInRange() {
+            if (!this.target) return false;
+            return this.getDistanceTo(this.target) <= this.range;
+        }
 
-        // Recalculate base stats
-        this.maxHp = Math.floor(template.hp * multiplier.hp);
-        this.baseAttack = Math.floor(template.attack * multiplier.attack);
+        /**
+         * Upgrade this unit to the next star level
+         * @returns {boolean} True if upgraded, false if already max level
+         */
+        upgrade() {
+            if (this.starLevel >= 3) {
+                return false;
+            }
 
-        // Heal to new max HP
-        this.currentHp = this.effectiveMaxHp;
+            this.starLevel++;
+            const multiplier = STAR_MULTIPLIERS[this.starLevel];
+            const template = getUnitTemplate(this.templateId);
 
-        return true;
-    }
+            // Recalculate base stats
+            this.maxHp = Math.floor(template.hp * multiplier.hp);
+            this.baseAttack = Math.floor(template.attack * multiplier.attack);
 
-    /**
-     * Create a deep clone of this unit (for combat simulation)
-     * @returns {Unit} A new unit instance with the same stats
-     */
-    clone() {
-        const cloned = new Unit(this.templateId, this.starLevel);
+            // Heal to new max HP
+            this.currentHp = this.effectiveMaxHp;
 
-        // Copy state
-        cloned.currentHp = this.currentHp;
-        cloned.currentMana = this.currentMana;
-        cloned.x = this.x;
-        cloned.y = this.y;
-        cloned.state = this.state;
-        cloned.ownerId = this.ownerId;
+            return true;
+        }
 
-        // Copy buffs (deep copy)
-        cloned.buffs = { ...this.buffs };
+        /**
+         * Create a deep clone of this unit (for combat simulation)
+         * The clone keeps the unit's id, so combat events and replays refer to the units that entered the fight
+         * @returns {Unit} A new unit instance with the same stats
+         */
+        clone() {
+            const cloned = new Unit(this.templateId, this.starLevel);
+
+            // Copy state
+            cloned.id = this.id;
+            cloned.currentHp = this.currentHp;
+            cloned.currentMana = this.currentMana;
+            cloned.x = this.x;
+            cloned.y = this.y;
+            cloned.state = this.state;
+            cloned.ownerId = this.ownerId;
+            cloned.items = [...this.items];
+            cloned.topology = this.topology;
+            cloned.isSummon = this.isSummon;
+            cloned.summonerId = this.summonerId;
+            cloned.lifetime = this.lifetime;
+
+            // Copy buffs (deep copy)
+            cloned.buffs = { ...this.buffs };
+
+            // Copy status effects (deep copy)
+            cloned.statusEffects = this.statusEffects.clone();
+
+            return cloned;
+        }
 
-        // Copy status effects (deep copy)
-        cloned.statusEffects = { ...this.statusEffects };
+        /**
+         * Get a serializable representation of this unit
+         * @returns {object} Plain object with unit data
+         */
+        toJSON() {
+            return {
+                id: this.id,
+                templateId: this.templateId,
+                name: this.name,
+                emoji: this.emoji,
+                cost: this.cost,
+                starLevel: this.starLevel,
+                traits: this.traits,
+                maxHp: this.maxHp,
+                currentHp: this.currentHp,
+                attack: this.attack,
+                attackSpeed: this.attackSpeed,
+                range: this.range,
+                armor: this.effectiveArmor,
+                magicResist: this.effectiveMagicResist,
+                currentMana: this.currentMana,
+                maxMana: this.maxMana,
+                x: this.x,
+                y: this.y,
+                state: this.state,
+                items: [...this.items],
+                ownerId: this.ownerId,
+                isSummon: this.isSummon
+            };
+        }
 
-        return cloned;
+        /**
+         * Get a display string for this unit
+         * @returns {string} Human-readable unit info
+         */
+        toString() {
+            const stars = '★'.repeat(this.starLevel);
+            return `${this.emoji} ${this.name} ${stars} (${this.currentHp}/${this.effectiveMaxHp} HP)`;
+        }
     }
 
+    // ============================================================================
+    // FACTORY FUNCTION
+    // ============================================================================
+
     /**
-     * Get a serializable representation of this unit
-     * @returns {object} Plain object with unit data
+     * Create a new unit from a template ID
+     * @param {string} templateId - The unit template ID
+     * @param {number} starLevel - Star level (1-3)
+     * @returns {Unit} New unit instance
      */
-    toJSON() {
-        return {
-            id: this.id,
-            templateId: this.templateId,
-            name: this.name,
-            emoji: this.emoji,
-            cost: this.cost,
-            starLevel: this.starLevel,
-            traits: this.traits,
-            maxHp: this.maxHp,
-            currentHp: this.currentHp,
-            attack: this.attack,
-            attackSpeed: this.attackSpeed,
-            range: this.range,
-            armor: this.effectiveArmor,
-            magicResist: this.effectiveMagicResist,
-            currentMana: this.currentMana,
-            maxMana: this.maxMana,
-            x: this.x,
-            y: this.y,
-            state: this.state,
-            ownerId: this.ownerId
-        };
+    function createUnit(templateId, starLevel = 1) {
+        return new Unit(templateId, starLevel);
     }
 
     /**
-     * Get a display string for this unit
-     * @returns {string} Human-readable unit info
+     * Create multiple units from template IDs
+     * @param {Array<{templateId: string, starLevel?: number}>} unitDefs - Array of unit definitions
+     * @returns {Unit[]} Array of new unit instances
      */
-    toString() {
-        const stars = '★'.repeat(this.starLevel);
-        return `${this.emoji} ${this.name} ${stars} (${this.currentHp}/${this.effectiveMaxHp} HP)`;
+    function createUnits(unitDefs) {
+        return unitDefs.map(def => createUnit(def.templateId, def.starLevel || 1));
     }
-}
 
-// ============================================================================
-// FACTORY FUNCTION
-// ============================================================================
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
 
-/**
- * Create a new unit from a template ID
- * @param {string} templateId - The unit template ID
- * @param {number} starLevel - Star level (1-3)
- * @returns {Unit} New unit instance
- */
-function createUnit(templateId, starLevel = 1) {
-    return new Unit(templateId, starLevel);
-}
+    console.log('[Unit] Unit module loaded');
 
-/**
- * Create multiple units from template IDs
- * @param {Array<{templateId: string, starLevel?: number}>} unitDefs - Array of unit definitions
- * @returns {Unit[]} Array of new unit instances
- */
-function createUnits(unitDefs) {
-    return unitDefs.map(def => createUnit(def.templateId, def.starLevel || 1));
-}
-
-// ============================================================================
-// EXPORT
-// ============================================================================
-
-// Expose globally
-window.Unit = Unit;
-window.UnitState = UnitState;
-window.createUnit = createUnit;
-window.createUnits = createUnits;
-window.resetUnitIdCounter = resetUnitIdCounter;
-
-console.log('[Unit] Unit module loaded');
+    return {
+        Unit,
+        UnitState,
+        createUnit,
+        createUnits,
+        resetUnitIdCounter
+    };
+}));
@@ -3,1062 +3,1344 @@
  * Handles all game state including player stats, board, bench, and game progression
  */
 
-// ============================================================================
-// GAME PHASES
-// ============================================================================
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./data.js'), require('./migrations.js'), require('./coordinates.js'),
+            require('./terrain.js')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
 
-const GAME_PHASES = {
-    PREP: 'prep',
-    COMBAT: 'combat',
-    CAROUSEL: 'carousel', // Future use
-    GAME_OVER: 'game_over'
-};
+    const { GAME_CONFIG, UNITS, ITEMS, UNIT_POOL_SIZE, LEVEL_XP, TRAITS, getUnitStatsAtStar, getTraitBonus,
+        getItemRecipe, STATE_VERSION, migrateStateData, isInSide, sideToArena, TerrainMap } = deps;
 
-// ============================================================================
-// UNIT INSTANCE CLASS
-// ============================================================================
+    // ============================================================================
+    // GAME PHASES
+    // ============================================================================
 
-/**
- * Represents an instance of a unit on the board or bench
- */
-class UnitInstance {
-    constructor(unitId, starLevel = 1) {
-        this.id = this.generateId();
-        this.unitId = unitId;
-        this.starLevel = starLevel;
-        this.currentHp = null; // Set when placed in combat
-        this.currentMana = 0;
-        this.items = [];
-
-        // Position tracking
-        this.position = null; // { x, y } for board position
-        this.isOnBench = false;
-        this.benchIndex = null;
-    }
+    const GAME_PHASES = {
+        PREP: 'prep',
+        COMBAT: 'combat',
+        CAROUSEL: 'carousel', // Shared draft before prep on carousel rounds (see carousel.js)
+        GAME_OVER: 'game_over'
+    };
 
-    generateId() {
-        return `unit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    }
+    // ============================================================================
+    // UNIT INSTANCE CLASS
+    // ============================================================================
 
     /**
-     * Get the base unit data
+     * Represents an instance of a unit on the board or bench
      */
-    getBaseData() {
-        return UNITS[this.unitId];
-    }
+    class UnitInstance {
+        /**
+         * @param {string} unitId - Unit template ID
+         * @param {number} starLevel - Star level (1-3)
+         * @param {string} id - Instance ID (GameState assigns sequential IDs so replays can reference units)
+         */
+        constructor(unitId, starLevel = 1, id = null) {
+            this.id = id || this.generateId();
+            this.unitId = unitId;
+            this.starLevel = starLevel;
+            this.currentHp = null; // Set when placed in combat
+            this.currentMana = 0;
+            this.items = [];
+
+            // Position tracking
+            this.position = null; // { x, y } for board position
+            this.isOnBench = false;
+            this.benchIndex = null;
+        }
 
-    /**
-     * Get computed stats with star multipliers
-     */
-    getStats() {
-        return getUnitStatsAtStar(this.unitId, this.starLevel);
+        generateId() {
+            return `unit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        }
+
+        /**
+         * Get the base unit data
+         */
+        getBaseData() {
+            return UNITS[this.unitId];
+        }
+
+        /**
+         * Get computed stats with star multipliers
+         */
+        getStats() {
+            return getUnitStatsAtStar(this.unitId, this.starLevel);
+        }
+
+        /**
+         * Serialize for save/load
+         */
+        toJSON() {
+            return {
+                id: this.id,
+                unitId: this.unitId,
+                starLevel: this.starLevel,
+                items: [...this.items],
+                position: this.position ? { ...this.position } : null,
+                isOnBench: this.isOnBench,
+                benchIndex: this.benchIndex
+            };
+        }
+
+        /**
+         * Deserialize from saved data
+         */
+        static fromJSON(data) {
+            const unit = new UnitInstance(data.unitId, data.starLevel);
+            unit.id = data.id;
+            unit.items = data.items || [];
+            unit.position = data.position;
+            unit.isOnBench = data.isOnBench;
+            unit.benchIndex = data.benchIndex;
+            return unit;
+        }
     }
 
+    // ============================================================================
+    // STORAGE
+    // ============================================================================
+
     /**
-     * Serialize for save/load
+     * Create an in-memory storage with the localStorage interface
+     * Used when running headless (Node) where localStorage does not exist
      */
-    toJSON() {
+    function createMemoryStorage() {
+        const items = new Map();
         return {
-            id: this.id,
-            unitId: this.unitId,
-            starLevel: this.starLevel,
-            items: [...this.items],
-            position: this.position ? { ...this.position } : null,
-            isOnBench: this.isOnBench,
-            benchIndex: this.benchIndex
+            getItem: (key) => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => { items.set(key, String(value)); },
+            removeItem: (key) => { items.delete(key); }
         };
     }
 
     /**
-     * Deserialize from saved data
+     * Get the default storage backend (localStorage in the browser)
      */
-    static fromJSON(data) {
-        const unit = new UnitInstance(data.unitId, data.starLevel);
-        unit.id = data.id;
-        unit.items = data.items || [];
-        unit.position = data.position;
-        unit.isOnBench = data.isOnBench;
-        unit.benchIndex = data.benchIndex;
-        return unit;
+    function getDefaultStorage() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                return localStorage;
+            }
+        } catch (error) {
+            // Access can throw (e.g. opaque origins); fall through to memory storage
+        }
+        return createMemoryStorage();
     }
-}
 
-// ============================================================================
-// GAME STATE CLASS
-// ============================================================================
+    // ============================================================================
+    // GAME STATE CLASS
+    // ============================================================================
 
-class GameState {
-    constructor() {
-        this.reset();
-    }
+    class GameState {
+        /**
+         * @param {object} options - Optional settings
+         * @param {object} options.storage - Storage with getItem/setItem/removeItem (defaults to localStorage)
+         */
+        constructor(options = {}) {
+            this.storage = options.storage || getDefaultStorage();
 
-    /**
-     * Reset to initial game state
-     */
-    reset() {
-        // Player stats
-        this.gold = GAME_CONFIG.STARTING_GOLD;
-        this.level = 1;
-        this.xp = 0;
-        this.hp = GAME_CONFIG.STARTING_HP;
-        this.maxHp = GAME_CONFIG.STARTING_HP;
-
-        // Game progression
-        this.round = 1;
-        this.phase = GAME_PHASES.PREP;
-        this.winStreak = 0;
-        this.loseStreak = 0;
-        this.wins = 0;
-        this.losses = 0;
-
-        // Board state: 8 columns x 4 rows for player
-        // Stored as 2D array [row][col], null = empty
-        this.playerBoard = this.createEmptyBoard();
-        this.enemyBoard = this.createEmptyBoard();
-
-        // Bench state: array of 9 slots
-        this.bench = new Array(GAME_CONFIG.BENCH_SIZE).fill(null);
-
-        // Shop state
-        this.shop = [];
-        this.shopLocked = false;
-
-        // Unit pool tracking - tracks remaining copies of each unit
-        this.unitPool = this.initializeUnitPool();
-
-        // All unit instances owned by player
-        this.ownedUnits = new Map(); // id -> UnitInstance
-
-        // Combat state (populated during combat phase)
-        this.combatState = null;
-
-        // Game statistics
-        this.stats = {
-            totalGoldEarned: GAME_CONFIG.STARTING_GOLD,
-            totalGoldSpent: 0,
-            unitsUpgraded: 0,
-            roundsPlayed: 0,
-            damageDealt: 0,
-            damageTaken: 0
-        };
+            // Why the last fromJSON() call failed (null after a successful load)
+            this.lastLoadError = null;
 
-        console.log('[State] Game state reset');
-    }
+            this.reset();
+        }
 
-    /**
-     * Create an empty board grid
-     */
-    createEmptyBoard() {
-        const board = [];
-        for (let row = 0; row < GAME_CONFIG.PLAYER_ROWS; row++) {
-            board.push(new Array(GAME_CONFIG.BOARD_COLS).fill(null));
+        /**
+         * Reset to initial game state
+         */
+        reset() {
+            // Player stats
+            this.gold = GAME_CONFIG.STARTING_GOLD;
+            this.level = 1;
+            this.xp = 0;
+            this.hp = GAME_CONFIG.STARTING_HP;
+            this.maxHp = GAME_CONFIG.STARTING_HP;
+
+            // Game progression
+            this.round = 1;
+            this.phase = GAME_PHASES.PREP;
+            this.winStreak = 0;
+            this.loseStreak = 0;
+            this.wins = 0;
+            this.losses = 0;
+            this.draws = 0;
+
+            // Board state: 8 columns x 4 rows for player
+            // Stored as 2D array [row][col], null = empty; rows are in side space
+            // (row 0 is the front line, see coordinates.js)
+            this.playerBoard = this.createEmptyBoard();
+            this.enemyBoard = this.createEmptyBoard();
+
+            // Special tiles of the current round, across both halves (see terrain.js)
+            this.terrain = new TerrainMap();
+
+            // Bench state: array of 9 slots
+            this.bench = new Array(GAME_CONFIG.BENCH_SIZE).fill(null);
+
+            // Shop state
+            this.shop = [];
+            this.shopLocked = false;
+
+            // Unit pool tracking - tracks remaining copies of each unit
+            this.unitPool = this.initializeUnitPool();
+
+            // All unit instances owned by player
+            this.ownedUnits = new Map(); // id -> UnitInstance
+            this.nextUnitInstanceId = 1; // Sequential so recorded actions can reference units
+
+            // Unequipped items (item ids); units hold theirs in UnitInstance.items
+            this.itemBench = [];
+
+            // Combat state (populated during combat phase)
+            this.combatState = null;
+
+            // Game statistics
+            this.stats = {
+                totalGoldEarned: GAME_CONFIG.STARTING_GOLD,
+                totalGoldSpent: 0,
+                unitsUpgraded: 0,
+                roundsPlayed: 0,
+                damageDealt: 0,
+                damageTaken: 0
+            };
+
+            console.log('[State] Game state reset');
         }
-        return board;
-    }
 
-    /**
-     * Initialize the unit pool with all available copies
-     */
-    initializeUnitPool() {
-        const pool = {};
-        for (const unitId in UNITS) {
-            const unit = UNITS[unitId];
-            pool[unitId] = UNIT_POOL_SIZE[unit.cost] || 0;
+        /**
+         * Create an empty board grid
+         */
+        createEmptyBoard() {
+            const board = [];
+            for (let row = 0; row < GAME_CONFIG.PLAYER_ROWS; row++) {
+                board.push(new Array(GAME_CONFIG.BOARD_COLS).fill(null));
+            }
+            return board;
         }
-        return pool;
-    }
 
-    // ========================================================================
-    // GOLD MANAGEMENT
-    // ========================================================================
+        /**
+         * Initialize the unit pool with all available copies
+         */
+        initializeUnitPool() {
+            const pool = {};
+            for (const unitId in UNITS) {
+                const unit = UNITS[unitId];
+                pool[unitId] = UNIT_POOL_SIZE[unit.cost] || 0;
+            }
+            return pool;
+        }
 
-    /**
-     * Add gold to player
-     */
-    addGold(amount, source = 'unknown') {
-        if (amount <= 0) return false;
-        this.gold += amount;
-        this.stats.totalGoldEarned += amount;
-        console.log(`[State] Added ${amount} gold from ${source}. Total: ${this.gold}`);
-        return true;
-    }
+        // ========================================================================
+        // GOLD MANAGEMENT
+        // ========================================================================
+
+        /**
+         * Add gold to player
+         */
+        addGold(amount, source = 'unknown') {
+            if (amount <= 0) return false;
+            this.gold += amount;
+            this.stats.totalGoldEarned += amount;
+            console.log(`[State] Added ${amount} gold from ${source}. Total: ${this.gold}`);
+            return true;
+        }
 
-    /**
-     * Spend gold if player has enough
-     */
-    spendGold(amount, reason = 'unknown') {
-        if (amount <= 0) return false;
-        if (this.gold < amount) {
-            console.log(`[State] Not enough gold. Have: ${this.gold}, Need: ${amount}`);
-            return false;
+        /**
+         * Spend gold if player has enough
+         */
+        spendGold(amount, reason = 'unknown') {
+            if (amount <= 0) return false;
+            if (this.gold < amount) {
+                console.log(`[State] Not enough gold. Have: ${this.gold}, Need: ${amount}`);
+                return false;
+            }
+            this.gold -= amount;
+            this.stats.totalGoldSpent += amount;
+            console.log(`[State] Spent ${amount} gold on ${reason}. Remaining: ${this.gold}`);
+            return true;
         }
-        this.gold -= amount;
-        this.stats.totalGoldSpent += amount;
-        console.log(`[State] Spent ${amount} gold on ${reason}. Remaining: ${this.gold}`);
-        return true;
-    }
 
-    /**
-     * Calculate income for the round
-     */
-    calculateIncome() {
-        let income = GAME_CONFIG.PASSIVE_INCOME;
+        /**
+         * Calculate income for the round
+         */
+        calculateIncome() {
+            let income = GAME_CONFIG.PASSIVE_INCOME;
+
+            // Interest (10% of gold, max 5)
+            const interest = Math.min(
+                Math.floor(this.gold * GAME_CONFIG.INTEREST_RATE),
+                GAME_CONFIG.MAX_INTEREST
+            );
+            income += interest;
+
+            // Win streak bonus
+            if (this.winStreak > 0) {
+                const streakIndex = Math.min(this.winStreak, GAME_CONFIG.WIN_STREAK_BONUS.length - 1);
+                income += GAME_CONFIG.WIN_STREAK_BONUS[streakIndex];
+            }
 
-        // Interest (10% of gold, max 5)
-        const interest = Math.min(
-            Math.floor(this.gold * GAME_CONFIG.INTEREST_RATE),
-            GAME_CONFIG.MAX_INTEREST
-        );
-        income += interest;
+            // Lose streak bonus
+            if (this.loseStreak > 0) {
+                const streakIndex = Math.min(this.loseStreak, GAME_CONFIG.LOSE_STREAK_BONUS.length - 1);
+                income += GAME_CONFIG.LOSE_STREAK_BONUS[streakIndex];
+            }
 
-        // Win streak bonus
-        if (this.winStreak > 0) {
-            const streakIndex = Math.min(this.winStreak, GAME_CONFIG.WIN_STREAK_BONUS.length - 1);
-            income += GAME_CONFIG.WIN_STREAK_BONUS[streakIndex];
+            return {
+                base: GAME_CONFIG.PASSIVE_INCOME,
+                interest,
+                streak: income - GAME_CONFIG.PASSIVE_INCOME - interest,
+                total: income
+            };
         }
 
-        // Lose streak bonus
-        if (this.loseStreak > 0) {
-            const streakIndex = Math.min(this.loseStreak, GAME_CONFIG.LOSE_STREAK_BONUS.length - 1);
-            income += GAME_CONFIG.LOSE_STREAK_BONUS[streakIndex];
+        /**
+         * Collect round income
+         */
+        collectIncome() {
+            const income = this.calculateIncome();
+            this.addGold(income.total, 'round income');
+            return income;
         }
 
-        return {
-            base: GAME_CONFIG.PASSIVE_INCOME,
-            interest,
-            streak: income - GAME_CONFIG.PASSIVE_INCOME - interest,
-            total: income
-        };
-    }
+        // ========================================================================
+        // XP AND LEVELING
+        // ========================================================================
 
-    /**
-     * Collect round income
-     */
-    collectIncome() {
-        const income = this.calculateIncome();
-        this.addGold(income.total, 'round income');
-        return income;
-    }
+        /**
+         * Gain XP and check for level up
+         */
+        gainXP(amount, source = 'unknown') {
+            if (amount <= 0 || this.level >= 9) return false;
 
-    // ========================================================================
-    // XP AND LEVELING
-    // ========================================================================
+            this.xp += amount;
+            console.log(`[State] Gained ${amount} XP from ${source}. Total: ${this.xp}`);
 
-    /**
-     * Gain XP and check for level up
-     */
-    gainXP(amount, source = 'unknown') {
-        if (amount <= 0 || this.level >= 9) return false;
+            // Check for level up
+            while (this.canLevelUp()) {
+                this.levelUp();
+            }
 
-        this.xp += amount;
-        console.log(`[State] Gained ${amount} XP from ${source}. Total: ${this.xp}`);
+            return true;
+        }
 
-        // Check for level up
-        while (this.canLevelUp()) {
-            this.levelUp();
+        /**
+         * Check if player can level up
+         */
+        canLevelUp() {
+            if (this.level >= 9) return false;
+            const nextLevelXP = LEVEL_XP[this.level + 1];
+            return this.xp >= nextLevelXP;
         }
 
-        return true;
-    }
+        /**
+         * Level up the player
+         */
+        levelUp() {
+            if (this.level >= 9) return false;
 
-    /**
-     * Check if player can level up
-     */
-    canLevelUp() {
-        if (this.level >= 9) return false;
-        const nextLevelXP = LEVEL_XP[this.level + 1];
-        return this.xp >= nextLevelXP;
-    }
+            this.level++;
+            console.log(`[State] Leveled up to ${this.level}!`);
 
-    /**
-     * Level up the player
-     */
-    levelUp() {
-        if (this.level >= 9) return false;
+            return true;
+        }
 
-        this.level++;
-        console.log(`[State] Leveled up to ${this.level}!`);
+        /**
+         * Buy XP with gold
+         */
+        buyXP() {
+            if (this.level >= 9) {
+                console.log('[State] Already at max level');
+                return false;
+            }
 
-        return true;
-    }
+            if (!this.spendGold(GAME_CONFIG.XP_PURCHASE_COST, 'buy XP')) {
+                return false;
+            }
 
-    /**
-     * Buy XP with gold
-     */
-    buyXP() {
-        if (this.level >= 9) {
-            console.log('[State] Already at max level');
-            return false;
+            this.gainXP(GAME_CONFIG.XP_PER_PURCHASE, 'purchase');
+            return true;
         }
 
-        if (!this.spendGold(GAME_CONFIG.XP_PURCHASE_COST, 'buy XP')) {
-            return false;
+        /**
+         * Get XP needed for next level
+         */
+        getXPToNextLevel() {
+            if (this.level >= 9) return 0;
+            return LEVEL_XP[this.level + 1] - this.xp;
         }
 
-        this.gainXP(GAME_CONFIG.XP_PER_PURCHASE, 'purchase');
-        return true;
-    }
+        /**
+         * Get current level progress as percentage
+         */
+        getLevelProgress() {
+            if (this.level >= 9) return 100;
 
-    /**
-     * Get XP needed for next level
-     */
-    getXPToNextLevel() {
-        if (this.level >= 9) return 0;
-        return LEVEL_XP[this.level + 1] - this.xp;
-    }
+            const currentLevelXP = LEVEL_XP[this.level];
+            const nextLevelXP = LEVEL_XP[this.level + 1];
+            const xpIntoLevel = this.xp - currentLevelXP;
+            const xpNeeded = nextLevelXP - currentLevelXP;
 
-    /**
-     * Get current level progress as percentage
-     */
-    getLevelProgress() {
-        if (this.level >= 9) return 100;
+            return Math.floor((xpIntoLevel / xpNeeded) * 100);
+        }
 
-        const currentLevelXP = LEVEL_XP[this.level];
-        const nextLevelXP = LEVEL_XP[this.level + 1];
-        const xpIntoLevel = this.xp - currentLevelXP;
-        const xpNeeded = nextLevelXP - currentLevelXP;
+        // ========================================================================
+        // HP AND DAMAGE
+        // ========================================================================
 
-        return Math.floor((xpIntoLevel / xpNeeded) * 100);
-    }
+        /**
+         * Take damage to player HP
+         */
+        takeDamage(amount, source = 'combat') {
+            if (amount <= 0) return false;
 
-    // ========================================================================
-    // HP AND DAMAGE
-    // ========================================================================
+            this.hp = Math.max(0, this.hp - amount);
+            this.stats.damageTaken += amount;
+            console.log(`[State] Took ${amount} damage from ${source}. HP: ${this.hp}/${this.maxHp}`);
 
-    /**
-     * Take damage to player HP
-     */
-    takeDamage(amount, source = 'combat') {
-        if (amount <= 0) return false;
+            if (this.hp <= 0) {
+                this.phase = GAME_PHASES.GAME_OVER;
+                console.log('[State] Game Over!');
+            }
 
-        this.hp = Math.max(0, this.hp - amount);
-        this.stats.damageTaken += amount;
-        console.log(`[State] Took ${amount} damage from ${source}. HP: ${this.hp}/${this.maxHp}`);
+            return true;
+        }
 
-        if (this.hp <= 0) {
-            this.phase = GAME_PHASES.GAME_OVER;
-            console.log('[State] Game Over!');
+        /**
+         * Heal player HP (future mechanic)
+         */
+        heal(amount) {
+            if (amount <= 0) return false;
+            const oldHp = this.hp;
+            this.hp = Math.min(this.maxHp, this.hp + amount);
+            const healed = this.hp - oldHp;
+            console.log(`[State] Healed ${healed} HP. HP: ${this.hp}/${this.maxHp}`);
+            return healed > 0;
         }
 
-        return true;
-    }
+        /**
+         * Check if player is alive
+         */
+        isAlive() {
+            return this.hp > 0;
+        }
 
-    /**
-     * Heal player HP (future mechanic)
-     */
-    heal(amount) {
-        if (amount <= 0) return false;
-        const oldHp = this.hp;
-        this.hp = Math.min(this.maxHp, this.hp + amount);
-        const healed = this.hp - oldHp;
-        console.log(`[State] Healed ${healed} HP. HP: ${this.hp}/${this.maxHp}`);
-        return healed > 0;
-    }
+        // ========================================================================
+        // BOARD MANAGEMENT
+        // ========================================================================
 
-    /**
-     * Check if player is alive
-     */
-    isAlive() {
-        return this.hp > 0;
-    }
+        /**
+         * Get unit at board position
+         */
+        getUnitAtPosition(row, col, isEnemy = false) {
+            const board = isEnemy ? this.enemyBoard : this.playerBoard;
+            if (!isInSide(col, row)) {
+                return null;
+            }
+            const unitId = board[row][col];
+            return unitId ? this.ownedUnits.get(unitId) : null;
+        }
 
-    // ========================================================================
-    // BOARD MANAGEMENT
-    // ========================================================================
+        /**
+         * Place unit on board
+         */
+        placeUnitOnBoard(unit, row, col) {
+            if (!isInSide(col, row)) {
+                console.log('[State] Invalid board position');
+                return false;
+            }
 
-    /**
-     * Get unit at board position
-     */
-    getUnitAtPosition(row, col, isEnemy = false) {
-        const board = isEnemy ? this.enemyBoard : this.playerBoard;
-        if (row < 0 || row >= GAME_CONFIG.PLAYER_ROWS || col < 0 || col >= GAME_CONFIG.BOARD_COLS) {
-            return null;
-        }
-        const unitId = board[row][col];
-        return unitId ? this.ownedUnits.get(unitId) : null;
-    }
+            if (this.isCellBlocked(row, col)) {
+                console.log('[State] Position is blocked by terrain');
+                return false;
+            }
 
-    /**
-     * Place unit on board
-     */
-    placeUnitOnBoard(unit, row, col) {
-        if (row < 0 || row >= GAME_CONFIG.PLAYER_ROWS || col < 0 || col >= GAME_CONFIG.BOARD_COLS) {
-            console.log('[State] Invalid board position');
-            return false;
+            // Check if position is occupied
+            if (this.playerBoard[row][col] !== null) {
+                console.log('[State] Position already occupied');
+                return false;
+            }
+
+            // Check team size limit
+            const currentTeamSize = this.getUnitsOnBoard().length;
+            if (unit.isOnBench && currentTeamSize >= this.level) {
+                console.log(`[State] Team size limit reached (${this.level})`);
+                return false;
+            }
+
+            // Remove from previous location
+            this.removeUnitFromCurrentLocation(unit);
+
+            // Place on board
+            this.playerBoard[row][col] = unit.id;
+            unit.position = { x: col, y: row };
+            unit.isOnBench = false;
+            unit.benchIndex = null;
+
+            console.log(`[State] Placed ${unit.unitId} at (${row}, ${col})`);
+            return true;
         }
 
-        // Check if position is occupied
-        if (this.playerBoard[row][col] !== null) {
-            console.log('[State] Position already occupied');
-            return false;
+        /**
+         * Check if a blocking tile sits on a player board cell
+         * @param {number} row - Side-space row
+         * @param {number} col - Column
+         * @returns {boolean} True if units can't be placed there
+         */
+        isCellBlocked(row, col) {
+            const cell = sideToArena('player', { x: col, y: row });
+            return this.terrain.isBlocked(cell.x, cell.y);
         }
 
-        // Check team size limit
-        const currentTeamSize = this.getUnitsOnBoard().length;
-        if (unit.isOnBench && currentTeamSize >= this.level) {
-            console.log(`[State] Team size limit reached (${this.level})`);
-            return false;
+        /**
+         * Set the special tiles for the round
+         * @param {Array<{type: string, x: number, y: number}>} tiles - Tiles in arena space
+         */
+        setTerrain(tiles) {
+            this.terrain = new TerrainMap(tiles);
         }
 
-        // Remove from previous location
-        this.removeUnitFromCurrentLocation(unit);
+        /**
+         * Move unit on board
+         */
+        moveUnit(unit, toRow, toCol) {
+            if (!unit.position && !unit.isOnBench) {
+                console.log('[State] Unit has no position');
+                return false;
+            }
 
-        // Place on board
-        this.playerBoard[row][col] = unit.id;
-        unit.position = { x: col, y: row };
-        unit.isOnBench = false;
-        unit.benchIndex = null;
+            return this.placeUnitOnBoard(unit, toRow, toCol);
+        }
 
-        console.log(`[State] Placed ${unit.unitId} at (${row}, ${col})`);
-        return true;
-    }
+        /**
+         * Remove unit from its current location
+         */
+        removeUnitFromCurrentLocation(unit) {
+            // Remove from board
+            if (unit.position) {
+                this.playerBoard[unit.position.y][unit.position.x] = null;
+                unit.position = null;
+            }
 
-    /**
-     * Move unit on board
-     */
-    moveUnit(unit, toRow, toCol) {
-        if (!unit.position && !unit.isOnBench) {
-            console.log('[State] Unit has no position');
-            return false;
+            // Remove from bench
+            if (unit.isOnBench && unit.benchIndex !== null) {
+                this.bench[unit.benchIndex] = null;
+                unit.isOnBench = false;
+                unit.benchIndex = null;
+            }
         }
 
-        return this.placeUnitOnBoard(unit, toRow, toCol);
-    }
+        /**
+         * Swap the locations of two units (board cell or bench slot)
+         */
+        swapUnits(unitA, unitB) {
+            const locationA = { position: unitA.position ? { ...unitA.position } : null, benchIndex: unitA.isOnBench ? unitA.benchIndex : null };
+            const locationB = { position: unitB.position ? { ...unitB.position } : null, benchIndex: unitB.isOnBench ? unitB.benchIndex : null };
 
-    /**
-     * Remove unit from its current location
-     */
-    removeUnitFromCurrentLocation(unit) {
-        // Remove from board
-        if (unit.position) {
-            this.playerBoard[unit.position.y][unit.position.x] = null;
-            unit.position = null;
+            this.removeUnitFromCurrentLocation(unitA);
+            this.removeUnitFromCurrentLocation(unitB);
+
+            this.setUnitLocation(unitA, locationB);
+            this.setUnitLocation(unitB, locationA);
+
+            console.log(`[State] Swapped ${unitA.unitId} and ${unitB.unitId}`);
+            return true;
         }
 
-        // Remove from bench
-        if (unit.isOnBench && unit.benchIndex !== null) {
-            this.bench[unit.benchIndex] = null;
-            unit.isOnBench = false;
-            unit.benchIndex = null;
+        /**
+         * Put a unit at a location captured before it was removed
+         */
+        setUnitLocation(unit, location) {
+            if (location.position) {
+                this.playerBoard[location.position.y][location.position.x] = unit.id;
+                unit.position = { ...location.position };
+                unit.isOnBench = false;
+                unit.benchIndex = null;
+            } else if (location.benchIndex !== null) {
+                this.bench[location.benchIndex] = unit.id;
+                unit.isOnBench = true;
+                unit.benchIndex = location.benchIndex;
+                unit.position = null;
+            }
         }
-    }
 
-    /**
-     * Get all units currently on the player's board
-     */
-    getUnitsOnBoard() {
-        const units = [];
-        for (let row = 0; row < GAME_CONFIG.PLAYER_ROWS; row++) {
-            for (let col = 0; col < GAME_CONFIG.BOARD_COLS; col++) {
-                const unitId = this.playerBoard[row][col];
-                if (unitId) {
-                    const unit = this.ownedUnits.get(unitId);
-                    if (unit) units.push(unit);
+        /**
+         * Get all units currently on the player's board
+         */
+        getUnitsOnBoard() {
+            const units = [];
+            for (let row = 0; row < GAME_CONFIG.PLAYER_ROWS; row++) {
+                for (let col = 0; col < GAME_CONFIG.BOARD_COLS; col++) {
+                    const unitId = this.playerBoard[row][col];
+                    if (unitId) {
+                        const unit = this.ownedUnits.get(unitId);
+                        if (unit) units.push(unit);
+                    }
                 }
             }
+            return units;
         }
-        return units;
-    }
-
-    /**
-     * Get team size (units on board)
-     */
-    getTeamSize() {
-        return this.getUnitsOnBoard().length;
-    }
-
-    // ========================================================================
-    // BENCH MANAGEMENT
-    // ========================================================================
 
-    /**
-     * Add unit to bench
-     */
-    addUnitToBench(unit) {
-        const emptySlot = this.bench.findIndex(slot => slot === null);
-        if (emptySlot === -1) {
-            console.log('[State] Bench is full');
-            return false;
+        /**
+         * Get team size (units on board)
+         */
+        getTeamSize() {
+            return this.getUnitsOnBoard().length;
         }
 
-        // Remove from previous location
-        this.removeUnitFromCurrentLocation(unit);
+        // ========================================================================
+        // BENCH MANAGEMENT
+        // ========================================================================
+
+        /**
+         * Add unit to bench
+         */
+        addUnitToBench(unit) {
+            const emptySlot = this.bench.findIndex(slot => slot === null);
+            if (emptySlot === -1) {
+                console.log('[State] Bench is full');
+                return false;
+            }
 
-        // Add to bench
-        this.bench[emptySlot] = unit.id;
-        unit.isOnBench = true;
-        unit.benchIndex = emptySlot;
-        unit.position = null;
+            // Remove from previous location
+            this.removeUnitFromCurrentLocation(unit);
 
-        console.log(`[State] Added ${unit.unitId} to bench slot ${emptySlot}`);
-        return true;
-    }
+            // Add to bench
+            this.bench[emptySlot] = unit.id;
+            unit.isOnBench = true;
+            unit.benchIndex = emptySlot;
+            unit.position = null;
 
-    /**
-     * Get unit from bench slot
-     */
-    getUnitFromBench(slotIndex) {
-        if (slotIndex < 0 || slotIndex >= GAME_CONFIG.BENCH_SIZE) {
-            return null;
+            console.log(`[State] Added ${unit.unitId} to bench slot ${emptySlot}`);
+            return true;
         }
-        const unitId = this.bench[slotIndex];
-        return unitId ? this.ownedUnits.get(unitId) : null;
-    }
 
-    /**
-     * Get all units on bench
-     */
-    getUnitsOnBench() {
-        return this.bench
-            .filter(id => id !== null)
-            .map(id => this.ownedUnits.get(id))
-            .filter(unit => unit !== undefined);
-    }
+        /**
+         * Put unit in a specific (empty) bench slot
+         */
+        placeUnitOnBench(unit, slotIndex) {
+            if (slotIndex < 0 || slotIndex >= GAME_CONFIG.BENCH_SIZE) {
+                console.log('[State] Invalid bench slot');
+                return false;
+            }
 
-    /**
-     * Check if bench has space
-     */
-    hasBenchSpace() {
-        return this.bench.some(slot => slot === null);
-    }
+            if (this.bench[slotIndex] !== null) {
+                console.log('[State] Bench slot already occupied');
+                return false;
+            }
 
-    /**
-     * Get number of empty bench slots
-     */
-    getEmptyBenchSlots() {
-        return this.bench.filter(slot => slot === null).length;
-    }
+            // Remove from previous location
+            this.removeUnitFromCurrentLocation(unit);
 
-    // ========================================================================
-    // UNIT MANAGEMENT
-    // ========================================================================
+            this.bench[slotIndex] = unit.id;
+            unit.isOnBench = true;
+            unit.benchIndex = slotIndex;
+            unit.position = null;
 
-    /**
-     * Create and add a new unit instance
-     */
-    createUnit(unitId, addToBench = true) {
-        if (!UNITS[unitId]) {
-            console.log(`[State] Unknown unit: ${unitId}`);
-            return null;
+            console.log(`[State] Moved ${unit.unitId} to bench slot ${slotIndex}`);
+            return true;
         }
 
-        const unit = new UnitInstance(unitId);
-        this.ownedUnits.set(unit.id, unit);
+        /**
+         * Get unit from bench slot
+         */
+        getUnitFromBench(slotIndex) {
+            if (slotIndex < 0 || slotIndex >= GAME_CONFIG.BENCH_SIZE) {
+                return null;
+            }
+            const unitId = this.bench[slotIndex];
+            return unitId ? this.ownedUnits.get(unitId) : null;
+        }
+
+        /**
+         * Get all units on bench
+         */
+        getUnitsOnBench() {
+            return this.bench
+                .filter(id => id !== null)
+                .map(id => this.ownedUnits.get(id))
+                .filter(unit => unit !== undefined);
+        }
+
+        /**
+         * Check if bench has space
+         */
+        hasBenchSpace() {
+            return this.bench.some(slot => slot === null);
+        }
 
-        // Take from pool
-        if (this.unitPool[unitId] > 0) {
-            this.unitPool[unitId]--;
+        /**
+         * Get number of empty bench slots
+         */
+        getEmptyBenchSlots() {
+            return this.bench.filter(slot => slot === null).length;
         }
 
-        if (addToBench) {
-            if (!this.addUnitToBench(unit)) {
-                // Failed to add to bench, remove unit
-                this.ownedUnits.delete(unit.id);
-                this.unitPool[unitId]++;
+        // ========================================================================
+        // UNIT MANAGEMENT
+        // ========================================================================
+
+        /**
+         * Create and add a new unit instance
+         */
+        createUnit(unitId, addToBench = true) {
+            if (!UNITS[unitId]) {
+                console.log(`[State] Unknown unit: ${unitId}`);
                 return null;
             }
-        }
 
-        console.log(`[State] Created unit ${unitId}`);
-        return unit;
-    }
+            const unit = new UnitInstance(unitId, 1, `inst_${this.nextUnitInstanceId++}`);
+            this.ownedUnits.set(unit.id, unit);
 
-    /**
-     * Sell a unit
-     */
-    sellUnit(unit) {
-        if (!unit || !this.ownedUnits.has(unit.id)) {
-            return false;
+            // Take from pool
+            if (this.unitPool[unitId] > 0) {
+                this.unitPool[unitId]--;
+            }
+
+            if (addToBench) {
+                if (!this.addUnitToBench(unit)) {
+                    // Failed to add to bench, remove unit
+                    this.ownedUnits.delete(unit.id);
+                    this.unitPool[unitId]++;
+                    return null;
+                }
+            }
+
+            console.log(`[State] Created unit ${unitId}`);
+            return unit;
         }
 
-        const baseData = unit.getBaseData();
+        /**
+         * Sell a unit
+         */
+        sellUnit(unit) {
+            if (!unit || !this.ownedUnits.has(unit.id)) {
+                return false;
+            }
 
-        // Calculate sell value based on star level
-        // 1-star: cost, 2-star: cost * 3, 3-star: cost * 9
-        const starMultiplier = Math.pow(GAME_CONFIG.COPIES_TO_UPGRADE, unit.starLevel - 1);
-        const sellValue = Math.floor(baseData.cost * starMultiplier * GAME_CONFIG.SELL_REFUND_RATE);
+            const baseData = unit.getBaseData();
 
-        // Return units to pool
-        const unitsReturned = Math.pow(GAME_CONFIG.COPIES_TO_UPGRADE, unit.starLevel - 1);
-        this.unitPool[unit.unitId] = (this.unitPool[unit.unitId] || 0) + unitsReturned;
+            // Calculate sell value based on star level
+            // 1-star: cost, 2-star: cost * 3, 3-star: cost * 9
+            const starMultiplier = Math.pow(GAME_CONFIG.COPIES_TO_UPGRADE, unit.starLevel - 1);
+            const sellValue = Math.floor(baseData.cost * starMultiplier * GAME_CONFIG.SELL_REFUND_RATE);
 
-        // Remove from location
-        this.removeUnitFromCurrentLocation(unit);
+            // Return units to pool
+            const unitsReturned = Math.pow(GAME_CONFIG.COPIES_TO_UPGRADE, unit.starLevel - 1);
+            this.unitPool[unit.unitId] = (this.unitPool[unit.unitId] || 0) + unitsReturned;
 
-        // Remove from owned units
-        this.ownedUnits.delete(unit.id);
+            // Equipped items go back to the item bench
+            this.itemBench.push(...unit.items);
+            unit.items = [];
 
-        // Give gold
-        this.addGold(sellValue, `sell ${unit.unitId}`);
+            // Remove from location
+            this.removeUnitFromCurrentLocation(unit);
 
-        console.log(`[State] Sold ${unit.unitId} (${unit.starLevel} star) for ${sellValue} gold`);
-        return true;
-    }
+            // Remove from owned units
+            this.ownedUnits.delete(unit.id);
 
-    /**
-     * Check and perform unit upgrades (3 of same unit = upgrade)
-     */
-    checkForUpgrades(unitId) {
-        const matchingUnits = Array.from(this.ownedUnits.values())
-            .filter(u => u.unitId === unitId);
-
-        // Group by star level
-        const byStarLevel = {};
-        matchingUnits.forEach(unit => {
-            const star = unit.starLevel;
-            if (!byStarLevel[star]) byStarLevel[star] = [];
-            byStarLevel[star].push(unit);
-        });
-
-        let upgraded = false;
-
-        // Check for upgrades (starting from 1-star to 2-star)
-        for (let starLevel = 1; starLevel <= 2; starLevel++) {
-            const unitsAtLevel = byStarLevel[starLevel] || [];
-
-            while (unitsAtLevel.length >= GAME_CONFIG.COPIES_TO_UPGRADE) {
-                // Get 3 units to combine
-                const toUpgrade = unitsAtLevel.splice(0, GAME_CONFIG.COPIES_TO_UPGRADE);
-
-                // Keep the first one and upgrade it
-                const upgradedUnit = toUpgrade[0];
-                upgradedUnit.starLevel++;
-
-                // Remove the other 2
-                for (let i = 1; i < toUpgrade.length; i++) {
-                    this.removeUnitFromCurrentLocation(toUpgrade[i]);
-                    this.ownedUnits.delete(toUpgrade[i].id);
-                }
+            // Give gold
+            this.addGold(sellValue, `sell ${unit.unitId}`);
 
-                // Add upgraded unit to next tier tracking
-                if (!byStarLevel[starLevel + 1]) byStarLevel[starLevel + 1] = [];
-                byStarLevel[starLevel + 1].push(upgradedUnit);
+            console.log(`[State] Sold ${unit.unitId} (${unit.starLevel} star) for ${sellValue} gold`);
+            return true;
+        }
+
+        /**
+         * Check and perform unit upgrades (3 of same unit = upgrade)
+         */
+        checkForUpgrades(unitId) {
+            const matchingUnits = Array.from(this.ownedUnits.values())
+                .filter(u => u.unitId === unitId);
+
+            // Group by star level
+            const byStarLevel = {};
+            matchingUnits.forEach(unit => {
+                const star = unit.starLevel;
+                if (!byStarLevel[star]) byStarLevel[star] = [];
+                byStarLevel[star].push(unit);
+            });
 
-                this.stats.unitsUpgraded++;
-                console.log(`[State] Upgraded ${unitId} to ${upgradedUnit.starLevel} star!`);
-                upgraded = true;
+            let upgraded = false;
+
+            // Check for upgrades (starting from 1-star to 2-star)
+            for (let starLevel = 1; starLevel <= 2; starLevel++) {
+                const unitsAtLevel = byStarLevel[starLevel] || [];
+
+                while (unitsAtLevel.length >= GAME_CONFIG.COPIES_TO_UPGRADE) {
+                    // Get 3 units to combine
+                    const toUpgrade = unitsAtLevel.splice(0, GAME_CONFIG.COPIES_TO_UPGRADE);
+
+                    // Keep the first one and upgrade it
+                    const upgradedUnit = toUpgrade[0];
+                    upgradedUnit.starLevel++;
+
+                    // Remove the other 2; their items move to the upgraded unit while it has room
+                    for (let i = 1; i < toUpgrade.length; i++) {
+                        toUpgrade[i].items.forEach(itemId => {
+                            if (upgradedUnit.items.length < GAME_CONFIG.MAX_ITEMS_PER_UNIT) {
+                                upgradedUnit.items.push(itemId);
+                            } else {
+                                this.itemBench.push(itemId);
+                            }
+                        });
+
+                        this.removeUnitFromCurrentLocation(toUpgrade[i]);
+                        this.ownedUnits.delete(toUpgrade[i].id);
+                    }
+
+                    // Add upgraded unit to next tier tracking
+                    if (!byStarLevel[starLevel + 1]) byStarLevel[starLevel + 1] = [];
+                    byStarLevel[starLevel + 1].push(upgradedUnit);
+
+                    this.stats.unitsUpgraded++;
+                    console.log(`[State] Upgraded ${unitId} to ${upgradedUnit.starLevel} star!`);
+                    upgraded = true;
+                }
             }
+
+            return upgraded;
         }
 
-        return upgraded;
-    }
+        /**
+         * Count units of a specific type owned
+         */
+        countUnitsOfType(unitId, starLevel = null) {
+            return Array.from(this.ownedUnits.values())
+                .filter(u => u.unitId === unitId && (starLevel === null || u.starLevel === starLevel))
+                .length;
+        }
 
-    /**
-     * Count units of a specific type owned
-     */
-    countUnitsOfType(unitId, starLevel = null) {
-        return Array.from(this.ownedUnits.values())
-            .filter(u => u.unitId === unitId && (starLevel === null || u.starLevel === starLevel))
-            .length;
-    }
+        // ========================================================================
+        // ITEM MANAGEMENT
+        // ========================================================================
+
+        /**
+         * Add an item to the item bench
+         * @param {string} itemId - Item id
+         * @returns {boolean} True if added
+         */
+        addItem(itemId) {
+            if (!ITEMS[itemId]) {
+                console.log(`[State] Unknown item: ${itemId}`);
+                return false;
+            }
 
-    // ========================================================================
-    // UNIT POOL MANAGEMENT
-    // ========================================================================
+            this.itemBench.push(itemId);
+            console.log(`[State] Gained item ${itemId}`);
+            return true;
+        }
 
-    /**
-     * Get remaining copies of a unit in the pool
-     */
-    getPoolCount(unitId) {
-        return this.unitPool[unitId] || 0;
-    }
+        /**
+         * Equip an item from the item bench onto a unit
+         * A component dropped on a unit holding a matching component combines
+         * into the completed item instead of taking a new slot
+         * @param {UnitInstance} unit - Unit to equip
+         * @param {number} itemIndex - Index in the item bench
+         * @returns {object} Result object with success status, itemId and combinedFrom, or error
+         */
+        equipItem(unit, itemIndex) {
+            const itemId = this.itemBench[itemIndex];
+            if (!unit || !itemId) {
+                return { success: false, error: 'Invalid unit or item' };
+            }
 
-    /**
-     * Check if a unit is available in the pool
-     */
-    isUnitAvailable(unitId) {
-        return this.getPoolCount(unitId) > 0;
-    }
+            if (!ITEMS[itemId].components) {
+                const partnerIndex = unit.items.findIndex(equipped => getItemRecipe(equipped, itemId));
+                if (partnerIndex !== -1) {
+                    const completed = getItemRecipe(unit.items[partnerIndex], itemId);
+                    unit.items[partnerIndex] = completed.id;
+                    this.itemBench.splice(itemIndex, 1);
+                    console.log(`[State] Combined ${itemId} into ${completed.id} on ${unit.unitId}`);
+                    return { success: true, itemId: completed.id, combinedFrom: itemId };
+                }
+            }
 
-    /**
-     * Return a unit to the pool
-     */
-    returnToPool(unitId, count = 1) {
-        const maxPool = UNIT_POOL_SIZE[UNITS[unitId]?.cost] || 0;
-        this.unitPool[unitId] = Math.min(
-            (this.unitPool[unitId] || 0) + count,
-            maxPool
-        );
-    }
+            if (unit.items.length >= GAME_CONFIG.MAX_ITEMS_PER_UNIT) {
+                return { success: false, error: `Units can hold ${GAME_CONFIG.MAX_ITEMS_PER_UNIT} items` };
+            }
 
-    /**
-     * Take a unit from the pool
-     */
-    takeFromPool(unitId) {
-        if (this.unitPool[unitId] > 0) {
-            this.unitPool[unitId]--;
-            return true;
+            unit.items.push(itemId);
+            this.itemBench.splice(itemIndex, 1);
+            console.log(`[State] Equipped ${itemId} on ${unit.unitId}`);
+            return { success: true, itemId, combinedFrom: null };
         }
-        return false;
-    }
 
-    // ========================================================================
-    // PHASE AND ROUND MANAGEMENT
-    // ========================================================================
+        /**
+         * Combine two components on the item bench into a completed item
+         * @param {number} itemIndex - Index of the dragged component
+         * @param {number} targetIndex - Index of the component it was dropped on
+         * @returns {object} Result object with success status and itemId, or error
+         */
+        combineItems(itemIndex, targetIndex) {
+            const itemId = this.itemBench[itemIndex];
+            const targetId = this.itemBench[targetIndex];
+            if (!itemId || !targetId || itemIndex === targetIndex) {
+                return { success: false, error: 'Invalid items' };
+            }
 
-    /**
-     * Start a new round
-     */
-    startRound() {
-        this.stats.roundsPlayed++;
+            const completed = getItemRecipe(itemId, targetId);
+            if (!completed) {
+                return { success: false, error: `${ITEMS[itemId].name} and ${ITEMS[targetId].name} don't combine` };
+            }
 
-        // Give XP at start of round
-        this.gainXP(GAME_CONFIG.XP_PER_ROUND, 'round start');
+            this.itemBench[targetIndex] = completed.id;
+            this.itemBench.splice(itemIndex, 1);
+            console.log(`[State] Combined ${itemId} + ${targetId} into ${completed.id}`);
+            return { success: true, itemId: completed.id };
+        }
 
-        // Collect income
-        const income = this.collectIncome();
+        // ========================================================================
+        // UNIT POOL MANAGEMENT
+        // ========================================================================
 
-        this.phase = GAME_PHASES.PREP;
-        console.log(`[State] Round ${this.round} started. Income: ${income.total}`);
+        /**
+         * Get remaining copies of a unit in the pool
+         */
+        getPoolCount(unitId) {
+            return this.unitPool[unitId] || 0;
+        }
 
-        return income;
-    }
+        /**
+         * Check if a unit is available in the pool
+         */
+        isUnitAvailable(unitId) {
+            return this.getPoolCount(unitId) > 0;
+        }
 
-    /**
-     * Start combat phase
-     */
-    startCombat() {
-        this.phase = GAME_PHASES.COMBAT;
-        console.log('[State] Combat phase started');
-    }
+        /**
+         * Return a unit to the pool
+         */
+        returnToPool(unitId, count = 1) {
+            const maxPool = UNIT_POOL_SIZE[UNITS[unitId]?.cost] || 0;
+            this.unitPool[unitId] = Math.min(
+                (this.unitPool[unitId] || 0) + count,
+                maxPool
+            );
+        }
 
-    /**
-     * End combat with result
-     */
-    endCombat(won, damage = 0) {
-        if (won) {
-            this.wins++;
-            this.winStreak++;
-            this.loseStreak = 0;
-            console.log(`[State] Round ${this.round} won! Win streak: ${this.winStreak}`);
-        } else {
-            this.losses++;
-            this.loseStreak++;
-            this.winStreak = 0;
-            this.takeDamage(damage, 'combat loss');
-            console.log(`[State] Round ${this.round} lost. Lose streak: ${this.loseStreak}`);
+        /**
+         * Take a unit from the pool
+         */
+        takeFromPool(unitId) {
+            if (this.unitPool[unitId] > 0) {
+                this.unitPool[unitId]--;
+                return true;
+            }
+            return false;
         }
 
-        this.round++;
-        this.phase = GAME_PHASES.PREP;
-    }
+        // ========================================================================
+        // PHASE AND ROUND MANAGEMENT
+        // ========================================================================
 
-    /**
-     * Get current phase
-     */
-    getCurrentPhase() {
-        return this.phase;
-    }
+        /**
+         * Start a new round
+         */
+        startRound() {
+            this.stats.roundsPlayed++;
 
-    /**
-     * Check if in prep phase
-     */
-    isPrep() {
-        return this.phase === GAME_PHASES.PREP;
-    }
+            // Give XP at start of round
+            this.gainXP(GAME_CONFIG.XP_PER_ROUND, 'round start');
 
-    /**
-     * Check if in combat phase
-     */
-    isCombat() {
-        return this.phase === GAME_PHASES.COMBAT;
-    }
+            // Collect income
+            const income = this.collectIncome();
 
-    /**
-     * Check if game is over
-     */
-    isGameOver() {
-        return this.phase === GAME_PHASES.GAME_OVER;
-    }
+            this.phase = GAME_PHASES.PREP;
+            console.log(`[State] Round ${this.round} started. Income: ${income.total}`);
 
-    // ========================================================================
-    // TRAIT CALCULATIONS
-    // ========================================================================
+            return income;
+        }
 
-    /**
-     * Get active traits from units on board
-     */
-    getActiveTraits() {
-        const traitCounts = {};
-        const unitsOnBoard = this.getUnitsOnBoard();
+        /**
+         * Start combat phase
+         */
+        startCombat() {
+            this.phase = GAME_PHASES.COMBAT;
+            console.log('[State] Combat phase started');
+        }
 
-        // Count unique units per trait
-        const traitUnits = {};
+        /**
+         * End combat with result
+         * A draw costs no HP and breaks both streaks
+         * @param {string} winner - 'player', 'enemy' or 'draw'
+         * @param {number} damage - HP the player loses (losses only)
+         */
+        endCombat(winner, damage = 0) {
+            if (winner === 'player') {
+                this.wins++;
+                this.winStreak++;
+                this.loseStreak = 0;
+                console.log(`[State] Round ${this.round} won! Win streak: ${this.winStreak}`);
+            } else if (winner === 'draw') {
+                this.draws++;
+                this.winStreak = 0;
+                this.loseStreak = 0;
+                console.log(`[State] Round ${this.round} drawn`);
+            } else {
+                this.losses++;
+                this.loseStreak++;
+                this.winStreak = 0;
+                this.takeDamage(damage, 'combat loss');
+                console.log(`[State] Round ${this.round} lost. Lose streak: ${this.loseStreak}`);
+            }
 
-        unitsOnBoard.forEach(unit => {
-            const baseData = unit.getBaseData();
-            if (!baseData || !baseData.traits) return;
+            this.round++;
 
-            baseData.traits.forEach(trait => {
-                if (!traitUnits[trait]) traitUnits[trait] = new Set();
-                traitUnits[trait].add(unit.unitId);
-            });
-        });
-
-        // Convert to counts
-        for (const trait in traitUnits) {
-            traitCounts[trait] = traitUnits[trait].size;
-        }
-
-        // Get active bonuses
-        const activeTraits = {};
-        for (const trait in traitCounts) {
-            const bonus = getTraitBonus(trait, traitCounts[trait]);
-            if (bonus) {
-                activeTraits[trait] = {
-                    count: traitCounts[trait],
-                    threshold: bonus.threshold,
-                    bonus: bonus.bonus,
-                    traitData: TRAITS[trait]
-                };
+            // takeDamage() may already have ended the game
+            if (!this.isGameOver()) {
+                this.phase = GAME_PHASES.PREP;
             }
         }
 
-        return activeTraits;
-    }
+        /**
+         * Get current phase
+         */
+        getCurrentPhase() {
+            return this.phase;
+        }
 
-    // ========================================================================
-    // SHOP MANAGEMENT
-    // ========================================================================
+        /**
+         * Check if in prep phase
+         */
+        isPrep() {
+            return this.phase === GAME_PHASES.PREP;
+        }
 
-    /**
-     * Set current shop offerings
-     */
-    setShop(shopUnits) {
-        this.shop = shopUnits;
-    }
+        /**
+         * Check if in combat phase
+         */
+        isCombat() {
+            return this.phase === GAME_PHASES.COMBAT;
+        }
 
-    /**
-     * Lock/unlock shop
-     */
-    toggleShopLock() {
-        this.shopLocked = !this.shopLocked;
-        console.log(`[State] Shop ${this.shopLocked ? 'locked' : 'unlocked'}`);
-        return this.shopLocked;
-    }
+        /**
+         * Check if in carousel phase
+         */
+        isCarousel() {
+            return this.phase === GAME_PHASES.CAROUSEL;
+        }
 
-    /**
-     * Clear shop slot after purchase
-     */
-    clearShopSlot(index) {
-        if (index >= 0 && index < this.shop.length) {
-            this.shop[index] = null;
+        /**
+         * Check if game is over
+         */
+        isGameOver() {
+            return this.phase === GAME_PHASES.GAME_OVER;
         }
-    }
 
-    // ========================================================================
-    // SAVE/LOAD
-    // ========================================================================
+        // ========================================================================
+        // TRAIT CALCULATIONS
+        // ========================================================================
 
-    /**
-     * Serialize game state for saving
-     */
-    toJSON() {
-        return {
-            version: 1,
-            timestamp: Date.now(),
+        /**
+         * Get active traits from units on board
+         */
+        getActiveTraits() {
+            const traitCounts = {};
+            const unitsOnBoard = this.getUnitsOnBoard();
 
-            // Player stats
-            gold: this.gold,
-            level: this.level,
-            xp: this.xp,
-            hp: this.hp,
-            maxHp: this.maxHp,
-
-            // Progression
-            round: this.round,
-            phase: this.phase,
-            winStreak: this.winStreak,
-            loseStreak: this.loseStreak,
-            wins: this.wins,
-            losses: this.losses,
-
-            // Boards (store unit IDs)
-            playerBoard: this.playerBoard.map(row => [...row]),
-            enemyBoard: this.enemyBoard.map(row => [...row]),
-
-            // Bench
-            bench: [...this.bench],
-
-            // Shop
-            shop: [...this.shop],
-            shopLocked: this.shopLocked,
-
-            // Unit pool
-            unitPool: { ...this.unitPool },
-
-            // Owned units
-            ownedUnits: Array.from(this.ownedUnits.entries()).map(([id, unit]) => ({
-                id,
-                data: unit.toJSON()
-            })),
-
-            // Stats
-            stats: { ...this.stats }
-        };
-    }
+            // Count unique units per trait
+            const traitUnits = {};
 
-    /**
-     * Load game state from saved data
-     */
-    fromJSON(data) {
-        if (!data || data.version !== 1) {
-            console.log('[State] Invalid save data');
-            return false;
-        }
+            unitsOnBoard.forEach(unit => {
+                const baseData = unit.getBaseData();
+                if (!baseData || !baseData.traits) return;
 
-        try {
-            // Player stats
-            this.gold = data.gold;
-            this.level = data.level;
-            this.xp = data.xp;
-            this.hp = data.hp;
-            this.maxHp = data.maxHp;
-
-            // Progression
-            this.round = data.round;
-            this.phase = data.phase;
-            this.winStreak = data.winStreak;
-            this.loseStreak = data.loseStreak;
-            this.wins = data.wins;
-            this.losses = data.losses;
-
-            // Boards
-            this.playerBoard = data.playerBoard.map(row => [...row]);
-            this.enemyBoard = data.enemyBoard.map(row => [...row]);
-
-            // Bench
-            this.bench = [...data.bench];
-
-            // Shop
-            this.shop = [...data.shop];
-            this.shopLocked = data.shopLocked;
-
-            // Unit pool
-            this.unitPool = { ...data.unitPool };
-
-            // Owned units
-            this.ownedUnits = new Map();
-            data.ownedUnits.forEach(({ id, data: unitData }) => {
-                const unit = UnitInstance.fromJSON(unitData);
-                this.ownedUnits.set(id, unit);
+                baseData.traits.forEach(trait => {
+                    if (!traitUnits[trait]) traitUnits[trait] = new Set();
+                    traitUnits[trait].add(unit.unitId);
+                });
             });
 
-            // Stats
-            this.stats = { ...data.stats };
+            // Convert to counts
+            for (const trait in traitUnits) {
+                traitCounts[trait] = traitUnits[trait].size;
+            }
 
-            console.log('[State] Game state loaded successfully');
-            return true;
-        } catch (error) {
-            console.error('[State] Failed to load save data:', error);
-            return false;
+            // Get active bonuses
+            const activeTraits = {};
+            for (const trait in traitCounts) {
+                const bonus = getTraitBonus(trait, traitCounts[trait]);
+                if (bonus) {
+                    activeTraits[trait] = {
+                        count: traitCounts[trait],
+                        threshold: bonus.threshold,
+                        bonus: bonus.bonus,
+                        traitData: TRAITS[trait]
+                    };
+                }
+            }
+
+            return activeTraits;
         }
-    }
 
-    /**
-     * Save to localStorage
-     */
-    saveToLocalStorage(key = 'autoChessSave') {
-        try {
-            const saveData = JSON.stringify(this.toJSON());
-            localStorage.setItem(key, saveData);
-            console.log('[State] Game saved to localStorage');
-            return true;
-        } catch (error) {
-            console.error('[State] Failed to save:', error);
-            return false;
+        // ========================================================================
+        // SHOP MANAGEMENT
+        // ========================================================================
+
+        /**
+         * Set current shop offerings
+         */
+        setShop(shopUnits) {
+            this.shop = shopUnits;
         }
-    }
 
-    /**
-     * Load from localStorage
-     */
-    loadFromLocalStorage(key = 'autoChessSave') {
-        try {
-            const saveData = localStorage.getItem(key);
-            if (!saveData) {
-                console.log('[State] No save data found');
-                return false;
-            }
-            return this.fromJSON(JSON.parse(saveData));
-        } catch (error) {
-            console.error('[State] Failed to load:', error);
-            return false;
+        /**
+         * Lock/unlock shop
+         */
+        toggleShopLock() {
+            this.shopLocked = !this.shopLocked;
+            console.log(`[State] Shop ${this.shopLocked ? 'locked' : 'unlocked'}`);
+            return this.shopLocked;
         }
-    }
 
-    /**
-     * Delete save from localStorage
-     */
-    deleteSave(key = 'autoChessSave') {
-        try {
-            localStorage.removeItem(key);
-            console.log('[State] Save deleted');
-            return true;
-        } catch (error) {
-            console.error('[State] Failed to delete save:', error);
-            return false;
+        /**
+         * Clear shop slot after purchase
+         */
+        clearShopSlot(index) {
+            if (index >= 0 && index < this.shop.length) {
+                this.shop[index] = null;
+            }
         }
-    }
 
-    /**
-     * Check if save exists
-     */
-    hasSave(key = 'autoChessSave') {
-        return localStorage.getItem(key) !== null;
-    }
+        // ========================================================================
+        // SAVE/LOAD
+        // ========================================================================
 
-    // ========================================================================
-    // DEBUG/UTILITY
-    // ========================================================================
+        /**
+         * Serialize game state for saving
+         */
+        toJSON() {
+            return {
+                version: STATE_VERSION,
+                timestamp: Date.now(),
 
-    /**
-     * Get state summary for debugging
-     */
-    getSummary() {
-        return {
-            player: {
+                // Player stats
                 gold: this.gold,
                 level: this.level,
                 xp: this.xp,
-                xpToNext: this.getXPToNextLevel(),
-                hp: `${this.hp}/${this.maxHp}`
-            },
-            game: {
+                hp: this.hp,
+                maxHp: this.maxHp,
+
+                // Progression
                 round: this.round,
                 phase: this.phase,
                 winStreak: this.winStreak,
-                loseStreak: this.loseStreak
-            },
-            units: {
-                onBoard: this.getTeamSize(),
-                maxOnBoard: this.level,
-                onBench: this.getUnitsOnBench().length,
-                total: this.ownedUnits.size
-            },
-            activeTraits: Object.keys(this.getActiveTraits())
-        };
-    }
+                loseStreak: this.loseStreak,
+                wins: this.wins,
+                losses: this.losses,
+                draws: this.draws,
+
+                // Boards (store unit IDs)
+                playerBoard: this.playerBoard.map(row => [...row]),
+                enemyBoard: this.enemyBoard.map(row => [...row]),
+                terrain: this.terrain.toJSON(),
+
+                // Bench
+                bench: [...this.bench],
+
+                // Shop
+                shop: [...this.shop],
+                shopLocked: this.shopLocked,
+
+                // Unit pool
+                unitPool: { ...this.unitPool },
+
+                // Owned units
+                ownedUnits: Array.from(this.ownedUnits.entries()).map(([id, unit]) => ({
+                    id,
+                    data: unit.toJSON()
+                })),
+                nextUnitInstanceId: this.nextUnitInstanceId,
+
+                // Items
+                itemBench: [...this.itemBench],
+
+                // Stats
+                stats: { ...this.stats }
+            };
+        }
 
-    /**
-     * Print state to console
-     */
-    debug() {
-        console.log('=== Game State Debug ===');
-        console.log(JSON.stringify(this.getSummary(), null, 2));
-    }
-}
+        /**
+         * Load game state from saved data
+         * Older save versions are migrated first; if that fails the reason is
+         * logged and kept in lastLoadError and the state is left untouched
+         */
+        fromJSON(saved) {
+            const migration = migrateStateData(saved);
+            if (!migration.success) {
+                console.error(`[State] Cannot load save: ${migration.error}`);
+                this.lastLoadError = migration.error;
+                return false;
+            }
 
-// ============================================================================
-// GLOBAL INSTANCE
-// ============================================================================
+            const data = migration.data;
+            this.lastLoadError = null;
+
+            try {
+                // Player stats
+                this.gold = data.gold;
+                this.level = data.level;
+                this.xp = data.xp;
+                this.hp = data.hp;
+                this.maxHp = data.maxHp;
+
+                // Progression
+                this.round = data.round;
+                this.phase = data.phase;
+                this.winStreak = data.winStreak;
+                this.loseStreak = data.loseStreak;
+                this.wins = data.wins;
+                this.losses = data.losses;
+                this.draws = data.draws;
+
+                // Boards
+                this.playerBoard = data.playerBoard.map(row => [...row]);
+                this.enemyBoard = data.enemyBoard.map(row => [...row]);
+                this.terrain = new TerrainMap(data.terrain);
+
+                // Bench
+                this.bench = [...data.bench];
+
+                // Shop
+                this.shop = [...data.shop];
+                this.shopLocked = data.shopLocked;
+
+                // Unit pool (units added to the game since the save start with a full pool)
+                this.unitPool = { ...this.initializeUnitPool(), ...data.unitPool };
+
+                // Owned units
+                this.ownedUnits = new Map();
+                data.ownedUnits.forEach(({ id, data: unitData }) => {
+                    const unit = UnitInstance.fromJSON(unitData);
+                    this.ownedUnits.set(id, unit);
+                });
+                this.nextUnitInstanceId = data.nextUnitInstanceId;
+
+                // Items
+                this.itemBench = [...data.itemBench];
+
+
+                // Stats
+                this.stats = { ...data.stats };
+
+                console.log('[State] Game state loaded successfully');
+                return true;
+            } catch (error) {
+                console.error('[State] Failed to load save data:', error);
+                return false;
+            }
+        }
+
+        /**
+         * Save to storage (localStorage in the browser)
+         */
+        saveToLocalStorage(key = 'autoChessSave') {
+            try {
+                const saveData = JSON.stringify(this.toJSON());
+                this.storage.setItem(key, saveData);
+                console.log('[State] Game saved to storage');
+                return true;
+            } catch (error) {
+                console.error('[State] Failed to save:', error);
+                return false;
+            }
+        }
+
+        /**
+         * Load from storage
+         */
+        loadFromLocalStorage(key = 'autoChessSave') {
+            try {
+                const saveData = this.storage.getItem(key);
+                if (!saveData) {
+                    console.log('[State] No save data found');
+                    return false;
+                }
+                return this.fromJSON(JSON.parse(saveData));
+            } catch (error) {
+                console.error('[State] Failed to load:', error);
+                return false;
+            }
+        }
+
+        /**
+         * Delete save from storage
+         */
+        deleteSave(key = 'autoChessSave') {
+            try {
+                this.storage.removeItem(key);
+                console.log('[State] Save deleted');
+                return true;
+            } catch (error) {
+                console.error('[State] Failed to delete save:', error);
+                return false;
+            }
+        }
+
+        /**
+         * Check if save exists
+         */
+        hasSave(key = 'autoChessSave') {
+            return this.storage.getItem(key) !== null;
+        }
+
+        // ========================================================================
+        // DEBUG/UTILITY
+        // ========================================================================
+
+        /**
+         * Get state summary for debugging
+         */
+        getSummary() {
+            return {
+                player: {
+                    gold: this.gold,
+                    level: this.level,
+                    xp: this.xp,
+                    xpToNext: this.getXPToNextLevel(),
+                    hp: `${this.hp}/${this.maxHp}`
+                },
+                game: {
+                    round: this.round,
+                    phase: this.phase,
+                    winStreak: this.winStreak,
+                    loseStreak: this.loseStreak
+                },
+                units: {
+                    onBoard: this.getTeamSize(),
+                    maxOnBoard: this.level,
+                    onBench: this.getUnitsOnBench().length,
+                    total: this.ownedUnits.size
+                },
+                activeTraits: Object.keys(this.getActiveTraits())
+            };
+        }
+
+        /**
+         * Print state to console
+         */
+        debug() {
+            console.log('=== Game State Debug ===');
+            console.log(JSON.stringify(this.getSummary(), null, 2));
+        }
+    }
 
-// Create global game state instance
-window.gameState = new GameState();
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
 
-// Also expose classes and constants for other modules
-window.GameState = GameState;
-window.UnitInstance = UnitInstance;
-window.GAME_PHASES = GAME_PHASES;
+    console.log('[State] Game state module loaded');
 
-console.log('[State] Game state module loaded');
+    return {
+        GameState,
+        UnitInstance,
+        GAME_PHASES,
+        createMemoryStorage
+    };
+}));
@@ -0,0 +1,142 @@
+/**
+ * Auto Chess Terrain
+ * Special tiles on the board (obstacles, buffs, hazards, slowing ground) and
+ * the per-round spawning of them from TERRAIN_SCHEDULE
+ */
+
+(function (root, factory) {
+    // CommonJS in Node, globals in the browser (see core.js)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./data.js'), require('./coordinates.js')));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
+
+    const { GAME_CONFIG, TILE_TYPES, TERRAIN_SCHEDULE, sideToArena } = deps;
+
+    // ============================================================================
+    // TERRAIN MAP CLASS
+    // ============================================================================
+
+    /**
+     * The tiles of one round, looked up by arena cell
+     * Tiles are plain { type, x, y } objects in arena space (see coordinates.js)
+     */
+    class TerrainMap {
+        /**
+         * @param {Array<{type: string, x: number, y: number}>} tiles - Tiles (unknown types are dropped)
+         */
+        constructor(tiles = []) {
+            this.tiles = tiles
+                .filter(tile => TILE_TYPES[tile.type])
+                .map(({ type, x, y }) => ({ type, x, y }));
+            this.cells = new Map(this.tiles.map(tile => [`${tile.x},${tile.y}`, tile]));
+        }
+
+        /**
+         * Get the tile on a cell
+         * @param {number} x - Arena column
+         * @param {number} y - Arena row
+         * @returns {object|null} TILE_TYPES entry, or null for plain ground
+         */
+        getTile(x, y) {
+            const tile = this.cells.get(`${x},${y}`);
+            return tile ? TILE_TYPES[tile.type] : null;
+        }
+
+        /**
+         * Check if a cell can't be stood on or walked through
+         * @param {number} x - Arena column
+         * @param {number} y - Arena row
+         * @returns {boolean} True for blocking tiles
+         */
+        isBlocked(x, y) {
+            const tile = this.getTile(x, y);
+            return !!tile && !!tile.blocking;
+        }
+
+        /**
+         * Get how long stepping onto a cell takes, relative to plain ground
+         * @param {number} x - Arena column
+         * @param {number} y - Arena row
+         * @returns {number} Move cost (1 for plain ground)
+         */
+        getMoveCost(x, y) {
+            const tile = this.getTile(x, y);
+            return (tile && tile.moveCost) || 1;
+        }
+
+        /**
+         * Serialize the tiles
+         * @returns {Array<{type: string, x: number, y: number}>} Tiles
+         */
+        toJSON() {
+            return this.tiles.map(tile => ({ ...tile }));
+        }
+    }
+
+    // ============================================================================
+    // SPAWNING
+    // ============================================================================
+
+    /**
+     * Get the tiles the schedule spawns in a round
+     * @param {number} round - Round number
+     * @returns {Array<{type: string, count: number}>} Tile counts (pairs, one in each half)
+     */
+    function getScheduledTiles(round) {
+        const entry = TERRAIN_SCHEDULE
+            .filter(candidate => candidate.fromRound <= round)
+            .reduce((latest, candidate) => (!latest || candidate.fromRound > latest.fromRound ? candidate : latest), null);
+        return entry ? entry.tiles : [];
+    }
+
+    /**
+     * Roll a round's tiles
+     * Each tile goes on the same side-space cell of both halves, on cells no unit stands on
+     * @param {number} round - Round number
+     * @param {RNG} rng - Seeded random generator
+     * @param {Set<string>} occupied - "x,y" arena cells taken by units
+     * @returns {Array<{type: string, x: number, y: number}>} Tiles in arena space
+     */
+    function generateTerrain(round, rng, occupied = new Set()) {
+        const tiles = [];
+        const taken = new Set(occupied);
+
+        for (const { type, count } of getScheduledTiles(round)) {
+            for (let i = 0; i < count; i++) {
+                const free = [];
+                for (let y = 0; y < GAME_CONFIG.PLAYER_ROWS; y++) {
+                    for (let x = 0; x < GAME_CONFIG.BOARD_COLS; x++) {
+                        const pair = [sideToArena('player', { x, y }), sideToArena('enemy', { x, y })];
+                        if (pair.every(cell => !taken.has(`${cell.x},${cell.y}`))) {
+                            free.push(pair);
+                        }
+                    }
+                }
+                if (free.length === 0) return tiles;
+
+                for (const cell of rng.pick(free)) {
+                    tiles.push({ type, x: cell.x, y: cell.y });
+                    taken.add(`${cell.x},${cell.y}`);
+                }
+            }
+        }
+
+        return tiles;
+    }
+
+    // ============================================================================
+    // EXPORT
+    // ============================================================================
+
+    console.log('[Terrain] Terrain module loaded');
+
+    return {
+        TerrainMap,
+        getScheduledTiles,
+        generateTerrain
+    };
+}));
@@ -0,0 +1,94 @@
+/**
+ * Ability effects: teleports, chains, multi-hit and area damage do what their data says
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { Combat, RNG, executeAbility, createUnit } = core;
+
+/**
+ * Set up a fight without running it
+ * @param {Array<[string, number, number]>} player - [unitId, x, y] per player unit
+ * @param {Array<[string, number, number]>} enemy - [unitId, x, y] per enemy unit
+ * @returns {Combat} Combat with cloned units in place
+ */
+function setup(player, enemy) {
+    const team = (entries) => entries.map(([unitId, x, y]) => {
+        const unit = createUnit(unitId, 1);
+        unit.setPosition(x, y);
+        return unit;
+    });
+
+    const combat = new Combat(new RNG(1));
+    combat.setupCombat(team(player), team(enemy), 1);
+    return combat;
+}
+
+/**
+ * Ability events of one type logged so far
+ * @param {Combat} combat - Fight in progress
+ * @param {string} type - Event type
+ * @returns {object[]} Event data
+ */
+function logged(combat, type) {
+    return combat.combatLog.filter(event => event.type === type).map(event => event.data);
+}
+
+test('Phase Strike teleports behind the target, then hits it', () => {
+    const combat = setup([['phantomStriker', 3, 1]], [['knight', 3, 4]]);
+    const [striker] = combat.playerUnits;
+    const [knight] = combat.enemyUnits;
+    const hp = knight.currentHp;
+
+    executeAbility(combat, striker, knight);
+
+    // The cells next to the target that are farthest from where the striker started
+    assert.strictEqual(striker.y, 5);
+    assert.strictEqual(striker.getDistanceTo(knight), 1);
+    assert.deepStrictEqual(logged(combat, 'ability_teleport').map(data => [data.from, data.to]), [[{ x: 3, y: 1 }, { x: striker.x, y: 5 }]]);
+    assert.deepStrictEqual(logged(combat, 'ability_damage').map(data => data.target.id), [knight.id]);
+    assert.ok(knight.currentHp < hp);
+});
+
+test('Lightning Arrow chains to the nearest enemies it has not hit, weaker each jump', () => {
+    const combat = setup([['stormArcher', 0, 0]], [['knight', 0, 4], ['knight', 2, 4], ['knight', 1, 4], ['knight', 7, 7]]);
+    const [archer] = combat.playerUnits;
+    const [first, third, second, far] = combat.enemyUnits;
+    const farHp = far.currentHp;
+
+    executeAbility(combat, archer, first);
+
+    const chain = logged(combat, 'ability_chain');
+    assert.deepStrictEqual(chain.map(data => [data.target.id, data.chainIndex]), [[first.id, 1], [second.id, 2], [third.id, 3]]);
+    assert.ok(chain[0].damage > chain[1].damage && chain[1].damage > chain[2].damage);
+    assert.strictEqual(far.currentHp, farHp, 'maxTargets stops the chain');
+});
+
+test('Whirlwind hits every adjacent enemy once per hit', () => {
+    const combat = setup([['bladeMaster', 3, 3]], [['knight', 3, 4], ['knight', 4, 4], ['knight', 3, 6]]);
+    const [bladeMaster] = combat.playerUnits;
+    const [front, side, far] = combat.enemyUnits;
+    const farHp = far.currentHp;
+
+    executeAbility(combat, bladeMaster, front);
+
+    const hits = logged(combat, 'ability_hit');
+    assert.deepStrictEqual(hits.map(data => [data.target.id, data.hitNumber]),
+        [[front.id, 1], [side.id, 1], [front.id, 2], [side.id, 2], [front.id, 3], [side.id, 3]]);
+    assert.deepStrictEqual(logged(combat, 'ability_damage'), []);
+    assert.strictEqual(far.currentHp, farHp);
+});
+
+test('Meteor Strike damages every enemy once', () => {
+    const combat = setup([['archmage', 3, 0]], [['knight', 0, 4], ['knight', 3, 6], ['knight', 7, 7]]);
+    const [archmage] = combat.playerUnits;
+    const enemies = combat.enemyUnits;
+    const hp = enemies.map(enemy => enemy.currentHp);
+
+    executeAbility(combat, archmage, enemies[0]);
+
+    assert.deepStrictEqual(logged(combat, 'ability_damage').map(data => data.target.id), enemies.map(enemy => enemy.id));
+    assert.deepStrictEqual(logged(combat, 'ability_hit'), []);
+    enemies.forEach((enemy, i) => assert.strictEqual(hp[i] - enemy.currentHp, logged(combat, 'ability_damage')[i].damage));
+});
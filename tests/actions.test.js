@@ -0,0 +1,101 @@
+/**
+ * Player actions: the reducer rejects malformed or out-of-phase actions and records the rest
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { GameSession, PlayerActions, ACTION_TYPES, GAME_CONFIG } = core;
+
+/**
+ * Serialize the game state without its save timestamp
+ * @param {GameState} state - Game state
+ * @returns {object} Comparable state data
+ */
+function stateData(state) {
+    const { timestamp, ...data } = state.toJSON();
+    return data;
+}
+
+/**
+ * Start a game and step into the first prep phase
+ * @returns {GameSession} Session in prep phase
+ */
+function startGame() {
+    const session = new GameSession({ seed: 11 });
+    session.startRound();
+    return session;
+}
+
+test('malformed actions are rejected without changing the game', () => {
+    const session = startGame();
+    const before = stateData(session.state);
+
+    const rejected = [
+        [{ type: 'cheat' }, 'Unknown action: cheat'],
+        [null, 'Unknown action: null'],
+        [PlayerActions.buyUnit(GAME_CONFIG.SHOP_SIZE), 'Invalid shop slot'],
+        [PlayerActions.buyUnit(1.5), 'Invalid shop slot'],
+        [PlayerActions.sellUnit('nobody'), 'Unit not found: nobody'],
+        [PlayerActions.moveToBoard('nobody', 0, 0), 'Unit not found: nobody'],
+        [PlayerActions.equipItem(0, 'nobody'), 'Invalid item'],
+        [PlayerActions.combineItems(0, 0), 'Invalid items'],
+        [PlayerActions.claimCarouselUnit(0), 'No carousel in progress']
+    ];
+
+    for (const [action, error] of rejected) {
+        assert.deepStrictEqual(session.dispatch(action), { success: false, error });
+    }
+
+    assert.deepStrictEqual(stateData(session.state), before);
+    assert.strictEqual(session.recording.rounds.at(-1).actions.length, 0);
+});
+
+test('moves are checked against the board and bench', () => {
+    const session = startGame();
+    assert.ok(session.dispatch(PlayerActions.buyUnit(0)).success);
+    const [unit] = session.state.getUnitsOnBench();
+
+    assert.strictEqual(session.dispatch(PlayerActions.moveToBoard(unit.id, GAME_CONFIG.PLAYER_ROWS, 0)).error, 'Invalid board position');
+    assert.strictEqual(session.dispatch(PlayerActions.moveToBoard(unit.id, 0, -1)).error, 'Invalid board position');
+    assert.strictEqual(session.dispatch(PlayerActions.moveToBench(unit.id, GAME_CONFIG.BENCH_SIZE)).error, 'Invalid bench slot');
+    assert.strictEqual(session.dispatch({ type: ACTION_TYPES.MOVE_UNIT, unitId: unit.id, target: 'shop' }).error, 'Invalid move target: shop');
+
+    assert.ok(session.dispatch(PlayerActions.moveToBoard(unit.id, 0, 0)).success);
+    assert.strictEqual(session.state.getUnitAtPosition(0, 0), unit);
+});
+
+test('rule failures come back from the apply step', () => {
+    const session = startGame();
+    session.state.gold = 0;
+
+    assert.strictEqual(session.dispatch(PlayerActions.buyUnit(0)).success, false);
+    assert.strictEqual(session.dispatch(PlayerActions.reroll()).success, false);
+    assert.deepStrictEqual(session.dispatch(PlayerActions.buyXP()), { success: false, error: 'Not enough gold' });
+});
+
+test('only the shop lock can change outside the prep phase', () => {
+    const session = startGame();
+    session.dispatch(PlayerActions.buyUnit(0));
+    const [unit] = session.state.getUnitsOnBench();
+    session.dispatch(PlayerActions.moveToBoard(unit.id, 0, 0));
+
+    session.prepareCombat();
+    assert.strictEqual(session.dispatch(PlayerActions.reroll()).error, 'Actions are only allowed during prep phase');
+    assert.strictEqual(session.dispatch(PlayerActions.sellUnit(unit.id)).error, 'Actions are only allowed during prep phase');
+    assert.ok(session.dispatch(PlayerActions.toggleLock()).success);
+});
+
+test('applied actions are recorded and replay to the same game', () => {
+    const session = startGame();
+    const actions = [PlayerActions.buyUnit(0), PlayerActions.buyUnit(1), PlayerActions.reroll(), PlayerActions.buyUnit(2)];
+    for (const action of actions) {
+        assert.ok(session.dispatch(action).success);
+    }
+    assert.deepStrictEqual(session.recording.rounds.at(-1).actions, actions);
+
+    const { session: replayed, errors } = GameSession.replay(session.recording.toJSON());
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(replayed.state.getUnitsOnBench().map(unit => unit.unitId), session.state.getUnitsOnBench().map(unit => unit.unitId));
+    assert.strictEqual(replayed.state.gold, session.state.gold);
+});
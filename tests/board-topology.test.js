@@ -0,0 +1,105 @@
+/**
+ * Hex board: odd-r neighbours, hex distance and fights that finish on hexes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { Combat, RNG, createUnit, getBoardTopology, BOARD_LAYOUTS, GAME_CONFIG } = core;
+
+const hex = getBoardTopology(BOARD_LAYOUTS.HEX);
+
+/**
+ * Sort cells so neighbour lists compare regardless of step order
+ * @param {Array<{x: number, y: number}>} cells - Cells
+ * @returns {string[]} "x,y" keys, sorted
+ */
+function keys(cells) {
+    return cells.map(cell => `${cell.x},${cell.y}`).sort();
+}
+
+/**
+ * Moves from a cell to every other cell, walking neighbours breadth-first
+ * @param {{x: number, y: number}} from - Start cell
+ * @returns {Map<string, number>} "x,y" -> moves, for every arena cell
+ */
+function stepsFrom(from) {
+    const steps = new Map([[`${from.x},${from.y}`, 0]]);
+    const queue = [from];
+    while (queue.length > 0) {
+        const cell = queue.shift();
+        for (const next of hex.getNeighbors(cell)) {
+            const key = `${next.x},${next.y}`;
+            if (!steps.has(key)) {
+                steps.set(key, steps.get(`${cell.x},${cell.y}`) + 1);
+                queue.push(next);
+            }
+        }
+    }
+    return steps;
+}
+
+test('even rows reach the columns to the left above and below, odd rows the ones to the right', () => {
+    assert.deepStrictEqual(keys(hex.getNeighbors({ x: 3, y: 2 })), keys([
+        { x: 2, y: 2 }, { x: 4, y: 2 }, { x: 2, y: 1 }, { x: 3, y: 1 }, { x: 2, y: 3 }, { x: 3, y: 3 }
+    ]));
+    assert.deepStrictEqual(keys(hex.getNeighbors({ x: 3, y: 3 })), keys([
+        { x: 2, y: 3 }, { x: 4, y: 3 }, { x: 3, y: 2 }, { x: 4, y: 2 }, { x: 3, y: 4 }, { x: 4, y: 4 }
+    ]));
+
+    // Edges and corners lose the neighbours that would be off the board
+    assert.deepStrictEqual(keys(hex.getNeighbors({ x: 0, y: 0 })), keys([{ x: 1, y: 0 }, { x: 0, y: 1 }]));
+    assert.deepStrictEqual(keys(hex.getNeighbors({ x: 7, y: 1 })), keys([{ x: 6, y: 1 }, { x: 7, y: 0 }, { x: 7, y: 2 }]));
+});
+
+test('neighbours are mutual and one move apart', () => {
+    for (let y = 0; y < GAME_CONFIG.BOARD_ROWS; y++) {
+        for (let x = 0; x < GAME_CONFIG.BOARD_COLS; x++) {
+            for (const next of hex.getNeighbors({ x, y })) {
+                assert.strictEqual(hex.getDistance({ x, y }, next), 1);
+                assert.ok(keys(hex.getNeighbors(next)).includes(`${x},${y}`), `${x},${y} <-> ${next.x},${next.y}`);
+            }
+        }
+    }
+});
+
+test('hex distance is the number of moves between cells', () => {
+    assert.strictEqual(hex.getDistance({ x: 0, y: 0 }, { x: 1, y: 1 }), 2);
+    assert.strictEqual(hex.getDistance({ x: 0, y: 1 }, { x: 1, y: 0 }), 1);
+    assert.strictEqual(hex.getDistance({ x: 3, y: 0 }, { x: 3, y: 7 }), 7);
+    assert.strictEqual(hex.getDistance({ x: 0, y: 0 }, { x: 7, y: 0 }), 7);
+
+    for (const from of [{ x: 0, y: 0 }, { x: 3, y: 3 }, { x: 4, y: 4 }, { x: 7, y: 7 }]) {
+        for (const [key, moves] of stepsFrom(from)) {
+            const [x, y] = key.split(',').map(Number);
+            assert.strictEqual(hex.getDistance(from, { x, y }), moves, `${from.x},${from.y} -> ${key}`);
+            assert.strictEqual(hex.getDistance({ x, y }, from), moves);
+        }
+    }
+});
+
+test('a fight on hexes finishes and only steps between neighbouring hexes', () => {
+    const team = (entries) => entries.map(([unitId, x, y]) => {
+        const unit = createUnit(unitId, 1);
+        unit.setPosition(x, y);
+        return unit;
+    });
+
+    for (let seed = 1; seed <= 3; seed++) {
+        const combat = new Combat(new RNG(seed), hex);
+        const result = combat.runSync(
+            team([['knight', 2, 3], ['marksman', 4, 0], ['phantomStriker', 6, 2], ['acolyte', 1, 0]]),
+            team([['stoneGolem', 3, 4], ['pyromancer', 5, 7], ['bladeMaster', 0, 5], ['scout', 7, 6]]),
+            100000
+        );
+
+        assert.ok(['player', 'enemy', 'draw'].includes(result.winner));
+        assert.ok(result.totalTicks < 100000, 'the fight ended on its own');
+
+        const moves = result.combatLog.filter(event => event.type === 'move');
+        assert.ok(moves.length > 0);
+        for (const { data } of moves) {
+            assert.strictEqual(hex.getDistance(data.from, data.to), 1, `seed ${seed} ${data.unit.id} steps to a neighbour`);
+        }
+    }
+});
@@ -0,0 +1,106 @@
+/**
+ * Carousel: lowest HP picks first, rivals pick around the player, and a full bench sells the pick
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { Carousel, CAROUSEL_PLAYER_ID, GameState, RNG, UNITS, GAME_CONFIG, GAME_PHASES, createMemoryStorage } = core;
+
+/**
+ * Start a carousel on a fresh game state
+ * @param {number} seed - Carousel RNG seed
+ * @param {number} hp - Player HP
+ * @returns {{state: GameState, carousel: Carousel}} Started carousel and its state
+ */
+function startCarousel(seed, hp = GAME_CONFIG.STARTING_HP) {
+    const state = new GameState({ storage: createMemoryStorage() });
+    state.hp = hp;
+    const carousel = new Carousel(state, new RNG(seed));
+    carousel.start();
+    return { state, carousel };
+}
+
+/**
+ * Pickers who have claimed a ring unit, in ring order
+ * @param {Carousel} carousel - Carousel
+ * @returns {string[]} Picker ids
+ */
+function claimers(carousel) {
+    return carousel.units.map(entry => entry.claimedBy).filter(Boolean);
+}
+
+test('pickers go lowest HP first, and rivals count as full HP', () => {
+    const { carousel } = startCarousel(1, 40);
+
+    assert.strictEqual(carousel.pickOrder.length, GAME_CONFIG.CAROUSEL_RIVALS + 1);
+    assert.strictEqual(carousel.pickOrder[0].id, CAROUSEL_PLAYER_ID);
+    for (const picker of carousel.pickOrder.slice(1)) {
+        assert.strictEqual(picker.hp, GAME_CONFIG.STARTING_HP);
+    }
+    carousel.pickOrder.slice(1).forEach((picker, i) => assert.ok(picker.hp >= carousel.pickOrder[i].hp));
+
+    // Nobody picked ahead of a hurt player
+    assert.ok(carousel.isPlayerTurn());
+    assert.deepStrictEqual(claimers(carousel), []);
+});
+
+test('at full HP the player picks at a random place among the rivals', () => {
+    const places = new Set();
+    for (let seed = 1; seed <= 30; seed++) {
+        const { carousel } = startCarousel(seed);
+        places.add(carousel.pickOrder.findIndex(picker => picker.id === CAROUSEL_PLAYER_ID));
+    }
+    assert.deepStrictEqual([...places].sort(), [0, 1, 2, 3]);
+});
+
+test('rivals ahead of the player pick at the start, the rest after the player', () => {
+    for (let seed = 1; seed <= 10; seed++) {
+        const { state, carousel } = startCarousel(seed);
+        const place = carousel.pickOrder.findIndex(picker => picker.id === CAROUSEL_PLAYER_ID);
+
+        assert.strictEqual(state.phase, GAME_PHASES.CAROUSEL);
+        assert.ok(carousel.isPlayerTurn());
+        assert.deepStrictEqual(claimers(carousel).sort(), carousel.pickOrder.slice(0, place).map(picker => picker.id).sort());
+
+        const taken = carousel.units.findIndex(entry => entry.claimedBy);
+        if (taken !== -1) {
+            assert.deepStrictEqual(carousel.claim(taken), { success: false, error: 'Unit already claimed' });
+        }
+
+        const index = carousel.getAutoPickIndex();
+        const { unitId, itemId } = carousel.units[index];
+        assert.deepStrictEqual(carousel.claim(index), { success: true, unitId, itemId, soldFor: 0 });
+
+        // Everyone has picked once and the game moves on to prep
+        assert.deepStrictEqual(claimers(carousel).sort(), carousel.pickOrder.map(picker => picker.id).sort());
+        assert.strictEqual(carousel.active, false);
+        assert.strictEqual(state.phase, GAME_PHASES.PREP);
+        assert.deepStrictEqual(carousel.claim(carousel.getAutoPickIndex() ?? 0), { success: false, error: 'Not your turn to pick' });
+
+        const [unit] = state.getUnitsOnBench();
+        assert.strictEqual(unit.unitId, unitId);
+        assert.deepStrictEqual(unit.items, itemId ? [itemId] : []);
+    }
+});
+
+test('with a full bench the pick is sold and its item kept', () => {
+    for (let seed = 1; seed <= 10; seed++) {
+        const { state, carousel } = startCarousel(seed, 50);
+        while (state.hasBenchSpace()) {
+            state.createUnit('squire');
+        }
+        const owned = state.ownedUnits.size;
+        const gold = state.gold;
+
+        const index = carousel.getAutoPickIndex();
+        const { unitId, itemId } = carousel.units[index];
+        const result = carousel.claim(index);
+
+        assert.deepStrictEqual(result, { success: true, unitId, itemId, soldFor: UNITS[unitId].cost });
+        assert.strictEqual(state.gold, gold + UNITS[unitId].cost);
+        assert.strictEqual(state.ownedUnits.size, owned);
+        assert.deepStrictEqual(state.itemBench, itemId ? [itemId] : []);
+        assert.strictEqual(state.phase, GAME_PHASES.PREP);
+    }
+});
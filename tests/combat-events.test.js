@@ -0,0 +1,130 @@
+/**
+ * Combat events: every event matches its schema and refers to units by id and cell
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { Combat, RNG, CombatEventStream, COMBAT_EVENT_SCHEMA, COMBAT_EVENT_VERSION, createUnit } = core;
+
+/**
+ * Build a team
+ * @param {Array<[string, number, number]>} entries - [unitId, x, y] per unit
+ * @returns {Unit[]} Positioned units
+ */
+function team(entries) {
+    return entries.map(([unitId, x, y]) => {
+        const unit = createUnit(unitId, 1);
+        unit.setPosition(x, y);
+        return unit;
+    });
+}
+
+/**
+ * Run a busy fight: twin units on both sides, summons, items and terrain
+ * @param {number} seed - Combat seed
+ * @returns {{combat: Combat, player: Unit[], enemy: Unit[]}} Finished fight and the teams it started from
+ */
+function busyFight(seed) {
+    const player = team([['knight', 2, 3], ['knight', 4, 3], ['necromancer', 3, 0], ['marksman', 5, 0], ['acolyte', 1, 1]]);
+    const enemy = team([['knight', 2, 4], ['knight', 4, 4], ['pyromancer', 3, 7], ['bladeMaster', 6, 5], ['stormArcher', 0, 7]]);
+    player[0].items = ['thornmail'];
+    enemy[1].items = ['vampiric_blade'];
+
+    const combat = new Combat(new RNG(seed));
+    combat.setTerrain([{ type: 'lava', x: 3, y: 4 }, { type: 'mud', x: 5, y: 3 }, { type: 'shrine', x: 1, y: 5 }]);
+    combat.runSync(player, enemy, 100000);
+    return { combat, player, enemy };
+}
+
+/**
+ * Collect the unit references in an event's data
+ * @param {object} data - Event data
+ * @returns {object[]} Values shaped like unitRef() output
+ */
+function unitRefsIn(data) {
+    return Object.values(data)
+        .flatMap(value => Array.isArray(value) ? value : [value])
+        .filter(value => value && typeof value === 'object' && 'id' in value);
+}
+
+test('every event has the envelope and exactly the fields of its schema', () => {
+    for (let seed = 1; seed <= 3; seed++) {
+        const { combat } = busyFight(seed);
+        const ids = new Set(combat.replay.units.map(unit => unit.id));
+
+        combat.combatLog.forEach((event, seq) => {
+            assert.deepStrictEqual(Object.keys(event).sort(), ['data', 'seq', 'tick', 'type', 'version']);
+            assert.strictEqual(event.version, COMBAT_EVENT_VERSION);
+            assert.strictEqual(event.seq, seq);
+            assert.ok(COMBAT_EVENT_SCHEMA[event.type], `known type ${event.type}`);
+            assert.deepStrictEqual(Object.keys(event.data).sort(), [...COMBAT_EVENT_SCHEMA[event.type]].sort(), event.type);
+
+            for (const ref of unitRefsIn(event.data)) {
+                assert.deepStrictEqual(Object.keys(ref).sort(), ['id', 'side', 'x', 'y'], event.type);
+                assert.ok(ids.has(ref.id), `${event.type} refers to a unit in the fight`);
+            }
+        });
+
+        const ticks = combat.combatLog.map(event => event.tick);
+        assert.deepStrictEqual(ticks, [...ticks].sort((a, b) => a - b), 'ticks never go back');
+    }
+});
+
+test('events tell same-name units apart by id', () => {
+    const { combat, player, enemy } = busyFight(2);
+    const knightIds = [...player, ...enemy].filter(unit => unit.templateId === 'knight').map(unit => unit.id);
+    assert.strictEqual(new Set(knightIds).size, 4);
+
+    const attackers = new Set(combat.combatLog
+        .filter(event => event.type === 'attack' && knightIds.includes(event.data.attacker.id))
+        .map(event => event.data.attacker.id));
+    assert.ok(attackers.size > 1, 'more than one knight attacked');
+
+    for (const event of combat.combatLog) {
+        for (const ref of unitRefsIn(event.data)) {
+            assert.ok(!('name' in ref));
+        }
+    }
+});
+
+test('a move goes from the cell the unit stood on to the next one', () => {
+    for (let seed = 1; seed <= 3; seed++) {
+        const { combat, player, enemy } = busyFight(seed);
+        const cells = new Map([...player, ...enemy].map(unit => [unit.id, { x: unit.x, y: unit.y }]));
+
+        for (const event of combat.combatLog) {
+            if (event.type === 'ability_summon') {
+                cells.set(event.data.unit.id, event.data.at);
+            } else if (event.type === 'ability_teleport') {
+                cells.set(event.data.caster.id, event.data.to);
+            } else if (event.type === 'move') {
+                const { unit, from, to } = event.data;
+                assert.deepStrictEqual(from, cells.get(unit.id), `seed ${seed} ${unit.id} moves from where it stood`);
+                assert.deepStrictEqual({ x: unit.x, y: unit.y }, to);
+                assert.notDeepStrictEqual(from, to);
+                assert.ok(Math.abs(from.x - to.x) <= 1 && Math.abs(from.y - to.y) <= 1, 'one step');
+                cells.set(unit.id, to);
+            }
+        }
+        assert.ok(combat.combatLog.some(event => event.type === 'move'));
+    }
+});
+
+test('listeners get events of their type, or all with *, until they unsubscribe', () => {
+    const stream = new CombatEventStream();
+    const moves = [];
+    const all = [];
+    const unsubscribe = stream.subscribe('move', event => moves.push(event.seq));
+    stream.subscribe('*', event => all.push(event.type));
+
+    stream.emit(1, 'move', { unit: null, from: { x: 0, y: 0 }, to: { x: 0, y: 1 } });
+    stream.emit(1, 'overtime_start', { healingReduction: 0.5 });
+    unsubscribe();
+    stream.emit(2, 'move', { unit: null, from: { x: 0, y: 1 }, to: { x: 0, y: 2 } });
+
+    assert.deepStrictEqual(moves, [0]);
+    assert.deepStrictEqual(all, ['move', 'overtime_start', 'move']);
+    assert.throws(() => stream.emit(3, 'teleport', {}), /Unknown event type "teleport"/);
+    assert.throws(() => stream.subscribe('teleport', () => {}), /Unknown event type "teleport"/);
+});
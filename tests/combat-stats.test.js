@@ -0,0 +1,141 @@
+/**
+ * Combat stats: the damage split, mitigation, healing, kills and casts match what happened in the fight
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { Combat, RNG, createUnit, getTotalDamageDealt } = core;
+
+/**
+ * Build a team
+ * @param {Array<[string, number, number, string[]]>} entries - [unitId, x, y, items] per unit
+ * @returns {Unit[]} Positioned units
+ */
+function team(entries) {
+    return entries.map(([unitId, x, y, items = []]) => {
+        const unit = createUnit(unitId, 1);
+        unit.setPosition(x, y);
+        unit.items = items;
+        return unit;
+    });
+}
+
+/**
+ * Add up what the combat log says about each unit, the way CombatStats should count it
+ * @param {object[]} log - Combat log
+ * @returns {Map<string, object>} Unit id -> expected counters
+ */
+function countFromLog(log) {
+    const counts = new Map();
+    const of = (ref) => {
+        if (!counts.has(ref.id)) {
+            counts.set(ref.id, { physical: 0, magic: 0, ability: 0, damageTaken: 0, healing: 0, kills: 0, casts: 0 });
+        }
+        return counts.get(ref.id);
+    };
+    const hit = (source, target, damage, category) => {
+        if (source) of(source)[category] += damage;
+        of(target).damageTaken += damage;
+    };
+
+    for (const { type, data } of log) {
+        switch (type) {
+            case 'attack':
+                hit(data.attacker, data.defender, data.physicalDamage, 'physical');
+                hit(data.attacker, data.defender, data.magicDamage, 'magic');
+                break;
+            case 'item_thorns':
+                hit(data.unit, data.target, data.damage, 'magic');
+                break;
+            case 'ability_damage':
+            case 'ability_hit':
+            case 'ability_chain':
+                hit(data.caster, data.target, data.damage, 'ability');
+                break;
+            case 'status_damage':
+                hit(data.source, data.unit, data.damage, 'ability');
+                break;
+            case 'overtime_damage':
+            case 'terrain_damage':
+                hit(null, data.unit, data.damage, 'ability');
+                break;
+            case 'ability_heal':
+                of(data.caster).healing += data.amount;
+                break;
+            case 'item_lifesteal':
+                of(data.unit).healing += data.amount;
+                break;
+            case 'unit_death':
+                if (data.killer) of(data.killer).kills++;
+                break;
+            case 'ability_cast':
+                of(data.caster).casts++;
+                break;
+        }
+    }
+
+    return counts;
+}
+
+test('a single attack and cast are counted exactly', () => {
+    const combat = new Combat(new RNG(1));
+    combat.setupCombat(team([['knight', 3, 3]]), team([['scout', 3, 4]]), 1);
+    const [knight] = combat.playerUnits;
+    const [scout] = combat.enemyUnits;
+    const hp = scout.currentHp;
+
+    combat.attack(knight, scout);
+    const physical = hp - scout.currentHp;
+
+    combat.castAbility(knight, scout);
+    const ability = hp - physical - scout.currentHp;
+
+    const attacker = combat.stats.get(knight);
+    assert.deepStrictEqual(attacker.damageDealt, { physical, magic: 0, ability });
+    assert.strictEqual(getTotalDamageDealt(attacker), physical + ability);
+    assert.strictEqual(attacker.casts, 1);
+
+    const defender = combat.stats.get(scout);
+    assert.strictEqual(defender.damageTaken, physical + ability);
+    assert.strictEqual(defender.damageMitigated, (knight.attack - physical) + (knight.ability.effects[0].amount - ability));
+});
+
+test('fight stats add up to the combat log', () => {
+    const player = team([
+        ['pyromancer', 2, 1], ['stoneGolem', 3, 3, ['thornmail']], ['acolyte', 4, 0],
+        ['cutthroat', 5, 2, ['vampiric_blade']], ['necromancer', 1, 0], ['cleric', 6, 1]
+    ]);
+    const enemy = team([
+        ['warlord', 3, 4], ['marksman', 2, 7], ['frostGuardian', 4, 4, ['storm_bow']],
+        ['bladeMaster', 5, 5], ['stormArcher', 6, 7], ['knight', 1, 4]
+    ]);
+
+    for (let seed = 1; seed <= 5; seed++) {
+        const combat = new Combat(new RNG(seed));
+        const result = combat.runSync(player, enemy, 100000);
+        const expected = countFromLog(result.combatLog);
+        const entries = result.stats.getEntries();
+
+        assert.ok(entries.some(entry => entry.isSummon), 'summons are counted too');
+        assert.ok(entries.reduce((total, entry) => total + entry.casts, 0) > 0);
+        assert.ok(entries.reduce((total, entry) => total + entry.healing, 0) > 0);
+
+        for (const entry of entries) {
+            const counted = expected.get(entry.id) || { physical: 0, magic: 0, ability: 0, damageTaken: 0, healing: 0, kills: 0, casts: 0 };
+            const label = `seed ${seed} ${entry.id} (${entry.templateId})`;
+
+            assert.deepStrictEqual(entry.damageDealt, { physical: counted.physical, magic: counted.magic, ability: counted.ability }, label);
+            assert.strictEqual(entry.damageTaken, counted.damageTaken, label);
+            assert.strictEqual(entry.healing, counted.healing, label);
+            assert.strictEqual(entry.kills, counted.kills, label);
+            assert.strictEqual(entry.casts, counted.casts, label);
+            assert.ok(entry.damageMitigated >= 0, label);
+        }
+
+        // Every unit that died was credited to someone, apart from sourceless deaths
+        const kills = entries.reduce((total, entry) => total + entry.kills, 0);
+        const deaths = result.combatLog.filter(event => event.type === 'unit_death' && event.data.killer).length;
+        assert.strictEqual(kills, deaths);
+    }
+});
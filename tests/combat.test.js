@@ -0,0 +1,80 @@
+/**
+ * Combat engine: fights are reproducible from (boards, seed) on a fresh or reused Combat
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { Combat, RNG, createAI, mirrorToSide, getBoardTopology, BOARD_LAYOUTS } = core;
+
+const MAX_TICKS = 100000;
+
+/**
+ * Build a pair of AI boards for a fight, the first moved to the player's half
+ * @param {number} seed - Seed for the AI
+ * @param {BoardTopology} topology - Board layout
+ * @returns {{player: Unit[], enemy: Unit[]}} Both teams in arena space
+ */
+function makeBoards(seed, topology) {
+    const ai = createAI(new RNG(seed), topology);
+    const player = ai.generateBoard(12 + seed % 4).map(unit => {
+        const cell = mirrorToSide(unit, 'enemy', 'player');
+        unit.setPosition(cell.x, cell.y);
+        return unit;
+    });
+    return { player, enemy: ai.generateBoard(14) };
+}
+
+const summarize = (result) => ({
+    winner: result.winner,
+    ticks: result.totalTicks,
+    survivors: [...result.survivingPlayerUnits, ...result.survivingEnemyUnits].map(unit => `${unit.templateId}:${unit.currentHp}`)
+});
+
+test('a reused Combat starts each fight without the last fight\'s move reservations', () => {
+    let leftovers = 0;
+
+    for (const layout of Object.values(BOARD_LAYOUTS)) {
+        const topology = getBoardTopology(layout);
+        for (let seed = 1; seed <= 40; seed++) {
+            const first = makeBoards(seed, topology);
+            const second = makeBoards(seed + 100, topology);
+
+            const reused = new Combat(new RNG(seed), topology);
+            reused.runSync(first.player, first.enemy, MAX_TICKS);
+            if (reused.reservedCells.size === 0) continue;
+            leftovers++;
+
+            reused.setupCombat(second.player, second.enemy, 777);
+            assert.strictEqual(reused.reservedCells.size, 0);
+
+            const again = summarize(reused.runSync(second.player, second.enemy, MAX_TICKS, 777));
+            const fresh = summarize(new Combat(new RNG(1), topology).runSync(second.player, second.enemy, MAX_TICKS, 777));
+            assert.deepStrictEqual(again, fresh, `${layout} seed ${seed}`);
+        }
+    }
+
+    // Survivors stopped mid-step must actually occur, or this test checks nothing
+    assert.ok(leftovers > 0);
+});
+
+test('the same boards and seed give the same fight on a fresh and a reused Combat', () => {
+    for (const layout of Object.values(BOARD_LAYOUTS)) {
+        const topology = getBoardTopology(layout);
+        for (let seed = 1; seed <= 6; seed++) {
+            const { player, enemy } = makeBoards(seed, topology);
+
+            const fresh = new Combat(new RNG(seed), topology);
+            const freshResult = summarize(fresh.runSync(player, enemy, MAX_TICKS, 4242));
+
+            // Reuse a Combat that already fought other boards with another seed
+            const reused = new Combat(new RNG(seed + 1), topology);
+            const other = makeBoards(seed + 50, topology);
+            reused.runSync(other.player, other.enemy, MAX_TICKS);
+            const reusedResult = summarize(reused.runSync(player, enemy, MAX_TICKS, 4242));
+
+            assert.deepStrictEqual(reusedResult, freshResult, `${layout} seed ${seed}`);
+            assert.deepStrictEqual(reused.replay.toJSON(), fresh.replay.toJSON(), `${layout} seed ${seed} replay`);
+        }
+    }
+});
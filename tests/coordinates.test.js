@@ -0,0 +1,84 @@
+/**
+ * Board coordinates: side, arena and display transforms round-trip and mirror the two halves
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { sideToArena, arenaToSide, mirrorToSide, arenaToDisplay, displayToArena, getArenaSide, isInArena, isInSide, GAME_CONFIG } = core;
+
+// [side, side-space cell, arena cell, display cell seen by the player, display cell seen by the enemy]
+const CELLS = [
+    ['player', { x: 0, y: 0 }, { x: 0, y: 3 }, { row: 4, col: 0 }, { row: 3, col: 0 }],
+    ['player', { x: 5, y: 3 }, { x: 5, y: 0 }, { row: 7, col: 5 }, { row: 0, col: 5 }],
+    ['player', { x: 7, y: 1 }, { x: 7, y: 2 }, { row: 5, col: 7 }, { row: 2, col: 7 }],
+    ['enemy', { x: 0, y: 0 }, { x: 0, y: 4 }, { row: 3, col: 0 }, { row: 4, col: 0 }],
+    ['enemy', { x: 5, y: 3 }, { x: 5, y: 7 }, { row: 0, col: 5 }, { row: 7, col: 5 }],
+    ['enemy', { x: 7, y: 1 }, { x: 7, y: 5 }, { row: 2, col: 7 }, { row: 5, col: 7 }]
+];
+
+/**
+ * Every cell of a side's own board
+ * @returns {Array<{x: number, y: number}>} Side-space cells
+ */
+function sideCells() {
+    const cells = [];
+    for (let y = 0; y < GAME_CONFIG.PLAYER_ROWS; y++) {
+        for (let x = 0; x < GAME_CONFIG.BOARD_COLS; x++) {
+            cells.push({ x, y });
+        }
+    }
+    return cells;
+}
+
+test('side, arena and display cells line up', () => {
+    for (const [side, local, arena, fromPlayer, fromEnemy] of CELLS) {
+        const label = `${side} ${local.x},${local.y}`;
+        assert.deepStrictEqual(sideToArena(side, local), arena, label);
+        assert.deepStrictEqual(arenaToSide(side, arena), local, label);
+        assert.deepStrictEqual(arenaToDisplay(arena), fromPlayer, label);
+        assert.deepStrictEqual(arenaToDisplay(arena, 'enemy'), fromEnemy, label);
+        assert.deepStrictEqual(displayToArena(fromPlayer.row, fromPlayer.col), arena, label);
+        assert.deepStrictEqual(displayToArena(fromEnemy.row, fromEnemy.col, 'enemy'), arena, label);
+        assert.strictEqual(getArenaSide(arena), side, label);
+    }
+});
+
+test('every side cell round-trips and lands in its own half', () => {
+    for (const side of ['player', 'enemy']) {
+        for (const cell of sideCells()) {
+            const arena = sideToArena(side, cell);
+            assert.ok(isInSide(cell.x, cell.y));
+            assert.ok(isInArena(arena.x, arena.y));
+            assert.deepStrictEqual(arenaToSide(side, arena), cell);
+            assert.strictEqual(getArenaSide(arena), side);
+
+            for (const perspective of ['player', 'enemy']) {
+                const { row, col } = arenaToDisplay(arena, perspective);
+                assert.deepStrictEqual(displayToArena(row, col, perspective), arena);
+            }
+        }
+    }
+});
+
+test('the enemy half mirrors the player half across the middle line', () => {
+    for (const cell of sideCells()) {
+        const player = sideToArena('player', cell);
+        const enemy = sideToArena('enemy', cell);
+
+        assert.strictEqual(enemy.x, player.x, 'columns are kept');
+        assert.strictEqual(player.y + enemy.y, GAME_CONFIG.BOARD_ROWS - 1, 'front lines face each other');
+        assert.deepStrictEqual(mirrorToSide(player, 'player', 'enemy'), enemy);
+        assert.deepStrictEqual(mirrorToSide(enemy, 'enemy', 'player'), player);
+        assert.deepStrictEqual(mirrorToSide(player, 'player', 'player'), player);
+
+        // Each side sees its own board at the bottom of the screen the same way
+        assert.deepStrictEqual(arenaToDisplay(player, 'player'), arenaToDisplay(enemy, 'enemy'));
+    }
+});
+
+test('fractional positions map to fractional display positions', () => {
+    const shot = { x: 2.5, y: 3.25 };
+    assert.deepStrictEqual(arenaToDisplay(shot), { row: GAME_CONFIG.BOARD_ROWS - 1 - 3.25, col: 2.5 });
+    assert.deepStrictEqual(arenaToDisplay(shot, 'enemy'), { row: 3.25, col: 2.5 });
+});
@@ -0,0 +1,31 @@
+/**
+ * Headless core: the whole game loads and plays in Node without a browser
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core, playRounds } = require('./helpers.js');
+const { GameSession, BOARD_LAYOUTS } = core;
+
+test('core.js loads without a window or document', () => {
+    assert.strictEqual(typeof globalThis.window, 'undefined');
+    assert.strictEqual(typeof GameSession, 'function');
+    assert.strictEqual(typeof core.Combat, 'function');
+});
+
+test('a session plays rounds headlessly on every board layout', () => {
+    for (const boardLayout of Object.values(BOARD_LAYOUTS)) {
+        const session = new GameSession({ seed: 1, boardLayout });
+        const log = playRounds(session, 4);
+
+        assert.strictEqual(log.length, 4);
+        assert.ok(session.state.round > 1);
+        assert.ok(session.state.getUnitsOnBoard().length > 0);
+    }
+});
+
+test('the same seed plays the same game', () => {
+    const first = playRounds(new GameSession({ seed: 42 }), 5);
+    const second = playRounds(new GameSession({ seed: 42 }), 5);
+    assert.deepStrictEqual(first, second);
+});
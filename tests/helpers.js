@@ -0,0 +1,73 @@
+/**
+ * Shared helpers for the headless Node tests
+ * Loads the game through core.js and drives sessions with a simple scripted player.
+ */
+
+// Modules log every load and state change; keep test output readable
+console.log = () => {};
+console.warn = () => {};
+
+const core = require('../core.js');
+const { GAME_CONFIG, GAME_PHASES, PlayerActions } = core;
+
+/**
+ * Find the first empty, unblocked cell on the player's side
+ * @param {GameState} state - Game state to search
+ * @returns {{row: number, col: number}|null} Free cell, or null if the side is full
+ */
+function findFreeCell(state) {
+    for (let row = 0; row < GAME_CONFIG.PLAYER_ROWS; row++) {
+        for (let col = 0; col < GAME_CONFIG.BOARD_COLS; col++) {
+            if (!state.getUnitAtPosition(row, col) && !state.isCellBlocked(row, col)) {
+                return { row, col };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Play one round the same way every time: claim the first free carousel unit,
+ * buy every affordable shop slot, field bench units, then fight
+ * @param {GameSession} session - Session already inside startRound()
+ * @returns {object} Combat result from runCombat()
+ */
+function playRound(session) {
+    const { state } = session;
+
+    if (state.phase === GAME_PHASES.CAROUSEL) {
+        session.dispatch(PlayerActions.claimCarouselUnit(session.carousel.getAutoPickIndex()));
+    }
+
+    for (let slot = 0; slot < GAME_CONFIG.SHOP_SIZE; slot++) {
+        session.dispatch(PlayerActions.buyUnit(slot));
+    }
+
+    for (const unit of state.getUnitsOnBench()) {
+        const cell = findFreeCell(state);
+        if (!cell) break;
+        session.dispatch(PlayerActions.moveToBoard(unit.id, cell.row, cell.col));
+    }
+
+    return session.runCombat();
+}
+
+/**
+ * Play rounds until the count runs out or the game ends
+ * @param {GameSession} session - Session to drive
+ * @param {number} rounds - Rounds to play
+ * @param {boolean} started - True if startRound() was already called for the first round
+ * @returns {string[]} One "winner/ticks/hp/shop" line per round, for comparing sessions
+ */
+function playRounds(session, rounds, started = false) {
+    const log = [];
+    for (let i = 0; i < rounds && !session.state.isGameOver(); i++) {
+        if (i > 0 || !started) session.startRound();
+        const shop = session.shop.offers.map(offer => offer ? offer.id : '-').join(',');
+        const result = playRound(session);
+        log.push(`${result.winner}/${result.totalTicks}/${session.state.hp}/${shop}`);
+    }
+    return log;
+}
+
+module.exports = { core, findFreeCell, playRound, playRounds };
@@ -0,0 +1,112 @@
+/**
+ * Items: equipping, recipes, the per-unit cap, returning items to the bench, and item stats in combat
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { GameState, GameSession, Combat, RNG, GAME_CONFIG, ITEMS, createMemoryStorage } = core;
+
+/**
+ * Start an empty game state holding some items
+ * @param {string[]} items - Item bench contents
+ * @returns {GameState} State
+ */
+function stateWithItems(items) {
+    const state = new GameState({ storage: createMemoryStorage() });
+    items.forEach(itemId => state.addItem(itemId));
+    return state;
+}
+
+test('equipping moves an item from the bench onto the unit, up to the item cap', () => {
+    const state = stateWithItems(['deathblade', 'thornmail', 'bulwark', 'mana_heart']);
+    const unit = state.createUnit('knight');
+
+    for (const itemId of ['deathblade', 'thornmail', 'bulwark']) {
+        assert.deepStrictEqual(state.equipItem(unit, 0), { success: true, itemId, combinedFrom: null });
+    }
+    assert.strictEqual(unit.items.length, GAME_CONFIG.MAX_ITEMS_PER_UNIT);
+
+    assert.deepStrictEqual(state.equipItem(unit, 0), { success: false, error: `Units can hold ${GAME_CONFIG.MAX_ITEMS_PER_UNIT} items` });
+    assert.deepStrictEqual(state.itemBench, ['mana_heart']);
+    assert.deepStrictEqual(state.equipItem(unit, 5), { success: false, error: 'Invalid unit or item' });
+});
+
+test('a component dropped on its partner combines in place, even on a full unit', () => {
+    const state = stateWithItems(['long_sword', 'thornmail', 'bulwark', 'long_sword']);
+    const unit = state.createUnit('knight');
+    [0, 0, 0].forEach(() => state.equipItem(unit, 0));
+
+    assert.deepStrictEqual(state.equipItem(unit, 0), { success: true, itemId: 'deathblade', combinedFrom: 'long_sword' });
+    assert.deepStrictEqual(unit.items, ['deathblade', 'thornmail', 'bulwark']);
+    assert.deepStrictEqual(state.itemBench, []);
+});
+
+test('two components on the bench combine into their recipe', () => {
+    const state = stateWithItems(['chain_vest', 'long_sword', 'giants_belt']);
+
+    assert.deepStrictEqual(state.combineItems(0, 1), { success: true, itemId: 'vampiric_blade' });
+    assert.deepStrictEqual(state.itemBench, ['vampiric_blade', 'giants_belt']);
+
+    assert.strictEqual(state.combineItems(0, 1).success, false, 'completed items have no recipe');
+    assert.strictEqual(state.combineItems(1, 1).success, false);
+    assert.deepStrictEqual(state.itemBench, ['vampiric_blade', 'giants_belt']);
+
+    // Every recipe works in either order
+    for (const item of Object.values(ITEMS).filter(entry => entry.components)) {
+        for (const components of [item.components, [...item.components].reverse()]) {
+            const bench = stateWithItems(components);
+            assert.deepStrictEqual(bench.combineItems(0, 1), { success: true, itemId: item.id });
+        }
+    }
+});
+
+test('selling a unit returns its items to the bench', () => {
+    const state = stateWithItems(['deathblade', 'thornmail']);
+    const unit = state.createUnit('knight');
+    state.equipItem(unit, 0);
+    state.equipItem(unit, 0);
+
+    assert.ok(state.sellUnit(unit));
+    assert.deepStrictEqual(state.itemBench, ['deathblade', 'thornmail']);
+});
+
+test('a star-up keeps items up to the cap and benches the rest', () => {
+    const state = stateWithItems(['deathblade', 'thornmail', 'bulwark', 'mana_heart', 'storm_bow']);
+    const [keeper, second, third] = [state.createUnit('squire'), state.createUnit('squire'), state.createUnit('squire')];
+    state.equipItem(keeper, 0);
+    state.equipItem(second, 0);
+    state.equipItem(second, 0);
+    state.equipItem(third, 0);
+    state.equipItem(third, 0);
+
+    assert.ok(state.checkForUpgrades('squire'));
+
+    assert.strictEqual(keeper.starLevel, 2);
+    assert.deepStrictEqual(keeper.items, ['deathblade', 'thornmail', 'bulwark']);
+    assert.deepStrictEqual(state.itemBench, ['mana_heart', 'storm_bow']);
+    assert.strictEqual(state.countUnitsOfType('squire'), 1);
+});
+
+test('equipped items give their stats to the combat unit', () => {
+    const session = new GameSession({ seed: 2 });
+    const { state } = session;
+    const unit = state.createUnit('knight');
+    state.placeUnitOnBoard(unit, 0, 3);
+    state.addItem('deathblade');
+    state.addItem('bulwark');
+    state.equipItem(unit, 0);
+    state.equipItem(unit, 0);
+
+    const [fighter] = session.getPlayerCombatUnits();
+    assert.deepStrictEqual(fighter.items, ['deathblade', 'bulwark']);
+
+    const combat = new Combat(new RNG(1));
+    combat.setupCombat([fighter], [], 1);
+    const [equipped] = combat.playerUnits;
+
+    assert.strictEqual(equipped.attack, fighter.attack + ITEMS.deathblade.stats.attackBonus);
+    assert.strictEqual(equipped.effectiveMaxHp, fighter.maxHp + ITEMS.bulwark.stats.hpBonus);
+    assert.strictEqual(equipped.currentHp, equipped.effectiveMaxHp, 'bonus HP is usable at once');
+    assert.strictEqual(equipped.getBonus('damageReduction'), ITEMS.bulwark.stats.damageReduction);
+});
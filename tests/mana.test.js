@@ -0,0 +1,86 @@
+/**
+ * Mana: max mana is the ability's cost, units start with their ability's starting mana, and casting locks mana gain
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { Combat, RNG, UNITS, MANA_RULES, GAME_CONFIG, createUnit } = core;
+
+/**
+ * Set up a knight next to a scout (neither team has an active trait)
+ * @param {string[]} items - Items for the knight
+ * @returns {{combat: Combat, knight: Unit, scout: Unit}} Fight with its combat units
+ */
+function duel(items = []) {
+    const knight = createUnit('knight', 1);
+    knight.setPosition(3, 3);
+    knight.items = items;
+    const scout = createUnit('scout', 1);
+    scout.setPosition(3, 4);
+
+    const combat = new Combat(new RNG(1));
+    combat.setupCombat([knight], [scout], 1);
+    return { combat, knight: combat.playerUnits[0], scout: combat.enemyUnits[0] };
+}
+
+/**
+ * Abilities cast so far
+ * @param {Combat} combat - Fight in progress
+ * @returns {string[]} Ability names
+ */
+function casts(combat) {
+    return combat.combatLog.filter(event => event.type === 'ability_cast').map(event => event.data.ability);
+}
+
+test('max mana is the ability mana cost, and units without one have none', () => {
+    for (const [unitId, template] of Object.entries(UNITS)) {
+        const unit = createUnit(unitId, 1);
+        assert.strictEqual(unit.maxMana, template.ability ? template.ability.manaCost : 0, unitId);
+        assert.strictEqual(unit.currentMana, template.ability ? template.ability.startingMana || 0 : 0, unitId);
+    }
+});
+
+test('a unit casts on the attack that fills its mana, not before', () => {
+    const { combat, knight, scout } = duel();
+
+    knight.currentMana = knight.maxMana - MANA_RULES.PER_ATTACK - 1;
+    combat.attack(knight, scout);
+    assert.deepStrictEqual(casts(combat), []);
+    assert.strictEqual(knight.currentMana, knight.maxMana - 1);
+
+    knight.currentMana = knight.maxMana - MANA_RULES.PER_ATTACK;
+    combat.attack(knight, scout);
+    assert.deepStrictEqual(casts(combat), ['Shield Bash']);
+    assert.strictEqual(knight.currentMana, 0);
+});
+
+test('units enter a fight with their starting mana, plus any from items', () => {
+    const { knight: plain } = duel();
+    assert.strictEqual(plain.currentMana, UNITS.knight.ability.startingMana);
+
+    const { knight: equipped } = duel(['mana_heart']);
+    assert.strictEqual(equipped.currentMana, UNITS.knight.ability.startingMana + 40);
+});
+
+test('casting locks mana gain for CAST_LOCK_SECONDS', () => {
+    const { combat, knight, scout } = duel();
+
+    combat.castAbility(knight, scout);
+    assert.strictEqual(knight.currentMana, 0);
+    assert.ok(knight.statusEffects.has('manaLock'));
+
+    // Neither attacking nor being hit gives mana while locked
+    combat.attack(knight, scout);
+    combat.dealDamage(scout, knight, 50, 'physical');
+    assert.strictEqual(knight.currentMana, 0);
+
+    const lockTicks = MANA_RULES.CAST_LOCK_SECONDS * 1000 / GAME_CONFIG.COMBAT_TICK_MS;
+    for (let i = 0; i < lockTicks; i++) {
+        knight.updateStatusEffects(GAME_CONFIG.COMBAT_TICK_MS / 1000);
+    }
+    assert.ok(!knight.statusEffects.has('manaLock'));
+
+    combat.dealDamage(scout, knight, 50, 'physical');
+    assert.strictEqual(knight.currentMana, MANA_RULES.PER_DAMAGE_TAKEN);
+});
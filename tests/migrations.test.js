@@ -0,0 +1,85 @@
+/**
+ * Save migrations: old saves upgrade step by step and still load; bad saves are refused with a reason
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core, playRounds } = require('./helpers.js');
+const { GameSession, GameState, createMemoryStorage, migrateSessionSave, migrateStateData,
+    STATE_VERSION, SESSION_SAVE_VERSION } = core;
+
+/**
+ * Make a current save, then strip it back to what version 1 wrote
+ * @returns {object} Version 1 session save
+ */
+function makeVersion1Save() {
+    const session = new GameSession({ seed: 8 });
+    playRounds(session, 3);
+    session.startRound();
+
+    const save = JSON.parse(JSON.stringify(session.toJSON()));
+    save.version = 1;
+    delete save.boardLayout;
+    delete save.rng.loot;
+    delete save.rng.carousel;
+    delete save.rng.terrain;
+
+    const state = save.state;
+    state.version = 1;
+    delete state.nextUnitInstanceId;
+    delete state.itemBench;
+    delete state.draws;
+    delete state.terrain;
+    state.ownedUnits.forEach(entry => delete entry.data.items);
+
+    return save;
+}
+
+test('a version 1 save migrates through every step', () => {
+    const save = makeVersion1Save();
+    const copy = JSON.parse(JSON.stringify(save));
+    const result = migrateSessionSave(save);
+
+    assert.ok(result.success, result.error);
+    assert.strictEqual(result.fromVersion, 1);
+    assert.strictEqual(result.applied.length, (SESSION_SAVE_VERSION - 1) + (STATE_VERSION - 1));
+    assert.deepStrictEqual(save, copy, 'the input is not modified');
+
+    const { data } = result;
+    assert.strictEqual(data.version, SESSION_SAVE_VERSION);
+    assert.strictEqual(data.boardLayout, 'square');
+    assert.deepStrictEqual([data.rng.loot, data.rng.carousel, data.rng.terrain], [null, null, null]);
+    assert.strictEqual(data.state.version, STATE_VERSION);
+    assert.deepStrictEqual(data.state.itemBench, []);
+    assert.deepStrictEqual(data.state.terrain, []);
+    assert.strictEqual(data.state.draws, 0);
+
+    // The counter continues after the highest inst_N id so new units don't collide
+    const highest = Math.max(...data.state.ownedUnits.map(({ id }) => Number(id.split('_')[1])));
+    assert.strictEqual(data.state.nextUnitInstanceId, highest + 1);
+});
+
+test('a migrated save loads and keeps playing', () => {
+    const session = GameSession.fromJSON(makeVersion1Save(), { state: new GameState({ storage: createMemoryStorage() }) });
+    assert.ok(session);
+    assert.strictEqual(session.boardLayout, 'square');
+    assert.strictEqual(playRounds(session, 3, true).length, 3);
+});
+
+test('saves from a newer game are refused with a reason', () => {
+    const save = makeVersion1Save();
+    save.version = SESSION_SAVE_VERSION + 1;
+
+    const result = migrateSessionSave(save);
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /made by a newer version of the game/);
+});
+
+test('saves without a version or with unknown units are refused', () => {
+    assert.match(migrateSessionSave({}).error, /no valid version/);
+    assert.match(migrateSessionSave(null).error, /empty or not an object/);
+
+    const state = makeVersion1Save().state;
+    state.ownedUnits[0].data.unitId = 'retiredUnit';
+    assert.match(migrateStateData(state).error, /unknown unit "retiredUnit"/);
+});
@@ -0,0 +1,127 @@
+/**
+ * Overtime: stalled fights hit the time limit, take growing damage pulses with healing cut, and may draw
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { Combat, RNG, GameSession, PlayerActions, GAME_CONFIG, OVERTIME_RULES, createUnit } = core;
+
+const LIMIT_TICKS = OVERTIME_RULES.TIME_LIMIT_SECONDS * 1000 / GAME_CONFIG.COMBAT_TICK_MS;
+const PULSE_TICKS = OVERTIME_RULES.PULSE_SECONDS * 1000 / GAME_CONFIG.COMBAT_TICK_MS;
+
+/**
+ * Stone Golems that can't reach the other side: a wall of rocks fills the middle row
+ * @param {number} playerCount - Golems on the player side
+ * @param {number} enemyCount - Golems on the enemy side
+ * @returns {{combat: Combat, player: Unit[], enemy: Unit[]}} Fight ready for runSync
+ */
+function walledTanks(playerCount, enemyCount) {
+    const combat = new Combat(new RNG(5));
+    combat.setTerrain(Array.from({ length: GAME_CONFIG.BOARD_COLS }, (_, x) => ({ type: 'rock', x, y: 4 })));
+
+    const team = (count, y) => Array.from({ length: count }, (_, i) => {
+        const unit = createUnit('stoneGolem', 1);
+        unit.setPosition(i * 2, y);
+        return unit;
+    });
+    return { combat, player: team(playerCount, 1), enemy: team(enemyCount, 6) };
+}
+
+/**
+ * Events of one type in a fight's log
+ * @param {object} result - Combat result
+ * @param {string} type - Event type
+ * @returns {object[]} Events
+ */
+function eventsOf(result, type) {
+    return result.combatLog.filter(event => event.type === type);
+}
+
+test('a stalled fight goes to overtime at the time limit and its pulses grow', () => {
+    const { combat, player, enemy } = walledTanks(2, 2);
+    const result = combat.runSync(player, enemy, 100000);
+
+    assert.strictEqual(result.overtime, true);
+    const [start] = eventsOf(result, 'overtime_start');
+    assert.strictEqual(start.tick, LIMIT_TICKS + 1);
+    assert.strictEqual(start.data.healingReduction, OVERTIME_RULES.HEALING_REDUCTION);
+
+    // Nothing hurt anyone before overtime
+    const damaged = result.combatLog.filter(event => event.tick <= LIMIT_TICKS && /damage|attack/.test(event.type));
+    assert.deepStrictEqual(damaged, []);
+
+    // Every unit is hit once a pulse, on the pulse ticks, a little harder each time
+    const pulses = eventsOf(result, 'overtime_damage').filter(event => event.data.unit.id === combat.playerUnits[0].id);
+    assert.ok(pulses.length > 2);
+    pulses.forEach((event, i) => assert.strictEqual(event.tick, LIMIT_TICKS + PULSE_TICKS * (i + 1)));
+    for (let i = 1; i < pulses.length; i++) {
+        assert.ok(pulses[i].data.damage > pulses[i - 1].data.damage, `pulse ${i + 1} hits harder than pulse ${i}`);
+    }
+});
+
+test('mirrored stalled boards fall on the same pulse and draw', () => {
+    const { combat, player, enemy } = walledTanks(2, 2);
+    const result = combat.runSync(player, enemy, 100000);
+
+    assert.strictEqual(result.winner, 'draw');
+    assert.strictEqual(result.overtime, true);
+    assert.ok(result.totalTicks < 100000, 'overtime ended the fight, not maxTicks');
+    assert.strictEqual(result.damageToPlayer, 0);
+    assert.strictEqual(result.damageToEnemy, 0);
+    assert.deepStrictEqual(result.survivingPlayerUnits, []);
+    assert.deepStrictEqual(result.survivingEnemyUnits, []);
+});
+
+test('the side with more HP left wins in overtime', () => {
+    const { combat, player, enemy } = walledTanks(1, 1);
+    combat.setupCombat(player, enemy);
+    const [hurt] = combat.enemyUnits;
+    hurt.currentHp = Math.floor(hurt.maxHp / 2);
+
+    while (combat.isRunning) combat.tick();
+    const { result } = combat;
+
+    assert.strictEqual(result.overtime, true);
+    assert.strictEqual(result.winner, 'player');
+    assert.ok(result.damageToEnemy > 0);
+});
+
+test('overtime cuts healing', () => {
+    const { combat, player, enemy } = walledTanks(1, 1);
+    combat.setupCombat(player, enemy);
+    const [golem] = combat.playerUnits;
+
+    golem.currentHp -= 100;
+    assert.strictEqual(golem.heal(40), 40);
+
+    while (!combat.result.overtime) combat.tick();
+    assert.strictEqual(combat.tickCount, LIMIT_TICKS + 1);
+
+    golem.currentHp = golem.effectiveMaxHp - 100;
+    assert.strictEqual(golem.heal(40), 40 * (1 - OVERTIME_RULES.HEALING_REDUCTION));
+});
+
+test('a drawn round costs no HP and is not a loss', () => {
+    const { combat, player, enemy } = walledTanks(2, 2);
+    const draw = combat.runSync(player, enemy, 100000);
+
+    const session = new GameSession({ seed: 3 });
+    session.startRound();
+    if (session.state.isCarousel()) {
+        session.dispatch(PlayerActions.claimCarouselUnit(session.carousel.getAutoPickIndex()));
+    }
+    session.state.winStreak = 2;
+    const { hp, round } = session.state;
+    session.state.startCombat();
+
+    assert.deepStrictEqual(session.finishCombat(draw), { won: false, draw: true, damage: 0, itemId: null });
+    assert.strictEqual(session.state.hp, hp);
+    assert.strictEqual(session.state.losses, 0);
+    assert.strictEqual(session.state.draws, 1);
+    assert.strictEqual(session.state.winStreak, 0);
+    assert.strictEqual(session.state.loseStreak, 0);
+    assert.strictEqual(session.state.round, round + 1);
+    assert.ok(session.state.isPrep());
+    assert.strictEqual(session.recording.rounds.at(-1).winner, 'draw');
+});
@@ -0,0 +1,116 @@
+/**
+ * Projectiles: ranged attacks and spells land on arrival, and fizzle or retarget when their target dies
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { Combat, RNG, GAME_CONFIG, createUnit } = core;
+
+const TICK_SECONDS = GAME_CONFIG.COMBAT_TICK_MS / 1000;
+
+/**
+ * Set up a fight without running it
+ * @param {Array<[string, number, number]>} player - [unitId, x, y] per player unit
+ * @param {Array<[string, number, number]>} enemy - [unitId, x, y] per enemy unit
+ * @returns {Combat} Combat with cloned units in place
+ */
+function setup(player, enemy) {
+    const team = (entries) => entries.map(([unitId, x, y]) => {
+        const unit = createUnit(unitId, 1);
+        unit.setPosition(x, y);
+        return unit;
+    });
+
+    const combat = new Combat(new RNG(1));
+    combat.setupCombat(team(player), team(enemy), 1);
+    return combat;
+}
+
+/**
+ * Move projectiles one tick at a time until none are left in flight
+ * @param {Combat} combat - Fight in progress
+ * @returns {number} Ticks it took
+ */
+function flyAll(combat) {
+    let ticks = 0;
+    while (combat.projectiles.length > 0) {
+        combat.updateProjectiles(TICK_SECONDS);
+        ticks++;
+        assert.ok(ticks < 100, 'projectiles arrive');
+    }
+    return ticks;
+}
+
+/**
+ * Event types logged so far
+ * @param {Combat} combat - Fight in progress
+ * @returns {string[]} Types, in order
+ */
+function loggedTypes(combat) {
+    return combat.combatLog.map(event => event.type);
+}
+
+test('a ranged attack deals its damage when the projectile arrives', () => {
+    const combat = setup([['scout', 3, 1]], [['knight', 3, 4]]);
+    const [scout] = combat.playerUnits;
+    const [knight] = combat.enemyUnits;
+    const hp = knight.currentHp;
+
+    assert.strictEqual(combat.attack(scout, knight), null, 'nothing lands when fired');
+    assert.strictEqual(knight.currentHp, hp);
+    assert.strictEqual(combat.projectiles.length, 1);
+    assert.ok(!loggedTypes(combat).includes('attack'));
+
+    // Three cells at PROJECTILE_SPEED cells per second
+    const ticks = flyAll(combat);
+    assert.strictEqual(ticks, Math.ceil(3 / GAME_CONFIG.PROJECTILE_SPEED / TICK_SECONDS));
+    assert.ok(knight.currentHp < hp);
+    assert.deepStrictEqual(loggedTypes(combat).filter(type => type === 'attack'), ['attack']);
+});
+
+test('melee attacks land at once', () => {
+    const combat = setup([['knight', 3, 3]], [['squire', 3, 4]]);
+    const [knight] = combat.playerUnits;
+    const [squire] = combat.enemyUnits;
+    const hp = squire.currentHp;
+
+    assert.ok(combat.attack(knight, squire));
+    assert.ok(squire.currentHp < hp);
+    assert.strictEqual(combat.projectiles.length, 0);
+});
+
+test('an attack fizzles when its target dies in flight', () => {
+    const combat = setup([['scout', 3, 1]], [['knight', 3, 4], ['knight', 4, 4]]);
+    const [scout] = combat.playerUnits;
+    const [target, other] = combat.enemyUnits;
+    const otherHp = other.currentHp;
+
+    combat.attack(scout, target);
+    combat.dealDamage(null, target, 100000, 'true');
+    flyAll(combat);
+
+    assert.ok(loggedTypes(combat).includes('projectile_fizzle'));
+    assert.ok(!loggedTypes(combat).includes('attack'));
+    assert.strictEqual(other.currentHp, otherHp);
+});
+
+test('a retargeting spell flies on to the nearest enemy when its target dies', () => {
+    const combat = setup([['marksman', 3, 0]], [['knight', 3, 4], ['knight', 5, 4]]);
+    const [marksman] = combat.playerUnits;
+    const [target, other] = combat.enemyUnits;
+    const otherHp = other.currentHp;
+
+    combat.castAbility(marksman, target);
+    assert.strictEqual(other.currentHp, otherHp, 'nothing lands when cast');
+
+    combat.dealDamage(null, target, 100000, 'true');
+    flyAll(combat);
+
+    const retarget = combat.combatLog.find(event => event.type === 'projectile_retarget');
+    assert.ok(retarget);
+    assert.strictEqual(retarget.data.from.id, target.id);
+    assert.strictEqual(retarget.data.to.id, other.id);
+    assert.ok(other.currentHp < otherHp);
+    assert.ok(!loggedTypes(combat).includes('projectile_fizzle'));
+});
@@ -0,0 +1,82 @@
+/**
+ * Recording files: current versions round-trip; other versions are refused with a reason
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core, playRounds } = require('./helpers.js');
+const { GameSession, GameRecording, GameState, CombatReplay, createMemoryStorage, RECORDING_VERSION, REPLAY_VERSION } = core;
+
+/**
+ * Play a short game and return it
+ * @returns {GameSession} Session after a few rounds
+ */
+function playShortGame() {
+    const session = new GameSession({ seed: 4 });
+    playRounds(session, 3);
+    return session;
+}
+
+test('a current recording replays to the same game', () => {
+    const session = playShortGame();
+    const { session: replayed, errors } = GameSession.replay(JSON.stringify(session.recording.toJSON()));
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(replayed.state.hp, session.state.hp);
+    assert.strictEqual(replayed.state.round, session.state.round);
+});
+
+test('recordings from older builds are refused with the version they need', () => {
+    const data = playShortGame().recording.toJSON();
+    data.version = RECORDING_VERSION - 1;
+
+    const loaded = GameRecording.load(data);
+    assert.strictEqual(loaded.success, false);
+    assert.match(loaded.error, new RegExp(`version ${RECORDING_VERSION - 1}, made by an older version of the game`));
+    assert.match(loaded.error, new RegExp(`build that reads version ${RECORDING_VERSION - 1}`));
+
+    const { session, errors } = GameSession.replay(data);
+    assert.strictEqual(session, null);
+    assert.deepStrictEqual(errors, [loaded.error]);
+});
+
+test('recordings from newer builds and broken files are refused with a reason', (t) => {
+    const data = playShortGame().recording.toJSON();
+    data.version = RECORDING_VERSION + 1;
+    assert.match(GameRecording.load(data).error, /made by a newer version of the game/);
+
+    assert.match(GameRecording.load('{not json').error, /not valid JSON/);
+    assert.match(GameRecording.load({ seed: 1, rounds: [] }).error, /no valid version/);
+    assert.match(GameRecording.load({ version: RECORDING_VERSION, seed: 1 }).error, /no rounds/);
+
+    const logged = t.mock.method(console, 'error', () => {});
+    assert.strictEqual(GameRecording.fromJSON({ version: 1, rounds: [] }), null);
+    assert.match(logged.mock.calls[0].arguments[0], /Cannot load game recording: Game recording is version 1/);
+});
+
+test('a save whose recording is from an older build still loads', () => {
+    const original = playShortGame();
+    original.startRound();
+
+    const saved = JSON.parse(JSON.stringify(original.toJSON()));
+    saved.recording.version = RECORDING_VERSION - 1;
+
+    const loaded = GameSession.fromJSON(saved, { state: new GameState({ storage: createMemoryStorage() }) });
+    assert.ok(loaded);
+    assert.strictEqual(loaded.state.round, original.state.round);
+    assert.deepStrictEqual(loaded.recording.rounds, []);
+});
+
+test('combat replays from other versions are refused and the reason is logged', (t) => {
+    const session = playShortGame();
+    const data = session.combat.replay.toJSON();
+    assert.ok(CombatReplay.fromJSON(data));
+
+    const logged = t.mock.method(console, 'error', () => {});
+    assert.strictEqual(CombatReplay.fromJSON({ ...data, version: REPLAY_VERSION - 1 }), null);
+    assert.strictEqual(CombatReplay.fromJSON(null), null);
+
+    const messages = logged.mock.calls.map(call => call.arguments[0]);
+    assert.match(messages[0], new RegExp(`Combat replay is version ${REPLAY_VERSION - 1}, made by an older version of the game`));
+    assert.match(messages[1], /empty or not an object/);
+});
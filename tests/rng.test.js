@@ -0,0 +1,59 @@
+/**
+ * Seeded RNG: same seed, same stream; forks are independent of their parent's draws
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { RNG, GameSession, PlayerActions } = core;
+
+const draw = (rng, count = 20) => Array.from({ length: count }, () => rng.next());
+
+test('the same seed gives the same stream', () => {
+    assert.deepStrictEqual(draw(new RNG(1234)), draw(new RNG(1234)));
+    assert.notDeepStrictEqual(draw(new RNG(1234)), draw(new RNG(1235)));
+});
+
+test('numeric strings mean the same seed as the number', () => {
+    assert.deepStrictEqual(draw(new RNG('1234')), draw(new RNG(1234)));
+});
+
+test('a fork depends only on the parent seed and label', () => {
+    const parent = new RNG(7);
+    const early = draw(parent.fork('shop'));
+
+    // Drawing from the parent must not move its forks
+    draw(parent, 100);
+    assert.deepStrictEqual(draw(parent.fork('shop')), early);
+
+    assert.deepStrictEqual(draw(new RNG(7).fork('shop')), early);
+    assert.notDeepStrictEqual(draw(parent.fork('combat')), early);
+});
+
+test('getState/setState resumes the exact stream', () => {
+    const rng = new RNG(99);
+    draw(rng, 5);
+    const state = rng.getState();
+    const expected = draw(rng);
+
+    rng.setState(state);
+    assert.deepStrictEqual(draw(rng), expected);
+});
+
+test('shop rerolls do not change enemy boards', () => {
+    const enemies = (rerolls) => {
+        const session = new GameSession({ seed: 5 });
+        const boards = [];
+        for (let round = 0; round < 3; round++) {
+            session.startRound();
+            for (let i = 0; i < rerolls; i++) {
+                session.dispatch(PlayerActions.reroll());
+            }
+            boards.push(session.currentEnemyUnits.map(unit => `${unit.templateId}@${unit.x},${unit.y}`).join(' '));
+            session.runCombat();
+        }
+        return boards;
+    };
+
+    assert.deepStrictEqual(enemies(2), enemies(0));
+});
@@ -0,0 +1,51 @@
+/**
+ * Game sessions: a saved game resumes exactly where it left off
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core, playRounds } = require('./helpers.js');
+const { GameSession, GameState, PlayerActions, createMemoryStorage, BOARD_LAYOUTS } = core;
+
+/**
+ * Save a session mid-prep and load the save into a fresh state
+ * @param {GameSession} session - Session to save
+ * @returns {GameSession} Loaded copy
+ */
+function saveAndLoad(session) {
+    const saved = JSON.parse(JSON.stringify(session.toJSON()));
+    const loaded = GameSession.fromJSON(saved, { state: new GameState({ storage: createMemoryStorage() }) });
+    assert.ok(loaded, 'save loads');
+    return loaded;
+}
+
+test('a loaded save plays the next rounds exactly like the original game', () => {
+    for (const boardLayout of Object.values(BOARD_LAYOUTS)) {
+        for (let seed = 1; seed <= 8; seed++) {
+            for (const savedAfter of [2, 6]) {
+                const label = `${boardLayout} seed ${seed} saved after round ${savedAfter}`;
+                const original = new GameSession({ seed, boardLayout });
+                playRounds(original, savedAfter);
+                if (original.state.isGameOver()) continue;
+
+                // Save in the middle of the next prep phase (the game only saves in prep), after a purchase
+                original.startRound();
+                if (original.state.isCarousel()) {
+                    original.dispatch(PlayerActions.claimCarouselUnit(original.carousel.getAutoPickIndex()));
+                }
+                assert.ok(original.state.isPrep(), label);
+                original.dispatch(PlayerActions.buyUnit(0));
+                const loaded = saveAndLoad(original);
+
+                assert.deepStrictEqual(loaded.shop.offers, original.shop.offers, label);
+                assert.strictEqual(loaded.state.hp, original.state.hp, label);
+                assert.strictEqual(loaded.state.gold, original.state.gold, label);
+
+                // Winners, fight lengths, HP and shop rolls round by round
+                const expected = playRounds(original, 8, true);
+                assert.deepStrictEqual(playRounds(loaded, 8, true), expected, label);
+                assert.strictEqual(loaded.state.round, original.state.round, label);
+            }
+        }
+    }
+});
@@ -0,0 +1,153 @@
+/**
+ * Status effects: each stacking rule combines repeat applications as documented
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { StatusEffectList, STATUS_EFFECTS, GAME_CONFIG } = core;
+
+const TICK = GAME_CONFIG.COMBAT_TICK_MS / 1000;
+
+/**
+ * Advance a list tick by tick, the way combat does
+ * @param {StatusEffectList} list - Effects to advance
+ * @param {number} seconds - Game time to advance
+ * @returns {object[]} Damage-over-time ticks collected
+ */
+function advance(list, seconds) {
+    const ticks = [];
+    for (let i = 0; i < Math.round(seconds / TICK); i++) {
+        ticks.push(...list.update(TICK));
+    }
+    return ticks;
+}
+
+test('refresh keeps one copy with the strongest value and longest time', () => {
+    const list = new StatusEffectList();
+    list.apply('slow', { value: 0.3, duration: 4 });
+    list.apply('slow', { value: 0.5, duration: 1 });
+
+    assert.strictEqual(list.effects.length, 1);
+    assert.strictEqual(list.get('slow').value, 0.5);
+    assert.strictEqual(list.get('slow').remaining, 4);
+});
+
+test('stack adds stacks up to the cap and restarts the timer', () => {
+    const list = new StatusEffectList();
+    for (let i = 0; i < STATUS_EFFECTS.armorShred.maxStacks + 2; i++) {
+        list.apply('armorShred', { value: 5, duration: 3 });
+        advance(list, 1);
+    }
+
+    const shred = list.get('armorShred');
+    assert.strictEqual(list.effects.length, 1);
+    assert.strictEqual(shred.stacks, STATUS_EFFECTS.armorShred.maxStacks);
+    assert.ok(Math.abs(shred.remaining - 2) < 1e-6);
+    assert.strictEqual(list.getStatModifier('armorBonus'), -5 * STATUS_EFFECTS.armorShred.maxStacks);
+});
+
+test('replace swaps the old copy for the new one', () => {
+    const list = new StatusEffectList();
+    list.apply('taunt', { duration: 3, source: 'first' });
+    list.apply('taunt', { duration: 1, source: 'second' });
+
+    assert.strictEqual(list.effects.length, 1);
+    assert.strictEqual(list.get('taunt').source, 'second');
+    assert.strictEqual(list.get('taunt').remaining, 1);
+});
+
+test('independent copies keep their own timers and values', () => {
+    const list = new StatusEffectList();
+    list.apply('shield', { value: 100, duration: 1 });
+    list.apply('shield', { value: 50, duration: 3 });
+    assert.strictEqual(list.shield, 150);
+
+    // Oldest shield soaks first
+    assert.strictEqual(list.absorb(120), 120);
+    assert.strictEqual(list.shield, 30);
+
+    list.apply('shield', { value: 40, duration: 1 });
+    advance(list, 1);
+    assert.strictEqual(list.shield, 30);
+});
+
+test('effects last exactly their duration in ticks', () => {
+    // 1s and 5s come out just above zero after adding up 0.1s ticks
+    for (const duration of [1, 2, 3, 4, 5]) {
+        const list = new StatusEffectList();
+        list.apply('stun', { duration });
+
+        let ticks = 0;
+        while (list.has('stun')) {
+            list.update(TICK);
+            ticks++;
+        }
+        assert.strictEqual(ticks, Math.round(duration / TICK), `${duration}s stun`);
+    }
+});
+
+test('damage over time ticks once per second for whole durations', () => {
+    for (const duration of [1, 3, 5]) {
+        const list = new StatusEffectList();
+        list.apply('burn', { value: 20, duration });
+
+        const ticks = advance(list, duration);
+        assert.deepStrictEqual(ticks.map(tick => tick.amount), Array(duration).fill(20), `${duration}s burn`);
+        assert.strictEqual(list.has('burn'), false, `${duration}s burn expired`);
+    }
+});
+
+test('poison damage scales with stacks', () => {
+    const list = new StatusEffectList();
+    list.apply('poison', { value: 10, duration: 5 });
+    list.apply('poison', { value: 10, duration: 5 });
+
+    const [tick] = advance(list, 1);
+    assert.deepStrictEqual(tick, { type: 'poison', amount: 20, damageType: 'true', source: null });
+});
+
+test('effects without a duration last the rest of the fight; unknown types are ignored', () => {
+    const list = new StatusEffectList();
+    list.apply('buff', { value: 10, stat: 'attackBonus' });
+    advance(list, 60);
+    assert.strictEqual(list.getStatModifier('attackBonus'), 10);
+
+    assert.strictEqual(list.apply('frozen', { duration: 1 }), null);
+    assert.ok(list.removeType('buff'));
+    assert.strictEqual(list.effects.length, 0);
+});
+
+test('a status ability effect applies through combat: poison ticks and taunt redirects', () => {
+    const { Combat, RNG, createUnit, executeAbility } = core;
+    const placed = (unitId, x, y) => {
+        const unit = createUnit(unitId);
+        unit.setPosition(x, y);
+        return unit;
+    };
+
+    const combat = new Combat(new RNG(1));
+    combat.setupCombat([placed('knight', 3, 3), placed('squire', 0, 3)], [placed('squire', 3, 4), placed('squire', 7, 7)]);
+    const [caster, bystander] = combat.playerUnits;
+    const [near, far] = combat.enemyUnits;
+
+    // Fixture ability: no unit in data.js needs to carry these statuses
+    const ability = {
+        name: 'Test Venom',
+        effects: [
+            { type: 'status', target: 'target', status: 'poison', value: 30, duration: 2 },
+            { type: 'status', target: 'enemiesNearSelf', radius: 1, status: 'taunt', duration: 2 }
+        ]
+    };
+    executeAbility(combat, caster, near, ability);
+
+    assert.strictEqual(near.statusEffects.get('poison').value, 30);
+    assert.strictEqual(near.tauntedBy, caster);
+    assert.strictEqual(far.statusEffects.has('taunt'), false);
+    assert.strictEqual(bystander.statusEffects.has('taunt'), false);
+
+    const poisonTicks = () => combat.combatLog.filter(event => event.type === 'status_damage' && event.data.effect === 'poison').length;
+    for (let i = 0; i < 10; i++) combat.tick();
+    assert.strictEqual(poisonTicks(), 1);
+    assert.strictEqual(near.target, caster);
+});
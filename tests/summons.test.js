@@ -0,0 +1,68 @@
+/**
+ * Summons: they fight, expire after their lifetime and are gone when the fight ends
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { Combat, RNG, createUnit } = core;
+
+/**
+ * Place a unit for a fight
+ * @param {string} unitId - Key of UNITS or SUMMONS
+ * @param {number} star - Star level
+ * @param {number} x - Arena column
+ * @param {number} y - Arena row
+ * @returns {Unit} Positioned unit
+ */
+function placed(unitId, star, x, y) {
+    const unit = createUnit(unitId, star);
+    unit.setPosition(x, y);
+    return unit;
+}
+
+test('summons are removed when the fight ends and add no damage', () => {
+    const combat = new Combat(new RNG(1));
+    const player = [placed('necromancer', 2, 3, 0), placed('knight', 2, 3, 2)];
+    const result = combat.runSync(player, [placed('stoneGolem', 1, 3, 7)], 100000);
+
+    const summoned = result.combatLog.filter(event => event.type === 'ability_summon');
+    assert.ok(summoned.length > 0, 'the necromancer raised skeletons');
+    assert.strictEqual(result.winner, 'player');
+
+    for (const units of [combat.playerUnits, combat.enemyUnits, result.survivingPlayerUnits, result.survivingEnemyUnits]) {
+        assert.ok(units.every(unit => !unit.isSummon));
+    }
+    assert.deepStrictEqual(result.survivingPlayerUnits.map(unit => unit.templateId), ['necromancer', 'knight']);
+    assert.strictEqual(result.damageToEnemy, 2 + 2 + 2); // Base damage plus two 2-star survivors; skeletons add nothing
+
+    // The replay still shows them
+    assert.strictEqual(combat.replay.units.filter(unit => unit.spawnTick !== undefined).length, summoned.length);
+});
+
+test('summons from one fight never carry into the next', () => {
+    const combat = new Combat(new RNG(1));
+    combat.runSync([placed('necromancer', 2, 3, 0), placed('knight', 2, 3, 2)], [placed('stoneGolem', 1, 3, 7)], 100000);
+
+    combat.setupCombat([placed('squire', 1, 3, 0)], [placed('squire', 1, 3, 7)]);
+    assert.strictEqual(combat.playerUnits.length, 1);
+    assert.strictEqual(combat.occupiedPositions.size, 2);
+});
+
+test('summons expire after their lifetime without crediting a kill', () => {
+    const combat = new Combat(new RNG(1));
+    combat.setupCombat([placed('squire', 1, 0, 0)], [placed('squire', 1, 7, 7)]);
+
+    const skeleton = placed('skeleton', 1, 3, 0);
+    skeleton.lifetime = 1;
+    combat.addUnit(skeleton, 'player');
+
+    for (let i = 0; i < 10; i++) combat.tick();
+    assert.strictEqual(skeleton.isAlive, false);
+
+    const expired = combat.combatLog.filter(event => event.type === 'summon_expire');
+    assert.deepStrictEqual(expired.map(event => event.data.unit.id), [skeleton.id]);
+
+    const death = combat.combatLog.find(event => event.type === 'unit_death' && event.data.unit.id === skeleton.id);
+    assert.strictEqual(death.data.killer, null);
+});
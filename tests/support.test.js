@@ -0,0 +1,159 @@
+/**
+ * Support units: heals find the lowest HP ally, cleanses lift stun and slow, and the Support trait and AI use them
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { Combat, RNG, TRAITS, UNITS, OVERTIME_RULES, TraitSystem, createAI, createUnit, executeAbility } = core;
+
+/**
+ * Set up a fight without running it
+ * @param {Array<[string, number, number]>} player - [unitId, x, y] per player unit
+ * @param {Array<[string, number, number]>} enemy - [unitId, x, y] per enemy unit
+ * @returns {Combat} Combat with cloned units in place
+ */
+function setup(player, enemy = [['squire', 3, 7]]) {
+    const team = (entries) => entries.map(([unitId, x, y]) => {
+        const unit = createUnit(unitId, 1);
+        unit.setPosition(x, y);
+        return unit;
+    });
+
+    const combat = new Combat(new RNG(1));
+    combat.setupCombat(team(player), team(enemy), 1);
+    return combat;
+}
+
+/**
+ * Ids of the units an ability event landed on
+ * @param {Combat} combat - Fight in progress
+ * @param {string} type - Event type
+ * @returns {string[]} Target ids
+ */
+function targetsOf(combat, type) {
+    return combat.combatLog.filter(event => event.type === type).map(event => event.data.target.id);
+}
+
+test('Mend heals the ally with the lowest share of its HP', () => {
+    const combat = setup([['acolyte', 3, 0], ['knight', 2, 3], ['scout', 4, 2]]);
+    const [acolyte, knight, scout] = combat.playerUnits;
+    knight.currentHp = Math.floor(knight.maxHp * 0.2); // 150 HP, 20%
+    scout.currentHp = Math.floor(scout.maxHp * 0.3);   // 135 HP, 30%
+    const [knightHp, scoutHp] = [knight.currentHp, scout.currentHp];
+
+    executeAbility(combat, acolyte, null);
+
+    assert.deepStrictEqual(targetsOf(combat, 'ability_heal'), [knight.id]);
+    assert.strictEqual(knight.currentHp, knightHp + UNITS.acolyte.ability.effects[0].amount);
+    assert.strictEqual(scout.currentHp, scoutHp);
+});
+
+test('overtime cuts healing from support abilities', () => {
+    const combat = setup([['acolyte', 3, 0], ['knight', 2, 3]]);
+    const [acolyte, knight] = combat.playerUnits;
+    const amount = UNITS.acolyte.ability.effects[0].amount;
+
+    knight.currentHp = 100;
+    combat.applyOvertimeWounds(knight);
+    executeAbility(combat, acolyte, null);
+
+    assert.strictEqual(knight.currentHp, 100 + Math.floor(amount * (1 - OVERTIME_RULES.HEALING_REDUCTION)));
+    assert.strictEqual(combat.stats.get(acolyte).healing, knight.currentHp - 100);
+});
+
+test('Purify lifts stun and slow from nearby allies but leaves other statuses', () => {
+    const combat = setup([['cleric', 3, 2], ['knight', 3, 3], ['scout', 0, 0]]);
+    const [cleric, knight, scout] = combat.playerUnits;
+    for (const unit of [knight, scout]) {
+        unit.applyStatus('stun', { duration: 2 });
+        unit.applyStatus('slow', { value: 0.3, duration: 3 });
+        unit.applyStatus('burn', { value: 10, duration: 3 });
+    }
+
+    executeAbility(combat, cleric, null);
+
+    assert.ok(!knight.statusEffects.has('stun') && !knight.statusEffects.has('slow'));
+    assert.ok(knight.statusEffects.has('burn'));
+    assert.ok(knight.canAct);
+    const cleanse = combat.combatLog.find(event => event.type === 'ability_cleanse');
+    assert.deepStrictEqual([cleanse.data.target.id, cleanse.data.statuses], [knight.id, ['stun', 'slow']]);
+
+    // Out of the cleanse radius
+    assert.ok(scout.statusEffects.has('stun') && scout.statusEffects.has('slow'));
+});
+
+test('the Support trait turns on at 2 and 4 supports', () => {
+    const board = (unitIds) => unitIds.map((unitId, i) => {
+        const unit = createUnit(unitId, 1);
+        unit.setPosition(i, 0);
+        return unit;
+    });
+    const traits = new TraitSystem();
+
+    for (const [unitIds, threshold] of [
+        [['acolyte'], null],
+        [['acolyte', 'cleric'], 2],
+        [['acolyte', 'cleric', 'oracle'], 2],
+        [['acolyte', 'cleric', 'oracle', 'acolyte'], 4]
+    ]) {
+        const units = board(unitIds);
+        traits.calculateTraits(units);
+        traits.applyBonuses(units);
+        const support = traits.getActiveTraits().get('support');
+
+        if (threshold === null) {
+            assert.strictEqual(support, undefined);
+            assert.strictEqual(units[0].buffs.manaRegen, 0);
+            continue;
+        }
+        assert.deepStrictEqual([support.threshold, support.bonus], [threshold, TRAITS.support.bonuses[threshold]], unitIds.join());
+        for (const unit of units) {
+            assert.strictEqual(unit.buffs.manaRegen, TRAITS.support.bonuses[threshold].manaRegen);
+        }
+    }
+});
+
+test('with the Support trait active, every cast mends the whole team', () => {
+    const combat = setup([['acolyte', 3, 0], ['cleric', 2, 1], ['knight', 2, 3]]);
+    const [acolyte, cleric, knight] = combat.playerUnits;
+    const [enemy] = combat.enemyUnits;
+    for (const unit of [acolyte, cleric, knight]) unit.currentHp -= 100;
+    const clericHp = cleric.currentHp;
+
+    combat.castAbility(acolyte, enemy);
+
+    const aura = TRAITS.support.triggers[2][0];
+    assert.ok(combat.combatLog.some(event => event.type === 'trigger' && event.data.trigger === aura.name));
+    assert.strictEqual(cleric.currentHp, clericHp + aura.effects[0].amount);
+    const mended = combat.combatLog.filter(event => event.type === 'ability_heal' && event.data.ability === aura.name);
+    assert.deepStrictEqual(mended.map(event => event.data.target.id).sort(), [acolyte.id, cleric.id, knight.id].sort());
+});
+
+test('AI boards of four or more units can bring one support', (t) => {
+    const supports = Object.keys(UNITS).filter(unitId => UNITS[unitId].traits.includes('support'));
+    const ai = createAI(new RNG(1));
+    t.mock.method(ai.rng, 'chance', () => true);
+
+    const units = [createUnit('knight', 1), createUnit('scout', 1)];
+    ai.addSupport(units, 5, 2, () => 1);
+    assert.strictEqual(units.length, 3);
+    assert.ok(supports.includes(units[2].templateId));
+    assert.ok(UNITS[units[2].templateId].cost <= 2);
+
+    // Only one, and never on small boards
+    ai.addSupport(units, 5, 2, () => 1);
+    assert.strictEqual(units.length, 3);
+    const small = [createUnit('knight', 1)];
+    ai.addSupport(small, 3, 2, () => 1);
+    assert.strictEqual(small.length, 1);
+
+    // Generated mid and late game boards field them
+    t.mock.restoreAll();
+    const fielded = [];
+    for (let seed = 1; seed <= 20; seed++) {
+        const board = createAI(new RNG(seed)).generateBoard(12);
+        fielded.push(board.filter(unit => unit.traits.includes('support')).length);
+    }
+    assert.ok(fielded.some(count => count > 0));
+});
@@ -0,0 +1,27 @@
+/**
+ * Targeting policies: GAME_CONFIG defaults, overridden per trait and then per unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { UNITS, GAME_CONFIG, getTargetingPolicy } = core;
+
+test('units whose traits set nothing use the plain defaults', () => {
+    assert.strictEqual(GAME_CONFIG.DEFAULT_TARGETING, 'nearest');
+    assert.strictEqual(GAME_CONFIG.DEFAULT_RETARGET, 'never');
+    assert.deepStrictEqual(getTargetingPolicy(UNITS.apprentice), { targeting: 'nearest', retarget: 'never', drawsAggro: false });
+});
+
+test('traits set the policies that need them', () => {
+    assert.deepStrictEqual(getTargetingPolicy(UNITS.squire), { targeting: 'respectAggro', retarget: 'never', drawsAggro: false });
+    assert.deepStrictEqual(getTargetingPolicy(UNITS.scout), { targeting: 'nearest', retarget: 'closerInRange', drawsAggro: false });
+    assert.deepStrictEqual(getTargetingPolicy(UNITS.cutthroat), { targeting: 'farthest', retarget: 'never', drawsAggro: false });
+    assert.strictEqual(getTargetingPolicy(UNITS.knight).drawsAggro, true);
+});
+
+test('unit fields win over their traits', () => {
+    assert.strictEqual(getTargetingPolicy(UNITS.marksman).targeting, 'lowestHp');
+    assert.strictEqual(getTargetingPolicy(UNITS.marksman).retarget, 'closerInRange');
+    assert.strictEqual(getTargetingPolicy(UNITS.bladeMaster).targeting, 'farthest');
+});
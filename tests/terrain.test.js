@@ -0,0 +1,63 @@
+/**
+ * Terrain: blocking tiles refuse placement and no unit ever walks onto one
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { GameSession, Combat, RNG, TerrainMap, PlayerActions, createUnit, findPath, sideToArena, getBoardTopology, BOARD_LAYOUTS, GAME_CONFIG } = core;
+
+test('units cannot be placed on a blocked cell', () => {
+    const session = new GameSession({ seed: 2 });
+    session.startRound();
+    session.dispatch(PlayerActions.buyUnit(0));
+    const [unit] = session.state.getUnitsOnBench();
+
+    const rock = sideToArena('player', { x: 2, y: 1 });
+    session.state.setTerrain([{ type: 'rock', x: rock.x, y: rock.y }]);
+
+    assert.deepStrictEqual(session.dispatch(PlayerActions.moveToBoard(unit.id, 1, 2)), { success: false, error: 'That cell is blocked by terrain' });
+    assert.strictEqual(session.state.placeUnitOnBoard(unit, 1, 2), false);
+    assert.ok(session.dispatch(PlayerActions.moveToBoard(unit.id, 1, 3)).success);
+});
+
+test('paths go around blocked cells', () => {
+    const terrain = new TerrainMap([{ type: 'rock', x: 1, y: 0 }, { type: 'rock', x: 1, y: 1 }]);
+    const path = findPath({ x: 0, y: 0 }, { x: 2, y: 0 }, { range: 0, isBlocked: (x, y) => terrain.isBlocked(x, y) });
+
+    assert.ok(path.length > 0);
+    assert.deepStrictEqual(path.at(-1), { x: 2, y: 0 });
+    assert.ok(path.every(cell => !terrain.isBlocked(cell.x, cell.y)));
+});
+
+test('no unit steps onto a rock during a fight', () => {
+    for (const layout of Object.values(BOARD_LAYOUTS)) {
+        // A wall across the middle with a gap at each edge
+        const rocks = [];
+        for (let x = 1; x < GAME_CONFIG.BOARD_COLS - 1; x++) {
+            rocks.push({ type: 'rock', x, y: 4 });
+        }
+
+        const combat = new Combat(new RNG(3), getBoardTopology(layout));
+        combat.setTerrain(rocks);
+
+        const team = (positions) => positions.map(([x, y]) => {
+            const unit = createUnit('squire');
+            unit.setPosition(x, y);
+            return unit;
+        });
+        combat.setupCombat(team([[3, 3], [4, 3]]), team([[3, 6], [4, 6]]));
+
+        let crossed = false;
+        while (combat.isRunning && combat.tickCount < 2000) {
+            combat.tick();
+            for (const unit of [...combat.playerUnits, ...combat.enemyUnits]) {
+                assert.strictEqual(combat.terrain.isBlocked(unit.x, unit.y), false, `${layout}: ${unit.id} on a rock at ${unit.x},${unit.y}`);
+                if (unit.y === 4) crossed = true;
+            }
+        }
+
+        assert.ok(crossed, `${layout}: units walked through the gaps`);
+        assert.notStrictEqual(combat.result.winner, 'draw');
+    }
+});
@@ -0,0 +1,188 @@
+/**
+ * Combat triggers: death and kill events, HP thresholds and trait/item/ability subscriptions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { Combat, RNG, TRAITS, createUnit } = core;
+
+/**
+ * Place a unit for a fight
+ * @param {string} unitId - Key of UNITS
+ * @param {number} x - Arena column
+ * @param {number} y - Arena row
+ * @param {string[]} items - Equipped item ids
+ * @returns {Unit} Positioned unit
+ */
+function placed(unitId, x, y, items = []) {
+    const unit = createUnit(unitId, 1);
+    unit.setPosition(x, y);
+    unit.items = [...items];
+    return unit;
+}
+
+/**
+ * Set up a fight without running it
+ * @param {Unit[]} player - Player units
+ * @param {Unit[]} enemy - Enemy units
+ * @returns {Combat} Combat with cloned units in place
+ */
+function setup(player, enemy) {
+    const combat = new Combat(new RNG(1));
+    combat.setupCombat(player, enemy, 1);
+    return combat;
+}
+
+/**
+ * Kill a unit with a blow from another and let the triggers react
+ * @param {Combat} combat - Fight in progress
+ * @param {Unit} killer - Unit credited with the kill
+ * @param {Unit} victim - Unit to kill
+ */
+function kill(combat, killer, victim) {
+    combat.dealDamage(killer, victim, 100000, 'true');
+    combat.triggers.checkUnits();
+}
+
+/**
+ * Events of one type logged so far
+ * @param {Combat} combat - Fight in progress
+ * @param {string} type - Event type
+ * @returns {object[]} Event data
+ */
+function logged(combat, type) {
+    return combat.combatLog.filter(event => event.type === type).map(event => event.data);
+}
+
+test('the Elemental Burst deals the tier magic damage', () => {
+    for (const threshold of [2, 4]) {
+        const [burst] = TRAITS.elemental.triggers[threshold][0].effects;
+        assert.strictEqual(burst.amount, TRAITS.elemental.bonuses[threshold].magicDamage);
+    }
+});
+
+test('an elemental bursts on death and hurts only adjacent enemies', () => {
+    const combat = setup(
+        [placed('pyromancer', 3, 3), placed('stoneGolem', 0, 0)],
+        [placed('knight', 3, 4), placed('knight', 3, 6)]
+    );
+    const [pyromancer] = combat.playerUnits;
+    const [near, far] = combat.enemyUnits;
+    const nearHp = near.currentHp;
+    const farHp = far.currentHp;
+
+    kill(combat, near, pyromancer);
+
+    assert.deepStrictEqual(logged(combat, 'trigger').map(data => [data.unit.id, data.source, data.trigger, data.event]),
+        [[pyromancer.id, 'Elemental', 'Elemental Burst', 'death']]);
+    assert.deepStrictEqual(logged(combat, 'unit_death').map(data => [data.unit.id, data.killer.id]), [[pyromancer.id, near.id]]);
+    assert.ok(near.currentHp < nearHp);
+    assert.strictEqual(far.currentHp, farHp);
+
+    // A death is only handled once
+    combat.triggers.checkUnits();
+    assert.strictEqual(logged(combat, 'trigger').length, 1);
+    assert.strictEqual(logged(combat, 'unit_death').length, 1);
+});
+
+test('a lone elemental has no burst (the trait is inactive)', () => {
+    const combat = setup([placed('pyromancer', 3, 3)], [placed('knight', 3, 4)]);
+    const [pyromancer] = combat.playerUnits;
+    const [knight] = combat.enemyUnits;
+    const hp = knight.currentHp;
+
+    kill(combat, knight, pyromancer);
+
+    assert.strictEqual(logged(combat, 'trigger').length, 0);
+    assert.strictEqual(knight.currentHp, hp);
+});
+
+test('kill triggers run on the killer', () => {
+    const combat = setup([placed('knight', 3, 3, ['deathblade'])], [placed('scout', 3, 4), placed('scout', 5, 5)]);
+    const [knight] = combat.playerUnits;
+    const [first, second] = combat.enemyUnits;
+    const attack = knight.attack;
+
+    kill(combat, knight, first);
+    assert.strictEqual(knight.attack, attack + 15);
+    assert.deepStrictEqual(logged(combat, 'trigger').map(data => [data.source, data.event]), [['Deathblade', 'kill']]);
+
+    kill(combat, knight, second);
+    assert.strictEqual(knight.attack, attack + 30);
+});
+
+test('an HP threshold trigger fires once per fight', () => {
+    const combat = setup([placed('knight', 3, 3, ['bulwark'])], [placed('scout', 3, 4)]);
+    const [knight] = combat.playerUnits;
+    const [scout] = combat.enemyUnits;
+
+    combat.dealDamage(scout, knight, 1, 'true');
+    combat.triggers.checkUnits();
+    assert.strictEqual(logged(combat, 'trigger').length, 0, 'still above 40% HP');
+
+    knight.currentHp = Math.floor(knight.effectiveMaxHp * 0.4);
+    combat.triggers.checkUnits();
+    assert.deepStrictEqual(logged(combat, 'trigger').map(data => [data.source, data.trigger, data.event]),
+        [['Bulwark', 'Last Stand', 'hpThreshold']]);
+    assert.ok(knight.statusEffects.has('shield'));
+
+    // Healing back up and dropping again doesn't fire it twice
+    knight.currentHp = knight.effectiveMaxHp;
+    combat.triggers.checkUnits();
+    knight.currentHp = 1;
+    combat.triggers.checkUnits();
+    assert.strictEqual(logged(combat, 'trigger').length, 1);
+});
+
+test('ability triggers subscribe the caster', () => {
+    const knight = placed('knight', 3, 3);
+    knight.ability = {
+        ...knight.ability,
+        triggers: [{ on: 'hit', name: 'Spite', effects: [{ type: 'damage', target: 'target', amount: 10, damageType: 'true' }] }]
+    };
+    const combat = setup([knight], [placed('scout', 3, 4)]);
+    const [fighter] = combat.playerUnits;
+    const [scout] = combat.enemyUnits;
+    const hp = scout.currentHp;
+    fighter.ability = knight.ability;
+    combat.triggers.registerUnits([fighter]);
+
+    combat.triggers.emit('hit', { unit: fighter, target: scout });
+
+    assert.deepStrictEqual(logged(combat, 'trigger').map(data => [data.source, data.trigger]), [[knight.ability.name, 'Spite']]);
+    assert.strictEqual(scout.currentHp, hp - 10);
+});
+
+test('code handlers see every event before data triggers run', () => {
+    const combat = setup([placed('knight', 3, 3)], [placed('scout', 3, 4)]);
+    const [knight] = combat.playerUnits;
+    const [scout] = combat.enemyUnits;
+    const seen = [];
+    combat.triggers.on('death', data => seen.push(['death', data.unit.id, data.target.id]));
+    combat.triggers.on('kill', data => seen.push(['kill', data.unit.id, data.target.id]));
+
+    kill(combat, knight, scout);
+
+    assert.deepStrictEqual(seen, [['death', scout.id, knight.id], ['kill', knight.id, scout.id]]);
+});
+
+test('a burst that kills another elemental sets off its burst too', () => {
+    const combat = setup(
+        [placed('pyromancer', 3, 3), placed('stoneGolem', 0, 0), placed('knight', 4, 4)],
+        [placed('pyromancer', 3, 4), placed('stoneGolem', 7, 7), placed('knight', 0, 6)]
+    );
+    const [playerPyromancer, , playerKnight] = combat.playerUnits;
+    const [enemyPyromancer, , enemyKnight] = combat.enemyUnits;
+    const knightHp = playerKnight.currentHp;
+    enemyPyromancer.currentHp = 1;
+
+    kill(combat, enemyKnight, playerPyromancer);
+
+    assert.ok(!enemyPyromancer.isAlive);
+    assert.deepStrictEqual(logged(combat, 'unit_death').map(data => [data.unit.id, data.killer.id]),
+        [[playerPyromancer.id, enemyKnight.id], [enemyPyromancer.id, playerPyromancer.id]]);
+    assert.deepStrictEqual(logged(combat, 'trigger').map(data => data.unit.id), [playerPyromancer.id, enemyPyromancer.id]);
+    // The second burst lands on the player knight next to the enemy pyromancer
+    assert.ok(playerKnight.currentHp < knightHp);
+});
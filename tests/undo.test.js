@@ -0,0 +1,102 @@
+/**
+ * Prep-phase undo/redo: snapshots restore the game, the shop roll and the recording
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { core } = require('./helpers.js');
+const { GameSession, PlayerActions, UNDO_HISTORY_SIZE } = core;
+
+/**
+ * Capture what an undo must put back
+ * @param {GameSession} session - Session to inspect
+ * @returns {object} Gold, bench, shop offers and recorded actions
+ */
+function snapshot(session) {
+    return {
+        gold: session.state.gold,
+        bench: session.state.getUnitsOnBench().map(unit => `${unit.unitId}*${unit.starLevel}`),
+        offers: session.shop.offers.map(offer => offer ? offer.id : null),
+        actions: session.recording.rounds.at(-1).actions.length
+    };
+}
+
+/**
+ * Start a game and step into the first prep phase
+ * @returns {GameSession} Session in prep phase
+ */
+function startGame() {
+    const session = new GameSession({ seed: 21 });
+    session.startRound();
+    return session;
+}
+
+test('undo restores the state before the action and redo reapplies it', () => {
+    const session = startGame();
+    const before = snapshot(session);
+
+    session.dispatch(PlayerActions.buyUnit(0));
+    const after = snapshot(session);
+    assert.notDeepStrictEqual(after, before);
+
+    assert.ok(session.undo().success);
+    assert.deepStrictEqual(snapshot(session), before);
+
+    assert.ok(session.redo().success);
+    assert.deepStrictEqual(snapshot(session), after);
+});
+
+test('undoing a reroll and rolling again gives the same shop', () => {
+    const session = startGame();
+    session.dispatch(PlayerActions.reroll());
+    const rolled = snapshot(session).offers;
+
+    session.undo();
+    session.dispatch(PlayerActions.reroll());
+    assert.deepStrictEqual(snapshot(session).offers, rolled);
+});
+
+test('a new action clears the redo stack', () => {
+    const session = startGame();
+    session.dispatch(PlayerActions.buyUnit(0));
+    session.undo();
+    assert.ok(session.canRedo());
+
+    session.dispatch(PlayerActions.buyUnit(1));
+    assert.strictEqual(session.canRedo(), false);
+    assert.deepStrictEqual(session.redo(), { success: false, error: 'Nothing to redo' });
+});
+
+test('failed actions are not undoable', () => {
+    const session = startGame();
+    session.dispatch(PlayerActions.buyUnit(99));
+    assert.deepStrictEqual(session.undo(), { success: false, error: 'Nothing to undo' });
+});
+
+test('history is capped and cleared when combat starts', () => {
+    const session = startGame();
+    for (let i = 0; i < UNDO_HISTORY_SIZE + 5; i++) {
+        session.dispatch(PlayerActions.toggleLock());
+    }
+    assert.strictEqual(session.undoStack.length, UNDO_HISTORY_SIZE);
+
+    session.dispatch(PlayerActions.buyUnit(0));
+    const [unit] = session.state.getUnitsOnBench();
+    session.dispatch(PlayerActions.moveToBoard(unit.id, 0, 0));
+    session.prepareCombat();
+
+    assert.strictEqual(session.canUndo(), false);
+    assert.deepStrictEqual(session.undo(), { success: false, error: 'Undo is only allowed during prep phase' });
+});
+
+test('an undone game replays to the same result', () => {
+    const session = startGame();
+    session.dispatch(PlayerActions.buyUnit(0));
+    session.dispatch(PlayerActions.reroll());
+    session.undo();
+    session.dispatch(PlayerActions.buyUnit(1));
+
+    const { session: replayed, errors } = GameSession.replay(session.recording.toJSON());
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(snapshot(replayed), snapshot(session));
+});